@@ -1,9 +1,11 @@
 import React, { useState, useEffect } from 'react';
-import { getSubscriptionPlans, getActiveSubscription, initiateCheckout, manageSubscription } from './stripe-helpers';
+import { getSubscriptionPlans, getActiveSubscription, getOverageSummary, initiateCheckout, manageSubscription, previewPlanChange } from './stripe-helpers';
 
 function SubscriptionPlans() {
   const [plans, setPlans] = useState([]);
   const [activeSubscription, setActiveSubscription] = useState(null);
+  const [overage, setOverage] = useState(null);
+  const [planChange, setPlanChange] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -20,6 +22,11 @@ function SubscriptionPlans() {
         const subscription = await getActiveSubscription();
         setActiveSubscription(subscription);
         
+        // Load usage past the plan limits
+        if (subscription) {
+          setOverage(await getOverageSummary());
+        }
+        
         setLoading(false);
       } catch (err) {
         setError('Failed to load subscription data');
@@ -45,6 +52,18 @@ function SubscriptionPlans() {
     }
   };
 
+  const handlePreviewPlanChange = async (planId) => {
+    try {
+      // Show the new limits before sending the user to Stripe to confirm the switch
+      setPlanChange(await previewPlanChange(planId));
+    } catch (err) {
+      setError('Failed to preview plan change');
+      console.error(err);
+    }
+  };
+
+  const formatLimit = (limit) => (limit === null || limit === undefined ? 'Unlimited' : limit);
+
   const handleManageSubscription = async () => {
     try {
       // Define URL to return to after managing subscription
@@ -78,6 +97,22 @@ function SubscriptionPlans() {
           <p className="mb-1"><span className="font-medium">Renews:</span> {new Date(activeSubscription.current_period_end).toLocaleDateString()}</p>
           <p className="mb-1"><span className="font-medium">Calls used:</span> {activeSubscription.calls_used} / {activeSubscription.plan_call_limit}</p>
           <p className="mb-1"><span className="font-medium">Minutes used:</span> {activeSubscription.minutes_used} / {activeSubscription.plan_minutes_limit}</p>
+          {(activeSubscription.calls_reserved > 0 || activeSubscription.minutes_reserved > 0) && (
+            <p className="mb-1"><span className="font-medium">Reserved by scheduled calls:</span> {activeSubscription.calls_reserved} calls, {activeSubscription.minutes_reserved} minutes</p>
+          )}
+          
+          {overage && (overage.overageCalls > 0 || overage.overageMinutes > 0) && (
+            <div className="mt-4 border-t border-blue-100 pt-4">
+              <h3 className="font-semibold mb-1">Overage this period</h3>
+              <p className="mb-1"><span className="font-medium">Extra calls:</span> {overage.overageCalls}{overage.callPrice !== null && ` at $${Number(overage.callPrice).toFixed(2)} each`}</p>
+              <p className="mb-1"><span className="font-medium">Extra minutes:</span> {overage.overageMinutes}{overage.minutePrice !== null && ` at $${Number(overage.minutePrice).toFixed(2)} each`}</p>
+              {overage.overageMode === 'bill' ? (
+                <p className="mb-1"><span className="font-medium">Overage charges:</span> ${Number(overage.amount).toFixed(2)}, added to your next invoice</p>
+              ) : (
+                <p className="mb-1 text-gray-600">Your plan does not bill for overage; new calls are refused until the next billing period.</p>
+              )}
+            </div>
+          )}
           
           <button
             onClick={handleManageSubscription}
@@ -94,6 +129,73 @@ function SubscriptionPlans() {
         </div>
       )}
       
+      {planChange && planChange.current && (
+        <div className="border border-blue-200 rounded-lg p-6 mb-8">
+          <h2 className="text-xl font-semibold mb-4">
+            {planChange.changeType === 'upgrade' ? 'Upgrade' : planChange.changeType === 'downgrade' ? 'Downgrade' : 'Switch'} to {planChange.new.planName}
+          </h2>
+          
+          <table className="w-full mb-4 text-left">
+            <thead>
+              <tr className="text-gray-500">
+                <th className="font-medium"></th>
+                <th className="font-medium">{planChange.current.planName} (now)</th>
+                <th className="font-medium">{planChange.new.planName}</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr>
+                <td className="font-medium">Calls per period</td>
+                <td>{formatLimit(planChange.current.callLimit)}</td>
+                <td>{formatLimit(planChange.new.callLimit)}</td>
+              </tr>
+              <tr>
+                <td className="font-medium">Minutes per period</td>
+                <td>{formatLimit(planChange.current.minutesLimit)}</td>
+                <td>{formatLimit(planChange.new.minutesLimit)}</td>
+              </tr>
+              <tr>
+                <td className="font-medium">Calls remaining</td>
+                <td>{formatLimit(planChange.current.callsRemaining)}</td>
+                <td>{formatLimit(planChange.new.callsRemaining)}</td>
+              </tr>
+              <tr>
+                <td className="font-medium">Minutes remaining</td>
+                <td>{formatLimit(planChange.current.minutesRemaining)}</td>
+                <td>{formatLimit(planChange.new.minutesRemaining)}</td>
+              </tr>
+            </tbody>
+          </table>
+          
+          <p className="mb-4 text-gray-600">
+            {planChange.timing === 'period_end'
+              ? `The new limits start with your next billing period on ${new Date(planChange.effectiveAt).toLocaleDateString()}; until then you keep your current plan's limits.`
+              : `The new limits apply right away. The ${planChange.current.callsUsed} calls and ${planChange.current.minutesUsed} minutes already used this period count toward them.`}
+          </p>
+          
+          {planChange.scheduledChange && (
+            <p className="mb-4 text-orange-600">
+              This replaces your scheduled switch to {planChange.scheduledChange.planName}.
+            </p>
+          )}
+          
+          <div className="flex gap-4">
+            <button
+              onClick={handleManageSubscription}
+              className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition-colors"
+            >
+              Confirm in Stripe
+            </button>
+            <button
+              onClick={() => setPlanChange(null)}
+              className="bg-gray-200 text-gray-700 px-4 py-2 rounded hover:bg-gray-300 transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+      
       <div className="grid md:grid-cols-3 gap-8">
         {plans.map((plan) => (
           <div key={plan.id} className="border rounded-lg overflow-hidden shadow-sm hover:shadow-md transition-shadow">
@@ -108,6 +210,14 @@ function SubscriptionPlans() {
             <div className="p-6">
               <p className="text-gray-600 mb-6">{plan.description}</p>
               
+              {plan.overage_mode === 'bill' && (
+                <p className="text-sm text-gray-500 -mt-4 mb-6">
+                  Past the limits: {plan.overage_call_price !== null && `$${Number(plan.overage_call_price).toFixed(2)} per call`}
+                  {plan.overage_call_price !== null && plan.overage_minute_price !== null && ', '}
+                  {plan.overage_minute_price !== null && `$${Number(plan.overage_minute_price).toFixed(2)} per minute`}
+                </p>
+              )}
+              
               <ul className="space-y-2 mb-6">
                 {plan.features && Array.isArray(plan.features) && plan.features.map((feature, index) => (
                   <li key={index} className="flex items-start">
@@ -128,7 +238,7 @@ function SubscriptionPlans() {
                 </button>
               ) : (
                 <button
-                  onClick={() => handleSubscribe(plan.id)}
+                  onClick={() => (activeSubscription ? handlePreviewPlanChange(plan.id) : handleSubscribe(plan.id))}
                   className="w-full bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition-colors"
                 >
                   {activeSubscription ? 'Change Plan' : 'Subscribe'}
@@ -119,6 +119,59 @@ export async function getActiveSubscription() {
   }
 }
 
+/**
+ * Gets the user's usage past their plan limits in the current billing period
+ * @returns {Promise<Object>} Overage counts, prices and charges, or null without a billing period
+ */
+export async function getOverageSummary() {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    
+    if (!user) {
+      return null;
+    }
+    
+    const { data, error } = await supabase.rpc('get_overage_summary', {
+      user_id_param: user.id
+    });
+    
+    if (error) {
+      console.error('Error getting overage summary:', error);
+      return null;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error getting overage summary:', error);
+    return null;
+  }
+}
+
+/**
+ * Previews switching the user's subscription to another plan
+ * @param {string} planId - The ID of the plan to switch to
+ * @returns {Promise<Object>} Change type, when it takes effect and the limits before and after
+ */
+export async function previewPlanChange(planId) {
+  const { data: { user } } = await supabase.auth.getUser();
+  
+  if (!user) {
+    throw new Error('You must be logged in to change plans');
+  }
+  
+  const { data, error } = await supabase.rpc('preview_plan_change', {
+    user_id_param: user.id,
+    to_plan_id_param: planId
+  });
+  
+  if (error) {
+    console.error('Error previewing plan change:', error);
+    throw error;
+  }
+  
+  return data;
+}
+
 /**
  * Gets all available subscription plans
  * @returns {Promise<Array>} Array of subscription plans
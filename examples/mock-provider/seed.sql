@@ -0,0 +1,39 @@
+-- Seed data pointing the Vapi and SynthFlow providers at the local mock server
+-- Apply to a local Supabase database after the migrations:
+--   psql "$LOCAL_DB_URL" -f examples/mock-provider/seed.sql
+
+DO $$
+DECLARE
+    mock_vapi_id UUID;
+    mock_synthflow_id UUID;
+BEGIN
+    INSERT INTO call_service_providers
+    (name, provider_type, api_key, api_secret, base_url, max_concurrent_calls, priority, is_active, capabilities, webhook_verification, webhook_secret)
+    VALUES
+    ('Mock Vapi', 'vapi', 'mock-vapi-key', NULL, 'http://localhost:4010', 10, 1, true, '{"recording": true, "transcription": true}', 'hmac-sha256', 'mock-webhook-secret')
+    RETURNING id INTO mock_vapi_id;
+
+    INSERT INTO call_service_providers
+    (name, provider_type, api_key, api_secret, base_url, max_concurrent_calls, priority, is_active, capabilities, webhook_verification, webhook_secret)
+    VALUES
+    ('Mock SynthFlow', 'synthflow', 'mock-synthflow-key', 'mock-synthflow-secret', 'http://localhost:4010', 10, 2, true, '{"recording": true, "transcription": true}', 'shared-secret', 'mock-webhook-secret')
+    RETURNING id INTO mock_synthflow_id;
+
+    INSERT INTO provider_availability (provider_id, current_calls, available_slots, status)
+    VALUES
+    (mock_vapi_id, 0, 10, 'online'),
+    (mock_synthflow_id, 0, 10, 'online');
+
+    -- Same IDs the mock server returns from /v1/assistants and /v1/phone-numbers
+    INSERT INTO provider_assistants
+    (provider_id, assistant_name, assistant_id, description, default_voice_id, is_active)
+    VALUES
+    (mock_vapi_id, 'Mock Sales Assistant', 'mock-sales-assistant', 'Mock assistant for sales calls', 'echo', true),
+    (mock_vapi_id, 'Mock Support Agent', 'mock-support-agent', 'Mock assistant for support calls', 'alloy', true);
+
+    INSERT INTO provider_phone_numbers
+    (provider_id, phone_id, country_code, area_code, phone_number, full_number, is_active)
+    VALUES
+    (mock_vapi_id, 'mock-phone-415', '+1', '415', '5550101', '+14155550101', true),
+    (mock_vapi_id, 'mock-phone-212', '+1', '212', '5550102', '+12125550102', true);
+END $$;
@@ -0,0 +1,479 @@
+/**
+ * Local mock voice provider for offline end-to-end testing
+ *
+ * Implements the endpoints VapiClient and SynthFlowClient call, simulates the
+ * call lifecycle according to a scriptable scenario, and sends realistic
+ * webhooks back to call-webhook.
+ *
+ * Scenarios:
+ *   answer     - rings, connects, talks for MOCK_TALK_SECONDS, completes
+ *   no-answer  - rings, then fails with no answer
+ *   fail       - accepted, then fails with a provider error
+ *   reject     - call creation returns HTTP 500
+ *   hang       - call creation does not respond for MOCK_HANG_SECONDS, then answers
+ *   opt-out    - answers, and the recipient asks not to be called again
+ *
+ * Health can be set to 'online', 'degraded' or 'offline'.
+ *
+ * Webhooks are signed with MOCK_WEBHOOK_SECRET the way the seeded providers
+ * expect: Vapi calls carry an X-Webhook-Signature HMAC of the body, SynthFlow
+ * calls carry the secret itself in X-Webhook-Secret.
+ *
+ * Control endpoints (all JSON):
+ *   GET  /__mock/state                 current settings and calls
+ *   POST /__mock/scenario              { scenario, queue, byPhone, health, talkSeconds, hangSeconds }
+ *   POST /__mock/reset                 clear calls and restore the defaults
+ *
+ * Usage:
+ *   MOCK_PORT=4010 MOCK_WEBHOOK_URL=http://localhost:54321/functions/v1/call-webhook node mock-provider/server.js
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.MOCK_PORT || '4010', 10);
+const WEBHOOK_URL = process.env.MOCK_WEBHOOK_URL || null; // Overrides the webhook URL sent with each call
+const WEBHOOK_AUTH = process.env.MOCK_WEBHOOK_AUTH || null; // Optional Authorization header for webhooks
+const WEBHOOK_SECRET = process.env.MOCK_WEBHOOK_SECRET || 'mock-webhook-secret'; // Matches examples/mock-provider/seed.sql
+const RING_SECONDS = parseFloat(process.env.MOCK_RING_SECONDS || '1');
+
+const SCENARIOS = ['answer', 'no-answer', 'fail', 'reject', 'hang', 'opt-out'];
+const HEALTH_STATES = ['online', 'degraded', 'offline'];
+
+function defaultSettings() {
+  return {
+    scenario: process.env.MOCK_SCENARIO || 'answer',
+    queue: [], // Scenarios consumed one per call before falling back to `scenario`
+    byPhone: {}, // Recipient phone -> scenario
+    health: process.env.MOCK_HEALTH || 'online',
+    talkSeconds: parseFloat(process.env.MOCK_TALK_SECONDS || '5'),
+    hangSeconds: parseFloat(process.env.MOCK_HANG_SECONDS || '35')
+  };
+}
+
+let settings = defaultSettings();
+const calls = new Map();
+const timers = new Set();
+
+// Provider-specific status names for each lifecycle stage
+const STATUS_NAMES = {
+  vapi: {
+    queued: 'queued',
+    ringing: 'queued',
+    'in-progress': 'in-progress',
+    completed: 'completed',
+    'no-answer': 'failed',
+    failed: 'failed',
+    canceled: 'canceled'
+  },
+  synthflow: {
+    queued: 'QUEUED',
+    ringing: 'CONNECTING',
+    'in-progress': 'IN_PROGRESS',
+    completed: 'COMPLETED',
+    'no-answer': 'NO_ANSWER',
+    failed: 'FAILED',
+    canceled: 'CANCELLED'
+  }
+};
+
+const ACTIVE_STAGES = ['queued', 'ringing', 'in-progress'];
+
+function later(seconds, fn) {
+  const timer = setTimeout(() => {
+    timers.delete(timer);
+    fn();
+  }, seconds * 1000);
+  timers.add(timer);
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Pick the scenario for a new call: per-phone override, then the queue, then the default
+function pickScenario(phone, requested) {
+  if (requested && SCENARIOS.includes(requested)) {
+    return requested;
+  }
+  if (settings.byPhone[phone]) {
+    return settings.byPhone[phone];
+  }
+  if (settings.queue.length > 0) {
+    return settings.queue.shift();
+  }
+  return settings.scenario;
+}
+
+// Build the provider's view of a call
+function toProviderCall(call) {
+  const status = STATUS_NAMES[call.provider][call.stage];
+  const ended = !ACTIVE_STAGES.includes(call.stage);
+
+  if (call.provider === 'vapi') {
+    return {
+      id: call.id,
+      status,
+      ended_reason: call.stage === 'no-answer' ? 'customer-did-not-answer' : call.endedReason || null,
+      duration: call.duration,
+      recording_url: ended && call.duration > 0 ? call.recordingUrl : null,
+      transcript: ended && call.duration > 0 ? call.transcript : null,
+      assistant: { assistant_id: call.assistantId },
+      phone_number_id: call.phoneNumberId,
+      created_at: call.createdAt
+    };
+  }
+
+  return {
+    callId: call.id,
+    status,
+    durationSeconds: call.duration,
+    recording: ended && call.duration > 0 ? { url: call.recordingUrl } : null,
+    transcription: ended && call.duration > 0 ? { text: call.transcript } : null,
+    createdAt: call.createdAt
+  };
+}
+
+// Build the webhook payload each provider would send
+function toWebhookPayload(call) {
+  const providerCall = toProviderCall(call);
+
+  if (call.provider === 'vapi') {
+    return {
+      call_id: providerCall.id,
+      status: providerCall.status,
+      ended_reason: providerCall.ended_reason,
+      duration: providerCall.duration,
+      recording_url: providerCall.recording_url,
+      transcript: providerCall.transcript,
+      metadata: call.metadata
+    };
+  }
+
+  return {
+    callId: providerCall.callId,
+    status: providerCall.status,
+    durationSeconds: providerCall.durationSeconds,
+    recording: providerCall.recording,
+    transcription: providerCall.transcription,
+    metadata: call.metadata
+  };
+}
+
+async function sendWebhook(call) {
+  const url = WEBHOOK_URL || call.webhookUrl;
+  if (!url) {
+    return;
+  }
+
+  const body = JSON.stringify(toWebhookPayload(call));
+  const headers = { 'Content-Type': 'application/json' };
+  if (WEBHOOK_AUTH) {
+    headers['Authorization'] = WEBHOOK_AUTH;
+  }
+
+  if (call.provider === 'vapi') {
+    const signature = crypto.createHmac('sha256', WEBHOOK_SECRET).update(body).digest('hex');
+    headers['X-Webhook-Signature'] = `sha256=${signature}`;
+  } else {
+    headers['X-Webhook-Secret'] = WEBHOOK_SECRET;
+  }
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body
+    });
+    console.log(`[mock] webhook ${call.provider} ${call.id} ${call.stage} -> ${response.status}`);
+  } catch (error) {
+    console.error(`[mock] webhook ${call.provider} ${call.id} ${call.stage} failed:`, error.message);
+  }
+}
+
+// Move a call to a new stage and notify the webhook
+function advance(call, stage, changes = {}) {
+  if (!ACTIVE_STAGES.includes(call.stage)) {
+    return; // Already ended (e.g. hung up through the API)
+  }
+
+  Object.assign(call, changes, { stage });
+  sendWebhook(call);
+}
+
+// Drive a call through its scenario
+function runLifecycle(call) {
+  later(RING_SECONDS / 2, () => advance(call, 'ringing'));
+
+  switch (call.scenario) {
+    case 'no-answer':
+      later(RING_SECONDS * 3, () => advance(call, 'no-answer', { duration: 0 }));
+      break;
+    case 'fail':
+      later(RING_SECONDS, () => advance(call, 'failed', { duration: 0, endedReason: 'provider-error' }));
+      break;
+    default: {
+      const startedAt = Date.now() + RING_SECONDS * 1000;
+      later(RING_SECONDS, () => advance(call, 'in-progress', { answeredAt: startedAt }));
+      later(RING_SECONDS + settings.talkSeconds, () => advance(call, 'completed', {
+        duration: Math.round(settings.talkSeconds)
+      }));
+    }
+  }
+}
+
+function createCall(provider, { phone, webhookUrl, metadata, assistantId = null, phoneNumberId = null, scenario }) {
+  const id = `${provider === 'vapi' ? 'vapi' : 'sf'}-${crypto.randomUUID()}`;
+  const call = {
+    id,
+    provider,
+    phone,
+    scenario,
+    stage: 'queued',
+    duration: 0,
+    webhookUrl,
+    metadata,
+    assistantId,
+    phoneNumberId,
+    recordingUrl: `http://localhost:${PORT}/recordings/${id}.mp3`,
+    transcript: scenario === 'opt-out'
+      ? 'Assistant: Hello, am I speaking with the right person?\nRecipient: Please take me off your list and don\'t call me again.'
+      : `Assistant: Hello, am I speaking with the right person?\nRecipient: Yes, this is a mock call (${scenario}).`,
+    createdAt: new Date().toISOString()
+  };
+
+  calls.set(id, call);
+  runLifecycle(call);
+  return call;
+}
+
+function activeCalls(provider) {
+  return Array.from(calls.values()).filter(call => call.provider === provider && ACTIVE_STAGES.includes(call.stage));
+}
+
+function endCall(call) {
+  if (ACTIVE_STAGES.includes(call.stage)) {
+    const duration = call.answeredAt ? Math.max(0, Math.round((Date.now() - call.answeredAt) / 1000)) : 0;
+    advance(call, 'canceled', { duration });
+  }
+}
+
+// Requests for the call-creation endpoints honor reject and hang
+async function withCreateScenario(res, scenario, respond) {
+  if (scenario === 'reject') {
+    return sendJson(res, 500, { error: 'Mock provider rejected the call' });
+  }
+  if (scenario === 'hang') {
+    await new Promise(resolve => later(settings.hangSeconds, resolve));
+  }
+  return respond();
+}
+
+// Route table: [method, pattern, handler(req, res, params, body, url)]
+const routes = [
+  // --- Vapi ---
+  ['GET', /^\/health$/, (req, res) => {
+    if (settings.health === 'offline') {
+      return sendJson(res, 503, { status: 'DOWN' });
+    }
+    sendJson(res, 200, { status: settings.health === 'online' ? 'OK' : 'DEGRADED', latency: 12 });
+  }],
+  ['GET', /^\/v1\/calls$/, (req, res, params, body, url) => {
+    const status = url.searchParams.get('status');
+    const list = Array.from(calls.values())
+      .filter(call => call.provider === 'vapi')
+      .map(toProviderCall)
+      .filter(call => !status || call.status === status);
+    sendJson(res, 200, { data: list.slice(0, parseInt(url.searchParams.get('limit') || '100', 10)), meta: { total: list.length } });
+  }],
+  ['POST', /^\/v1\/calls$/, async (req, res, params, body) => {
+    const metadata = body.assistant_options?.server_call_metadata || {};
+    const scenario = pickScenario(body.recipient?.phone_number, metadata.mock_scenario);
+
+    if (!body.recipient?.phone_number) {
+      return sendJson(res, 400, { error: 'recipient.phone_number is required' });
+    }
+
+    await withCreateScenario(res, scenario, () => {
+      const call = createCall('vapi', {
+        phone: body.recipient.phone_number,
+        webhookUrl: body.webhook_url,
+        metadata,
+        assistantId: body.assistant?.assistant_id || null,
+        phoneNumberId: body.phone_number_id || null,
+        scenario
+      });
+      sendJson(res, 201, toProviderCall(call));
+    });
+  }],
+  ['GET', /^\/v1\/calls\/([^/]+)$/, (req, res, [id]) => {
+    const call = calls.get(id);
+    if (!call || call.provider !== 'vapi') {
+      return sendJson(res, 404, { error: 'Call not found' });
+    }
+    sendJson(res, 200, toProviderCall(call));
+  }],
+  ['POST', /^\/v1\/calls\/([^/]+)\/end$/, (req, res, [id]) => {
+    const call = calls.get(id);
+    if (!call || call.provider !== 'vapi') {
+      return sendJson(res, 404, { error: 'Call not found' });
+    }
+    endCall(call);
+    sendJson(res, 200, toProviderCall(call));
+  }],
+  ['GET', /^\/v1\/assistants$/, (req, res) => {
+    sendJson(res, 200, {
+      assistants: [
+        { id: 'mock-sales-assistant', name: 'Mock Sales Assistant', description: 'Mock assistant for sales calls', voice_id: 'echo' },
+        { id: 'mock-support-agent', name: 'Mock Support Agent', description: 'Mock assistant for support calls', voice_id: 'alloy' }
+      ]
+    });
+  }],
+  ['GET', /^\/v1\/phone-numbers$/, (req, res) => {
+    sendJson(res, 200, {
+      phone_numbers: [
+        { id: 'mock-phone-415', phone_number: '+14155550101', status: 'active', capabilities: { voice: true } },
+        { id: 'mock-phone-212', phone_number: '+12125550102', status: 'active', capabilities: { voice: true } }
+      ]
+    });
+  }],
+
+  // --- SynthFlow ---
+  ['GET', /^\/api\/system\/status$/, (req, res) => {
+    if (settings.health === 'offline') {
+      return sendJson(res, 503, { healthy: false });
+    }
+    sendJson(res, 200, {
+      healthy: settings.health === 'online',
+      responseTime: 20,
+      capacity: { max: 50, active: activeCalls('synthflow').length }
+    });
+  }],
+  ['GET', /^\/api\/calls\/active\/count$/, (req, res) => {
+    sendJson(res, 200, { count: activeCalls('synthflow').length });
+  }],
+  ['POST', /^\/api\/calls$/, async (req, res, params, body) => {
+    const metadata = body.metadata || {};
+    const scenario = pickScenario(body.destination?.phoneNumber, metadata.mock_scenario);
+
+    if (!body.destination?.phoneNumber) {
+      return sendJson(res, 400, { error: 'destination.phoneNumber is required' });
+    }
+
+    await withCreateScenario(res, scenario, () => {
+      const call = createCall('synthflow', {
+        phone: body.destination.phoneNumber,
+        webhookUrl: body.settings?.callbackUrl,
+        metadata,
+        scenario
+      });
+      sendJson(res, 201, toProviderCall(call));
+    });
+  }],
+  ['GET', /^\/api\/calls\/([^/]+)$/, (req, res, [id]) => {
+    const call = calls.get(id);
+    if (!call || call.provider !== 'synthflow') {
+      return sendJson(res, 404, { error: 'Call not found' });
+    }
+    sendJson(res, 200, toProviderCall(call));
+  }],
+  ['POST', /^\/api\/calls\/([^/]+)\/terminate$/, (req, res, [id]) => {
+    const call = calls.get(id);
+    if (!call || call.provider !== 'synthflow') {
+      return sendJson(res, 404, { error: 'Call not found' });
+    }
+    endCall(call);
+    sendJson(res, 200, toProviderCall(call));
+  }],
+
+  // --- Mock control ---
+  ['GET', /^\/__mock\/state$/, (req, res) => {
+    sendJson(res, 200, {
+      settings,
+      calls: Array.from(calls.values()).map(call => ({
+        id: call.id,
+        provider: call.provider,
+        phone: call.phone,
+        scenario: call.scenario,
+        stage: call.stage,
+        duration: call.duration
+      }))
+    });
+  }],
+  ['POST', /^\/__mock\/scenario$/, (req, res, params, body) => {
+    const invalid = [body.scenario, ...(body.queue || []), ...Object.values(body.byPhone || {})]
+      .filter(scenario => scenario !== undefined && !SCENARIOS.includes(scenario));
+
+    if (invalid.length > 0) {
+      return sendJson(res, 400, { error: `Unknown scenarios: ${invalid.join(', ')}`, scenarios: SCENARIOS });
+    }
+    if (body.health !== undefined && !HEALTH_STATES.includes(body.health)) {
+      return sendJson(res, 400, { error: `Unknown health state: ${body.health}`, health: HEALTH_STATES });
+    }
+
+    settings = {
+      ...settings,
+      ...body,
+      queue: body.queue ? [...body.queue] : settings.queue,
+      byPhone: body.byPhone ? { ...settings.byPhone, ...body.byPhone } : settings.byPhone
+    };
+    sendJson(res, 200, { settings });
+  }],
+  ['POST', /^\/__mock\/reset$/, (req, res) => {
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+    calls.clear();
+    settings = defaultSettings();
+    sendJson(res, 200, { settings });
+  }]
+];
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+
+  for (const [method, pattern, handler] of routes) {
+    const match = req.method === method && url.pathname.match(pattern);
+    if (!match) {
+      continue;
+    }
+
+    try {
+      const body = req.method === 'GET' ? {} : await readBody(req);
+      console.log(`[mock] ${req.method} ${url.pathname}`);
+      return await handler(req, res, match.slice(1), body, url);
+    } catch (error) {
+      console.error(`[mock] ${req.method} ${url.pathname} failed:`, error.message);
+      return sendJson(res, 400, { error: error.message });
+    }
+  }
+
+  sendJson(res, 404, { error: `No mock route for ${req.method} ${url.pathname}` });
+});
+
+// If this file is run directly (not imported), start listening
+if (require.main === module) {
+  server.listen(PORT, () => {
+    console.log(`Mock voice provider listening on http://localhost:${PORT} (scenario: ${settings.scenario}, health: ${settings.health})`);
+  });
+}
+
+module.exports = {
+  server,
+  SCENARIOS
+};
@@ -0,0 +1,253 @@
+/**
+ * Contract checks shared by every provider adapter
+ *
+ * Runs the same behavioural checks against any registered adapter using a
+ * fixture that describes canned HTTP responses and sample webhooks.
+ *
+ * Usage:
+ *   node providers/adapter-contract.js            # check every adapter with a fixture
+ *   node providers/adapter-contract.js vapi       # check a single adapter
+ */
+
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const registry = require('./registry');
+const {
+  isCallNotFoundError,
+  STANDARD_STATUSES,
+  HEALTH_STATUSES,
+  ADAPTER_METHODS
+} = require('./base-adapter');
+
+/**
+ * Build a stand-in for the adapter's axios instance that answers from the fixture
+ * @param {Object} responses Map of 'METHOD /path' to response body
+ * @param {Array} requests Collects every request made
+ * @returns {Object} axios-like object
+ */
+function createFakeTransport(responses, requests) {
+  const handle = (method) => async (url, dataOrOptions, options) => {
+    const key = `${method.toUpperCase()} ${url}`;
+    requests.push({ method, url, data: method === 'get' ? undefined : dataOrOptions });
+
+    if (!(key in responses)) {
+      const error = new Error(`Request failed with status code 404 (${key})`);
+      error.response = { status: 404, data: { error: 'Not found' } };
+      throw error;
+    }
+
+    return { status: 200, data: responses[key] };
+  };
+
+  return {
+    get: handle('get'),
+    post: handle('post'),
+    put: handle('put'),
+    patch: handle('patch'),
+    delete: handle('delete'),
+    request: ({ method = 'get', url, data }) => handle(method)(url, data)
+  };
+}
+
+/**
+ * Create a configured adapter whose HTTP calls are served by the fixture
+ * @param {String} providerType Provider type
+ * @param {Object} fixture Adapter fixture
+ * @param {Object} responses Responses to serve
+ * @returns {Object} { adapter, requests }
+ */
+function createFixtureAdapter(providerType, fixture, responses = fixture.responses) {
+  const adapter = registry.createAdapter(providerType);
+  const requests = [];
+
+  adapter.configure(fixture.config);
+  adapter.axiosInstance = createFakeTransport(responses, requests);
+
+  return { adapter, requests };
+}
+
+// The individual contract checks, in the order they run
+const checks = {
+  'implements every adapter method': async (providerType) => {
+    const adapter = registry.createAdapter(providerType);
+    ADAPTER_METHODS.forEach(method => {
+      assert.strictEqual(typeof adapter[method], 'function', `${method} is not a function`);
+    });
+  },
+
+  'makeCall returns a call ID and a standard status': async (providerType, fixture) => {
+    const { adapter, requests } = createFixtureAdapter(providerType, fixture);
+    const result = await adapter.makeCall(fixture.callRequest);
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(typeof result.callId, 'string');
+    assert.ok(result.callId.length > 0, 'callId is empty');
+    assert.ok(STANDARD_STATUSES.includes(result.status), `non-standard status ${result.status}`);
+    assert.strictEqual(result.provider, providerType);
+    assert.ok(requests.length > 0, 'makeCall did not call the provider');
+  },
+
+  'makeCall rejects a recipient without a phone number': async (providerType, fixture) => {
+    const { adapter } = createFixtureAdapter(providerType, fixture);
+    await assert.rejects(adapter.makeCall({
+      ...fixture.callRequest,
+      recipient: { ...fixture.callRequest.recipient, phone: null }
+    }));
+  },
+
+  'getCallStatus returns a standard status': async (providerType, fixture) => {
+    const { adapter } = createFixtureAdapter(providerType, fixture);
+    const status = await adapter.getCallStatus(fixture.callId);
+
+    assert.strictEqual(status.callId, fixture.callId);
+    assert.ok(STANDARD_STATUSES.includes(status.status), `non-standard status ${status.status}`);
+    assert.ok(status.duration === null || status.duration === undefined || typeof status.duration === 'number');
+  },
+
+  'getCallStatus fails for an unknown call': async (providerType, fixture) => {
+    const { adapter } = createFixtureAdapter(providerType, fixture);
+    await assert.rejects(adapter.getCallStatus('unknown-call-id'), error => isCallNotFoundError(error));
+  },
+
+  'endCall resolves to true': async (providerType, fixture) => {
+    const { adapter } = createFixtureAdapter(providerType, fixture);
+    assert.strictEqual(await adapter.endCall(fixture.callId), true);
+  },
+
+  'checkHealth reports a health status': async (providerType, fixture) => {
+    const { adapter } = createFixtureAdapter(providerType, fixture);
+    const health = await adapter.checkHealth();
+
+    assert.ok(HEALTH_STATUSES.includes(health.status), `non-standard health status ${health.status}`);
+    assert.ok(health.timestamp, 'health timestamp missing');
+  },
+
+  'checkHealth reports offline instead of throwing': async (providerType, fixture) => {
+    const { adapter } = createFixtureAdapter(providerType, fixture, {});
+    const health = await adapter.checkHealth();
+
+    assert.strictEqual(health.status, 'offline');
+  },
+
+  'getAssistants returns assistant records': async (providerType, fixture) => {
+    const { adapter } = createFixtureAdapter(providerType, fixture);
+    const assistants = await adapter.getAssistants();
+
+    assert.ok(Array.isArray(assistants));
+    assistants.forEach(assistant => {
+      assert.ok(assistant.assistant_id, 'assistant_id missing');
+      assert.ok(assistant.assistant_name, 'assistant_name missing');
+    });
+  },
+
+  'getPhoneNumbers returns phone number records': async (providerType, fixture) => {
+    const { adapter } = createFixtureAdapter(providerType, fixture);
+    const phoneNumbers = await adapter.getPhoneNumbers();
+
+    assert.ok(Array.isArray(phoneNumbers));
+    phoneNumbers.forEach(phone => {
+      assert.ok(phone.phone_id, 'phone_id missing');
+      assert.ok(phone.full_number, 'full_number missing');
+      assert.ok(phone.country_code !== undefined, 'country_code missing');
+      assert.ok(phone.area_code !== undefined, 'area_code missing');
+    });
+  },
+
+  'parseWebhook normalizes provider payloads': async (providerType, fixture) => {
+    const { adapter } = createFixtureAdapter(providerType, fixture);
+
+    fixture.webhooks.forEach(({ payload, expected }) => {
+      const data = adapter.parseWebhook(payload);
+      assert.ok(data, 'webhook was not recognized');
+      assert.ok(STANDARD_STATUSES.includes(data.status), `non-standard status ${data.status}`);
+      assert.deepStrictEqual(
+        Object.fromEntries(Object.keys(expected).map(key => [key, data[key]])),
+        expected
+      );
+    });
+  },
+
+  'parseWebhook ignores payloads from other providers': async (providerType, fixture) => {
+    const { adapter } = createFixtureAdapter(providerType, fixture);
+
+    (fixture.foreignWebhooks || []).forEach(payload => {
+      assert.strictEqual(adapter.parseWebhook(payload), null);
+    });
+  }
+};
+
+/**
+ * Run every contract check against one adapter
+ * @param {String} providerType Provider type
+ * @param {Object} fixture Adapter fixture
+ * @returns {Array} Results with name, passed and error
+ */
+async function runAdapterContract(providerType, fixture) {
+  const results = [];
+
+  for (const [name, check] of Object.entries(checks)) {
+    try {
+      await check(providerType, fixture);
+      results.push({ name, passed: true });
+    } catch (error) {
+      results.push({ name, passed: false, error });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Load the fixture for a provider type from ./fixtures
+ * @param {String} providerType Provider type
+ * @returns {Object|null} Fixture, or null if none exists
+ */
+function loadFixture(providerType) {
+  const fixturePath = path.join(__dirname, 'fixtures', `${providerType}.js`);
+  return fs.existsSync(fixturePath) ? require(fixturePath) : null;
+}
+
+async function main() {
+  const providerTypes = process.argv.slice(2).length > 0
+    ? process.argv.slice(2)
+    : registry.getProviderTypes();
+  let failures = 0;
+
+  // Silence the adapters' own error logging while checks run
+  const consoleError = console.error;
+  console.error = () => {};
+
+  for (const providerType of providerTypes) {
+    const fixture = loadFixture(providerType);
+
+    if (!fixture) {
+      console.log(`? ${providerType}: no fixture in providers/fixtures, skipped`);
+      continue;
+    }
+
+    const results = await runAdapterContract(providerType, fixture);
+
+    for (const result of results) {
+      console.log(`${result.passed ? 'ok  ' : 'FAIL'} ${providerType}: ${result.name}`);
+      if (!result.passed) {
+        console.log(`     ${result.error.message}`);
+        failures++;
+      }
+    }
+  }
+
+  console.error = consoleError;
+  process.exitCode = failures > 0 ? 1 : 0;
+}
+
+// If this file is run directly (not imported), check the registered adapters
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  runAdapterContract,
+  createFakeTransport,
+  loadFixture
+};
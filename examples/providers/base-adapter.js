@@ -0,0 +1,157 @@
+/**
+ * Base class and contract for call provider adapters
+ *
+ * Every provider (Vapi, SynthFlow, ...) extends ProviderAdapter and registers
+ * itself in ./registry.js under its provider_type. The queue processor only
+ * talks to providers through this interface.
+ */
+
+// Statuses every adapter must map provider statuses onto
+const STANDARD_STATUSES = ['pending', 'in-progress', 'completed', 'failed', 'canceled', 'unknown'];
+
+// Statuses that end a call
+const TERMINAL_STATUSES = ['completed', 'failed', 'canceled'];
+
+// Health states stored in provider_availability.status
+const HEALTH_STATUSES = ['online', 'degraded', 'offline'];
+
+// Methods an adapter has to implement
+const ADAPTER_METHODS = [
+  'configure',
+  'makeCall',
+  'getCallStatus',
+  'endCall',
+  'checkHealth',
+  'getAssistants',
+  'getPhoneNumbers',
+  'parseWebhook'
+];
+
+class ProviderAdapter {
+  /**
+   * @param {String} providerType provider_type this adapter serves
+   */
+  constructor(providerType) {
+    this.providerType = providerType;
+    this.config = {
+      apiKey: null,
+      apiSecret: null,
+      baseUrl: null,
+      timeout: 30000,
+    };
+  }
+
+  /**
+   * Configure the adapter from a call_service_providers row
+   * @param {Object} config Configuration options
+   */
+  configure(config) {
+    throw new Error(`${this.providerType} adapter does not implement configure()`);
+  }
+
+  /**
+   * Place a call
+   * @param {Object} callRequest Standard call request
+   * @param {Object} callRequest.recipient Recipient with name, phone and email
+   * @param {String} callRequest.template Script content, already rendered with render_template()
+   * @param {Object} callRequest.metadata Metadata to round-trip through the provider (call_id, webhook_url, ...)
+   * @param {Object} callRequest.assistant provider_assistants row, if one was selected
+   * @param {Object} callRequest.phoneNumber provider_phone_numbers row, if one was selected
+   * @param {Object} callRequest.variables Variable values the script was rendered with
+   * @returns {Object} Call result with success, callId, status and provider
+   */
+  async makeCall(callRequest) {
+    throw new Error(`${this.providerType} adapter does not implement makeCall()`);
+  }
+
+  /**
+   * Get status of a call
+   * Rejects with an error that isCallNotFoundError() recognizes when the provider
+   * has no record of the call.
+   * @param {String} callId Provider call ID
+   * @returns {Object} Call status with callId, status, duration, recordingUrl and transcript
+   */
+  async getCallStatus(callId) {
+    throw new Error(`${this.providerType} adapter does not implement getCallStatus()`);
+  }
+
+  /**
+   * End an active call
+   * @param {String} callId Provider call ID
+   * @returns {Boolean} Success status
+   */
+  async endCall(callId) {
+    throw new Error(`${this.providerType} adapter does not implement endCall()`);
+  }
+
+  /**
+   * Check the health of the provider. Must not throw; report 'offline' instead.
+   * @returns {Object} Health status with status set to online, degraded or offline
+   */
+  async checkHealth() {
+    throw new Error(`${this.providerType} adapter does not implement checkHealth()`);
+  }
+
+  /**
+   * Get count of active calls (optional)
+   * @returns {Number|null} Number of active calls, or null if the provider can't report it
+   */
+  async getActiveCallsCount() {
+    return null;
+  }
+
+  /**
+   * Fetch all available assistants
+   * @returns {Array} List of assistants (empty if the provider has no such concept)
+   */
+  async getAssistants() {
+    return [];
+  }
+
+  /**
+   * Fetch all available phone numbers
+   * full_number is required; country_code, area_code and phone_number may be null, since
+   * the database normalizes full_number to E.164 and derives them when the row is saved.
+   * @returns {Array} List of phone numbers (empty if the provider has no such concept)
+   */
+  async getPhoneNumbers() {
+    return [];
+  }
+
+  /**
+   * Normalize a webhook payload from this provider
+   * @param {Object} body Parsed webhook body
+   * @returns {Object|null} Standard webhook data, or null if the payload is not from this provider
+   */
+  parseWebhook(body) {
+    throw new Error(`${this.providerType} adapter does not implement parseWebhook()`);
+  }
+
+  /**
+   * Map a provider status to our standard status
+   * @param {String} providerStatus Status from the provider
+   * @returns {String} Standardized status
+   */
+  mapStatus(providerStatus) {
+    const statusMap = this.statusMap || {};
+    return statusMap[providerStatus] || 'unknown';
+  }
+}
+
+/**
+ * Whether an adapter error means the provider has no record of the call
+ * @param {Error} error Error thrown by an adapter
+ * @returns {Boolean} True for HTTP 404 responses
+ */
+function isCallNotFoundError(error) {
+  return Boolean(error && error.response && error.response.status === 404);
+}
+
+module.exports = {
+  ProviderAdapter,
+  isCallNotFoundError,
+  STANDARD_STATUSES,
+  TERMINAL_STATUSES,
+  HEALTH_STATUSES,
+  ADAPTER_METHODS
+};
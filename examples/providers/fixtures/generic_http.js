@@ -0,0 +1,125 @@
+/**
+ * Contract fixture for the generic HTTP adapter
+ * The config mirrors what would be stored in call_service_providers.configuration.
+ */
+
+module.exports = {
+  config: {
+    name: 'Acme Voice',
+    apiKey: 'test-acme-key',
+    baseUrl: 'http://localhost:4010',
+    auth: { type: 'header', header: 'X-Acme-Key' },
+    endpoints: {
+      makeCall: {
+        method: 'POST',
+        path: '/v2/dial',
+        body: {
+          to: '{{recipient.phone}}',
+          name: '{{recipient.name}}',
+          script: '{{template}}',
+          caller_id: '{{phoneNumber.full_number}}',
+          variables: '{{variables}}',
+          reference: '{{metadata.call_id}}',
+          callback_url: '{{metadata.webhook_url}}'
+        }
+      },
+      getCallStatus: { method: 'GET', path: '/v2/dial/{{callId}}' },
+      endCall: { method: 'DELETE', path: '/v2/dial/{{callId}}' },
+      checkHealth: { method: 'GET', path: '/v2/ping' },
+      getPhoneNumbers: { method: 'GET', path: '/v2/numbers' }
+    },
+    responses: {
+      makeCall: { callId: 'call.uuid', status: 'call.state' },
+      getCallStatus: {
+        callId: 'call.uuid',
+        status: 'call.state',
+        duration: 'call.seconds',
+        recordingUrl: 'call.media.recording',
+        transcript: 'call.media.transcript'
+      },
+      checkHealth: { healthy: 'ok', latency: 'ms' },
+      getPhoneNumbers: { list: 'numbers', phone_id: 'sid', full_number: 'e164', area_code: 'area', country_code: 'country' }
+    },
+    statusMap: {
+      dialing: 'pending',
+      ringing: 'pending',
+      answered: 'in-progress',
+      done: 'completed',
+      busy: 'failed',
+      no_answer: 'failed',
+      hung_up: 'canceled'
+    },
+    webhook: {
+      match: { path: 'source', equals: 'acme' },
+      fields: {
+        providerCallId: 'call.uuid',
+        queueId: 'call.reference',
+        status: 'call.state',
+        duration: 'call.seconds',
+        recordingUrl: 'call.media.recording',
+        transcript: 'call.media.transcript'
+      }
+    }
+  },
+
+  callId: 'acme-777',
+
+  callRequest: {
+    recipient: { name: 'Jane Doe', phone: '+14155550100', email: 'jane@example.com' },
+    template: 'Hi Jane, this is a reminder about your appointment.',
+    metadata: { call_id: 'queue-123', webhook_url: 'http://localhost:54321/functions/v1/call-webhook' },
+    assistant: null,
+    phoneNumber: { phone_id: 'num-1', full_number: '+14155551234' },
+    variables: { first_name: 'Jane' }
+  },
+
+  // Canned responses keyed by 'METHOD /path'
+  responses: {
+    'GET /v2/ping': { ok: true, ms: 8 },
+    'POST /v2/dial': { call: { uuid: 'acme-777', state: 'dialing' } },
+    'GET /v2/dial/acme-777': {
+      call: {
+        uuid: 'acme-777',
+        state: 'done',
+        seconds: 42,
+        media: { recording: 'https://recordings.example.com/acme-777.mp3', transcript: 'Hello, this is a test call.' }
+      }
+    },
+    'DELETE /v2/dial/acme-777': {},
+    'GET /v2/numbers': {
+      numbers: [{ sid: 'num-1', e164: '+14155551234', area: '415', country: '+1' }]
+    }
+  },
+
+  webhooks: [
+    {
+      payload: {
+        source: 'acme',
+        call: {
+          uuid: 'acme-777',
+          reference: 'queue-123',
+          state: 'done',
+          seconds: 42,
+          media: { recording: 'https://recordings.example.com/acme-777.mp3', transcript: 'Hello, this is a test call.' }
+        }
+      },
+      expected: {
+        providerCallId: 'acme-777',
+        queueId: 'queue-123',
+        status: 'completed',
+        duration: 42,
+        recordingUrl: 'https://recordings.example.com/acme-777.mp3',
+        transcript: 'Hello, this is a test call.'
+      }
+    },
+    {
+      payload: { source: 'acme', call: { uuid: 'acme-777', reference: 'queue-123', state: 'no_answer' } },
+      expected: { queueId: 'queue-123', status: 'failed', duration: 0 }
+    }
+  ],
+
+  foreignWebhooks: [
+    { call_id: 'vapi-call-123', status: 'completed', metadata: { system_call_id: 'queue-123' } },
+    { callId: 'sf-call-123', status: 'COMPLETED', metadata: { externalId: 'queue-123' } }
+  ]
+};
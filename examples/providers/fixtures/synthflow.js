@@ -0,0 +1,74 @@
+/**
+ * Contract fixture for the SynthFlow adapter
+ */
+
+module.exports = {
+  config: {
+    apiKey: 'test-synthflow-key',
+    apiSecret: 'test-synthflow-secret',
+    baseUrl: 'http://localhost:4010'
+  },
+
+  callId: 'sf-call-123',
+
+  callRequest: {
+    recipient: { name: 'Jane Doe', phone: '+14155550100', email: 'jane@example.com' },
+    template: 'Hi Jane, this is a reminder about your appointment.',
+    metadata: { call_id: 'queue-123', webhook_url: 'http://localhost:54321/functions/v1/call-webhook' },
+    assistant: { assistant_id: 'voice-natural', default_voice_id: 'natural' },
+    phoneNumber: { phone_id: 'sf-phone-1', full_number: '+14155551234' },
+    variables: { first_name: 'Jane' }
+  },
+
+  // Canned responses keyed by 'METHOD /path'
+  responses: {
+    'GET /api/system/status': { healthy: true, responseTime: 20, capacity: 50 },
+    'POST /api/calls': { callId: 'sf-call-123', status: 'QUEUED' },
+    'GET /api/calls/sf-call-123': {
+      callId: 'sf-call-123',
+      status: 'COMPLETED',
+      durationSeconds: 42,
+      recording: { url: 'https://recordings.example.com/sf-call-123.mp3' },
+      transcription: { text: 'Hello, this is a test call.' }
+    },
+    'POST /api/calls/sf-call-123/terminate': {},
+    'GET /api/calls/active/count': { count: 2 }
+  },
+
+  webhooks: [
+    {
+      payload: {
+        callId: 'sf-call-123',
+        status: 'COMPLETED',
+        durationSeconds: 42,
+        recording: { url: 'https://recordings.example.com/sf-call-123.mp3' },
+        transcription: { text: 'Hello, this is a test call.' },
+        metadata: { externalId: 'queue-123' }
+      },
+      expected: {
+        providerCallId: 'sf-call-123',
+        queueId: 'queue-123',
+        status: 'completed',
+        duration: 42,
+        recordingUrl: 'https://recordings.example.com/sf-call-123.mp3',
+        transcript: 'Hello, this is a test call.'
+      }
+    },
+    {
+      payload: {
+        callId: 'sf-call-123',
+        status: 'NO_ANSWER',
+        metadata: { externalId: 'queue-123' }
+      },
+      expected: {
+        queueId: 'queue-123',
+        status: 'failed',
+        duration: 0
+      }
+    }
+  ],
+
+  foreignWebhooks: [
+    { call_id: 'vapi-call-123', status: 'completed', metadata: { system_call_id: 'queue-123' } }
+  ]
+};
@@ -0,0 +1,89 @@
+/**
+ * Contract fixture for the Vapi adapter
+ */
+
+module.exports = {
+  config: {
+    apiKey: 'test-vapi-key',
+    baseUrl: 'http://localhost:4010'
+  },
+
+  callId: 'vapi-call-123',
+
+  callRequest: {
+    recipient: { name: 'Jane Doe', phone: '+14155550100', email: 'jane@example.com' },
+    template: 'Hi Jane, this is a reminder about your appointment.',
+    metadata: { call_id: 'queue-123', webhook_url: 'http://localhost:54321/functions/v1/call-webhook' },
+    assistant: { assistant_id: 'assistant-123', default_voice_id: 'echo' },
+    phoneNumber: { phone_id: 'phone-123', full_number: '+14155551234' },
+    variables: { first_name: 'Jane' }
+  },
+
+  // Canned responses keyed by 'METHOD /path'
+  responses: {
+    'GET /health': { status: 'OK', latency: 12 },
+    'POST /v1/calls': {
+      id: 'vapi-call-123',
+      status: 'queued',
+      assistant: { assistant_id: 'assistant-123' },
+      phone_number_id: 'phone-123'
+    },
+    'GET /v1/calls/vapi-call-123': {
+      id: 'vapi-call-123',
+      status: 'completed',
+      duration: 42,
+      recording_url: 'https://recordings.example.com/vapi-call-123.mp3',
+      transcript: 'Hello, this is a test call.',
+      assistant: { assistant_id: 'assistant-123' },
+      phone_number_id: 'phone-123'
+    },
+    'POST /v1/calls/vapi-call-123/end': {},
+    'GET /v1/calls': { data: [], meta: { total: 3 } },
+    'GET /v1/assistants': {
+      assistants: [
+        { id: 'assistant-123', name: 'Sales Assistant', description: 'Sales calls', voice_id: 'echo' }
+      ]
+    },
+    'GET /v1/phone-numbers': {
+      phone_numbers: [
+        { id: 'phone-123', phone_number: '+14155551234', status: 'active' }
+      ]
+    }
+  },
+
+  webhooks: [
+    {
+      payload: {
+        call_id: 'vapi-call-123',
+        status: 'completed',
+        duration: 42,
+        recording_url: 'https://recordings.example.com/vapi-call-123.mp3',
+        transcript: 'Hello, this is a test call.',
+        metadata: { system_call_id: 'queue-123' }
+      },
+      expected: {
+        providerCallId: 'vapi-call-123',
+        queueId: 'queue-123',
+        status: 'completed',
+        duration: 42,
+        recordingUrl: 'https://recordings.example.com/vapi-call-123.mp3',
+        transcript: 'Hello, this is a test call.'
+      }
+    },
+    {
+      payload: {
+        call_id: 'vapi-call-123',
+        status: 'in-progress',
+        metadata: { system_call_id: 'queue-123' }
+      },
+      expected: {
+        queueId: 'queue-123',
+        status: 'in-progress'
+      }
+    }
+  ],
+
+  foreignWebhooks: [
+    { callId: 'sf-call-123', status: 'COMPLETED', metadata: { externalId: 'queue-123' } }
+  ]
+};
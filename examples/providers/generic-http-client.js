@@ -0,0 +1,407 @@
+/**
+ * Generic HTTP provider adapter
+ *
+ * Talks to any REST-style voice provider using request templates, auth style,
+ * response field paths, status mappings and webhook field mappings taken from
+ * call_service_providers.configuration. Onboarding a vendor needs SQL only:
+ *
+ * {
+ *   "auth": { "type": "bearer" },                       // bearer | header | basic | query | none
+ *   "headers": { "Accept": "application/json" },        // Static headers
+ *   "endpoints": {
+ *     "makeCall": {
+ *       "method": "POST",
+ *       "path": "/calls",
+ *       "body": { "to": "{{recipient.phone}}", "script": "{{template}}", "ref": "{{metadata.call_id}}" }
+ *     },
+ *     "getCallStatus": { "method": "GET", "path": "/calls/{{callId}}" },
+ *     "endCall": { "method": "POST", "path": "/calls/{{callId}}/hangup" },
+ *     "checkHealth": { "method": "GET", "path": "/health" }
+ *   },
+ *   "responses": {
+ *     "makeCall": { "callId": "data.id", "status": "data.state" },
+ *     "getCallStatus": { "callId": "id", "status": "state", "duration": "duration" }
+ *   },
+ *   "statusMap": { "dialing": "pending", "answered": "in-progress", "done": "completed" },
+ *   "webhook": {
+ *     "match": { "path": "source", "equals": "acme" },
+ *     "fields": { "providerCallId": "call.id", "queueId": "call.ref", "status": "call.state" }
+ *   }
+ * }
+ */
+
+const axios = require('axios');
+const { ProviderAdapter, STANDARD_STATUSES } = require('./base-adapter');
+
+/**
+ * Read a value from an object by dot path (e.g. 'data.calls.0.id')
+ * @param {Object} source Object to read from
+ * @param {String} path Dot-separated path
+ * @returns {*} Value, or undefined if any segment is missing
+ */
+function getPath(source, path) {
+  if (!path) {
+    return undefined;
+  }
+
+  return path.split('.').reduce(
+    (value, key) => (value === null || value === undefined ? undefined : value[key]),
+    source
+  );
+}
+
+/**
+ * Fill {{path}} placeholders in a request template
+ * A string that is exactly one placeholder keeps the value's type, so
+ * numbers, objects and nulls pass through unchanged.
+ * @param {*} template String, array or object template
+ * @param {Object} context Values available to placeholders
+ * @returns {*} Rendered value
+ */
+function renderRequestTemplate(template, context) {
+  if (typeof template === 'string') {
+    const exact = template.match(/^{{\s*([\w.]+)\s*}}$/);
+    if (exact) {
+      const value = getPath(context, exact[1]);
+      return value === undefined ? null : value;
+    }
+
+    return template.replace(/{{\s*([\w.]+)\s*}}/g, (match, path) => {
+      const value = getPath(context, path);
+      return value === undefined || value === null ? '' : String(value);
+    });
+  }
+
+  if (Array.isArray(template)) {
+    return template.map(item => renderRequestTemplate(item, context));
+  }
+
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(
+      Object.entries(template).map(([key, value]) => [key, renderRequestTemplate(value, context)])
+    );
+  }
+
+  return template;
+}
+
+/**
+ * Pick fields out of a response using a map of field name to dot path
+ * @param {Object} source Response body
+ * @param {Object} fieldPaths Map of field name to path
+ * @returns {Object} Extracted fields
+ */
+function extractFields(source, fieldPaths = {}) {
+  return Object.fromEntries(
+    Object.entries(fieldPaths).map(([field, path]) => [field, getPath(source, path)])
+  );
+}
+
+class GenericHttpClient extends ProviderAdapter {
+  constructor() {
+    super('generic_http');
+    this.config = {
+      ...this.config,
+      auth: { type: 'bearer' },
+      headers: {},
+      endpoints: {},
+      responses: {},
+      statusMap: {},
+      webhook: null
+    };
+  }
+
+  /**
+   * Configure the client
+   * @param {Object} config Configuration options (api credentials merged with the configuration JSONB)
+   */
+  configure(config) {
+    this.config = { ...this.config, ...config };
+    this.statusMap = this.config.statusMap || {};
+
+    const auth = this.config.auth || { type: 'none' };
+    const headers = {
+      'Content-Type': 'application/json',
+      ...this.config.headers
+    };
+    const params = {};
+
+    switch (auth.type) {
+      case 'bearer':
+        headers['Authorization'] = `${auth.prefix || 'Bearer '}${this.config.apiKey}`;
+        break;
+      case 'header':
+        headers[auth.header || 'X-API-Key'] = this.config.apiKey;
+        if (auth.secretHeader) {
+          headers[auth.secretHeader] = this.config.apiSecret;
+        }
+        break;
+      case 'basic':
+        headers['Authorization'] = `Basic ${Buffer.from(`${this.config.apiKey}:${this.config.apiSecret || ''}`).toString('base64')}`;
+        break;
+      case 'query':
+        params[auth.param || 'api_key'] = this.config.apiKey;
+        break;
+      case 'none':
+        break;
+      default:
+        throw new Error(`Unsupported auth type: ${auth.type}`);
+    }
+
+    this.axiosInstance = axios.create({
+      baseURL: this.config.baseUrl,
+      timeout: this.config.timeout,
+      headers,
+      params
+    });
+  }
+
+  /**
+   * Send the request configured for an operation
+   * @param {String} operation Endpoint name in configuration.endpoints
+   * @param {Object} context Values available to the request template
+   * @returns {Object} Response body
+   */
+  async request(operation, context) {
+    const endpoint = this.config.endpoints[operation];
+
+    if (!endpoint) {
+      throw new Error(`Generic provider has no '${operation}' endpoint configured`);
+    }
+
+    const method = (endpoint.method || 'GET').toLowerCase();
+    const url = renderRequestTemplate(endpoint.path, context);
+    const options = endpoint.query ? { params: renderRequestTemplate(endpoint.query, context) } : undefined;
+
+    let response;
+    if (method === 'get' || method === 'delete') {
+      response = await this.axiosInstance[method](url, options);
+    } else {
+      const body = endpoint.body ? renderRequestTemplate(endpoint.body, context) : undefined;
+      response = await this.axiosInstance[method](url, body, options);
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Check the health of the provider
+   * @returns {Object} Health status
+   */
+  async checkHealth() {
+    if (!this.config.endpoints.checkHealth) {
+      return {
+        status: 'online',
+        timestamp: new Date().toISOString(),
+        details: { note: 'No health endpoint configured' }
+      };
+    }
+
+    try {
+      const data = await this.request('checkHealth', { config: this.config });
+      const fields = extractFields(data, this.config.responses.checkHealth || {});
+      const healthy = fields.healthy === undefined ? true : Boolean(fields.healthy);
+
+      return {
+        status: healthy ? 'online' : 'degraded',
+        latency: fields.latency,
+        timestamp: new Date().toISOString(),
+        details: data
+      };
+    } catch (error) {
+      console.error(`${this.config.name || 'Generic provider'} health check failed:`, error.message);
+      return {
+        status: 'offline',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * Get count of active calls
+   * @returns {Number|null} Number of active calls, or null without an endpoint for it
+   */
+  async getActiveCallsCount() {
+    if (!this.config.endpoints.getActiveCallsCount) {
+      return null;
+    }
+
+    const data = await this.request('getActiveCallsCount', { config: this.config });
+    const fields = extractFields(data, this.config.responses.getActiveCallsCount || { count: 'count' });
+    return Number(fields.count) || 0;
+  }
+
+  /**
+   * Fetch all available assistants
+   * @returns {Array} List of assistants
+   */
+  async getAssistants() {
+    if (!this.config.endpoints.getAssistants) {
+      return [];
+    }
+
+    const mapping = this.config.responses.getAssistants || {};
+    const data = await this.request('getAssistants', { config: this.config });
+    const items = mapping.list ? getPath(data, mapping.list) : data;
+
+    return (items || []).map(item => ({
+      assistant_id: getPath(item, mapping.assistant_id || 'id'),
+      assistant_name: getPath(item, mapping.assistant_name || 'name'),
+      description: getPath(item, mapping.description || 'description') || null,
+      voice_id: getPath(item, mapping.voice_id || 'voice_id') || null
+    }));
+  }
+
+  /**
+   * Fetch all available phone numbers
+   * @returns {Array} List of phone numbers
+   */
+  async getPhoneNumbers() {
+    if (!this.config.endpoints.getPhoneNumbers) {
+      return [];
+    }
+
+    const mapping = this.config.responses.getPhoneNumbers || {};
+    const data = await this.request('getPhoneNumbers', { config: this.config });
+    const items = mapping.list ? getPath(data, mapping.list) : data;
+
+    return (items || []).map(item => ({
+      phone_id: getPath(item, mapping.phone_id || 'id'),
+      full_number: getPath(item, mapping.full_number || 'phone_number'),
+      country_code: getPath(item, mapping.country_code || 'country_code') || '',
+      area_code: getPath(item, mapping.area_code || 'area_code') || '',
+      phone_number: getPath(item, mapping.phone_number || 'phone_number'),
+      capabilities: getPath(item, mapping.capabilities || 'capabilities') || {},
+      status: getPath(item, mapping.status || 'status') || 'active'
+    }));
+  }
+
+  /**
+   * Make a call using the configured makeCall request
+   * @param {Object} callRequest Standard call request (see ProviderAdapter.makeCall)
+   * @returns {Object} Call result with ID
+   */
+  async makeCall(callRequest) {
+    try {
+      if (!callRequest.recipient || !callRequest.recipient.phone) {
+        throw new Error('Recipient phone number is required');
+      }
+
+      const data = await this.request('makeCall', { ...callRequest, config: this.config });
+      const fields = extractFields(data, this.config.responses.makeCall || { callId: 'id', status: 'status' });
+
+      if (!fields.callId) {
+        throw new Error('Provider response did not include a call ID');
+      }
+
+      return {
+        success: true,
+        callId: String(fields.callId),
+        status: fields.status === undefined ? 'pending' : this.mapStatus(fields.status),
+        provider: this.providerType,
+        providerData: data
+      };
+    } catch (error) {
+      console.error(`${this.config.name || 'Generic provider'} call initiation failed:`, error.message);
+
+      if (error.response) {
+        throw new Error(`Provider error: ${error.response.status} - ${JSON.stringify(error.response.data)}`);
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Get status of a call
+   * @param {String} callId Call ID
+   * @returns {Object} Call status details
+   */
+  async getCallStatus(callId) {
+    try {
+      const data = await this.request('getCallStatus', { callId, config: this.config });
+      const fields = extractFields(data, this.config.responses.getCallStatus || { callId: 'id', status: 'status' });
+
+      return {
+        callId: fields.callId === undefined ? callId : String(fields.callId),
+        status: this.mapStatus(fields.status),
+        duration: fields.duration === undefined ? null : Number(fields.duration),
+        recordingUrl: fields.recordingUrl || null,
+        transcript: fields.transcript || null,
+        rawStatus: data
+      };
+    } catch (error) {
+      console.error(`Failed to get call status for call ${callId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * End an active call
+   * @param {String} callId Call ID
+   * @returns {Boolean} Success status
+   */
+  async endCall(callId) {
+    try {
+      await this.request('endCall', { callId, config: this.config });
+      return true;
+    } catch (error) {
+      console.error(`Failed to end call ${callId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Normalize a webhook payload using configuration.webhook
+   * @param {Object} body Parsed webhook body
+   * @returns {Object|null} Standard webhook data, or null if the payload does not match
+   */
+  parseWebhook(body) {
+    const webhook = this.config.webhook;
+
+    if (!body || !webhook || !webhook.fields) {
+      return null;
+    }
+
+    // Optional discriminator so payloads from other providers are ignored
+    if (webhook.match) {
+      const value = getPath(body, webhook.match.path);
+      if (webhook.match.equals !== undefined ? value !== webhook.match.equals : value === undefined) {
+        return null;
+      }
+    }
+
+    const fields = extractFields(body, webhook.fields);
+
+    if (fields.providerCallId === undefined && fields.queueId === undefined) {
+      return null;
+    }
+
+    return {
+      providerCallId: fields.providerCallId === undefined ? null : String(fields.providerCallId),
+      queueId: fields.queueId || null,
+      status: this.mapStatus(fields.status),
+      duration: Number(fields.duration) || 0,
+      recordingUrl: fields.recordingUrl || null,
+      transcript: fields.transcript || null,
+      optOut: fields.optOut === true || fields.optOut === 'true'
+    };
+  }
+
+  /**
+   * Map a provider status using configuration.statusMap
+   * Statuses that are already standard pass through unchanged.
+   * @param {String} providerStatus Status from the provider
+   * @returns {String} Standardized status
+   */
+  mapStatus(providerStatus) {
+    if (this.statusMap[providerStatus]) {
+      return this.statusMap[providerStatus];
+    }
+
+    return STANDARD_STATUSES.includes(providerStatus) ? providerStatus : 'unknown';
+  }
+}
+
+module.exports = GenericHttpClient;
@@ -0,0 +1,112 @@
+/**
+ * Registry of call provider adapters, keyed by call_service_providers.provider_type
+ *
+ * To add a provider, implement a ProviderAdapter subclass and register it here
+ * (or call registerProvider from your own module). Nothing else needs to change.
+ */
+
+const { ADAPTER_METHODS } = require('./base-adapter');
+const VapiClient = require('./vapi-client');
+const SynthFlowClient = require('./synthflow-client');
+const GenericHttpClient = require('./generic-http-client');
+
+const adapters = new Map();
+
+/**
+ * Register an adapter class for a provider type
+ * @param {String} providerType provider_type value in call_service_providers
+ * @param {Function} AdapterClass Class implementing the ProviderAdapter contract
+ */
+function registerProvider(providerType, AdapterClass) {
+  const instance = new AdapterClass();
+  const missing = ADAPTER_METHODS.filter(method => typeof instance[method] !== 'function');
+
+  if (missing.length > 0) {
+    throw new Error(`Adapter for ${providerType} is missing methods: ${missing.join(', ')}`);
+  }
+
+  adapters.set(providerType.toLowerCase(), AdapterClass);
+}
+
+/**
+ * Check whether a provider type has a registered adapter
+ * @param {String} providerType Provider type
+ * @returns {Boolean}
+ */
+function hasProvider(providerType) {
+  return adapters.has((providerType || '').toLowerCase());
+}
+
+/**
+ * List all registered provider types
+ * @returns {Array} Provider types
+ */
+function getProviderTypes() {
+  return Array.from(adapters.keys());
+}
+
+/**
+ * Create an unconfigured adapter instance
+ * @param {String} providerType Provider type
+ * @returns {ProviderAdapter} Adapter instance
+ */
+function createAdapter(providerType) {
+  const AdapterClass = adapters.get((providerType || '').toLowerCase());
+
+  if (!AdapterClass) {
+    throw new Error(`Unsupported provider type: ${providerType}`);
+  }
+
+  return new AdapterClass();
+}
+
+/**
+ * Create an adapter configured for a call_service_providers row
+ * Each provider row gets its own instance, so several accounts of the same
+ * provider type can be used side by side.
+ * @param {Object} provider call_service_providers row
+ * @returns {ProviderAdapter} Configured adapter
+ */
+function getProviderClient(provider) {
+  const adapter = createAdapter(provider.provider_type);
+
+  adapter.configure({
+    name: provider.name,
+    apiKey: provider.api_key,
+    apiSecret: provider.api_secret,
+    baseUrl: provider.base_url || adapter.config.baseUrl,
+    ...provider.configuration
+  });
+
+  return adapter;
+}
+
+/**
+ * Normalize a webhook payload by asking each registered adapter to parse it
+ * @param {Object} body Parsed webhook body
+ * @returns {Object|null} { providerType, data } or null if no adapter recognizes the payload
+ */
+function parseWebhook(body) {
+  for (const providerType of adapters.keys()) {
+    const data = createAdapter(providerType).parseWebhook(body);
+    if (data) {
+      return { providerType, data };
+    }
+  }
+
+  return null;
+}
+
+// Built-in adapters
+registerProvider('vapi', VapiClient);
+registerProvider('synthflow', SynthFlowClient);
+registerProvider('generic_http', GenericHttpClient);
+
+module.exports = {
+  registerProvider,
+  hasProvider,
+  getProviderTypes,
+  createAdapter,
+  getProviderClient,
+  parseWebhook
+};
@@ -5,14 +5,24 @@
  */
 
 const axios = require('axios');
+const { ProviderAdapter } = require('./base-adapter');
 
-class SynthFlowClient {
+class SynthFlowClient extends ProviderAdapter {
   constructor() {
-    this.config = {
-      apiKey: null,
-      apiSecret: null,
-      baseUrl: 'https://api.synthflow.ai',
-      timeout: 30000,
+    super('synthflow');
+    this.config.baseUrl = 'https://api.synthflow.ai';
+    
+    // Map SynthFlow status to our standard status
+    this.statusMap = {
+      'QUEUED': 'pending',
+      'CONNECTING': 'pending',
+      'IN_PROGRESS': 'in-progress',
+      'CONNECTED': 'in-progress',
+      'COMPLETED': 'completed',
+      'FAILED': 'failed',
+      'ERROR': 'failed',
+      'CANCELLED': 'canceled',
+      'NO_ANSWER': 'failed'
     };
   }
 
@@ -74,15 +84,26 @@ class SynthFlowClient {
 
   /**
    * Make a call using SynthFlow
-   * @param {Object} callParams Call parameters
+   * @param {Object} callRequest Standard call request (see ProviderAdapter.makeCall)
    * @returns {Object} Call result with ID
    */
-  async makeCall({ recipient, template, metadata = {} }) {
+  async makeCall({ 
+    recipient, 
+    template, 
+    metadata = {},
+    assistant = null,
+    phoneNumber = null,
+    variables = {}
+  }) {
     try {
       if (!recipient.phone) {
         throw new Error('Recipient phone number is required');
       }
 
+      // SynthFlow has no assistants, only voices, and dials from a full caller ID
+      const voiceType = assistant ? assistant.default_voice_id : (metadata.voice_type || 'natural');
+      const callerId = phoneNumber ? phoneNumber.full_number : null;
+
       // SynthFlow API has a different structure than Vapi
       const response = await this.axiosInstance.post('/api/calls', {
         destination: {
@@ -92,11 +113,13 @@ class SynthFlowClient {
         },
         conversation: {
           scriptContent: template,
-          voiceType: metadata.voice_type || 'natural',
+          variables: variables || {},
+          voiceType: voiceType,
           language: metadata.language || 'en-US',
           allowInterruptions: true
         },
         settings: {
+          callerId: callerId,
           recordCall: true,
           generateTranscription: true,
           callbackUrl: metadata.webhook_url || null,
@@ -166,26 +189,24 @@ class SynthFlowClient {
   }
 
   /**
-   * Map SynthFlow status to our standard status
-   * @param {String} synthFlowStatus Status from SynthFlow
-   * @returns {String} Standardized status
+   * Normalize a SynthFlow webhook payload
+   * @param {Object} body Parsed webhook body
+   * @returns {Object|null} Standard webhook data, or null if the payload is not from SynthFlow
    */
-  mapStatus(synthFlowStatus) {
-    const statusMap = {
-      'QUEUED': 'pending',
-      'CONNECTING': 'pending',
-      'IN_PROGRESS': 'in-progress',
-      'CONNECTED': 'in-progress',
-      'COMPLETED': 'completed',
-      'FAILED': 'failed',
-      'ERROR': 'failed',
-      'CANCELLED': 'canceled',
-      'NO_ANSWER': 'failed'
-    };
+  parseWebhook(body) {
+    if (!body || body.callId === undefined) {
+      return null;
+    }
     
-    return statusMap[synthFlowStatus] || 'unknown';
+    return {
+      providerCallId: body.callId,
+      queueId: body.metadata?.externalId || null,
+      status: this.mapStatus(body.status),
+      duration: body.durationSeconds || 0,
+      recordingUrl: body.recording?.url || null,
+      transcript: body.transcription?.text || null
+    };
   }
 }
 
-// Export a singleton instance
-module.exports = new SynthFlowClient();
+module.exports = SynthFlowClient;
@@ -4,14 +4,20 @@
  */
 
 const axios = require('axios');
+const { ProviderAdapter } = require('./base-adapter');
 
-class VapiClient {
+class VapiClient extends ProviderAdapter {
   constructor() {
-    this.config = {
-      apiKey: null,
-      apiSecret: null,
-      baseUrl: 'https://api.vapi.ai',
-      timeout: 30000,
+    super('vapi');
+    this.config.baseUrl = 'https://api.vapi.ai';
+    
+    // Map Vapi status to our standard status
+    this.statusMap = {
+      'queued': 'pending',
+      'in-progress': 'in-progress',
+      'completed': 'completed',
+      'failed': 'failed',
+      'canceled': 'canceled'
     };
   }
 
@@ -105,33 +111,17 @@ class VapiClient {
     try {
       const response = await this.axiosInstance.get('/v1/phone-numbers');
       
-      return response.data.phone_numbers.map(phone => {
-        // Parse the phone number to extract country code, area code, etc.
-        const fullNumber = phone.phone_number;
-        let countryCode = '+1'; // Default to US
-        let areaCode = '';
-        let phoneNumber = '';
-        
-        // Basic parsing for US numbers (adjust as needed)
-        if (fullNumber.startsWith('+')) {
-          const parts = fullNumber.substring(1).match(/(\d+)(\d{3})(\d+)/);
-          if (parts && parts.length >= 4) {
-            countryCode = '+' + parts[1];
-            areaCode = parts[2];
-            phoneNumber = parts[3];
-          }
-        }
-        
-        return {
-          phone_id: phone.id,
-          full_number: fullNumber,
-          country_code: countryCode,
-          area_code: areaCode,
-          phone_number: phoneNumber,
-          capabilities: phone.capabilities || {},
-          status: phone.status
-        };
-      });
+      // country_code, area_code and phone_number are derived from full_number by the
+      // database (parse_phone_number), which knows each country's numbering plan
+      return response.data.phone_numbers.map(phone => ({
+        phone_id: phone.id,
+        full_number: phone.phone_number,
+        country_code: null,
+        area_code: null,
+        phone_number: null,
+        capabilities: phone.capabilities || {},
+        status: phone.status
+      }));
     } catch (error) {
       console.error('Failed to get phone numbers from Vapi:', error.message);
       throw error;
@@ -140,29 +130,26 @@ class VapiClient {
 
   /**
    * Make a call using Vapi
-   * @param {Object} callParams Call parameters
+   * @param {Object} callRequest Standard call request (see ProviderAdapter.makeCall)
    * @returns {Object} Call result with ID
    */
   async makeCall({ 
     recipient, 
     template, 
     metadata = {},
-    assistantId = null,
-    phoneNumberId = null,
-    variableValues = {}
+    assistant = null,
+    phoneNumber = null,
+    variables = {}
   }) {
     try {
       if (!recipient.phone) {
         throw new Error('Recipient phone number is required');
       }
 
-      // Process template with variables
-      let processedTemplate = template;
-      if (variableValues && Object.keys(variableValues).length > 0) {
-        Object.entries(variableValues).forEach(([key, value]) => {
-          processedTemplate = processedTemplate.replace(new RegExp(`{{${key}}}`, 'g'), value);
-        });
-      }
+      // Vapi identifies assistants and phone numbers by its own IDs
+      const assistantId = assistant ? assistant.assistant_id : null;
+      const phoneNumberId = phoneNumber ? phoneNumber.phone_id : null;
+      const variableValues = variables || {};
 
       // Prepare request payload
       const payload = {
@@ -170,13 +157,12 @@ class VapiClient {
           phone_number: recipient.phone
         },
         assistant: {
-          // Use provided assistant ID or default to the one in metadata
-          assistant_id: assistantId || metadata.assistant_id,
+          assistant_id: assistantId,
           first_name: recipient.name ? recipient.name.split(' ')[0] : 'User',
           last_name: recipient.name ? recipient.name.split(' ').slice(1).join(' ') : '',
         },
         assistant_options: {
-          prompt: processedTemplate,
+          prompt: template,
           interruptions_enabled: true,
           endpointing_sensitivity: metadata.endpointing_sensitivity || 'medium',
           server_call_metadata: {
@@ -200,7 +186,7 @@ class VapiClient {
       return {
         success: true,
         callId: response.data.id,
-        status: response.data.status,
+        status: this.mapStatus(response.data.status),
         provider: 'vapi',
         assistantId: response.data.assistant.assistant_id,
         phoneNumberId: response.data.phone_number_id,
@@ -258,22 +244,24 @@ class VapiClient {
   }
 
   /**
-   * Map Vapi status to our standard status
-   * @param {String} vapiStatus Status from Vapi
-   * @returns {String} Standardized status
+   * Normalize a Vapi webhook payload
+   * @param {Object} body Parsed webhook body
+   * @returns {Object|null} Standard webhook data, or null if the payload is not from Vapi
    */
-  mapStatus(vapiStatus) {
-    const statusMap = {
-      'queued': 'pending',
-      'in-progress': 'in-progress',
-      'completed': 'completed',
-      'failed': 'failed',
-      'canceled': 'canceled'
-    };
+  parseWebhook(body) {
+    if (!body || body.call_id === undefined) {
+      return null;
+    }
     
-    return statusMap[vapiStatus] || vapiStatus;
+    return {
+      providerCallId: body.call_id,
+      queueId: body.metadata?.system_call_id || null,
+      status: this.mapStatus(body.status),
+      duration: body.duration || 0,
+      recordingUrl: body.recording_url || null,
+      transcript: body.transcript || null
+    };
   }
 }
 
-// Export a singleton instance
-module.exports = new VapiClient();
+module.exports = VapiClient;
@@ -1,3 +1,4 @@
+const os = require('os');
 const { createClient } = require('@supabase/supabase-js');
 require('dotenv').config();
 
@@ -6,78 +7,67 @@ const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
 const supabase = createClient(supabaseUrl, supabaseServiceKey);
 
-// Provider API clients
-const vapiClient = require('./providers/vapi-client');
-const synthflowClient = require('./providers/synthflow-client');
+// Queue worker settings
+const WORKER_COUNT = parseInt(process.env.QUEUE_WORKER_COUNT || '1', 10); // Concurrent workers per process
+const WORKER_BATCH_SIZE = parseInt(process.env.QUEUE_BATCH_SIZE || '10', 10); // Calls claimed per worker run
+const POLL_INTERVAL_MS = parseInt(process.env.QUEUE_POLL_INTERVAL_MS || '5000', 10); // Idle wait between runs
+const CANCELLATION_INTERVAL_MS = parseInt(process.env.QUEUE_CANCELLATION_INTERVAL_MS || '10000', 10); // How often canceled calls are hung up
+const RECONCILE_INTERVAL_MS = parseInt(process.env.QUEUE_RECONCILE_INTERVAL_MS || '60000', 10); // How often quiet calls are checked with their provider
+const RECONCILE_AFTER_MINUTES = parseInt(process.env.QUEUE_RECONCILE_AFTER_MINUTES || '10', 10); // Minutes without a webhook before a call is checked
+const RECONCILE_MAX_AGE_MINUTES = parseInt(process.env.QUEUE_RECONCILE_MAX_AGE_MINUTES || '120', 10); // Minutes after dialing before an unfinished call is failed
+const OVERAGE_REPORT_INTERVAL_MS = parseInt(process.env.QUEUE_OVERAGE_REPORT_INTERVAL_MS || '300000', 10); // How often overage charges are reported to Stripe
 
-// Get the provider client based on provider type
-function getProviderClient(providerType) {
-  switch (providerType.toLowerCase()) {
-    case 'vapi':
-      return vapiClient;
-    case 'synthflow':
-      return synthflowClient;
-    default:
-      throw new Error(`Unsupported provider type: ${providerType}`);
+// Stripe client for overage reporting; reporting is off without a secret key
+// Usage records were removed in Stripe API 2025-03-31 (stripe-node 18), so both the
+// package (package.json) and the API version are pinned to the last release with them.
+const STRIPE_API_VERSION = '2025-02-24.acacia';
+const stripe = process.env.STRIPE_SECRET_KEY
+  ? require('stripe')(process.env.STRIPE_SECRET_KEY, { apiVersion: STRIPE_API_VERSION })
+  : null;
+
+// Provider adapters, looked up by provider_type
+const providerRegistry = require('./providers/registry');
+const { isCallNotFoundError, TERMINAL_STATUSES } = require('./providers/base-adapter');
+
+// Claim a batch of calls for a worker
+async function claimCalls(workerId, batchSize) {
+  const { data: claimedCalls, error } = await supabase.rpc('claim_next_calls', {
+    worker_id_param: workerId,
+    batch_size_param: batchSize
+  });
+  
+  if (error) {
+    console.error(`Worker ${workerId} failed to claim calls:`, error);
+    return [];
   }
+  
+  return claimedCalls || [];
 }
 
-// Process the next call in the queue
-async function processNextCall() {
+// Process a call that has been claimed and assigned to a provider
+async function processNextCall(claimedCall) {
   try {
-    // Start a transaction
-    const { data: nextCall, error: nextCallError } = await supabase.rpc('get_next_call_in_queue');
-    
-    if (nextCallError) {
-      console.error('Error getting next call:', nextCallError);
-      return false;
-    }
-    
-    if (!nextCall || nextCall.length === 0) {
-      console.log('No calls in the queue');
-      return false;
-    }
-    
-    // Get the best available provider
-    const { data: providerId, error: providerError } = await supabase.rpc('get_best_available_provider');
-    
-    if (providerError || !providerId) {
-      console.error('Error getting provider or no providers available:', providerError);
-      return false;
-    }
-    
-    // Assign the call to the provider
-    const { data: assigned, error: assignError } = await supabase.rpc('assign_call_to_provider', {
-      queue_id_param: nextCall[0].queue_id,
-      provider_id_param: providerId
-    });
-    
-    if (assignError || !assigned) {
-      console.error('Error assigning call to provider:', assignError);
-      return false;
-    }
-    
     // Get call details
     const { data: callDetails, error: callDetailsError } = await supabase
       .from('call_queue')
       .select(`
         id,
         template_id,
+        template_version_id,
         recipient_name,
         recipient_phone,
         recipient_email,
         custom_variables,
         metadata,
         provider_id,
-        assistant_id,
-        phone_number_id
+        assistant_id
       `)
-      .eq('id', nextCall[0].queue_id)
+      .eq('id', claimedCall.queue_id)
       .single();
     
     if (callDetailsError) {
       console.error('Error getting call details:', callDetailsError);
-      await handleFailure(nextCall[0].queue_id, 'Failed to retrieve call details');
+      await handleFailure(claimedCall.queue_id, 'Failed to retrieve call details');
       return false;
     }
     
@@ -90,7 +80,7 @@ async function processNextCall() {
     
     if (providerDetailsError) {
       console.error('Error getting provider details:', providerDetailsError);
-      await handleFailure(nextCall[0].queue_id, 'Failed to retrieve provider details');
+      await handleFailure(claimedCall.queue_id, 'Failed to retrieve provider details');
       return false;
     }
     
@@ -103,7 +93,7 @@ async function processNextCall() {
     
     if (templateDetailsError) {
       console.error('Error getting template details:', templateDetailsError);
-      await handleFailure(nextCall[0].queue_id, 'Failed to retrieve template details');
+      await handleFailure(claimedCall.queue_id, 'Failed to retrieve template details');
       return false;
     }
     
@@ -123,13 +113,87 @@ async function processNextCall() {
       }
     }
     
-    // Get phone number details if specified
+    // Validate custom variables with the same checks schedule-call used, against the
+    // template version the call was scheduled with
+    const { data: variableErrors, error: validationError } = await supabase.rpc('validate_template_variables', {
+      template_id_param: callDetails.template_id,
+      variables_param: callDetails.custom_variables || {},
+      template_version_id_param: callDetails.template_version_id
+    });
+    
+    if (validationError) {
+      console.error('Error validating template variables:', validationError);
+      await handleFailure(claimedCall.queue_id, 'Failed to validate template variables');
+      return false;
+    }
+    
+    if (variableErrors && variableErrors.length > 0) {
+      const validationErrors = variableErrors.map(row => `${row.variable_name} (${row.error})`);
+      console.error('Variable validation errors:', validationErrors);
+      await handleFailure(claimedCall.queue_id, `Variable validation errors: ${validationErrors.join(', ')}`);
+      return false;
+    }
+    
+    // Render the script once, so every provider receives the same text
+    const { data: renderedTemplate, error: renderError } = await supabase.rpc('render_template', {
+      template_id_param: callDetails.template_id,
+      variables_param: callDetails.custom_variables || {},
+      recipient_param: {
+        name: callDetails.recipient_name,
+        phone: callDetails.recipient_phone,
+        email: callDetails.recipient_email
+      },
+      template_version_id_param: callDetails.template_version_id
+    });
+    
+    if (renderError || !renderedTemplate) {
+      console.error('Error rendering template:', renderError);
+      await handleFailure(claimedCall.queue_id, 'Failed to render template');
+      return false;
+    }
+    
+    if (renderedTemplate.errors.length > 0) {
+      const renderErrors = renderedTemplate.errors.map(error => `${error.placeholder} (${error.error})`);
+      console.error('Template rendering errors:', renderErrors);
+      await handleFailure(claimedCall.queue_id, `Template could not be rendered: ${renderErrors.join(', ')}`);
+      return false;
+    }
+    
+    // Last check before dialing: the recipient may have opted out since the call was scheduled
+    const { data: blocked, error: doNotCallError } = await supabase.rpc('enforce_do_not_call', {
+      queue_id_param: claimedCall.queue_id
+    });
+    
+    if (doNotCallError) {
+      console.error('Error checking do-not-call lists:', doNotCallError);
+      await handleFailure(claimedCall.queue_id, 'Failed to check do-not-call lists');
+      return false;
+    }
+    
+    if (blocked) {
+      console.log(`Call ${claimedCall.queue_id} blocked: recipient is on a do-not-call list`);
+      return false;
+    }
+    
+    // Pick the caller ID: the number chosen at schedule time, or a local-presence number
+    const { data: callerIds, error: callerIdError } = await supabase.rpc('select_caller_id', {
+      queue_id_param: claimedCall.queue_id
+    });
+    
+    if (callerIdError) {
+      console.error('Error selecting caller ID:', callerIdError);
+      await handleFailure(claimedCall.queue_id, 'Failed to select caller ID');
+      return false;
+    }
+    
+    const callerId = (callerIds && callerIds[0]) || { phone_number_id: null, strategy: 'provider_default' };
+    
     let phoneNumberDetails = null;
-    if (callDetails.phone_number_id) {
+    if (callerId.phone_number_id) {
       const { data, error } = await supabase
         .from('provider_phone_numbers')
         .select('*')
-        .eq('id', callDetails.phone_number_id)
+        .eq('id', callerId.phone_number_id)
         .single();
       
       if (!error) {
@@ -139,76 +203,10 @@ async function processNextCall() {
       }
     }
     
-    // Get template variables
-    const { data: templateVariables, error: templateVariablesError } = await supabase
-      .from('template_variables')
-      .select('*')
-      .eq('template_id', callDetails.template_id);
-    
-    if (templateVariablesError) {
-      console.warn('Could not get template variables:', templateVariablesError);
-    }
-    
-    // Validate custom variables
-    let validationErrors = [];
-    if (templateVariables && templateVariables.length > 0) {
-      templateVariables.forEach(variable => {
-        // Check if required variables are present
-        if (variable.is_required && (!callDetails.custom_variables || !callDetails.custom_variables[variable.variable_name])) {
-          validationErrors.push(`Required variable '${variable.variable_name}' is missing`);
-        }
-        
-        // Check regex validation if specified
-        if (callDetails.custom_variables && 
-            callDetails.custom_variables[variable.variable_name] && 
-            variable.validation_regex) {
-          const regex = new RegExp(variable.validation_regex);
-          if (!regex.test(callDetails.custom_variables[variable.variable_name])) {
-            validationErrors.push(`Variable '${variable.variable_name}' failed validation`);
-          }
-        }
-      });
-    }
-    
-    if (validationErrors.length > 0) {
-      console.error('Variable validation errors:', validationErrors);
-      await handleFailure(nextCall[0].queue_id, `Variable validation errors: ${validationErrors.join(', ')}`);
-      return false;
-    }
-    
-    // Initialize the appropriate provider client
-    const providerClient = getProviderClient(providerDetails.provider_type);
-    providerClient.configure({
-      apiKey: providerDetails.api_key,
-      apiSecret: providerDetails.api_secret,
-      baseUrl: providerDetails.base_url,
-      ...providerDetails.configuration
-    });
-    
     // Make the call using the provider
     try {
-      // Prepare additional parameters based on provider type
-      let additionalParams = {};
-      
-      if (providerDetails.provider_type === 'vapi') {
-        // For Vapi, include assistant ID and phone number ID
-        if (assistantDetails) {
-          additionalParams.assistantId = assistantDetails.assistant_id;
-        }
-        
-        if (phoneNumberDetails) {
-          additionalParams.phoneNumberId = phoneNumberDetails.phone_id;
-        }
-        
-        // Include variable values
-        additionalParams.variableValues = callDetails.custom_variables || {};
-      } 
-      else if (providerDetails.provider_type === 'synthflow') {
-        // For SynthFlow, adapt parameters as needed
-        additionalParams.voiceType = assistantDetails ? assistantDetails.default_voice_id : 'natural';
-        additionalParams.callerId = phoneNumberDetails ? phoneNumberDetails.full_number : null;
-        additionalParams.variables = callDetails.custom_variables || {};
-      }
+      // Initialize the appropriate provider client
+      const providerClient = providerRegistry.getProviderClient(providerDetails);
       
       const callResult = await providerClient.makeCall({
         recipient: {
@@ -216,29 +214,35 @@ async function processNextCall() {
           phone: callDetails.recipient_phone,
           email: callDetails.recipient_email
         },
-        template: templateDetails.content,
+        template: renderedTemplate.content,
         metadata: {
           ...callDetails.metadata || {},
           call_id: callDetails.id,
           template_id: callDetails.template_id,
+          template_version_id: callDetails.template_version_id,
           assistant_id: callDetails.assistant_id,
-          phone_number_id: callDetails.phone_number_id,
-          webhook_url: process.env.WEBHOOK_BASE_URL ? `${process.env.WEBHOOK_BASE_URL}/call-webhook` : null
+          phone_number_id: callerId.phone_number_id,
+          caller_id_strategy: callerId.strategy,
+          webhook_url: process.env.WEBHOOK_BASE_URL
+            ? `${process.env.WEBHOOK_BASE_URL}/call-webhook/${providerDetails.id}`
+            : null
         },
-        ...additionalParams
+        assistant: assistantDetails,
+        phoneNumber: phoneNumberDetails,
+        variables: renderedTemplate.variables
       });
       
       // Update the call with the provider's call ID
       await supabase
         .from('call_queue')
         .update({ provider_call_id: callResult.callId })
-        .eq('id', nextCall[0].queue_id);
+        .eq('id', claimedCall.queue_id);
       
       console.log(`Call initiated successfully. Provider: ${providerDetails.provider_type}, Call ID: ${callResult.callId}`);
       return true;
     } catch (error) {
       console.error('Error making call with provider:', error);
-      await handleFailure(nextCall[0].queue_id, `Provider error: ${error.message}`);
+      await handleFailure(claimedCall.queue_id, `Provider error: ${error.message}`);
       return false;
     }
   } catch (error) {
@@ -289,23 +293,39 @@ async function handleCallCompletion(req, res) {
   }
 }
 
-// Main processing loop
-async function processQueue() {
+// Run a single queue worker
+async function runWorker(workerId) {
   let processed = 0;
-  let maxToProcess = 10; // Process up to 10 calls per batch
   
-  while (processed < maxToProcess) {
-    const success = await processNextCall();
-    if (!success) {
-      break;
+  try {
+    const claimedCalls = await claimCalls(workerId, WORKER_BATCH_SIZE);
+    const results = await Promise.all(claimedCalls.map(call => processNextCall(call)));
+    processed = results.filter(Boolean).length;
+    
+    if (claimedCalls.length > 0) {
+      console.log(`Worker ${workerId} processed ${processed} of ${claimedCalls.length} claimed calls`);
     }
-    processed++;
+    
+    // A full batch means there is probably more work waiting, so claim again right away
+    if (claimedCalls.length === WORKER_BATCH_SIZE) {
+      setImmediate(() => runWorker(workerId));
+      return;
+    }
+  } catch (error) {
+    console.error(`Unexpected error in worker ${workerId}:`, error);
   }
   
-  console.log(`Processed ${processed} calls`);
-  
   // Schedule the next run
-  setTimeout(processQueue, 5000); // Run every 5 seconds
+  setTimeout(() => runWorker(workerId), POLL_INTERVAL_MS);
+}
+
+// Main processing loop
+function processQueue() {
+  for (let i = 1; i <= WORKER_COUNT; i++) {
+    runWorker(`${os.hostname()}-${process.pid}-${i}`);
+  }
+  
+  console.log(`Started ${WORKER_COUNT} queue workers (batch size ${WORKER_BATCH_SIZE})`);
 }
 
 // Update provider availability
@@ -322,31 +342,30 @@ async function updateProviderAvailability() {
     }
     
     for (const provider of providers) {
-      const providerClient = getProviderClient(provider.provider_type);
-      providerClient.configure({
-        apiKey: provider.api_key,
-        apiSecret: provider.api_secret,
-        baseUrl: provider.base_url,
-        ...provider.configuration
-      });
-      
       try {
+        const providerClient = providerRegistry.getProviderClient(provider);
+        
         // Get health status from the provider
         const healthStatus = await providerClient.checkHealth();
         
-        // Get current active calls from the provider
+        // Get current active calls from the provider (null if the provider can't report it)
         const activeCallsCount = await providerClient.getActiveCallsCount();
         
+        const availabilityUpdate = {
+          status: healthStatus.status,
+          health_status: healthStatus,
+          last_health_check: new Date().toISOString()
+        };
+        
+        if (activeCallsCount !== null) {
+          availabilityUpdate.current_calls = activeCallsCount;
+          availabilityUpdate.available_slots = provider.max_concurrent_calls - activeCallsCount;
+        }
+        
         // Update the provider availability
         await supabase
           .from('provider_availability')
-          .update({
-            current_calls: activeCallsCount,
-            available_slots: provider.max_concurrent_calls - activeCallsCount,
-            status: healthStatus.status,
-            health_status: healthStatus,
-            last_health_check: new Date().toISOString()
-          })
+          .update(availabilityUpdate)
           .eq('provider_id', provider.id);
         
       } catch (error) {
@@ -385,111 +404,106 @@ async function syncProviderResources() {
     }
     
     for (const provider of providers) {
-      const providerClient = getProviderClient(provider.provider_type);
-      providerClient.configure({
-        apiKey: provider.api_key,
-        apiSecret: provider.api_secret,
-        baseUrl: provider.base_url,
-        ...provider.configuration
-      });
+      if (!providerRegistry.hasProvider(provider.provider_type)) {
+        console.warn(`No adapter registered for provider type ${provider.provider_type}, skipping ${provider.name}`);
+        continue;
+      }
       
-      // Sync assistants if the provider supports it
-      if (typeof providerClient.getAssistants === 'function') {
-        try {
-          const assistants = await providerClient.getAssistants();
+      const providerClient = providerRegistry.getProviderClient(provider);
+      
+      // Sync assistants (adapters without assistants return an empty list)
+      try {
+        const assistants = await providerClient.getAssistants();
+        
+        // Process each assistant
+        for (const assistant of assistants) {
+          // Check if the assistant already exists
+          const { data: existingAssistant } = await supabase
+            .from('provider_assistants')
+            .select('id')
+            .eq('provider_id', provider.id)
+            .eq('assistant_id', assistant.assistant_id)
+            .single();
           
-          // Process each assistant
-          for (const assistant of assistants) {
-            // Check if the assistant already exists
-            const { data: existingAssistant } = await supabase
+          if (existingAssistant) {
+            // Update existing assistant
+            await supabase
               .from('provider_assistants')
-              .select('id')
-              .eq('provider_id', provider.id)
-              .eq('assistant_id', assistant.assistant_id)
-              .single();
-            
-            if (existingAssistant) {
-              // Update existing assistant
-              await supabase
-                .from('provider_assistants')
-                .update({
-                  assistant_name: assistant.assistant_name,
-                  description: assistant.description,
-                  default_voice_id: assistant.voice_id,
-                  updated_at: new Date().toISOString()
-                })
-                .eq('id', existingAssistant.id);
-            } else {
-              // Insert new assistant
-              await supabase
-                .from('provider_assistants')
-                .insert({
-                  provider_id: provider.id,
-                  assistant_name: assistant.assistant_name,
-                  assistant_id: assistant.assistant_id,
-                  description: assistant.description,
-                  default_voice_id: assistant.voice_id,
-                  is_active: true
-                });
-            }
+              .update({
+                assistant_name: assistant.assistant_name,
+                description: assistant.description,
+                default_voice_id: assistant.voice_id,
+                updated_at: new Date().toISOString()
+              })
+              .eq('id', existingAssistant.id);
+          } else {
+            // Insert new assistant
+            await supabase
+              .from('provider_assistants')
+              .insert({
+                provider_id: provider.id,
+                assistant_name: assistant.assistant_name,
+                assistant_id: assistant.assistant_id,
+                description: assistant.description,
+                default_voice_id: assistant.voice_id,
+                is_active: true
+              });
           }
-          
-          console.log(`Synced ${assistants.length} assistants for provider ${provider.name}`);
-        } catch (error) {
-          console.error(`Error syncing assistants for provider ${provider.name}:`, error);
         }
+        
+        console.log(`Synced ${assistants.length} assistants for provider ${provider.name}`);
+      } catch (error) {
+        console.error(`Error syncing assistants for provider ${provider.name}:`, error);
       }
       
-      // Sync phone numbers if the provider supports it
-      if (typeof providerClient.getPhoneNumbers === 'function') {
-        try {
-          const phoneNumbers = await providerClient.getPhoneNumbers();
+      // Sync phone numbers (adapters without managed numbers return an empty list)
+      try {
+        const phoneNumbers = await providerClient.getPhoneNumbers();
+        
+        // Process each phone number
+        for (const phone of phoneNumbers) {
+          // Check if the phone number already exists
+          const { data: existingPhone } = await supabase
+            .from('provider_phone_numbers')
+            .select('id')
+            .eq('provider_id', provider.id)
+            .eq('phone_id', phone.phone_id)
+            .single();
           
-          // Process each phone number
-          for (const phone of phoneNumbers) {
-            // Check if the phone number already exists
-            const { data: existingPhone } = await supabase
+          if (existingPhone) {
+            // Update existing phone number
+            await supabase
               .from('provider_phone_numbers')
-              .select('id')
-              .eq('provider_id', provider.id)
-              .eq('phone_id', phone.phone_id)
-              .single();
-            
-            if (existingPhone) {
-              // Update existing phone number
-              await supabase
-                .from('provider_phone_numbers')
-                .update({
-                  country_code: phone.country_code,
-                  area_code: phone.area_code,
-                  phone_number: phone.phone_number,
-                  full_number: phone.full_number,
-                  is_active: phone.status === 'active',
-                  capabilities: phone.capabilities,
-                  updated_at: new Date().toISOString()
-                })
-                .eq('id', existingPhone.id);
-            } else {
-              // Insert new phone number
-              await supabase
-                .from('provider_phone_numbers')
-                .insert({
-                  provider_id: provider.id,
-                  phone_id: phone.phone_id,
-                  country_code: phone.country_code,
-                  area_code: phone.area_code,
-                  phone_number: phone.phone_number,
-                  full_number: phone.full_number,
-                  is_active: phone.status === 'active',
-                  capabilities: phone.capabilities
-                });
-            }
+              .update({
+                country_code: phone.country_code,
+                area_code: phone.area_code,
+                phone_number: phone.phone_number,
+                full_number: phone.full_number,
+                is_active: phone.status === 'active',
+                capabilities: phone.capabilities,
+                updated_at: new Date().toISOString()
+              })
+              .eq('id', existingPhone.id);
+          } else {
+            // Insert new phone number
+            await supabase
+              .from('provider_phone_numbers')
+              .insert({
+                provider_id: provider.id,
+                phone_id: phone.phone_id,
+                country_code: phone.country_code,
+                area_code: phone.area_code,
+                phone_number: phone.phone_number,
+                full_number: phone.full_number,
+                is_active: phone.status === 'active',
+                capabilities: phone.capabilities
+              });
           }
-          
-          console.log(`Synced ${phoneNumbers.length} phone numbers for provider ${provider.name}`);
-        } catch (error) {
-          console.error(`Error syncing phone numbers for provider ${provider.name}:`, error);
         }
+        
+        console.log(`Synced ${phoneNumbers.length} phone numbers for provider ${provider.name}`);
+      } catch (error) {
+        console.error(`Error syncing phone numbers for provider ${provider.name}:`, error);
       }
     }
   } catch (error) {
@@ -526,41 +540,256 @@ async function processScheduledCalls() {
   setTimeout(processScheduledCalls, 30000); // Run every 30 seconds
 }
 
-// Check for stalled calls
-async function checkStalledCalls() {
+// Hang up calls that were canceled while with a provider
+async function processCancellations() {
   try {
-    const stalledTimeout = new Date();
-    stalledTimeout.setMinutes(stalledTimeout.getMinutes() - 30); // Calls processing for more than 30 minutes
-    
-    // Find stalled calls
-    const { data: stalledCalls, error } = await supabase
+    // Calls without a provider call ID are still being dialed; pick them up on a later run
+    const { data: canceledCalls, error } = await supabase
       .from('call_queue')
-      .select('id, provider_id')
+      .select('id, provider_call_id, call_service_providers (*)')
       .eq('status', 'processing')
-      .lt('last_attempt', stalledTimeout.toISOString());
+      .not('cancel_requested_at', 'is', null)
+      .not('provider_call_id', 'is', null);
     
     if (error) {
-      console.error('Error checking for stalled calls:', error);
-      return;
+      console.error('Error fetching canceled calls:', error);
     }
     
-    // Handle each stalled call
-    for (const call of stalledCalls || []) {
-      await handleFailure(
-        call.id, 
-        'Call processing timed out after 30 minutes'
-      );
+    for (const call of canceledCalls || []) {
+      try {
+        const providerClient = providerRegistry.getProviderClient(call.call_service_providers);
+        
+        await providerClient.endCall(call.provider_call_id);
+        
+        // Record how long the call ran before it was hung up, if the provider can tell us
+        let callStatus = null;
+        try {
+          callStatus = await providerClient.getCallStatus(call.provider_call_id);
+        } catch (statusError) {
+          console.warn(`Could not get final status for canceled call ${call.id}:`, statusError.message);
+        }
+        
+        const { error: finalizeError } = await supabase.rpc('finalize_canceled_call', {
+          queue_id_param: call.id,
+          duration_param: callStatus ? callStatus.duration || 0 : 0,
+          recording_url_param: callStatus ? callStatus.recordingUrl || null : null,
+          transcript_param: callStatus ? callStatus.transcript || null : null
+        });
+        
+        if (finalizeError) {
+          console.error(`Error finalizing canceled call ${call.id}:`, finalizeError);
+        } else {
+          console.log(`Canceled call ${call.id} (provider call ${call.provider_call_id})`);
+        }
+      } catch (error) {
+        // Leave the request in place so the next run tries again
+        console.error(`Error hanging up canceled call ${call.id}:`, error);
+      }
     }
+  } catch (error) {
+    console.error('Unexpected error in processCancellations:', error);
+  }
+  
+  // Schedule the next check
+  setTimeout(processCancellations, CANCELLATION_INTERVAL_MS);
+}
+
+// Finalize calls whose completion webhook never arrived by asking the provider directly
+async function reconcileCalls() {
+  try {
+    const { data: quietCalls, error } = await supabase.rpc('get_calls_to_reconcile', {
+      quiet_minutes: RECONCILE_AFTER_MINUTES
+    });
     
-    if (stalledCalls && stalledCalls.length > 0) {
-      console.log(`Reset ${stalledCalls.length} stalled calls`);
+    if (error) {
+      console.error('Error finding calls to reconcile:', error);
+    }
+    
+    for (const call of quietCalls || []) {
+      try {
+        await reconcileCall(call);
+      } catch (error) {
+        // Leave the call processing so the next run tries again
+        console.error(`Error reconciling call ${call.queue_id}:`, error);
+      }
     }
   } catch (error) {
-    console.error('Unexpected error in checkStalledCalls:', error);
+    console.error('Unexpected error in reconcileCalls:', error);
   }
   
   // Schedule the next check
-  setTimeout(checkStalledCalls, 300000); // Run every 5 minutes
+  setTimeout(reconcileCalls, RECONCILE_INTERVAL_MS);
+}
+
+// Bring a single call in line with what its provider reports
+async function reconcileCall(call) {
+  // The call never reached the provider
+  if (!call.provider_call_id) {
+    await handleFailure(call.queue_id, 'Call was never accepted by the provider');
+    return;
+  }
+  
+  // Calls dialed too long ago are failed whatever the provider reports, so a call the
+  // provider never finishes (or cannot report on) does not stay processing forever
+  const expired = Date.now() - new Date(call.last_attempt).getTime() > RECONCILE_MAX_AGE_MINUTES * 60000;
+  
+  const { data: providerDetails, error: providerError } = await supabase
+    .from('call_service_providers')
+    .select('*')
+    .eq('id', call.provider_id)
+    .single();
+  
+  if (providerError || !providerDetails) {
+    if (expired) {
+      await failExpiredCall(call, null, 'provider not found');
+      return;
+    }
+    
+    throw new Error(`Provider ${call.provider_id} not found`);
+  }
+  
+  const providerClient = providerRegistry.getProviderClient(providerDetails);
+  let callStatus;
+  
+  try {
+    callStatus = await providerClient.getCallStatus(call.provider_call_id);
+  } catch (statusError) {
+    if (isCallNotFoundError(statusError)) {
+      await handleFailure(call.queue_id, `Provider has no record of call ${call.provider_call_id}`);
+      console.log(`Reconciled call ${call.queue_id}: unknown to provider, marked failed`);
+      return;
+    }
+    
+    if (expired) {
+      await failExpiredCall(call, providerClient, `status check failed: ${statusError.message}`);
+      return;
+    }
+    
+    throw statusError;
+  }
+  
+  // Still in progress, or the provider could not say; check again on a later run
+  if (!TERMINAL_STATUSES.includes(callStatus.status)) {
+    if (expired) {
+      await failExpiredCall(call, providerClient, `provider reports ${callStatus.status || 'no status'}`);
+    }
+    
+    return;
+  }
+  
+  // Add the provider's answer to the call's timeline
+  const { error: eventError } = await supabase.rpc('record_call_event', {
+    queue_id_param: call.queue_id,
+    status_param: callStatus.status,
+    provider_call_id_param: call.provider_call_id,
+    payload_param: callStatus.rawStatus || null,
+    source_param: 'system'
+  });
+  
+  if (eventError) {
+    console.error(`Error recording reconciled event for call ${call.queue_id}:`, eventError);
+  }
+  
+  // complete_call ignores the call if a late webhook finalized it in the meantime
+  const { error: completeError } = await supabase.rpc('complete_call', {
+    queue_id_param: call.queue_id,
+    call_status_param: callStatus.status,
+    duration_param: callStatus.duration || 0,
+    recording_url_param: callStatus.recordingUrl || null,
+    transcript_param: callStatus.transcript || null,
+    provider_call_id_param: call.provider_call_id
+  });
+  
+  if (completeError) {
+    throw completeError;
+  }
+  
+  // Add the recipient to the do-not-call list if they opted out during the call
+  const { error: optOutError } = await supabase.rpc('apply_call_opt_out', {
+    queue_id_param: call.queue_id,
+    transcript_param: callStatus.transcript || null,
+    provider_opt_out_param: false
+  });
+  
+  if (optOutError) {
+    console.error(`Error recording opt-out for call ${call.queue_id}:`, optOutError);
+  }
+  
+  console.log(`Reconciled call ${call.queue_id}: ${callStatus.status} (provider call ${call.provider_call_id})`);
+}
+
+// Fail a call that has been processing for longer than RECONCILE_MAX_AGE_MINUTES
+async function failExpiredCall(call, providerClient, reason) {
+  // Hang up first so the retry cannot overlap a call that is somehow still live
+  if (providerClient) {
+    try {
+      await providerClient.endCall(call.provider_call_id);
+    } catch (endError) {
+      if (!isCallNotFoundError(endError)) {
+        console.error(`Error ending expired call ${call.queue_id}:`, endError.message);
+      }
+    }
+  }
+  
+  await handleFailure(
+    call.queue_id,
+    `Call did not finish within ${RECONCILE_MAX_AGE_MINUTES} minutes (${reason})`
+  );
+  console.log(`Reconciled call ${call.queue_id}: still unfinished after ${RECONCILE_MAX_AGE_MINUTES} minutes, marked failed`);
+}
+
+// Report overage charges to Stripe as metered usage
+async function reportOverageUsage() {
+  try {
+    const { data: charges, error } = await supabase.rpc('claim_overage_reports', {
+      batch_size_param: 50
+    });
+    
+    if (error) {
+      console.error('Error claiming overage charges:', error);
+    }
+    
+    for (const charge of charges || []) {
+      try {
+        if (!charge.stripe_subscription_item_id) {
+          throw new Error(`Subscription has no metered item for ${charge.unit} overage`);
+        }
+        
+        // The idempotency key makes a retry of an accepted report a no-op at Stripe
+        const usageRecord = await stripe.subscriptionItems.createUsageRecord(
+          charge.stripe_subscription_item_id,
+          {
+            quantity: charge.quantity,
+            timestamp: Math.floor(new Date(charge.created_at).getTime() / 1000),
+            action: 'increment'
+          },
+          { idempotencyKey: `overage-${charge.id}` }
+        );
+        
+        const { error: markError } = await supabase.rpc('mark_overage_reported', {
+          charge_id_param: charge.id,
+          stripe_usage_record_id_param: usageRecord.id
+        });
+        
+        if (markError) {
+          // Left 'reporting'; it is claimed again later and the idempotency key prevents a double charge
+          console.error(`Error recording overage report ${charge.id}:`, markError);
+        }
+      } catch (reportError) {
+        const { data: reportStatus } = await supabase.rpc('mark_overage_report_failed', {
+          charge_id_param: charge.id,
+          error_param: reportError.message
+        });
+        
+        console.error(`Error reporting overage charge ${charge.id} (${reportStatus || 'pending'}):`, reportError.message);
+      }
+    }
+  } catch (error) {
+    console.error('Unexpected error in reportOverageUsage:', error);
+  }
+  
+  // Schedule the next run
+  setTimeout(reportOverageUsage, OVERAGE_REPORT_INTERVAL_MS);
 }
 
 // Start all processes
@@ -574,8 +803,16 @@ function startProcessing() {
   // Start processing scheduled calls
   processScheduledCalls();
   
-  // Start checking for stalled calls
-  checkStalledCalls();
+  // Start hanging up canceled calls
+  processCancellations();
+  
+  // Start finalizing calls with missing webhooks
+  reconcileCalls();
+  
+  // Start reporting overage to Stripe
+  if (stripe) {
+    reportOverageUsage();
+  }
   
   // Start the main queue processor
   processQueue();
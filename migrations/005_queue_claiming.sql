@@ -0,0 +1,69 @@
+-- Track which queue worker currently owns a call
+ALTER TABLE call_queue
+ADD COLUMN IF NOT EXISTS claimed_by TEXT, -- Worker ID that claimed the call
+ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP WITH TIME ZONE;
+
+-- Partial index so workers only scan dispatchable rows
+CREATE INDEX IF NOT EXISTS idx_call_queue_pending ON call_queue (priority, created_at) WHERE status = 'pending';
+
+-- Function to atomically claim a batch of calls for a queue worker
+-- Rows locked by another worker are skipped, so any number of workers can
+-- call this concurrently without picking up the same call twice.
+CREATE OR REPLACE FUNCTION claim_next_calls(
+    worker_id_param TEXT,
+    batch_size_param INTEGER DEFAULT 1
+)
+RETURNS TABLE (
+    queue_id UUID,
+    user_id UUID,
+    template_id UUID,
+    provider_id UUID,
+    priority INTEGER,
+    scheduled_time TIMESTAMP WITH TIME ZONE
+) AS $$
+DECLARE
+    candidate RECORD;
+    selected_provider_id UUID;
+BEGIN
+    FOR candidate IN
+        SELECT
+            cq.id
+        FROM
+            call_queue cq
+        WHERE
+            cq.status = 'pending'
+            AND (cq.scheduled_time IS NULL OR cq.scheduled_time <= CURRENT_TIMESTAMP)
+        ORDER BY
+            cq.priority ASC,
+            cq.created_at ASC
+        LIMIT batch_size_param
+        FOR UPDATE SKIP LOCKED
+    LOOP
+        selected_provider_id := get_best_available_provider();
+
+        -- No provider capacity left, leave the remaining calls pending
+        EXIT WHEN selected_provider_id IS NULL;
+
+        IF assign_call_to_provider(candidate.id, selected_provider_id) THEN
+            UPDATE call_queue
+            SET
+                claimed_by = worker_id_param,
+                claimed_at = CURRENT_TIMESTAMP
+            WHERE id = candidate.id;
+
+            RETURN QUERY
+            SELECT
+                cq.id AS queue_id,
+                cq.user_id,
+                cq.template_id,
+                cq.provider_id,
+                cq.priority,
+                cq.scheduled_time
+            FROM
+                call_queue cq
+            WHERE
+                cq.id = candidate.id;
+        END IF;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql;
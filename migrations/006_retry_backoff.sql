@@ -0,0 +1,280 @@
+-- handle_failed_call upserts on queue_id, so there can only be one retry record per call
+CREATE UNIQUE INDEX IF NOT EXISTS idx_call_retries_queue_id ON call_retries (queue_id);
+
+-- Retry policy per subscription plan
+ALTER TABLE subscription_plans
+ADD COLUMN IF NOT EXISTS max_retries INTEGER NOT NULL DEFAULT 3, -- Maximum dial attempts, including the first
+ADD COLUMN IF NOT EXISTS retry_base_delay_seconds INTEGER NOT NULL DEFAULT 300, -- Delay before the first retry
+ADD COLUMN IF NOT EXISTS retry_backoff_multiplier NUMERIC(4, 2) NOT NULL DEFAULT 2, -- Delay growth per retry
+ADD COLUMN IF NOT EXISTS retry_max_delay_seconds INTEGER NOT NULL DEFAULT 3600; -- Upper bound for any single delay
+
+-- Optional per-template overrides (NULL = use the plan's policy)
+ALTER TABLE call_templates
+ADD COLUMN IF NOT EXISTS max_retries INTEGER,
+ADD COLUMN IF NOT EXISTS retry_base_delay_seconds INTEGER,
+ADD COLUMN IF NOT EXISTS retry_backoff_multiplier NUMERIC(4, 2),
+ADD COLUMN IF NOT EXISTS retry_max_delay_seconds INTEGER;
+
+-- Expose the retry schedule on the queue row so users can see it
+ALTER TABLE call_queue
+ADD COLUMN IF NOT EXISTS next_retry_time TIMESTAMP WITH TIME ZONE, -- Earliest time a failed call may be dispatched again
+ADD COLUMN IF NOT EXISTS last_error TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_call_queue_next_retry ON call_queue (next_retry_time) WHERE next_retry_time IS NOT NULL;
+
+-- Function to resolve the retry policy for a queued call
+-- Template overrides win over the user's plan, which wins over the defaults.
+CREATE OR REPLACE FUNCTION get_retry_policy(queue_id_param UUID)
+RETURNS TABLE (
+    max_retries INTEGER,
+    base_delay_seconds INTEGER,
+    backoff_multiplier NUMERIC,
+    max_delay_seconds INTEGER
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        COALESCE(ct.max_retries, plan.max_retries, 3) AS max_retries,
+        COALESCE(ct.retry_base_delay_seconds, plan.retry_base_delay_seconds, 300) AS base_delay_seconds,
+        COALESCE(ct.retry_backoff_multiplier, plan.retry_backoff_multiplier, 2)::NUMERIC AS backoff_multiplier,
+        COALESCE(ct.retry_max_delay_seconds, plan.retry_max_delay_seconds, 3600) AS max_delay_seconds
+    FROM
+        call_queue cq
+    LEFT JOIN
+        call_templates ct ON cq.template_id = ct.id
+    LEFT JOIN LATERAL (
+        SELECT
+            sp.max_retries,
+            sp.retry_base_delay_seconds,
+            sp.retry_backoff_multiplier,
+            sp.retry_max_delay_seconds
+        FROM
+            user_subscriptions us
+        JOIN
+            subscription_plans sp ON us.plan_id = sp.id
+        WHERE
+            us.user_id = cq.user_id
+            AND us.status IN ('active', 'trialing')
+        ORDER BY
+            us.current_period_end DESC
+        LIMIT 1
+    ) plan ON TRUE
+    WHERE
+        cq.id = queue_id_param;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Update handle_failed_call to schedule retries with the configured backoff
+CREATE OR REPLACE FUNCTION handle_failed_call(
+    queue_id_param UUID,
+    error_message TEXT,
+    retry BOOLEAN DEFAULT TRUE
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+    queue_record RECORD;
+    policy RECORD;
+    provider_id_var UUID;
+    retry_number INTEGER;
+    retry_delay_seconds NUMERIC;
+    retry_at TIMESTAMP WITH TIME ZONE;
+BEGIN
+    -- Get the queue record
+    SELECT * INTO queue_record FROM call_queue WHERE id = queue_id_param;
+
+    IF NOT FOUND THEN
+        RETURN FALSE;
+    END IF;
+
+    provider_id_var := queue_record.provider_id;
+
+    -- Update provider availability
+    IF provider_id_var IS NOT NULL THEN
+        UPDATE provider_availability
+        SET current_calls = GREATEST(0, current_calls - 1)
+        WHERE provider_id = provider_id_var;
+
+        -- Update call assignment
+        UPDATE call_assignments
+        SET
+            assignment_status = 'failed',
+            provider_response = jsonb_build_object('error', error_message)
+        WHERE
+            queue_id = queue_id_param
+            AND assignment_status = 'assigned';
+    END IF;
+
+    SELECT * INTO policy FROM get_retry_policy(queue_id_param);
+
+    -- Check if we should retry
+    IF retry AND queue_record.attempt_count < policy.max_retries THEN
+        -- Exponential backoff: base * multiplier^(retries so far), capped at the max delay
+        retry_number := GREATEST(queue_record.attempt_count, 1);
+        retry_delay_seconds := LEAST(
+            policy.max_delay_seconds,
+            policy.base_delay_seconds * POWER(policy.backoff_multiplier, retry_number - 1)
+        );
+        retry_at := CURRENT_TIMESTAMP + (retry_delay_seconds || ' seconds')::INTERVAL;
+
+        -- Put the call back in the queue, but hold it until the retry time
+        UPDATE call_queue
+        SET
+            status = 'pending',
+            provider_id = NULL,
+            provider_call_id = NULL,
+            next_retry_time = retry_at,
+            last_error = error_message
+        WHERE id = queue_id_param;
+
+        -- Insert or update retry record
+        INSERT INTO call_retries (
+            queue_id,
+            retry_count,
+            last_error,
+            last_provider_id,
+            next_retry_time
+        ) VALUES (
+            queue_id_param,
+            retry_number,
+            error_message,
+            provider_id_var,
+            retry_at
+        )
+        ON CONFLICT (queue_id)
+        DO UPDATE SET
+            retry_count = EXCLUDED.retry_count,
+            last_error = EXCLUDED.last_error,
+            last_provider_id = EXCLUDED.last_provider_id,
+            next_retry_time = EXCLUDED.next_retry_time
+        ;
+
+        RETURN TRUE;
+    ELSE
+        -- Mark as failed permanently
+        UPDATE call_queue
+        SET
+            status = 'failed',
+            next_retry_time = NULL,
+            last_error = error_message
+        WHERE id = queue_id_param;
+
+        RETURN FALSE;
+    END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Update get_next_call_in_queue to skip calls that are waiting for their retry time
+CREATE OR REPLACE FUNCTION get_next_call_in_queue()
+RETURNS TABLE (
+    queue_id UUID,
+    user_id UUID,
+    template_id UUID,
+    priority INTEGER,
+    scheduled_time TIMESTAMP WITH TIME ZONE
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        cq.id AS queue_id,
+        cq.user_id,
+        cq.template_id,
+        cq.priority,
+        cq.scheduled_time
+    FROM
+        call_queue cq
+    WHERE
+        cq.status = 'pending'
+        AND (cq.scheduled_time IS NULL OR cq.scheduled_time <= CURRENT_TIMESTAMP)
+        AND (cq.next_retry_time IS NULL OR cq.next_retry_time <= CURRENT_TIMESTAMP)
+    ORDER BY
+        cq.priority ASC,
+        cq.created_at ASC
+    LIMIT 1;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Update claim_next_calls to skip calls that are waiting for their retry time
+CREATE OR REPLACE FUNCTION claim_next_calls(
+    worker_id_param TEXT,
+    batch_size_param INTEGER DEFAULT 1
+)
+RETURNS TABLE (
+    queue_id UUID,
+    user_id UUID,
+    template_id UUID,
+    provider_id UUID,
+    priority INTEGER,
+    scheduled_time TIMESTAMP WITH TIME ZONE
+) AS $$
+DECLARE
+    candidate RECORD;
+    selected_provider_id UUID;
+BEGIN
+    FOR candidate IN
+        SELECT
+            cq.id
+        FROM
+            call_queue cq
+        WHERE
+            cq.status = 'pending'
+            AND (cq.scheduled_time IS NULL OR cq.scheduled_time <= CURRENT_TIMESTAMP)
+            AND (cq.next_retry_time IS NULL OR cq.next_retry_time <= CURRENT_TIMESTAMP)
+        ORDER BY
+            cq.priority ASC,
+            cq.created_at ASC
+        LIMIT batch_size_param
+        FOR UPDATE SKIP LOCKED
+    LOOP
+        selected_provider_id := get_best_available_provider();
+
+        -- No provider capacity left, leave the remaining calls pending
+        EXIT WHEN selected_provider_id IS NULL;
+
+        IF assign_call_to_provider(candidate.id, selected_provider_id) THEN
+            UPDATE call_queue
+            SET
+                claimed_by = worker_id_param,
+                claimed_at = CURRENT_TIMESTAMP,
+                next_retry_time = NULL
+            WHERE id = candidate.id;
+
+            RETURN QUERY
+            SELECT
+                cq.id AS queue_id,
+                cq.user_id,
+                cq.template_id,
+                cq.provider_id,
+                cq.priority,
+                cq.scheduled_time
+            FROM
+                call_queue cq
+            WHERE
+                cq.id = candidate.id;
+        END IF;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Queue status as seen by the user, including the retry schedule
+-- security_invoker keeps the call_queue RLS policy in effect for callers
+CREATE OR REPLACE VIEW user_call_queue_status
+WITH (security_invoker = true) AS
+SELECT
+    cq.id,
+    cq.user_id,
+    cq.template_id,
+    cq.recipient_name,
+    cq.recipient_phone,
+    cq.status,
+    cq.scheduled_time,
+    cq.priority,
+    cq.attempt_count,
+    policy.max_retries,
+    cq.next_retry_time,
+    cq.last_error,
+    cq.last_attempt,
+    cq.created_at,
+    cq.updated_at
+FROM
+    call_queue cq
+LEFT JOIN LATERAL get_retry_policy(cq.id) policy ON TRUE;
@@ -0,0 +1,252 @@
+-- Capabilities a template needs from the provider (matched against call_service_providers.capabilities)
+ALTER TABLE call_templates
+ADD COLUMN IF NOT EXISTS required_capabilities TEXT[];
+
+-- Function to list the providers that can serve a queued call
+-- A provider is eligible when it is active, online, has free capacity, owns the
+-- template's provider / assistant / phone number (if any are set) and supports
+-- every required capability. On retries the provider that failed last is ranked last.
+CREATE OR REPLACE FUNCTION get_eligible_providers(queue_id_param UUID)
+RETURNS TABLE (
+    provider_id UUID,
+    provider_type TEXT,
+    available_slots INTEGER,
+    is_last_provider BOOLEAN,
+    reason TEXT
+) AS $$
+DECLARE
+    queue_record RECORD;
+    template_provider_id UUID;
+    assistant_provider_id UUID;
+    phone_provider_id UUID;
+    last_provider_id_var UUID;
+    required_caps TEXT[];
+BEGIN
+    SELECT * INTO queue_record FROM call_queue WHERE id = queue_id_param;
+
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    -- Providers pinned by the template and the chosen resources
+    SELECT ct.provider_id, ct.required_capabilities
+    INTO template_provider_id, required_caps
+    FROM call_templates ct
+    WHERE ct.id = queue_record.template_id;
+
+    IF queue_record.assistant_id IS NOT NULL THEN
+        SELECT pa.provider_id INTO assistant_provider_id
+        FROM provider_assistants pa
+        WHERE pa.id = queue_record.assistant_id;
+    END IF;
+
+    IF queue_record.phone_number_id IS NOT NULL THEN
+        SELECT ppn.provider_id INTO phone_provider_id
+        FROM provider_phone_numbers ppn
+        WHERE ppn.id = queue_record.phone_number_id;
+    END IF;
+
+    -- Capabilities can also be requested per call through metadata
+    IF queue_record.metadata ? 'required_capabilities' THEN
+        required_caps := COALESCE(required_caps, ARRAY[]::TEXT[]) || ARRAY(
+            SELECT jsonb_array_elements_text(queue_record.metadata -> 'required_capabilities')
+        );
+    END IF;
+
+    SELECT cr.last_provider_id INTO last_provider_id_var
+    FROM call_retries cr
+    WHERE cr.queue_id = queue_id_param;
+
+    RETURN QUERY
+    SELECT
+        csp.id AS provider_id,
+        csp.provider_type,
+        (csp.max_concurrent_calls - pa.current_calls) AS available_slots,
+        (last_provider_id_var IS NOT NULL AND csp.id = last_provider_id_var) AS is_last_provider,
+        CASE
+            WHEN phone_provider_id IS NOT NULL THEN 'pinned_by_phone_number'
+            WHEN assistant_provider_id IS NOT NULL THEN 'pinned_by_assistant'
+            WHEN template_provider_id IS NOT NULL THEN 'pinned_by_template'
+            WHEN last_provider_id_var IS NOT NULL AND csp.id <> last_provider_id_var THEN 'failover_from_last_provider'
+            WHEN last_provider_id_var IS NOT NULL THEN 'retry_on_last_provider'
+            ELSE 'best_available_capacity'
+        END AS reason
+    FROM
+        call_service_providers csp
+    JOIN
+        provider_availability pa ON csp.id = pa.provider_id
+    WHERE
+        csp.is_active = TRUE
+        AND pa.status = 'online'
+        AND pa.current_calls < csp.max_concurrent_calls
+        AND (template_provider_id IS NULL OR csp.id = template_provider_id)
+        AND (assistant_provider_id IS NULL OR csp.id = assistant_provider_id)
+        AND (phone_provider_id IS NULL OR csp.id = phone_provider_id)
+        AND NOT EXISTS (
+            -- Every required capability must be present and not explicitly disabled
+            SELECT 1
+            FROM unnest(COALESCE(required_caps, ARRAY[]::TEXT[])) AS cap
+            WHERE NOT (COALESCE(csp.capabilities, '{}'::JSONB) ? cap)
+                OR COALESCE(csp.capabilities ->> cap, 'true') = 'false'
+        )
+    ORDER BY
+        -- Prefer a different provider than the one that failed last
+        (last_provider_id_var IS NOT NULL AND csp.id = last_provider_id_var) ASC,
+        -- Then by available capacity
+        (csp.max_concurrent_calls - pa.current_calls) DESC,
+        -- Then by provider priority
+        csp.priority ASC;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to pick a provider for a queued call and explain the decision
+CREATE OR REPLACE FUNCTION route_call(queue_id_param UUID)
+RETURNS TABLE (
+    provider_id UUID,
+    routing JSONB
+) AS $$
+DECLARE
+    candidates JSONB;
+    selected RECORD;
+BEGIN
+    SELECT
+        COALESCE(jsonb_agg(jsonb_build_object(
+            'provider_id', ep.provider_id,
+            'provider_type', ep.provider_type,
+            'available_slots', ep.available_slots,
+            'is_last_provider', ep.is_last_provider
+        )), '[]'::JSONB)
+    INTO candidates
+    FROM get_eligible_providers(queue_id_param) ep;
+
+    SELECT * INTO selected FROM get_eligible_providers(queue_id_param) LIMIT 1;
+
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    provider_id := selected.provider_id;
+    routing := jsonb_build_object(
+        'provider_id', selected.provider_id,
+        'provider_type', selected.provider_type,
+        'reason', selected.reason,
+        'candidates', candidates,
+        'routed_at', CURRENT_TIMESTAMP
+    );
+
+    RETURN NEXT;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Replace assign_call_to_provider so the routing decision is stored with the assignment
+-- The provider is now chosen by route_call, which already honors the assistant and phone number.
+DROP FUNCTION IF EXISTS assign_call_to_provider(UUID, UUID);
+
+CREATE OR REPLACE FUNCTION assign_call_to_provider(
+    queue_id_param UUID,
+    provider_id_param UUID,
+    routing_param JSONB DEFAULT NULL
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+    success BOOLEAN := FALSE;
+BEGIN
+    -- Update the call queue entry
+    UPDATE call_queue
+    SET
+        status = 'processing',
+        provider_id = provider_id_param,
+        last_attempt = CURRENT_TIMESTAMP,
+        attempt_count = attempt_count + 1
+    WHERE
+        id = queue_id_param
+        AND status = 'pending';
+
+    -- Check if update was successful
+    IF FOUND THEN
+        -- Increment the current_calls counter for the provider
+        UPDATE provider_availability
+        SET current_calls = current_calls + 1
+        WHERE provider_id = provider_id_param;
+
+        -- Record the assignment along with why this provider was picked
+        INSERT INTO call_assignments (
+            queue_id,
+            provider_id,
+            assignment_status,
+            metadata
+        ) VALUES (
+            queue_id_param,
+            provider_id_param,
+            'assigned',
+            jsonb_build_object('routing', routing_param)
+        );
+
+        success := TRUE;
+    END IF;
+
+    RETURN success;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Update claim_next_calls to route each call individually
+CREATE OR REPLACE FUNCTION claim_next_calls(
+    worker_id_param TEXT,
+    batch_size_param INTEGER DEFAULT 1
+)
+RETURNS TABLE (
+    queue_id UUID,
+    user_id UUID,
+    template_id UUID,
+    provider_id UUID,
+    priority INTEGER,
+    scheduled_time TIMESTAMP WITH TIME ZONE
+) AS $$
+DECLARE
+    candidate RECORD;
+    route RECORD;
+BEGIN
+    FOR candidate IN
+        SELECT
+            cq.id
+        FROM
+            call_queue cq
+        WHERE
+            cq.status = 'pending'
+            AND (cq.scheduled_time IS NULL OR cq.scheduled_time <= CURRENT_TIMESTAMP)
+            AND (cq.next_retry_time IS NULL OR cq.next_retry_time <= CURRENT_TIMESTAMP)
+        ORDER BY
+            cq.priority ASC,
+            cq.created_at ASC
+        LIMIT batch_size_param
+        FOR UPDATE SKIP LOCKED
+    LOOP
+        SELECT * INTO route FROM route_call(candidate.id);
+
+        -- No provider can serve this call right now, leave it pending
+        CONTINUE WHEN NOT FOUND;
+
+        IF assign_call_to_provider(candidate.id, route.provider_id, route.routing) THEN
+            UPDATE call_queue
+            SET
+                claimed_by = worker_id_param,
+                claimed_at = CURRENT_TIMESTAMP,
+                next_retry_time = NULL
+            WHERE id = candidate.id;
+
+            RETURN QUERY
+            SELECT
+                cq.id AS queue_id,
+                cq.user_id,
+                cq.template_id,
+                cq.provider_id,
+                cq.priority,
+                cq.scheduled_time
+            FROM
+                call_queue cq
+            WHERE
+                cq.id = candidate.id;
+        END IF;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql;
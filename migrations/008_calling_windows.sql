@@ -0,0 +1,527 @@
+-- Calling windows
+-- A window is stored as JSONB: {"days": [1, 2, 3, 4, 5], "start": "09:00", "end": "20:00"}
+-- days are ISO weekdays (1 = Monday ... 7 = Sunday) and times are in the recipient's local time.
+-- Function to check a calling window's shape
+-- days, when given, is a non-empty list of ISO weekdays; start and end, when given, are
+-- HH:MM times (end may be 24:00) with start before end. Windows that span midnight are
+-- not supported.
+CREATE OR REPLACE FUNCTION is_valid_calling_window(window_param JSONB)
+RETURNS BOOLEAN AS $$
+DECLARE
+    day_value JSONB;
+BEGIN
+    IF window_param IS NULL THEN
+        RETURN TRUE;
+    END IF;
+
+    IF jsonb_typeof(window_param) <> 'object' THEN
+        RETURN FALSE;
+    END IF;
+
+    IF window_param ? 'days' THEN
+        IF jsonb_typeof(window_param -> 'days') <> 'array' OR jsonb_array_length(window_param -> 'days') = 0 THEN
+            RETURN FALSE;
+        END IF;
+
+        FOR day_value IN SELECT * FROM jsonb_array_elements(window_param -> 'days') LOOP
+            IF jsonb_typeof(day_value) NOT IN ('number', 'string') OR (day_value #>> '{}') !~ '^[1-7]$' THEN
+                RETURN FALSE;
+            END IF;
+        END LOOP;
+    END IF;
+
+    IF window_param ? 'start' AND COALESCE(window_param ->> 'start', '') !~ '^([01]?[0-9]|2[0-3]):[0-5][0-9]$' THEN
+        RETURN FALSE;
+    END IF;
+
+    IF window_param ? 'end' AND COALESCE(window_param ->> 'end', '') !~ '^(([01]?[0-9]|2[0-3]):[0-5][0-9]|24:00)$' THEN
+        RETURN FALSE;
+    END IF;
+
+    RETURN COALESCE(window_param ->> 'start', '00:00')::TIME < COALESCE(window_param ->> 'end', '24:00')::TIME;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS calling_window JSONB -- Default window for the user's calls
+    CONSTRAINT users_calling_window_check CHECK (is_valid_calling_window(calling_window));
+
+ALTER TABLE call_templates
+ADD COLUMN IF NOT EXISTS calling_window JSONB -- Overrides the user's window for this template
+    CONSTRAINT call_templates_calling_window_check CHECK (is_valid_calling_window(calling_window));
+
+ALTER TABLE call_queue
+ADD COLUMN IF NOT EXISTS recipient_timezone TEXT; -- IANA timezone, NULL = infer from the phone number
+
+-- Timezones by country calling code and (optionally) area code
+-- Rows without an area code are the country's default.
+CREATE TABLE IF NOT EXISTS phone_timezones (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    country_code TEXT NOT NULL, -- Calling code including '+', e.g. '+1'
+    area_code TEXT, -- NULL for the country default
+    timezone TEXT NOT NULL, -- IANA timezone name
+    UNIQUE(country_code, area_code)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_phone_timezones_country_default ON phone_timezones (country_code) WHERE area_code IS NULL;
+
+ALTER TABLE phone_timezones ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY phone_timezones_read_policy ON phone_timezones
+    FOR SELECT
+    USING (auth.role() = 'authenticated');
+
+-- Function to infer a recipient's timezone from their phone number
+CREATE OR REPLACE FUNCTION infer_phone_timezone(phone_param TEXT)
+RETURNS TEXT AS $$
+DECLARE
+    digits TEXT;
+    tz TEXT;
+BEGIN
+    IF phone_param IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    digits := regexp_replace(phone_param, '[^0-9]', '', 'g');
+
+    -- Numbers without a '+' are assumed to be North American
+    IF phone_param NOT LIKE '+%' AND length(digits) = 10 THEN
+        digits := '1' || digits;
+    END IF;
+
+    -- North American numbers: 1 followed by a 3-digit area code
+    IF length(digits) = 11 AND digits LIKE '1%' THEN
+        SELECT pt.timezone INTO tz
+        FROM phone_timezones pt
+        WHERE pt.country_code = '+1' AND pt.area_code = substring(digits FROM 2 FOR 3);
+
+        RETURN COALESCE(tz, (SELECT pt.timezone FROM phone_timezones pt WHERE pt.country_code = '+1' AND pt.area_code IS NULL));
+    END IF;
+
+    -- Everything else: longest matching country calling code
+    SELECT pt.timezone INTO tz
+    FROM phone_timezones pt
+    WHERE pt.area_code IS NULL
+        AND digits LIKE substring(pt.country_code FROM 2) || '%'
+    ORDER BY length(pt.country_code) DESC
+    LIMIT 1;
+
+    RETURN tz;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Function to resolve the calling window for a user and template
+CREATE OR REPLACE FUNCTION get_calling_window(user_id_param UUID, template_id_param UUID)
+RETURNS JSONB AS $$
+    SELECT COALESCE(
+        (SELECT ct.calling_window FROM call_templates ct WHERE ct.id = template_id_param),
+        (SELECT u.calling_window FROM users u WHERE u.id = user_id_param),
+        -- Default: every day, 08:00-21:00 recipient time
+        '{"days": [1, 2, 3, 4, 5, 6, 7], "start": "08:00", "end": "21:00"}'::JSONB
+    );
+$$ LANGUAGE sql STABLE;
+
+-- Function to resolve the recipient's timezone
+CREATE OR REPLACE FUNCTION resolve_recipient_timezone(
+    user_id_param UUID,
+    recipient_phone_param TEXT,
+    recipient_timezone_param TEXT DEFAULT NULL
+)
+RETURNS TEXT AS $$
+    SELECT COALESCE(
+        -- Only accept names Postgres knows
+        (SELECT name FROM pg_timezone_names WHERE name = recipient_timezone_param),
+        infer_phone_timezone(recipient_phone_param),
+        (SELECT u.timezone FROM users u
+            WHERE u.id = user_id_param
+            AND u.timezone IN (SELECT name FROM pg_timezone_names)),
+        'UTC'
+    );
+$$ LANGUAGE sql STABLE;
+
+-- Function to find the earliest allowed dial time at or after a candidate time
+-- Returns the candidate itself when it is inside the window, or NULL if the
+-- window has no allowed days.
+CREATE OR REPLACE FUNCTION next_allowed_call_time(
+    candidate_param TIMESTAMP WITH TIME ZONE,
+    window_param JSONB,
+    timezone_param TEXT
+)
+RETURNS TIMESTAMP WITH TIME ZONE AS $$
+DECLARE
+    local_candidate TIMESTAMP;
+    local_day TIMESTAMP;
+    window_start TIME;
+    window_end TIME;
+    allowed_days INTEGER[];
+    day_offset INTEGER;
+BEGIN
+    IF window_param IS NULL THEN
+        RETURN candidate_param;
+    END IF;
+
+    window_start := COALESCE(window_param ->> 'start', '00:00')::TIME;
+    window_end := COALESCE(window_param ->> 'end', '24:00')::TIME;
+    allowed_days := CASE
+        WHEN window_param ? 'days' THEN ARRAY(SELECT jsonb_array_elements_text(window_param -> 'days')::INTEGER)
+        ELSE ARRAY[1, 2, 3, 4, 5, 6, 7]
+    END;
+
+    local_candidate := candidate_param AT TIME ZONE timezone_param;
+
+    FOR day_offset IN 0..7 LOOP
+        local_day := date_trunc('day', local_candidate) + (day_offset || ' days')::INTERVAL;
+
+        IF EXTRACT(ISODOW FROM local_day)::INTEGER = ANY(allowed_days) THEN
+            -- Inside today's window
+            IF day_offset = 0
+                AND local_candidate >= local_day + window_start
+                AND local_candidate < local_day + window_end THEN
+                RETURN candidate_param;
+            END IF;
+
+            -- Before the window opens on this day
+            IF local_candidate < local_day + window_start THEN
+                RETURN (local_day + window_start) AT TIME ZONE timezone_param;
+            END IF;
+        END IF;
+    END LOOP;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Function used by schedule-call to work out when a call may actually be dialed
+CREATE OR REPLACE FUNCTION get_effective_call_time(
+    user_id_param UUID,
+    template_id_param UUID,
+    recipient_phone_param TEXT,
+    recipient_timezone_param TEXT DEFAULT NULL,
+    requested_time_param TIMESTAMP WITH TIME ZONE DEFAULT NULL
+)
+RETURNS TABLE (
+    effective_time TIMESTAMP WITH TIME ZONE,
+    recipient_timezone TEXT,
+    calling_window JSONB,
+    within_window BOOLEAN
+) AS $$
+DECLARE
+    requested TIMESTAMP WITH TIME ZONE := COALESCE(requested_time_param, CURRENT_TIMESTAMP);
+BEGIN
+    recipient_timezone := resolve_recipient_timezone(user_id_param, recipient_phone_param, recipient_timezone_param);
+    calling_window := get_calling_window(user_id_param, template_id_param);
+    effective_time := next_allowed_call_time(requested, calling_window, recipient_timezone);
+    within_window := effective_time IS NOT NULL AND effective_time = requested;
+
+    RETURN NEXT;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Update schedule_call to store the recipient's timezone
+DROP FUNCTION IF EXISTS schedule_call(UUID, UUID, TEXT, TEXT, TEXT, TIMESTAMP WITH TIME ZONE, INTEGER, JSONB, JSONB);
+DROP FUNCTION IF EXISTS schedule_call(UUID, UUID, TEXT, TEXT, TEXT, TIMESTAMP WITH TIME ZONE, INTEGER, JSONB, JSONB, UUID, UUID);
+
+CREATE OR REPLACE FUNCTION schedule_call(
+    user_id_param UUID,
+    template_id_param UUID,
+    recipient_name_param TEXT,
+    recipient_phone_param TEXT,
+    recipient_email_param TEXT,
+    scheduled_time_param TIMESTAMP WITH TIME ZONE,
+    priority_param INTEGER DEFAULT 5,
+    custom_variables_param JSONB DEFAULT NULL,
+    metadata_param JSONB DEFAULT NULL,
+    assistant_id_param UUID DEFAULT NULL,
+    phone_number_id_param UUID DEFAULT NULL,
+    recipient_timezone_param TEXT DEFAULT NULL
+)
+RETURNS UUID AS $$
+DECLARE
+    new_queue_id UUID;
+    validated_variables JSONB := custom_variables_param;
+    missing_required_vars TEXT[];
+BEGIN
+    -- Check for required variables
+    WITH required_vars AS (
+        SELECT
+            variable_name,
+            is_required
+        FROM
+            template_variables
+        WHERE
+            template_id = template_id_param
+            AND is_required = TRUE
+    )
+    SELECT
+        array_agg(variable_name) INTO missing_required_vars
+    FROM
+        required_vars
+    WHERE
+        NOT (custom_variables_param ? variable_name);
+
+    -- Error if missing required variables
+    IF missing_required_vars IS NOT NULL AND array_length(missing_required_vars, 1) > 0 THEN
+        RAISE EXCEPTION 'Missing required variables: %', missing_required_vars;
+    END IF;
+
+    -- Find assistant if not specified
+    IF assistant_id_param IS NULL THEN
+        -- Get template's assistant if set
+        WITH template_assistant AS (
+            SELECT assistant_id FROM call_templates WHERE id = template_id_param AND assistant_id IS NOT NULL
+        )
+        SELECT
+            COALESCE(
+                (SELECT assistant_id FROM template_assistant),
+                (SELECT id FROM provider_assistants WHERE is_active = TRUE LIMIT 1)
+            )
+        INTO assistant_id_param;
+    END IF;
+
+    -- Find phone number if not specified
+    IF phone_number_id_param IS NULL THEN
+        SELECT id INTO phone_number_id_param
+        FROM provider_phone_numbers
+        WHERE is_active = TRUE
+        LIMIT 1;
+    END IF;
+
+    -- Create the queue entry
+    INSERT INTO call_queue (
+        user_id,
+        template_id,
+        recipient_name,
+        recipient_phone,
+        recipient_email,
+        recipient_timezone,
+        scheduled_time,
+        priority,
+        status,
+        custom_variables,
+        metadata,
+        assistant_id,
+        phone_number_id
+    ) VALUES (
+        user_id_param,
+        template_id_param,
+        recipient_name_param,
+        recipient_phone_param,
+        recipient_email_param,
+        recipient_timezone_param,
+        scheduled_time_param,
+        priority_param,
+        'pending',
+        validated_variables,
+        metadata_param,
+        assistant_id_param,
+        phone_number_id_param
+    )
+    RETURNING id INTO new_queue_id;
+
+    RETURN new_queue_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Update claim_next_calls to hold calls that are outside the recipient's calling window
+-- Held calls are rescheduled to the next allowed slot and left pending.
+CREATE OR REPLACE FUNCTION claim_next_calls(
+    worker_id_param TEXT,
+    batch_size_param INTEGER DEFAULT 1
+)
+RETURNS TABLE (
+    queue_id UUID,
+    user_id UUID,
+    template_id UUID,
+    provider_id UUID,
+    priority INTEGER,
+    scheduled_time TIMESTAMP WITH TIME ZONE
+) AS $$
+DECLARE
+    candidate RECORD;
+    route RECORD;
+    allowed_time TIMESTAMP WITH TIME ZONE;
+BEGIN
+    FOR candidate IN
+        SELECT
+            cq.id,
+            cq.user_id,
+            cq.template_id,
+            cq.recipient_phone,
+            cq.recipient_timezone
+        FROM
+            call_queue cq
+        WHERE
+            cq.status = 'pending'
+            AND (cq.scheduled_time IS NULL OR cq.scheduled_time <= CURRENT_TIMESTAMP)
+            AND (cq.next_retry_time IS NULL OR cq.next_retry_time <= CURRENT_TIMESTAMP)
+        ORDER BY
+            cq.priority ASC,
+            cq.created_at ASC
+        LIMIT batch_size_param
+        FOR UPDATE SKIP LOCKED
+    LOOP
+        allowed_time := next_allowed_call_time(
+            CURRENT_TIMESTAMP,
+            get_calling_window(candidate.user_id, candidate.template_id),
+            resolve_recipient_timezone(candidate.user_id, candidate.recipient_phone, candidate.recipient_timezone)
+        );
+
+        -- Outside the calling window: hold the call until the window opens
+        IF allowed_time IS NULL OR allowed_time > CURRENT_TIMESTAMP THEN
+            IF allowed_time IS NULL THEN
+                UPDATE call_queue
+                SET
+                    status = 'failed',
+                    last_error = 'Calling window has no allowed days'
+                WHERE id = candidate.id;
+            ELSE
+                UPDATE call_queue
+                SET
+                    scheduled_time = allowed_time,
+                    notes = 'Held until the recipient''s calling window opens'
+                WHERE id = candidate.id;
+            END IF;
+
+            CONTINUE;
+        END IF;
+
+        SELECT * INTO route FROM route_call(candidate.id);
+
+        -- No provider can serve this call right now, leave it pending
+        CONTINUE WHEN NOT FOUND;
+
+        IF assign_call_to_provider(candidate.id, route.provider_id, route.routing) THEN
+            UPDATE call_queue
+            SET
+                claimed_by = worker_id_param,
+                claimed_at = CURRENT_TIMESTAMP,
+                next_retry_time = NULL
+            WHERE id = candidate.id;
+
+            RETURN QUERY
+            SELECT
+                cq.id AS queue_id,
+                cq.user_id,
+                cq.template_id,
+                cq.provider_id,
+                cq.priority,
+                cq.scheduled_time
+            FROM
+                call_queue cq
+            WHERE
+                cq.id = candidate.id;
+        END IF;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Country defaults
+INSERT INTO phone_timezones (country_code, area_code, timezone) VALUES
+('+1', NULL, 'America/New_York'),
+('+44', NULL, 'Europe/London'),
+('+353', NULL, 'Europe/Dublin'),
+('+33', NULL, 'Europe/Paris'),
+('+49', NULL, 'Europe/Berlin'),
+('+34', NULL, 'Europe/Madrid'),
+('+351', NULL, 'Europe/Lisbon'),
+('+39', NULL, 'Europe/Rome'),
+('+31', NULL, 'Europe/Amsterdam'),
+('+32', NULL, 'Europe/Brussels'),
+('+41', NULL, 'Europe/Zurich'),
+('+43', NULL, 'Europe/Vienna'),
+('+45', NULL, 'Europe/Copenhagen'),
+('+46', NULL, 'Europe/Stockholm'),
+('+47', NULL, 'Europe/Oslo'),
+('+48', NULL, 'Europe/Warsaw'),
+('+52', NULL, 'America/Mexico_City'),
+('+55', NULL, 'America/Sao_Paulo'),
+('+61', NULL, 'Australia/Sydney'),
+('+64', NULL, 'Pacific/Auckland'),
+('+65', NULL, 'Asia/Singapore'),
+('+81', NULL, 'Asia/Tokyo'),
+('+82', NULL, 'Asia/Seoul'),
+('+86', NULL, 'Asia/Shanghai'),
+('+852', NULL, 'Asia/Hong_Kong'),
+('+91', NULL, 'Asia/Kolkata'),
+('+971', NULL, 'Asia/Dubai'),
+('+972', NULL, 'Asia/Jerusalem'),
+('+27', NULL, 'Africa/Johannesburg')
+ON CONFLICT DO NOTHING;
+
+-- North American area codes outside the Eastern default
+INSERT INTO phone_timezones (country_code, area_code, timezone)
+SELECT '+1', area_code, 'America/Los_Angeles'
+FROM unnest(ARRAY[
+    '209', '213', '279', '310', '323', '341', '350', '408', '415', '424', '442', '510', '530',
+    '559', '562', '619', '626', '628', '650', '657', '661', '669', '707', '714', '747', '760',
+    '805', '818', '820', '831', '840', '858', '909', '916', '925', '949', '951',
+    '206', '253', '360', '425', '509', '564',
+    '458', '503', '541', '971',
+    '702', '725', '775'
+]) AS area_code
+ON CONFLICT DO NOTHING;
+
+INSERT INTO phone_timezones (country_code, area_code, timezone)
+SELECT '+1', area_code, 'America/Denver'
+FROM unnest(ARRAY[
+    '303', '719', '720', '970', '983',
+    '385', '435', '801',
+    '505', '575',
+    '406', '307', '208', '986',
+    '915'
+]) AS area_code
+ON CONFLICT DO NOTHING;
+
+INSERT INTO phone_timezones (country_code, area_code, timezone)
+SELECT '+1', area_code, 'America/Phoenix'
+FROM unnest(ARRAY['480', '520', '602', '623', '928']) AS area_code
+ON CONFLICT DO NOTHING;
+
+INSERT INTO phone_timezones (country_code, area_code, timezone)
+SELECT '+1', area_code, 'America/Chicago'
+FROM unnest(ARRAY[
+    '210', '214', '254', '281', '325', '346', '361', '409', '430', '432', '469', '512', '682',
+    '713', '726', '737', '806', '817', '830', '832', '903', '936', '940', '945', '956', '972', '979',
+    '217', '224', '309', '312', '331', '447', '464', '618', '630', '708', '773', '779', '815', '847', '872',
+    '218', '320', '507', '612', '651', '763', '952',
+    '262', '414', '534', '608', '715', '920',
+    '314', '417', '557', '573', '636', '660', '816', '975',
+    '319', '515', '563', '641', '712',
+    '225', '318', '337', '504', '985',
+    '405', '539', '572', '580', '918',
+    '316', '620', '785', '913',
+    '308', '402', '531',
+    '479', '501', '870',
+    '228', '601', '662', '769',
+    '205', '251', '256', '334', '659', '938',
+    '615', '629', '731', '901', '931',
+    '219', '270', '701', '605'
+]) AS area_code
+ON CONFLICT DO NOTHING;
+
+INSERT INTO phone_timezones (country_code, area_code, timezone) VALUES
+('+1', '907', 'America/Anchorage'),
+('+1', '808', 'Pacific/Honolulu')
+ON CONFLICT DO NOTHING;
+
+-- Canada
+INSERT INTO phone_timezones (country_code, area_code, timezone)
+SELECT '+1', area_code, 'America/Vancouver'
+FROM unnest(ARRAY['236', '250', '604', '672', '778']) AS area_code
+ON CONFLICT DO NOTHING;
+
+INSERT INTO phone_timezones (country_code, area_code, timezone)
+SELECT '+1', area_code, 'America/Edmonton'
+FROM unnest(ARRAY['368', '403', '587', '780', '825']) AS area_code
+ON CONFLICT DO NOTHING;
+
+INSERT INTO phone_timezones (country_code, area_code, timezone) VALUES
+('+1', '204', 'America/Winnipeg'),
+('+1', '431', 'America/Winnipeg'),
+('+1', '306', 'America/Regina'),
+('+1', '639', 'America/Regina'),
+('+1', '902', 'America/Halifax'),
+('+1', '782', 'America/Halifax'),
+('+1', '506', 'America/Moncton'),
+('+1', '709', 'America/St_Johns')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,336 @@
+-- Do-not-call lists
+-- Entries without a user_id are global and block every user's calls to that number.
+CREATE TABLE IF NOT EXISTS do_not_call_entries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE, -- NULL for the global list
+    phone_number TEXT NOT NULL, -- Normalized with normalize_phone_number()
+    reason TEXT,
+    source TEXT NOT NULL DEFAULT 'manual', -- 'manual', 'import', 'webhook', 'transcript'
+    queue_id UUID REFERENCES call_queue(id) ON DELETE SET NULL, -- Call that triggered an automatic opt-out
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_do_not_call_user_phone ON do_not_call_entries (user_id, phone_number) WHERE user_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_do_not_call_global_phone ON do_not_call_entries (phone_number) WHERE user_id IS NULL;
+
+-- Calls that were refused because of a do-not-call entry
+CREATE TABLE IF NOT EXISTS blocked_call_attempts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    queue_id UUID REFERENCES call_queue(id) ON DELETE SET NULL, -- NULL when refused at schedule time
+    phone_number TEXT NOT NULL,
+    error_code TEXT NOT NULL, -- 'DO_NOT_CALL_GLOBAL' or 'DO_NOT_CALL_USER'
+    entry_id UUID REFERENCES do_not_call_entries(id) ON DELETE SET NULL,
+    stage TEXT NOT NULL, -- 'schedule' or 'dispatch'
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_blocked_call_attempts_user ON blocked_call_attempts (user_id, created_at DESC);
+
+-- Machine-readable reason for the last failure of a queued call
+ALTER TABLE call_queue
+ADD COLUMN IF NOT EXISTS error_code TEXT;
+
+-- Users manage their own list; the global list is admin-only
+ALTER TABLE do_not_call_entries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY do_not_call_entries_user_policy ON do_not_call_entries
+    USING (user_id = auth.uid())
+    WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY admin_do_not_call_entries_policy ON do_not_call_entries
+    USING (auth.jwt() ->> 'role' = 'admin')
+    WITH CHECK (auth.jwt() ->> 'role' = 'admin');
+
+ALTER TABLE blocked_call_attempts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY blocked_call_attempts_policy ON blocked_call_attempts
+    FOR SELECT
+    USING (user_id = auth.uid());
+
+-- Function to normalize a phone number for comparisons
+-- Numbers without a '+' are treated as North American.
+CREATE OR REPLACE FUNCTION normalize_phone_number(phone_param TEXT)
+RETURNS TEXT AS $$
+DECLARE
+    digits TEXT;
+BEGIN
+    IF phone_param IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    digits := regexp_replace(phone_param, '[^0-9]', '', 'g');
+
+    IF digits = '' THEN
+        RETURN NULL;
+    END IF;
+
+    IF btrim(phone_param) NOT LIKE '+%' THEN
+        IF length(digits) = 10 THEN
+            digits := '1' || digits;
+        END IF;
+    END IF;
+
+    RETURN '+' || digits;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Function to find the do-not-call entry blocking a user's call to a number
+-- Returns no rows when the call is allowed. Global entries take precedence.
+CREATE OR REPLACE FUNCTION check_do_not_call(
+    user_id_param UUID,
+    phone_param TEXT
+)
+RETURNS TABLE (
+    entry_id UUID,
+    error_code TEXT,
+    reason TEXT
+) AS $$
+    SELECT
+        dnc.id AS entry_id,
+        CASE WHEN dnc.user_id IS NULL THEN 'DO_NOT_CALL_GLOBAL' ELSE 'DO_NOT_CALL_USER' END AS error_code,
+        dnc.reason
+    FROM
+        do_not_call_entries dnc
+    WHERE
+        dnc.phone_number = normalize_phone_number(phone_param)
+        AND (dnc.user_id IS NULL OR dnc.user_id = user_id_param)
+    ORDER BY
+        dnc.user_id NULLS FIRST
+    LIMIT 1;
+$$ LANGUAGE sql STABLE;
+
+-- Function to add a number to a user's list (or the global list when user_id_param is NULL)
+CREATE OR REPLACE FUNCTION add_do_not_call(
+    user_id_param UUID,
+    phone_param TEXT,
+    reason_param TEXT DEFAULT NULL,
+    source_param TEXT DEFAULT 'manual',
+    queue_id_param UUID DEFAULT NULL
+)
+RETURNS UUID AS $$
+DECLARE
+    normalized TEXT := normalize_phone_number(phone_param);
+    entry_id UUID;
+BEGIN
+    IF normalized IS NULL OR length(normalized) < 8 THEN
+        RAISE EXCEPTION 'Invalid phone number: %', phone_param;
+    END IF;
+
+    SELECT dnc.id INTO entry_id
+    FROM do_not_call_entries dnc
+    WHERE dnc.phone_number = normalized
+        AND dnc.user_id IS NOT DISTINCT FROM user_id_param;
+
+    IF entry_id IS NULL THEN
+        INSERT INTO do_not_call_entries (user_id, phone_number, reason, source, queue_id)
+        VALUES (user_id_param, normalized, reason_param, source_param, queue_id_param)
+        RETURNING id INTO entry_id;
+    END IF;
+
+    RETURN entry_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to add many numbers to a user's list (or the global list) in one statement
+-- entries_param is an array of { phoneNumber, reason }. Numbers already on the list are
+-- left as they are; invalid numbers are reported with their 1-based position:
+-- { total, imported, errors: [{ row, phoneNumber, error }] }
+CREATE OR REPLACE FUNCTION import_do_not_call(
+    user_id_param UUID,
+    entries_param JSONB,
+    source_param TEXT DEFAULT 'import'
+)
+RETURNS JSONB AS $$
+    WITH entries AS (
+        SELECT
+            e.row_number,
+            e.entry ->> 'phoneNumber' AS phone_number,
+            NULLIF(e.entry ->> 'reason', '') AS reason,
+            normalized.phone AS normalized_phone,
+            COALESCE(length(normalized.phone) >= 8, FALSE) AS is_valid
+        FROM jsonb_array_elements(COALESCE(entries_param, '[]'::JSONB)) WITH ORDINALITY AS e(entry, row_number)
+        CROSS JOIN LATERAL (SELECT normalize_phone_number(e.entry ->> 'phoneNumber') AS phone) normalized
+    ),
+    inserted AS (
+        INSERT INTO do_not_call_entries (user_id, phone_number, reason, source)
+        SELECT DISTINCT ON (entries.normalized_phone)
+            user_id_param,
+            entries.normalized_phone,
+            entries.reason,
+            source_param
+        FROM entries
+        WHERE entries.is_valid
+        ORDER BY entries.normalized_phone, entries.row_number
+        ON CONFLICT DO NOTHING
+        RETURNING id
+    )
+    SELECT jsonb_build_object(
+        'total', COUNT(*),
+        'imported', COUNT(*) FILTER (WHERE entries.is_valid),
+        'errors', COALESCE(
+            jsonb_agg(jsonb_build_object(
+                'row', entries.row_number,
+                'phoneNumber', entries.phone_number,
+                'error', 'Invalid phone number: ' || COALESCE(entries.phone_number, '')
+            ) ORDER BY entries.row_number) FILTER (WHERE NOT entries.is_valid),
+            '[]'::JSONB
+        )
+    )
+    FROM entries;
+$$ LANGUAGE sql;
+
+-- Function to remove a number from a user's list (or the global list)
+CREATE OR REPLACE FUNCTION remove_do_not_call(
+    user_id_param UUID,
+    phone_param TEXT
+)
+RETURNS BOOLEAN AS $$
+BEGIN
+    DELETE FROM do_not_call_entries
+    WHERE phone_number = normalize_phone_number(phone_param)
+        AND user_id IS NOT DISTINCT FROM user_id_param;
+
+    RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to log a call refused because of a do-not-call entry
+CREATE OR REPLACE FUNCTION record_blocked_call_attempt(
+    user_id_param UUID,
+    queue_id_param UUID,
+    phone_param TEXT,
+    error_code_param TEXT,
+    entry_id_param UUID,
+    stage_param TEXT
+)
+RETURNS UUID AS $$
+    INSERT INTO blocked_call_attempts (user_id, queue_id, phone_number, error_code, entry_id, stage)
+    VALUES (user_id_param, queue_id_param, normalize_phone_number(phone_param), error_code_param, entry_id_param, stage_param)
+    RETURNING id;
+$$ LANGUAGE sql;
+
+-- Function used by the processor right before dialing
+-- Fails the queued call with a DO_NOT_CALL error code and releases its provider slot
+-- if the recipient is on a do-not-call list. Returns TRUE when the call was blocked.
+CREATE OR REPLACE FUNCTION enforce_do_not_call(queue_id_param UUID)
+RETURNS BOOLEAN AS $$
+DECLARE
+    queue_record RECORD;
+    block RECORD;
+BEGIN
+    SELECT * INTO queue_record FROM call_queue WHERE id = queue_id_param FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN FALSE;
+    END IF;
+
+    SELECT * INTO block FROM check_do_not_call(queue_record.user_id, queue_record.recipient_phone);
+
+    IF NOT FOUND THEN
+        RETURN FALSE;
+    END IF;
+
+    PERFORM record_blocked_call_attempt(
+        queue_record.user_id,
+        queue_id_param,
+        queue_record.recipient_phone,
+        block.error_code,
+        block.entry_id,
+        'dispatch'
+    );
+
+    UPDATE call_queue
+    SET
+        status = 'failed',
+        error_code = block.error_code,
+        last_error = 'Recipient is on a do-not-call list',
+        next_retry_time = NULL
+    WHERE id = queue_id_param;
+
+    -- The call never reached the provider, so give back its slot
+    IF queue_record.status = 'processing' AND queue_record.provider_id IS NOT NULL THEN
+        UPDATE provider_availability
+        SET current_calls = GREATEST(0, current_calls - 1)
+        WHERE provider_id = queue_record.provider_id;
+
+        UPDATE call_assignments
+        SET assignment_status = 'failed'
+        WHERE queue_id = queue_id_param AND assignment_status = 'assigned';
+    END IF;
+
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to keep only what the recipient said in a call transcript
+-- Providers label each turn with its speaker ("AI: ...", "User: ..."); the agent's turns
+-- are dropped so its own script cannot read as an opt-out. Unlabelled lines are kept.
+CREATE OR REPLACE FUNCTION transcript_recipient_turns(transcript_param TEXT)
+RETURNS TEXT AS $$
+    SELECT string_agg(line, E'\n')
+    FROM regexp_split_to_table(COALESCE(transcript_param, ''), E'\r?\n') AS line
+    WHERE line !~* '^\s*(ai|assistant|agent|bot|system)\s*:';
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Function to record an opt-out signalled during a call
+-- provider_opt_out_param is the provider's own opt-out flag; otherwise the recipient's
+-- turns of the transcript are checked for common first-person opt-out phrases. Returns
+-- the entry ID, or NULL if no opt-out.
+CREATE OR REPLACE FUNCTION apply_call_opt_out(
+    queue_id_param UUID,
+    transcript_param TEXT DEFAULT NULL,
+    provider_opt_out_param BOOLEAN DEFAULT FALSE
+)
+RETURNS UUID AS $$
+DECLARE
+    queue_record RECORD;
+    source_var TEXT;
+BEGIN
+    IF COALESCE(provider_opt_out_param, FALSE) THEN
+        source_var := 'webhook';
+    ELSIF transcript_recipient_turns(transcript_param) ~* '(do not|don''t|never) (call|contact|phone) (me|us|this number)( again)?|(take|remove|delete) (me|my number|this number) (off|from) (your|the) (list|calling list)|put me on (your|the) do[- ]not[- ]call list|stop calling (me|us|this number)|unsubscribe (me|us|this number)|\m(i|we)( would|''d)? (like|want) to unsubscribe' THEN
+        source_var := 'transcript';
+    ELSE
+        RETURN NULL;
+    END IF;
+
+    SELECT * INTO queue_record FROM call_queue WHERE id = queue_id_param;
+
+    IF NOT FOUND OR queue_record.recipient_phone IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    RETURN add_do_not_call(
+        queue_record.user_id,
+        queue_record.recipient_phone,
+        'Recipient opted out during a call',
+        source_var,
+        queue_id_param
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Expose the error code in the queue status view
+CREATE OR REPLACE VIEW user_call_queue_status
+WITH (security_invoker = true) AS
+SELECT
+    cq.id,
+    cq.user_id,
+    cq.template_id,
+    cq.recipient_name,
+    cq.recipient_phone,
+    cq.status,
+    cq.scheduled_time,
+    cq.priority,
+    cq.attempt_count,
+    policy.max_retries,
+    cq.next_retry_time,
+    cq.last_error,
+    cq.last_attempt,
+    cq.created_at,
+    cq.updated_at,
+    cq.error_code
+FROM
+    call_queue cq
+LEFT JOIN LATERAL get_retry_policy(cq.id) policy ON TRUE;
@@ -0,0 +1,366 @@
+-- Call campaigns
+-- A campaign enqueues many calls that share a template, assistant, phone number and schedule.
+CREATE TABLE IF NOT EXISTS call_campaigns (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    template_id UUID NOT NULL REFERENCES call_templates(id),
+    assistant_id UUID REFERENCES provider_assistants(id),
+    phone_number_id UUID REFERENCES provider_phone_numbers(id),
+    scheduled_time TIMESTAMP WITH TIME ZONE, -- NULL to start immediately
+    priority INTEGER NOT NULL DEFAULT 5,
+    status TEXT NOT NULL DEFAULT 'active', -- 'active', 'paused', 'canceled'
+    metadata JSONB,
+    rows_imported INTEGER NOT NULL DEFAULT 0,
+    rows_rejected INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_call_campaigns_user ON call_campaigns (user_id, created_at DESC);
+
+ALTER TABLE call_queue
+ADD COLUMN IF NOT EXISTS campaign_id UUID REFERENCES call_campaigns(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_call_queue_campaign ON call_queue (campaign_id, status) WHERE campaign_id IS NOT NULL;
+
+-- Users can only see and manage their own campaigns
+ALTER TABLE call_campaigns ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY call_campaigns_policy ON call_campaigns
+    USING (user_id = auth.uid())
+    WITH CHECK (user_id = auth.uid());
+
+CREATE TRIGGER update_call_campaigns_updated_at
+BEFORE UPDATE ON call_campaigns
+FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
+
+-- Function to validate variable values against a template's template_variables
+-- Returns one row per problem; no rows means the variables are valid.
+CREATE OR REPLACE FUNCTION validate_template_variables(
+    template_id_param UUID,
+    variables_param JSONB
+)
+RETURNS TABLE (
+    variable_name TEXT,
+    display_name TEXT,
+    error TEXT
+) AS $$
+    SELECT
+        tv.variable_name,
+        tv.display_name,
+        CASE
+            WHEN COALESCE(variables_param ->> tv.variable_name, '') = '' THEN 'required'
+            ELSE 'invalid_format'
+        END AS error
+    FROM
+        template_variables tv
+    WHERE
+        tv.template_id = template_id_param
+        AND (
+            (tv.is_required AND COALESCE(variables_param ->> tv.variable_name, '') = '')
+            OR (
+                tv.validation_regex IS NOT NULL
+                AND COALESCE(variables_param ->> tv.variable_name, '') <> ''
+                AND NOT (variables_param ->> tv.variable_name) ~ tv.validation_regex
+            )
+        )
+    ORDER BY
+        tv.variable_name;
+$$ LANGUAGE sql STABLE;
+
+-- Function to validate and enqueue a campaign's recipients
+-- recipients_param is an array of { phone, name, email, timezone, variables }.
+-- Valid rows are enqueued unless validate_only_param is set; invalid rows are reported
+-- with their 1-based position: { total, valid, enqueued, errors: [{ row, phone, errors }] }
+CREATE OR REPLACE FUNCTION import_campaign_recipients(
+    campaign_id_param UUID,
+    recipients_param JSONB,
+    validate_only_param BOOLEAN DEFAULT FALSE
+)
+RETURNS JSONB AS $$
+DECLARE
+    campaign RECORD;
+    recipient JSONB;
+    row_index INTEGER := 0;
+    row_errors JSONB;
+    block RECORD;
+    normalized_phone TEXT;
+    seen_phones TEXT[] := ARRAY[]::TEXT[];
+    report_errors JSONB := '[]'::JSONB;
+    valid_count INTEGER := 0;
+    enqueued_count INTEGER := 0;
+BEGIN
+    SELECT * INTO campaign FROM call_campaigns WHERE id = campaign_id_param;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Campaign not found';
+    END IF;
+
+    IF campaign.status = 'canceled' THEN
+        RAISE EXCEPTION 'Campaign has been canceled';
+    END IF;
+
+    -- Recipients already in the campaign
+    SELECT COALESCE(array_agg(normalize_phone_number(cq.recipient_phone)), ARRAY[]::TEXT[])
+    INTO seen_phones
+    FROM call_queue cq
+    WHERE cq.campaign_id = campaign_id_param;
+
+    FOR recipient IN SELECT * FROM jsonb_array_elements(recipients_param) LOOP
+        row_index := row_index + 1;
+        row_errors := '[]'::JSONB;
+        normalized_phone := normalize_phone_number(recipient ->> 'phone');
+
+        IF normalized_phone IS NULL OR length(normalized_phone) < 8 THEN
+            row_errors := row_errors || jsonb_build_object('field', 'phone', 'error', 'invalid_phone');
+        ELSIF normalized_phone = ANY(seen_phones) THEN
+            row_errors := row_errors || jsonb_build_object('field', 'phone', 'error', 'duplicate_recipient');
+        ELSE
+            SELECT * INTO block FROM check_do_not_call(campaign.user_id, normalized_phone);
+
+            IF FOUND THEN
+                row_errors := row_errors || jsonb_build_object('field', 'phone', 'error', block.error_code);
+            END IF;
+        END IF;
+
+        IF COALESCE(recipient ->> 'timezone', '') <> ''
+            AND NOT EXISTS (SELECT 1 FROM pg_timezone_names WHERE name = recipient ->> 'timezone') THEN
+            row_errors := row_errors || jsonb_build_object('field', 'timezone', 'error', 'invalid_timezone');
+        END IF;
+
+        row_errors := row_errors || COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'field', v.variable_name,
+                'displayName', v.display_name,
+                'error', v.error
+            ))
+            FROM validate_template_variables(campaign.template_id, COALESCE(recipient -> 'variables', '{}'::JSONB)) v
+        ), '[]'::JSONB);
+
+        IF jsonb_array_length(row_errors) > 0 THEN
+            report_errors := report_errors || jsonb_build_object(
+                'row', row_index,
+                'phone', recipient ->> 'phone',
+                'errors', row_errors
+            );
+            CONTINUE;
+        END IF;
+
+        valid_count := valid_count + 1;
+        seen_phones := array_append(seen_phones, normalized_phone);
+
+        IF NOT validate_only_param THEN
+            INSERT INTO call_queue (
+                user_id,
+                template_id,
+                campaign_id,
+                recipient_name,
+                recipient_phone,
+                recipient_email,
+                recipient_timezone,
+                scheduled_time,
+                priority,
+                status,
+                custom_variables,
+                metadata,
+                assistant_id,
+                phone_number_id
+            ) VALUES (
+                campaign.user_id,
+                campaign.template_id,
+                campaign.id,
+                recipient ->> 'name',
+                recipient ->> 'phone',
+                recipient ->> 'email',
+                NULLIF(recipient ->> 'timezone', ''),
+                campaign.scheduled_time,
+                campaign.priority,
+                'pending',
+                COALESCE(recipient -> 'variables', '{}'::JSONB),
+                COALESCE(campaign.metadata, '{}'::JSONB) || jsonb_build_object('campaign_row', row_index),
+                campaign.assistant_id,
+                campaign.phone_number_id
+            );
+
+            enqueued_count := enqueued_count + 1;
+        END IF;
+    END LOOP;
+
+    IF NOT validate_only_param THEN
+        UPDATE call_campaigns
+        SET
+            rows_imported = rows_imported + enqueued_count,
+            rows_rejected = rows_rejected + jsonb_array_length(report_errors)
+        WHERE id = campaign_id_param;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'total', row_index,
+        'valid', valid_count,
+        'enqueued', enqueued_count,
+        'errors', report_errors
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to pause, resume or cancel a campaign
+-- Paused campaigns keep their calls pending but claim_next_calls skips them.
+-- Canceling also cancels every call that has not been dialed yet.
+CREATE OR REPLACE FUNCTION set_campaign_status(
+    campaign_id_param UUID,
+    status_param TEXT
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+    current_status TEXT;
+BEGIN
+    IF status_param NOT IN ('active', 'paused', 'canceled') THEN
+        RAISE EXCEPTION 'Invalid campaign status: %', status_param;
+    END IF;
+
+    SELECT status INTO current_status FROM call_campaigns WHERE id = campaign_id_param FOR UPDATE;
+
+    IF NOT FOUND OR current_status = 'canceled' THEN
+        RETURN FALSE;
+    END IF;
+
+    UPDATE call_campaigns
+    SET status = status_param
+    WHERE id = campaign_id_param;
+
+    IF status_param = 'canceled' THEN
+        UPDATE call_queue
+        SET
+            status = 'canceled',
+            notes = 'Campaign canceled'
+        WHERE
+            campaign_id = campaign_id_param
+            AND status = 'pending';
+    END IF;
+
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Campaign progress counters
+CREATE OR REPLACE VIEW campaign_progress
+WITH (security_invoker = true) AS
+SELECT
+    cc.id AS campaign_id,
+    cc.user_id,
+    cc.name,
+    cc.status,
+    cc.rows_imported,
+    cc.rows_rejected,
+    COUNT(cq.id) AS total_calls,
+    COUNT(cq.id) FILTER (WHERE cq.status = 'pending') AS pending_calls,
+    COUNT(cq.id) FILTER (WHERE cq.status = 'processing') AS processing_calls,
+    COUNT(cq.id) FILTER (WHERE cq.status = 'completed') AS completed_calls,
+    COUNT(cq.id) FILTER (WHERE cq.status = 'failed') AS failed_calls,
+    COUNT(cq.id) FILTER (WHERE cq.status = 'canceled') AS canceled_calls,
+    -- Nothing left to dial or waiting on a provider
+    COUNT(cq.id) > 0 AND COUNT(cq.id) FILTER (WHERE cq.status IN ('pending', 'processing')) = 0 AS is_finished,
+    cc.created_at,
+    cc.updated_at
+FROM
+    call_campaigns cc
+LEFT JOIN call_queue cq ON cq.campaign_id = cc.id
+GROUP BY
+    cc.id;
+
+-- Update claim_next_calls to skip calls of paused campaigns
+CREATE OR REPLACE FUNCTION claim_next_calls(
+    worker_id_param TEXT,
+    batch_size_param INTEGER DEFAULT 1
+)
+RETURNS TABLE (
+    queue_id UUID,
+    user_id UUID,
+    template_id UUID,
+    provider_id UUID,
+    priority INTEGER,
+    scheduled_time TIMESTAMP WITH TIME ZONE
+) AS $$
+DECLARE
+    candidate RECORD;
+    route RECORD;
+    allowed_time TIMESTAMP WITH TIME ZONE;
+BEGIN
+    FOR candidate IN
+        SELECT
+            cq.id,
+            cq.user_id,
+            cq.template_id,
+            cq.recipient_phone,
+            cq.recipient_timezone
+        FROM
+            call_queue cq
+        WHERE
+            cq.status = 'pending'
+            AND (cq.scheduled_time IS NULL OR cq.scheduled_time <= CURRENT_TIMESTAMP)
+            AND (cq.next_retry_time IS NULL OR cq.next_retry_time <= CURRENT_TIMESTAMP)
+            AND (
+                cq.campaign_id IS NULL
+                OR EXISTS (SELECT 1 FROM call_campaigns cc WHERE cc.id = cq.campaign_id AND cc.status = 'active')
+            )
+        ORDER BY
+            cq.priority ASC,
+            cq.created_at ASC
+        LIMIT batch_size_param
+        FOR UPDATE SKIP LOCKED
+    LOOP
+        allowed_time := next_allowed_call_time(
+            CURRENT_TIMESTAMP,
+            get_calling_window(candidate.user_id, candidate.template_id),
+            resolve_recipient_timezone(candidate.user_id, candidate.recipient_phone, candidate.recipient_timezone)
+        );
+
+        -- Outside the calling window: hold the call until the window opens
+        IF allowed_time IS NULL OR allowed_time > CURRENT_TIMESTAMP THEN
+            IF allowed_time IS NULL THEN
+                UPDATE call_queue
+                SET
+                    status = 'failed',
+                    last_error = 'Calling window has no allowed days'
+                WHERE id = candidate.id;
+            ELSE
+                UPDATE call_queue
+                SET
+                    scheduled_time = allowed_time,
+                    notes = 'Held until the recipient''s calling window opens'
+                WHERE id = candidate.id;
+            END IF;
+
+            CONTINUE;
+        END IF;
+
+        SELECT * INTO route FROM route_call(candidate.id);
+
+        -- No provider can serve this call right now, leave it pending
+        CONTINUE WHEN NOT FOUND;
+
+        IF assign_call_to_provider(candidate.id, route.provider_id, route.routing) THEN
+            UPDATE call_queue
+            SET
+                claimed_by = worker_id_param,
+                claimed_at = CURRENT_TIMESTAMP,
+                next_retry_time = NULL
+            WHERE id = candidate.id;
+
+            RETURN QUERY
+            SELECT
+                cq.id AS queue_id,
+                cq.user_id,
+                cq.template_id,
+                cq.provider_id,
+                cq.priority,
+                cq.scheduled_time
+            FROM
+                call_queue cq
+            WHERE
+                cq.id = candidate.id;
+        END IF;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql;
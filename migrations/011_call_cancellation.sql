@@ -0,0 +1,248 @@
+-- Cancelling queued and in-progress calls
+-- Calls already with a provider are hung up by the queue processor, so cancelling them
+-- only records the request here.
+ALTER TABLE call_queue
+ADD COLUMN IF NOT EXISTS cancel_requested_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_call_queue_cancel_requested ON call_queue (cancel_requested_at) WHERE cancel_requested_at IS NOT NULL AND status = 'processing';
+
+-- Function to cancel a queued call
+-- Returns 'canceled' when a pending call was canceled outright, 'cancel_requested' when
+-- the call is with a provider and the processor will hang it up, or 'not_cancelable'.
+CREATE OR REPLACE FUNCTION cancel_call(
+    queue_id_param UUID,
+    reason_param TEXT DEFAULT NULL
+)
+RETURNS TEXT AS $$
+DECLARE
+    queue_record RECORD;
+BEGIN
+    SELECT * INTO queue_record FROM call_queue WHERE id = queue_id_param FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Queue record not found';
+    END IF;
+
+    IF queue_record.status = 'pending' THEN
+        UPDATE call_queue
+        SET
+            status = 'canceled',
+            next_retry_time = NULL,
+            notes = COALESCE(reason_param, 'Canceled by user')
+        WHERE id = queue_id_param;
+
+        RETURN 'canceled';
+    END IF;
+
+    IF queue_record.status = 'processing' THEN
+        UPDATE call_queue
+        SET
+            cancel_requested_at = COALESCE(cancel_requested_at, CURRENT_TIMESTAMP),
+            notes = COALESCE(reason_param, 'Canceled by user')
+        WHERE id = queue_id_param;
+
+        RETURN 'cancel_requested';
+    END IF;
+
+    RETURN 'not_cancelable';
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to finalize a call that was hung up after a cancel request
+-- Records the call in call_history, releases the provider slot and counts any minutes
+-- the call actually used. Returns the call_history ID, or NULL if the call was no longer
+-- with a provider.
+CREATE OR REPLACE FUNCTION finalize_canceled_call(
+    queue_id_param UUID,
+    duration_param INTEGER DEFAULT 0,
+    recording_url_param TEXT DEFAULT NULL,
+    transcript_param TEXT DEFAULT NULL
+)
+RETURNS UUID AS $$
+DECLARE
+    queue_record RECORD;
+    call_record_id UUID;
+    duration_var INTEGER := COALESCE(duration_param, 0);
+BEGIN
+    SELECT * INTO queue_record FROM call_queue WHERE id = queue_id_param FOR UPDATE;
+
+    IF NOT FOUND OR queue_record.status <> 'processing' THEN
+        RETURN NULL;
+    END IF;
+
+    INSERT INTO call_history (
+        user_id,
+        template_id,
+        call_start,
+        call_end,
+        duration,
+        recipient_name,
+        recipient_phone,
+        recipient_email,
+        recording_url,
+        transcript,
+        call_status,
+        provider_id,
+        provider_call_id,
+        queue_id,
+        metadata
+    ) VALUES (
+        queue_record.user_id,
+        queue_record.template_id,
+        CURRENT_TIMESTAMP - (duration_var || ' seconds')::INTERVAL,
+        CURRENT_TIMESTAMP,
+        duration_var,
+        queue_record.recipient_name,
+        queue_record.recipient_phone,
+        queue_record.recipient_email,
+        recording_url_param,
+        transcript_param,
+        'canceled',
+        queue_record.provider_id,
+        queue_record.provider_call_id,
+        queue_id_param,
+        COALESCE(queue_record.metadata, '{}'::JSONB) || jsonb_build_object('cancel_requested_at', queue_record.cancel_requested_at)
+    )
+    RETURNING id INTO call_record_id;
+
+    UPDATE call_queue
+    SET status = 'canceled'
+    WHERE id = queue_id_param;
+
+    UPDATE provider_availability
+    SET current_calls = GREATEST(0, current_calls - 1)
+    WHERE provider_id = queue_record.provider_id;
+
+    UPDATE call_assignments
+    SET assignment_status = 'canceled'
+    WHERE queue_id = queue_id_param AND assignment_status = 'assigned';
+
+    -- Only calls that connected use up the allowance
+    IF duration_var > 0 THEN
+        UPDATE user_call_usage
+        SET
+            calls_used = calls_used + 1,
+            minutes_used = minutes_used + CEILING(duration_var / 60.0),
+            calls_remaining = GREATEST(0, calls_remaining - 1),
+            minutes_remaining = GREATEST(0, minutes_remaining - CEILING(duration_var / 60.0)),
+            last_updated = CURRENT_TIMESTAMP
+        WHERE
+            user_id = queue_record.user_id
+            AND current_timestamp BETWEEN billing_period_start AND billing_period_end;
+    END IF;
+
+    RETURN call_record_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Cancel instead of retrying calls that fail after a cancel request
+-- A failed dial would otherwise put the call back in the queue and dial it again.
+CREATE OR REPLACE FUNCTION handle_failed_call(
+    queue_id_param UUID,
+    error_message TEXT,
+    retry BOOLEAN DEFAULT TRUE
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+    queue_record RECORD;
+    policy RECORD;
+    provider_id_var UUID;
+    retry_number INTEGER;
+    retry_delay_seconds NUMERIC;
+    retry_at TIMESTAMP WITH TIME ZONE;
+BEGIN
+    -- Get the queue record
+    SELECT * INTO queue_record FROM call_queue WHERE id = queue_id_param;
+
+    IF NOT FOUND THEN
+        RETURN FALSE;
+    END IF;
+
+    provider_id_var := queue_record.provider_id;
+
+    -- Update provider availability
+    IF provider_id_var IS NOT NULL THEN
+        UPDATE provider_availability
+        SET current_calls = GREATEST(0, current_calls - 1)
+        WHERE provider_id = provider_id_var;
+
+        -- Update call assignment
+        UPDATE call_assignments
+        SET
+            assignment_status = 'failed',
+            provider_response = jsonb_build_object('error', error_message)
+        WHERE
+            queue_id = queue_id_param
+            AND assignment_status = 'assigned';
+    END IF;
+
+    -- The user canceled the call while it was being dialed; never dial it again
+    IF queue_record.cancel_requested_at IS NOT NULL THEN
+        UPDATE call_queue
+        SET
+            status = 'canceled',
+            next_retry_time = NULL,
+            last_error = error_message
+        WHERE id = queue_id_param;
+
+        RETURN FALSE;
+    END IF;
+
+    SELECT * INTO policy FROM get_retry_policy(queue_id_param);
+
+    -- Check if we should retry
+    IF retry AND queue_record.attempt_count < policy.max_retries THEN
+        -- Exponential backoff: base * multiplier^(retries so far), capped at the max delay
+        retry_number := GREATEST(queue_record.attempt_count, 1);
+        retry_delay_seconds := LEAST(
+            policy.max_delay_seconds,
+            policy.base_delay_seconds * POWER(policy.backoff_multiplier, retry_number - 1)
+        );
+        retry_at := CURRENT_TIMESTAMP + (retry_delay_seconds || ' seconds')::INTERVAL;
+
+        -- Put the call back in the queue, but hold it until the retry time
+        UPDATE call_queue
+        SET
+            status = 'pending',
+            provider_id = NULL,
+            provider_call_id = NULL,
+            next_retry_time = retry_at,
+            last_error = error_message
+        WHERE id = queue_id_param;
+
+        -- Insert or update retry record
+        INSERT INTO call_retries (
+            queue_id,
+            retry_count,
+            last_error,
+            last_provider_id,
+            next_retry_time
+        ) VALUES (
+            queue_id_param,
+            retry_number,
+            error_message,
+            provider_id_var,
+            retry_at
+        )
+        ON CONFLICT (queue_id)
+        DO UPDATE SET
+            retry_count = EXCLUDED.retry_count,
+            last_error = EXCLUDED.last_error,
+            last_provider_id = EXCLUDED.last_provider_id,
+            next_retry_time = EXCLUDED.next_retry_time
+        ;
+
+        RETURN TRUE;
+    ELSE
+        -- Mark as failed permanently
+        UPDATE call_queue
+        SET
+            status = 'failed',
+            next_retry_time = NULL,
+            last_error = error_message
+        WHERE id = queue_id_param;
+
+        RETURN FALSE;
+    END IF;
+END;
+$$ LANGUAGE plpgsql;
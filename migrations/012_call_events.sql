@@ -0,0 +1,109 @@
+-- Call event timeline
+-- Every provider callback is stored with its normalized status and raw payload.
+CREATE TABLE IF NOT EXISTS call_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    queue_id UUID NOT NULL REFERENCES call_queue(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE, -- Copied from call_queue for RLS and Realtime filters
+    provider_id UUID REFERENCES call_service_providers(id),
+    provider_call_id TEXT,
+    status TEXT NOT NULL, -- Normalized status: 'pending', 'in-progress', 'completed', 'failed', 'canceled', 'unknown'
+    phase TEXT NOT NULL, -- What a UI shows: 'queued', 'dialing', 'ringing', 'connected', 'ended'
+    source TEXT NOT NULL DEFAULT 'webhook', -- 'webhook' or 'system'
+    payload JSONB, -- Raw provider payload
+    occurred_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_call_events_queue ON call_events (queue_id, occurred_at);
+CREATE INDEX IF NOT EXISTS idx_call_events_user ON call_events (user_id, occurred_at DESC);
+
+-- Users can only see events for their own calls
+ALTER TABLE call_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY call_events_policy ON call_events
+    FOR SELECT
+    USING (user_id = auth.uid());
+
+-- Publish new events to Supabase Realtime
+ALTER PUBLICATION supabase_realtime ADD TABLE call_events;
+
+-- Function to map a normalized status to the phase shown to users
+CREATE OR REPLACE FUNCTION call_phase(status_param TEXT)
+RETURNS TEXT AS $$
+    SELECT CASE status_param
+        WHEN 'pending' THEN 'ringing'
+        WHEN 'in-progress' THEN 'connected'
+        WHEN 'completed' THEN 'ended'
+        WHEN 'failed' THEN 'ended'
+        WHEN 'canceled' THEN 'ended'
+        ELSE 'dialing'
+    END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Function to add an event to a call's timeline
+CREATE OR REPLACE FUNCTION record_call_event(
+    queue_id_param UUID,
+    status_param TEXT,
+    provider_call_id_param TEXT DEFAULT NULL,
+    payload_param JSONB DEFAULT NULL,
+    source_param TEXT DEFAULT 'webhook'
+)
+RETURNS UUID AS $$
+DECLARE
+    event_id UUID;
+BEGIN
+    INSERT INTO call_events (
+        queue_id,
+        user_id,
+        provider_id,
+        provider_call_id,
+        status,
+        phase,
+        source,
+        payload
+    )
+    SELECT
+        cq.id,
+        cq.user_id,
+        cq.provider_id,
+        COALESCE(provider_call_id_param, cq.provider_call_id),
+        status_param,
+        call_phase(status_param),
+        source_param,
+        payload_param
+    FROM
+        call_queue cq
+    WHERE
+        cq.id = queue_id_param
+    RETURNING id INTO event_id;
+
+    RETURN event_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Current phase of every call, for the initial render before Realtime events arrive
+CREATE OR REPLACE VIEW call_live_status
+WITH (security_invoker = true) AS
+SELECT
+    cq.id AS queue_id,
+    cq.user_id,
+    cq.recipient_name,
+    cq.recipient_phone,
+    cq.status AS queue_status,
+    last_event.status AS last_event_status,
+    CASE
+        WHEN cq.status = 'pending' THEN 'queued'
+        WHEN cq.status IN ('completed', 'failed', 'canceled') THEN 'ended'
+        ELSE COALESCE(last_event.phase, 'dialing')
+    END AS phase,
+    last_event.occurred_at AS last_event_at,
+    cq.provider_call_id,
+    cq.updated_at
+FROM
+    call_queue cq
+LEFT JOIN LATERAL (
+    SELECT ce.status, ce.phase, ce.occurred_at
+    FROM call_events ce
+    WHERE ce.queue_id = cq.id
+    ORDER BY ce.occurred_at DESC
+    LIMIT 1
+) last_event ON TRUE;
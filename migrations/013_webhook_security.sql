@@ -0,0 +1,167 @@
+-- Webhook verification settings per provider
+ALTER TABLE call_service_providers
+ADD COLUMN IF NOT EXISTS webhook_verification TEXT NOT NULL DEFAULT 'hmac-sha256', -- 'hmac-sha256', 'shared-secret' or 'none'
+ADD COLUMN IF NOT EXISTS webhook_secret TEXT, -- Signing key or shared secret; webhooks are rejected while it is NULL
+ADD COLUMN IF NOT EXISTS webhook_signature_header TEXT; -- Header carrying the signature or secret, NULL for the default
+
+-- Webhooks already processed, so redeliveries are acknowledged without being applied twice
+CREATE TABLE IF NOT EXISTS provider_webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    provider_id UUID NOT NULL REFERENCES call_service_providers(id) ON DELETE CASCADE,
+    payload_hash TEXT NOT NULL, -- SHA-256 of the raw request body
+    provider_call_id TEXT,
+    queue_id UUID REFERENCES call_queue(id) ON DELETE SET NULL,
+    status TEXT,
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(provider_id, payload_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_provider_webhook_deliveries_received ON provider_webhook_deliveries (received_at);
+
+-- Only admins can see webhook deliveries
+ALTER TABLE provider_webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY admin_provider_webhook_deliveries_policy ON provider_webhook_deliveries
+    USING (auth.jwt() ->> 'role' = 'admin')
+    WITH CHECK (auth.jwt() ->> 'role' = 'admin');
+
+-- Function to record a webhook delivery
+-- Returns FALSE if the same payload was already received from this provider.
+CREATE OR REPLACE FUNCTION record_webhook_delivery(
+    provider_id_param UUID,
+    payload_hash_param TEXT,
+    provider_call_id_param TEXT DEFAULT NULL,
+    queue_id_param UUID DEFAULT NULL,
+    status_param TEXT DEFAULT NULL
+)
+RETURNS BOOLEAN AS $$
+BEGIN
+    INSERT INTO provider_webhook_deliveries (
+        provider_id,
+        payload_hash,
+        provider_call_id,
+        queue_id,
+        status
+    ) VALUES (
+        provider_id_param,
+        payload_hash_param,
+        provider_call_id_param,
+        queue_id_param,
+        status_param
+    )
+    ON CONFLICT (provider_id, payload_hash) DO NOTHING;
+
+    RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Make complete_call idempotent
+-- A call is only completed while it is processing, and only for the provider call
+-- currently attached to it. Anything else returns the existing call_history ID
+-- (or NULL) without touching history, availability or usage.
+DROP FUNCTION IF EXISTS complete_call(UUID, TEXT, INTEGER, TEXT, TEXT);
+
+CREATE OR REPLACE FUNCTION complete_call(
+    queue_id_param UUID,
+    call_status_param TEXT,
+    duration_param INTEGER,
+    recording_url_param TEXT DEFAULT NULL,
+    transcript_param TEXT DEFAULT NULL,
+    provider_call_id_param TEXT DEFAULT NULL
+)
+RETURNS UUID AS $$
+DECLARE
+    call_record_id UUID;
+    queue_record RECORD;
+    provider_id_var UUID;
+BEGIN
+    -- Get the queue record, serializing concurrent deliveries for the same call
+    SELECT * INTO queue_record FROM call_queue WHERE id = queue_id_param FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Queue record not found';
+    END IF;
+
+    -- Already completed, or the webhook is about an earlier attempt
+    IF queue_record.status <> 'processing'
+        OR (provider_call_id_param IS NOT NULL
+            AND queue_record.provider_call_id IS NOT NULL
+            AND provider_call_id_param <> queue_record.provider_call_id) THEN
+        SELECT ch.id INTO call_record_id
+        FROM call_history ch
+        WHERE ch.queue_id = queue_id_param
+            AND (provider_call_id_param IS NULL OR ch.provider_call_id = provider_call_id_param)
+        ORDER BY ch.created_at DESC
+        LIMIT 1;
+
+        RETURN call_record_id;
+    END IF;
+
+    provider_id_var := queue_record.provider_id;
+
+    -- Create call history record
+    INSERT INTO call_history (
+        user_id,
+        template_id,
+        call_start,
+        call_end,
+        duration,
+        recipient_name,
+        recipient_phone,
+        recipient_email,
+        recording_url,
+        transcript,
+        call_status,
+        provider_id,
+        provider_call_id,
+        queue_id,
+        metadata
+    ) VALUES (
+        queue_record.user_id,
+        queue_record.template_id,
+        CURRENT_TIMESTAMP - (duration_param || ' seconds')::INTERVAL,
+        CURRENT_TIMESTAMP,
+        duration_param,
+        queue_record.recipient_name,
+        queue_record.recipient_phone,
+        queue_record.recipient_email,
+        recording_url_param,
+        transcript_param,
+        call_status_param,
+        provider_id_var,
+        COALESCE(queue_record.provider_call_id, provider_call_id_param),
+        queue_id_param,
+        queue_record.metadata
+    )
+    RETURNING id INTO call_record_id;
+
+    -- Update call queue status
+    UPDATE call_queue
+    SET status = 'completed'
+    WHERE id = queue_id_param;
+
+    -- Update provider availability
+    UPDATE provider_availability
+    SET current_calls = GREATEST(0, current_calls - 1)
+    WHERE provider_id = provider_id_var;
+
+    -- Update call assignment
+    UPDATE call_assignments
+    SET assignment_status = 'completed'
+    WHERE queue_id = queue_id_param AND assignment_status = 'assigned';
+
+    -- Update user call usage
+    UPDATE user_call_usage
+    SET
+        calls_used = calls_used + 1,
+        minutes_used = minutes_used + CEILING(duration_param / 60.0),
+        calls_remaining = GREATEST(0, calls_remaining - 1),
+        minutes_remaining = GREATEST(0, minutes_remaining - CEILING(duration_param / 60.0)),
+        last_updated = CURRENT_TIMESTAMP
+    WHERE
+        user_id = queue_record.user_id
+        AND current_timestamp BETWEEN billing_period_start AND billing_period_end;
+
+    RETURN call_record_id;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,158 @@
+-- Function to find calls whose webhooks may have been lost
+-- Returns calls still processing that have had no event for quiet_minutes, oldest first.
+-- Calls being canceled are left to the cancellation job.
+CREATE OR REPLACE FUNCTION get_calls_to_reconcile(
+    quiet_minutes INTEGER DEFAULT 10,
+    limit_param INTEGER DEFAULT 50
+)
+RETURNS TABLE (
+    queue_id UUID,
+    provider_id UUID,
+    provider_call_id TEXT,
+    last_attempt TIMESTAMP WITH TIME ZONE,
+    last_event_at TIMESTAMP WITH TIME ZONE
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        cq.id,
+        cq.provider_id,
+        cq.provider_call_id,
+        cq.last_attempt,
+        last_event.occurred_at
+    FROM
+        call_queue cq
+    LEFT JOIN LATERAL (
+        SELECT MAX(ce.occurred_at) AS occurred_at
+        FROM call_events ce
+        WHERE ce.queue_id = cq.id
+    ) last_event ON TRUE
+    WHERE
+        cq.status = 'processing'
+        AND cq.cancel_requested_at IS NULL
+        AND GREATEST(cq.last_attempt, last_event.occurred_at)
+            < CURRENT_TIMESTAMP - (quiet_minutes || ' minutes')::INTERVAL
+    ORDER BY
+        cq.last_attempt ASC
+    LIMIT limit_param;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Only fail calls that are still processing
+-- The reconciler can fail a call at the same moment a late webhook completes it;
+-- whichever runs second leaves the call alone. A call the user asked to cancel is
+-- canceled instead of being retried.
+CREATE OR REPLACE FUNCTION handle_failed_call(
+    queue_id_param UUID,
+    error_message TEXT,
+    retry BOOLEAN DEFAULT TRUE
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+    queue_record RECORD;
+    policy RECORD;
+    provider_id_var UUID;
+    retry_number INTEGER;
+    retry_delay_seconds NUMERIC;
+    retry_at TIMESTAMP WITH TIME ZONE;
+BEGIN
+    -- Get the queue record, serializing with complete_call
+    SELECT * INTO queue_record FROM call_queue WHERE id = queue_id_param FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN FALSE;
+    END IF;
+
+    -- A webhook finalized the call first
+    IF queue_record.status <> 'processing' THEN
+        RETURN FALSE;
+    END IF;
+
+    provider_id_var := queue_record.provider_id;
+
+    -- Update provider availability
+    IF provider_id_var IS NOT NULL THEN
+        UPDATE provider_availability
+        SET current_calls = GREATEST(0, current_calls - 1)
+        WHERE provider_id = provider_id_var;
+
+        -- Update call assignment
+        UPDATE call_assignments
+        SET
+            assignment_status = 'failed',
+            provider_response = jsonb_build_object('error', error_message)
+        WHERE
+            queue_id = queue_id_param
+            AND assignment_status = 'assigned';
+    END IF;
+
+    -- The user canceled the call while it was being dialed; never dial it again
+    IF queue_record.cancel_requested_at IS NOT NULL THEN
+        UPDATE call_queue
+        SET
+            status = 'canceled',
+            next_retry_time = NULL,
+            last_error = error_message
+        WHERE id = queue_id_param;
+
+        RETURN FALSE;
+    END IF;
+
+    SELECT * INTO policy FROM get_retry_policy(queue_id_param);
+
+    -- Check if we should retry
+    IF retry AND queue_record.attempt_count < policy.max_retries THEN
+        -- Exponential backoff: base * multiplier^(retries so far), capped at the max delay
+        retry_number := GREATEST(queue_record.attempt_count, 1);
+        retry_delay_seconds := LEAST(
+            policy.max_delay_seconds,
+            policy.base_delay_seconds * POWER(policy.backoff_multiplier, retry_number - 1)
+        );
+        retry_at := CURRENT_TIMESTAMP + (retry_delay_seconds || ' seconds')::INTERVAL;
+
+        -- Put the call back in the queue, but hold it until the retry time
+        UPDATE call_queue
+        SET
+            status = 'pending',
+            provider_id = NULL,
+            provider_call_id = NULL,
+            next_retry_time = retry_at,
+            last_error = error_message
+        WHERE id = queue_id_param;
+
+        -- Insert or update retry record
+        INSERT INTO call_retries (
+            queue_id,
+            retry_count,
+            last_error,
+            last_provider_id,
+            next_retry_time
+        ) VALUES (
+            queue_id_param,
+            retry_number,
+            error_message,
+            provider_id_var,
+            retry_at
+        )
+        ON CONFLICT (queue_id)
+        DO UPDATE SET
+            retry_count = EXCLUDED.retry_count,
+            last_error = EXCLUDED.last_error,
+            last_provider_id = EXCLUDED.last_provider_id,
+            next_retry_time = EXCLUDED.next_retry_time
+        ;
+
+        RETURN TRUE;
+    ELSE
+        -- Mark as failed permanently
+        UPDATE call_queue
+        SET
+            status = 'failed',
+            next_retry_time = NULL,
+            last_error = error_message
+        WHERE id = queue_id_param;
+
+        RETURN FALSE;
+    END IF;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,285 @@
+-- Template rendering
+-- Scripts are rendered here so the queue processor and the edge functions produce
+-- exactly the same text. Supported syntax:
+--   {{name}}                             variable, or its template_variables.default_value
+--   {{name | upper}}                     filters: upper, lower, capitalize, phone,
+--   {{name | date: "FMDay, FMMonth FMDD"}}  date (optional to_char format), default: "text"
+--   {{#if name}}...{{else}}...{{/if}}    conditional section, {{#if not name}} to negate
+-- Placeholders that cannot be resolved are reported as errors instead of being dialed.
+
+-- Function to format a phone number for reading aloud
+-- NANP numbers become (415) 555-0101; anything else is returned as +<digits>.
+CREATE OR REPLACE FUNCTION format_phone_for_script(phone_param TEXT)
+RETURNS TEXT AS $$
+DECLARE
+    normalized TEXT := normalize_phone_number(phone_param);
+BEGIN
+    IF normalized ~ '^\+1[0-9]{10}$' THEN
+        RETURN format('(%s) %s-%s', substr(normalized, 3, 3), substr(normalized, 6, 3), substr(normalized, 9, 4));
+    END IF;
+
+    RETURN COALESCE(normalized, phone_param);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Function to apply one placeholder filter to a value
+-- filter_error is 'unknown_filter' or 'invalid_date' when the filter cannot be applied.
+CREATE OR REPLACE FUNCTION apply_template_filter(
+    value_param TEXT,
+    filter_param TEXT,
+    argument_param TEXT DEFAULT NULL,
+    OUT result TEXT,
+    OUT filter_error TEXT
+) AS $$
+BEGIN
+    result := value_param;
+
+    IF filter_param = 'default' THEN
+        result := COALESCE(NULLIF(value_param, ''), argument_param);
+        RETURN;
+    END IF;
+
+    -- Every other filter leaves a missing value missing
+    IF COALESCE(value_param, '') = '' THEN
+        RETURN;
+    END IF;
+
+    CASE filter_param
+        WHEN 'upper', 'uppercase' THEN
+            result := upper(value_param);
+        WHEN 'lower', 'lowercase' THEN
+            result := lower(value_param);
+        WHEN 'capitalize' THEN
+            result := initcap(value_param);
+        WHEN 'phone' THEN
+            result := format_phone_for_script(value_param);
+        WHEN 'date' THEN
+            BEGIN
+                result := to_char(value_param::TIMESTAMP, COALESCE(NULLIF(argument_param, ''), 'FMMonth FMDD, YYYY'));
+            EXCEPTION WHEN OTHERS THEN
+                result := value_param;
+                filter_error := 'invalid_date';
+            END;
+        ELSE
+            filter_error := 'unknown_filter';
+    END CASE;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Function to render template content with a set of variables
+-- Returns { content, errors: [{ variable, placeholder, error }] }. Placeholders that
+-- could not be resolved are left in the content so previews show where they are.
+CREATE OR REPLACE FUNCTION render_template_content(
+    content_param TEXT,
+    variables_param JSONB DEFAULT '{}'::JSONB
+)
+RETURNS JSONB AS $$
+DECLARE
+    working TEXT := COALESCE(content_param, '');
+    rendered TEXT := '';
+    errors JSONB := '[]'::JSONB;
+    open_pos INTEGER;
+    close_pos INTEGER;
+    tag TEXT;
+    condition_name TEXT;
+    negate BOOLEAN;
+    body TEXT;
+    else_pos INTEGER;
+    truthy BOOLEAN;
+    placeholder TEXT;
+    parts TEXT[];
+    variable_name TEXT;
+    filter_text TEXT;
+    filter_name TEXT;
+    filter_argument TEXT;
+    filtered RECORD;
+    placeholder_value TEXT;
+    placeholder_error TEXT;
+BEGIN
+    variables_param := COALESCE(variables_param, '{}'::JSONB);
+
+    -- Resolve conditional sections, innermost first
+    LOOP
+        close_pos := position('{{/if}}' IN working);
+        EXIT WHEN close_pos = 0;
+
+        -- Last {{#if before the first {{/if}}
+        open_pos := position(reverse('{{#if') IN reverse(substr(working, 1, close_pos - 1)));
+
+        IF open_pos = 0 THEN
+            errors := errors || jsonb_build_object('variable', NULL, 'placeholder', '{{/if}}', 'error', 'unbalanced_conditional');
+            EXIT;
+        END IF;
+
+        open_pos := close_pos - open_pos - 4;
+        tag := substr(working, open_pos, position('}}' IN substr(working, open_pos)) + 1);
+        condition_name := btrim(substr(tag, 6, length(tag) - 7));
+        negate := condition_name ~* '^not\s+';
+        condition_name := regexp_replace(condition_name, '^not\s+', '', 'i');
+        body := substr(working, open_pos + length(tag), close_pos - open_pos - length(tag));
+        else_pos := position('{{else}}' IN body);
+        truthy := COALESCE(variables_param ->> condition_name, '') NOT IN ('', 'false');
+
+        IF negate THEN
+            truthy := NOT truthy;
+        END IF;
+
+        IF else_pos > 0 THEN
+            body := CASE WHEN truthy THEN substr(body, 1, else_pos - 1) ELSE substr(body, else_pos + 8) END;
+        ELSIF NOT truthy THEN
+            body := '';
+        END IF;
+
+        working := substr(working, 1, open_pos - 1) || body || substr(working, close_pos + 7);
+    END LOOP;
+
+    IF position('{{#if' IN working) > 0 THEN
+        errors := errors || jsonb_build_object('variable', NULL, 'placeholder', '{{#if', 'error', 'unbalanced_conditional');
+    END IF;
+
+    -- Replace placeholders in a single pass, so values are never re-rendered
+    LOOP
+        open_pos := position('{{' IN working);
+
+        IF open_pos = 0 THEN
+            rendered := rendered || working;
+            EXIT;
+        END IF;
+
+        close_pos := position('}}' IN substr(working, open_pos + 2));
+
+        IF close_pos = 0 THEN
+            rendered := rendered || working;
+            EXIT;
+        END IF;
+
+        placeholder := substr(working, open_pos, close_pos + 3);
+        parts := regexp_split_to_array(substr(placeholder, 3, length(placeholder) - 4), '\|');
+        variable_name := btrim(parts[1]);
+        placeholder_value := NULL;
+        placeholder_error := NULL;
+
+        IF variable_name !~ '^[A-Za-z_][A-Za-z0-9_]*$' THEN
+            placeholder_error := 'invalid_placeholder';
+        ELSE
+            placeholder_value := NULLIF(variables_param ->> variable_name, '');
+
+            FOR i IN 2..COALESCE(array_length(parts, 1), 1) LOOP
+                filter_text := btrim(parts[i]);
+                filter_name := lower(btrim(split_part(filter_text, ':', 1)));
+                filter_argument := NULL;
+
+                IF position(':' IN filter_text) > 0 THEN
+                    filter_argument := btrim(substr(filter_text, position(':' IN filter_text) + 1));
+                    filter_argument := regexp_replace(filter_argument, '^"(.*)"$|^''(.*)''$', '\1\2');
+                END IF;
+
+                SELECT * INTO filtered FROM apply_template_filter(placeholder_value, filter_name, filter_argument);
+                placeholder_value := filtered.result;
+
+                IF filtered.filter_error IS NOT NULL THEN
+                    placeholder_error := filtered.filter_error;
+                    EXIT;
+                END IF;
+            END LOOP;
+
+            IF placeholder_error IS NULL AND COALESCE(placeholder_value, '') = '' THEN
+                placeholder_error := 'unresolved';
+            END IF;
+        END IF;
+
+        IF placeholder_error IS NOT NULL THEN
+            errors := errors || jsonb_build_object(
+                'variable', variable_name,
+                'placeholder', placeholder,
+                'error', placeholder_error
+            );
+            placeholder_value := placeholder;
+        END IF;
+
+        rendered := rendered || substr(working, 1, open_pos - 1) || placeholder_value;
+        working := substr(working, open_pos + length(placeholder));
+    END LOOP;
+
+    RETURN jsonb_build_object('content', rendered, 'errors', errors);
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Function to render a template's script for a recipient
+-- Values come from, in order of precedence: variables_param, the template's
+-- default values, and the built-in recipient_name, recipient_first_name,
+-- recipient_phone and recipient_email from recipient_param ({ name, phone, email }).
+-- Returns { content, errors, variables } with the values that were used.
+CREATE OR REPLACE FUNCTION render_template(
+    template_id_param UUID,
+    variables_param JSONB DEFAULT '{}'::JSONB,
+    recipient_param JSONB DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+    template_content TEXT;
+    resolved JSONB;
+BEGIN
+    SELECT content INTO template_content FROM call_templates WHERE id = template_id_param;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Template not found';
+    END IF;
+
+    resolved := jsonb_strip_nulls(jsonb_build_object(
+        'recipient_name', NULLIF(btrim(recipient_param ->> 'name'), ''),
+        'recipient_first_name', NULLIF(split_part(btrim(recipient_param ->> 'name'), ' ', 1), ''),
+        'recipient_phone', NULLIF(recipient_param ->> 'phone', ''),
+        'recipient_email', NULLIF(recipient_param ->> 'email', '')
+    ));
+
+    resolved := resolved || COALESCE((
+        SELECT jsonb_object_agg(tv.variable_name, tv.default_value)
+        FROM template_variables tv
+        WHERE tv.template_id = template_id_param
+            AND COALESCE(tv.default_value, '') <> ''
+    ), '{}'::JSONB);
+
+    resolved := resolved || COALESCE((
+        SELECT jsonb_object_agg(v.key, v.value)
+        FROM jsonb_each(COALESCE(variables_param, '{}'::JSONB)) v
+        WHERE COALESCE(v.value #>> '{}', '') <> ''
+    ), '{}'::JSONB);
+
+    RETURN render_template_content(template_content, resolved)
+        || jsonb_build_object('variables', resolved);
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Required variables with a default value no longer have to be supplied
+CREATE OR REPLACE FUNCTION validate_template_variables(
+    template_id_param UUID,
+    variables_param JSONB
+)
+RETURNS TABLE (
+    variable_name TEXT,
+    display_name TEXT,
+    error TEXT
+) AS $$
+    SELECT
+        tv.variable_name,
+        tv.display_name,
+        CASE
+            WHEN COALESCE(NULLIF(variables_param ->> tv.variable_name, ''), tv.default_value, '') = '' THEN 'required'
+            ELSE 'invalid_format'
+        END AS error
+    FROM
+        template_variables tv
+    WHERE
+        tv.template_id = template_id_param
+        AND (
+            (tv.is_required AND COALESCE(NULLIF(variables_param ->> tv.variable_name, ''), tv.default_value, '') = '')
+            OR (
+                tv.validation_regex IS NOT NULL
+                AND COALESCE(variables_param ->> tv.variable_name, '') <> ''
+                AND NOT (variables_param ->> tv.variable_name) ~ tv.validation_regex
+            )
+        )
+    ORDER BY
+        tv.variable_name;
+$$ LANGUAGE sql STABLE;
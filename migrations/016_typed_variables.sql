@@ -0,0 +1,235 @@
+-- Typed template variables
+-- min_value and max_value are compared as numbers for 'number' variables and as
+-- dates or timestamps for 'date' and 'datetime' variables.
+ALTER TABLE template_variables
+ADD COLUMN IF NOT EXISTS variable_type TEXT NOT NULL DEFAULT 'string', -- 'string', 'number', 'date', 'datetime', 'phone', 'email', 'enum', 'boolean'
+ADD COLUMN IF NOT EXISTS min_value TEXT,
+ADD COLUMN IF NOT EXISTS max_value TEXT,
+ADD COLUMN IF NOT EXISTS min_length INTEGER,
+ADD COLUMN IF NOT EXISTS max_length INTEGER,
+ADD COLUMN IF NOT EXISTS allowed_values TEXT[]; -- Options for 'enum' variables
+
+ALTER TABLE template_variables
+DROP CONSTRAINT IF EXISTS template_variables_variable_type_check;
+
+ALTER TABLE template_variables
+ADD CONSTRAINT template_variables_variable_type_check
+CHECK (variable_type IN ('string', 'number', 'date', 'datetime', 'phone', 'email', 'enum', 'boolean'));
+
+-- Function to check that a variable definition can be used for validation
+-- Rejects invalid regular expressions, bounds that do not match the type, and
+-- enum variables without options, so bad definitions fail when saved rather
+-- than when a call is scheduled.
+CREATE OR REPLACE FUNCTION check_template_variable_definition()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.validation_regex IS NOT NULL THEN
+        BEGIN
+            PERFORM '' ~ NEW.validation_regex;
+        EXCEPTION WHEN OTHERS THEN
+            RAISE EXCEPTION 'Invalid validation_regex for variable %: %', NEW.variable_name, SQLERRM;
+        END;
+    END IF;
+
+    IF NEW.variable_type = 'enum' AND COALESCE(array_length(NEW.allowed_values, 1), 0) = 0 THEN
+        RAISE EXCEPTION 'Enum variable % needs allowed_values', NEW.variable_name;
+    END IF;
+
+    IF NEW.min_length IS NOT NULL AND NEW.max_length IS NOT NULL AND NEW.min_length > NEW.max_length THEN
+        RAISE EXCEPTION 'min_length is greater than max_length for variable %', NEW.variable_name;
+    END IF;
+
+    IF NEW.min_value IS NOT NULL OR NEW.max_value IS NOT NULL THEN
+        BEGIN
+            CASE NEW.variable_type
+                WHEN 'number' THEN
+                    PERFORM NEW.min_value::NUMERIC, NEW.max_value::NUMERIC;
+                WHEN 'date' THEN
+                    PERFORM NEW.min_value::DATE, NEW.max_value::DATE;
+                WHEN 'datetime' THEN
+                    PERFORM NEW.min_value::TIMESTAMP WITH TIME ZONE, NEW.max_value::TIMESTAMP WITH TIME ZONE;
+                ELSE
+                    RAISE EXCEPTION 'min_value and max_value only apply to number, date and datetime variables';
+            END CASE;
+        EXCEPTION WHEN OTHERS THEN
+            RAISE EXCEPTION 'Invalid bounds for variable %: %', NEW.variable_name, SQLERRM;
+        END;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS check_template_variable_definition ON template_variables;
+
+CREATE TRIGGER check_template_variable_definition
+BEFORE INSERT OR UPDATE ON template_variables
+FOR EACH ROW EXECUTE PROCEDURE check_template_variable_definition();
+
+-- Function to check one value against a variable definition
+-- Returns NULL error for a valid value. error is one of 'invalid_number', 'invalid_date',
+-- 'invalid_datetime', 'invalid_boolean', 'invalid_phone', 'invalid_email', 'not_an_option',
+-- 'below_minimum', 'above_maximum', 'too_short', 'too_long' or 'invalid_format', and
+-- details holds the constraint that failed.
+CREATE OR REPLACE FUNCTION check_template_variable_value(
+    variable_param template_variables,
+    value_param TEXT,
+    OUT error TEXT,
+    OUT details JSONB
+) AS $$
+DECLARE
+    number_value NUMERIC;
+    date_value DATE;
+    datetime_value TIMESTAMP WITH TIME ZONE;
+BEGIN
+    CASE variable_param.variable_type
+        WHEN 'number' THEN
+            IF value_param !~ '^\s*-?[0-9]+(\.[0-9]+)?\s*$' THEN
+                error := 'invalid_number';
+                RETURN;
+            END IF;
+
+            number_value := value_param::NUMERIC;
+
+            IF number_value < variable_param.min_value::NUMERIC THEN
+                error := 'below_minimum';
+                details := jsonb_build_object('min', variable_param.min_value);
+                RETURN;
+            ELSIF number_value > variable_param.max_value::NUMERIC THEN
+                error := 'above_maximum';
+                details := jsonb_build_object('max', variable_param.max_value);
+                RETURN;
+            END IF;
+        WHEN 'date' THEN
+            BEGIN
+                date_value := value_param::DATE;
+            EXCEPTION WHEN OTHERS THEN
+                error := 'invalid_date';
+                RETURN;
+            END;
+
+            IF date_value < variable_param.min_value::DATE THEN
+                error := 'below_minimum';
+                details := jsonb_build_object('min', variable_param.min_value);
+                RETURN;
+            ELSIF date_value > variable_param.max_value::DATE THEN
+                error := 'above_maximum';
+                details := jsonb_build_object('max', variable_param.max_value);
+                RETURN;
+            END IF;
+        WHEN 'datetime' THEN
+            BEGIN
+                datetime_value := value_param::TIMESTAMP WITH TIME ZONE;
+            EXCEPTION WHEN OTHERS THEN
+                error := 'invalid_datetime';
+                RETURN;
+            END;
+
+            IF datetime_value < variable_param.min_value::TIMESTAMP WITH TIME ZONE THEN
+                error := 'below_minimum';
+                details := jsonb_build_object('min', variable_param.min_value);
+                RETURN;
+            ELSIF datetime_value > variable_param.max_value::TIMESTAMP WITH TIME ZONE THEN
+                error := 'above_maximum';
+                details := jsonb_build_object('max', variable_param.max_value);
+                RETURN;
+            END IF;
+        WHEN 'boolean' THEN
+            IF lower(btrim(value_param)) NOT IN ('true', 'false', 'yes', 'no', '1', '0') THEN
+                error := 'invalid_boolean';
+                RETURN;
+            END IF;
+        WHEN 'phone' THEN
+            IF length(COALESCE(normalize_phone_number(value_param), '')) NOT BETWEEN 9 AND 16 THEN
+                error := 'invalid_phone';
+                RETURN;
+            END IF;
+        WHEN 'email' THEN
+            IF btrim(value_param) !~ '^[^@\s]+@[^@\s]+\.[^@\s]+$' THEN
+                error := 'invalid_email';
+                RETURN;
+            END IF;
+        WHEN 'enum' THEN
+            IF NOT value_param = ANY(variable_param.allowed_values) THEN
+                error := 'not_an_option';
+                details := jsonb_build_object('options', to_jsonb(variable_param.allowed_values));
+                RETURN;
+            END IF;
+        ELSE
+            NULL;
+    END CASE;
+
+    IF length(value_param) < variable_param.min_length THEN
+        error := 'too_short';
+        details := jsonb_build_object('minLength', variable_param.min_length);
+        RETURN;
+    END IF;
+
+    IF length(value_param) > variable_param.max_length THEN
+        error := 'too_long';
+        details := jsonb_build_object('maxLength', variable_param.max_length);
+        RETURN;
+    END IF;
+
+    IF variable_param.validation_regex IS NOT NULL AND value_param !~ variable_param.validation_regex THEN
+        error := 'invalid_format';
+        RETURN;
+    END IF;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Replace validate_template_variables with the typed checks
+-- Returns at most one error per variable, with the constraint that failed in details,
+-- so the frontend can show the problem next to the field.
+DROP FUNCTION IF EXISTS validate_template_variables(UUID, JSONB);
+
+CREATE OR REPLACE FUNCTION validate_template_variables(
+    template_id_param UUID,
+    variables_param JSONB
+)
+RETURNS TABLE (
+    variable_name TEXT,
+    display_name TEXT,
+    variable_type TEXT,
+    error TEXT,
+    details JSONB
+) AS $$
+DECLARE
+    variable_record template_variables;
+    value_text TEXT;
+    value_check RECORD;
+BEGIN
+    FOR variable_record IN
+        SELECT * FROM template_variables tv
+        WHERE tv.template_id = template_id_param
+        ORDER BY tv.variable_name
+    LOOP
+        value_text := COALESCE(
+            NULLIF(COALESCE(variables_param, '{}'::JSONB) ->> variable_record.variable_name, ''),
+            NULLIF(variable_record.default_value, '')
+        );
+
+        variable_name := variable_record.variable_name;
+        display_name := variable_record.display_name;
+        variable_type := variable_record.variable_type;
+        details := NULL;
+
+        IF value_text IS NULL THEN
+            IF variable_record.is_required THEN
+                error := 'required';
+                RETURN NEXT;
+            END IF;
+
+            CONTINUE;
+        END IF;
+
+        SELECT * INTO value_check FROM check_template_variable_value(variable_record, value_text);
+
+        IF value_check.error IS NOT NULL THEN
+            error := value_check.error;
+            details := value_check.details;
+            RETURN NEXT;
+        END IF;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql STABLE;
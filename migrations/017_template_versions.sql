@@ -0,0 +1,390 @@
+-- Immutable template versions
+-- Every change to a template's content or variables creates a new version. Calls
+-- keep the version they were scheduled with, so later edits never change what a
+-- queued call says.
+CREATE TABLE IF NOT EXISTS call_template_versions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    template_id UUID NOT NULL REFERENCES call_templates(id) ON DELETE CASCADE,
+    version_number INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    variables JSONB NOT NULL DEFAULT '[]'::JSONB, -- Snapshot of the template_variables rows
+    change_note TEXT,
+    created_by UUID REFERENCES users(id),
+    created_txid BIGINT NOT NULL DEFAULT txid_current(), -- Changes in one transaction make one version
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(template_id, version_number)
+);
+
+ALTER TABLE call_templates
+ADD COLUMN IF NOT EXISTS current_version_id UUID REFERENCES call_template_versions(id);
+
+ALTER TABLE call_queue
+ADD COLUMN IF NOT EXISTS template_version_id UUID REFERENCES call_template_versions(id);
+
+ALTER TABLE call_history
+ADD COLUMN IF NOT EXISTS template_version_id UUID REFERENCES call_template_versions(id);
+
+-- Versions are readable by whoever can read the template, and only written by the functions below.
+-- The versioning triggers run as the migration owner, so users editing their own templates
+-- with their own token can create versions without a write policy of their own.
+ALTER TABLE call_template_versions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY call_template_versions_read_policy ON call_template_versions
+    FOR SELECT
+    USING (template_id IN (SELECT id FROM call_templates WHERE is_public OR created_by = auth.uid()));
+
+-- Function to record the current state of a template as a version
+-- Returns the latest version unchanged if nothing differs from it. A version created
+-- earlier in the same transaction is updated in place, so editing the content and
+-- several variables together produces a single version.
+CREATE OR REPLACE FUNCTION snapshot_template_version(template_id_param UUID)
+RETURNS UUID AS $$
+DECLARE
+    template_record RECORD;
+    variables_snapshot JSONB;
+    latest RECORD;
+    has_latest BOOLEAN;
+    version_id UUID;
+BEGIN
+    SELECT * INTO template_record FROM call_templates WHERE id = template_id_param;
+
+    -- The template is being deleted
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    SELECT COALESCE(jsonb_agg(
+        to_jsonb(tv) - ARRAY['id', 'template_id', 'created_at', 'updated_at']
+        ORDER BY tv.variable_name
+    ), '[]'::JSONB)
+    INTO variables_snapshot
+    FROM template_variables tv
+    WHERE tv.template_id = template_id_param;
+
+    SELECT * INTO latest
+    FROM call_template_versions
+    WHERE template_id = template_id_param
+    ORDER BY version_number DESC
+    LIMIT 1;
+
+    has_latest := FOUND;
+
+    IF has_latest AND latest.content = template_record.content AND latest.variables = variables_snapshot THEN
+        version_id := latest.id;
+    ELSIF has_latest AND latest.created_txid = txid_current() THEN
+        UPDATE call_template_versions
+        SET
+            content = template_record.content,
+            variables = variables_snapshot
+        WHERE id = latest.id;
+
+        version_id := latest.id;
+    ELSE
+        INSERT INTO call_template_versions (
+            template_id,
+            version_number,
+            content,
+            variables,
+            created_by
+        ) VALUES (
+            template_id_param,
+            CASE WHEN has_latest THEN latest.version_number + 1 ELSE 1 END,
+            template_record.content,
+            variables_snapshot,
+            COALESCE(auth.uid(), template_record.created_by)
+        )
+        RETURNING id INTO version_id;
+    END IF;
+
+    IF template_record.current_version_id IS DISTINCT FROM version_id THEN
+        UPDATE call_templates
+        SET current_version_id = version_id
+        WHERE id = template_id_param;
+    END IF;
+
+    RETURN version_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to version a template when its content changes
+CREATE OR REPLACE FUNCTION version_template_content()
+RETURNS TRIGGER
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    PERFORM snapshot_template_version(NEW.id);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to version a template when one of its variables changes
+CREATE OR REPLACE FUNCTION version_template_variables()
+RETURNS TRIGGER
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        PERFORM snapshot_template_version(OLD.template_id);
+    END IF;
+
+    IF TG_OP IN ('INSERT', 'UPDATE') AND (TG_OP = 'INSERT' OR NEW.template_id <> OLD.template_id) THEN
+        PERFORM snapshot_template_version(NEW.template_id);
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to keep versions immutable once their transaction has committed
+CREATE OR REPLACE FUNCTION protect_template_version()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Deleting the template removes its versions
+    IF TG_OP = 'DELETE' AND NOT EXISTS (SELECT 1 FROM call_templates WHERE id = OLD.template_id) THEN
+        RETURN OLD;
+    END IF;
+
+    IF OLD.created_txid <> txid_current() THEN
+        RAISE EXCEPTION 'Template version % of template % cannot be changed', OLD.version_number, OLD.template_id;
+    END IF;
+
+    RETURN CASE WHEN TG_OP = 'DELETE' THEN OLD ELSE NEW END;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to pin a queued call to the template version current when it was queued
+CREATE OR REPLACE FUNCTION set_call_queue_template_version()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.template_version_id IS NULL AND NEW.template_id IS NOT NULL THEN
+        SELECT current_version_id INTO NEW.template_version_id
+        FROM call_templates
+        WHERE id = NEW.template_id;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to copy the queued call's template version into call history
+CREATE OR REPLACE FUNCTION set_call_history_template_version()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.template_version_id IS NULL AND NEW.queue_id IS NOT NULL THEN
+        SELECT template_version_id INTO NEW.template_version_id
+        FROM call_queue
+        WHERE id = NEW.queue_id;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER version_call_templates
+AFTER INSERT OR UPDATE OF content ON call_templates
+FOR EACH ROW EXECUTE PROCEDURE version_template_content();
+
+CREATE TRIGGER version_template_variables
+AFTER INSERT OR UPDATE OR DELETE ON template_variables
+FOR EACH ROW EXECUTE PROCEDURE version_template_variables();
+
+CREATE TRIGGER protect_call_template_versions
+BEFORE UPDATE OR DELETE ON call_template_versions
+FOR EACH ROW EXECUTE PROCEDURE protect_template_version();
+
+CREATE TRIGGER set_call_queue_template_version
+BEFORE INSERT ON call_queue
+FOR EACH ROW EXECUTE PROCEDURE set_call_queue_template_version();
+
+CREATE TRIGGER set_call_history_template_version
+BEFORE INSERT ON call_history
+FOR EACH ROW EXECUTE PROCEDURE set_call_history_template_version();
+
+-- Version every existing template, and pin calls that have not been dialed yet
+SELECT snapshot_template_version(id) FROM call_templates;
+
+UPDATE call_queue cq
+SET template_version_id = ct.current_version_id
+FROM call_templates ct
+WHERE cq.template_id = ct.id
+    AND cq.template_version_id IS NULL
+    AND cq.status IN ('pending', 'processing');
+
+-- Function to restore a template to an earlier version
+-- The restored content and variables become a new version, so history is never rewritten.
+CREATE OR REPLACE FUNCTION rollback_template(
+    template_id_param UUID,
+    version_number_param INTEGER
+)
+RETURNS UUID AS $$
+DECLARE
+    target RECORD;
+    version_id UUID;
+BEGIN
+    SELECT * INTO target
+    FROM call_template_versions
+    WHERE template_id = template_id_param AND version_number = version_number_param;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Template version not found';
+    END IF;
+
+    UPDATE call_templates
+    SET content = target.content
+    WHERE id = template_id_param;
+
+    DELETE FROM template_variables WHERE template_id = template_id_param;
+
+    INSERT INTO template_variables (
+        template_id,
+        variable_name,
+        display_name,
+        description,
+        is_required,
+        default_value,
+        validation_regex,
+        variable_type,
+        min_value,
+        max_value,
+        min_length,
+        max_length,
+        allowed_values
+    )
+    SELECT
+        template_id_param,
+        v.variable_name,
+        v.display_name,
+        v.description,
+        v.is_required,
+        v.default_value,
+        v.validation_regex,
+        COALESCE(v.variable_type, 'string'),
+        v.min_value,
+        v.max_value,
+        v.min_length,
+        v.max_length,
+        v.allowed_values
+    FROM jsonb_populate_recordset(NULL::template_variables, target.variables) v;
+
+    version_id := snapshot_template_version(template_id_param);
+
+    -- Label the new version, unless the template already matched the target
+    UPDATE call_template_versions
+    SET change_note = format('Rolled back to version %s', version_number_param)
+    WHERE id = version_id AND created_txid = txid_current();
+
+    RETURN version_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Render from a specific version
+-- Calls pass their pinned template_version_id; without it the current version is used.
+DROP FUNCTION IF EXISTS render_template(UUID, JSONB, JSONB);
+
+CREATE OR REPLACE FUNCTION render_template(
+    template_id_param UUID,
+    variables_param JSONB DEFAULT '{}'::JSONB,
+    recipient_param JSONB DEFAULT NULL,
+    template_version_id_param UUID DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+    version_record RECORD;
+    resolved JSONB;
+BEGIN
+    SELECT ctv.* INTO version_record
+    FROM call_template_versions ctv
+    JOIN call_templates ct ON ct.id = ctv.template_id
+    WHERE ct.id = template_id_param
+        AND ctv.id = COALESCE(template_version_id_param, ct.current_version_id);
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Template not found';
+    END IF;
+
+    resolved := jsonb_strip_nulls(jsonb_build_object(
+        'recipient_name', NULLIF(btrim(recipient_param ->> 'name'), ''),
+        'recipient_first_name', NULLIF(split_part(btrim(recipient_param ->> 'name'), ' ', 1), ''),
+        'recipient_phone', NULLIF(recipient_param ->> 'phone', ''),
+        'recipient_email', NULLIF(recipient_param ->> 'email', '')
+    ));
+
+    resolved := resolved || COALESCE((
+        SELECT jsonb_object_agg(tv ->> 'variable_name', tv ->> 'default_value')
+        FROM jsonb_array_elements(version_record.variables) tv
+        WHERE COALESCE(tv ->> 'default_value', '') <> ''
+    ), '{}'::JSONB);
+
+    resolved := resolved || COALESCE((
+        SELECT jsonb_object_agg(v.key, v.value)
+        FROM jsonb_each(COALESCE(variables_param, '{}'::JSONB)) v
+        WHERE COALESCE(v.value #>> '{}', '') <> ''
+    ), '{}'::JSONB);
+
+    RETURN render_template_content(version_record.content, resolved)
+        || jsonb_build_object('variables', resolved, 'templateVersionId', version_record.id);
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Validate against a specific version's variables
+DROP FUNCTION IF EXISTS validate_template_variables(UUID, JSONB);
+
+CREATE OR REPLACE FUNCTION validate_template_variables(
+    template_id_param UUID,
+    variables_param JSONB,
+    template_version_id_param UUID DEFAULT NULL
+)
+RETURNS TABLE (
+    variable_name TEXT,
+    display_name TEXT,
+    variable_type TEXT,
+    error TEXT,
+    details JSONB
+) AS $$
+DECLARE
+    version_variables JSONB;
+    variable_record template_variables;
+    value_text TEXT;
+    value_check RECORD;
+BEGIN
+    SELECT ctv.variables INTO version_variables
+    FROM call_template_versions ctv
+    JOIN call_templates ct ON ct.id = ctv.template_id
+    WHERE ct.id = template_id_param
+        AND ctv.id = COALESCE(template_version_id_param, ct.current_version_id);
+
+    FOR variable_record IN
+        SELECT * FROM jsonb_populate_recordset(NULL::template_variables, COALESCE(version_variables, '[]'::JSONB)) v
+        ORDER BY v.variable_name
+    LOOP
+        value_text := COALESCE(
+            NULLIF(COALESCE(variables_param, '{}'::JSONB) ->> variable_record.variable_name, ''),
+            NULLIF(variable_record.default_value, '')
+        );
+
+        variable_name := variable_record.variable_name;
+        display_name := variable_record.display_name;
+        variable_type := COALESCE(variable_record.variable_type, 'string');
+        details := NULL;
+
+        IF value_text IS NULL THEN
+            IF variable_record.is_required THEN
+                error := 'required';
+                RETURN NEXT;
+            END IF;
+
+            CONTINUE;
+        END IF;
+
+        SELECT * INTO value_check FROM check_template_variable_value(variable_record, value_text);
+
+        IF value_check.error IS NOT NULL THEN
+            error := value_check.error;
+            details := value_check.details;
+            RETURN NEXT;
+        END IF;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql STABLE;
@@ -0,0 +1,323 @@
+-- Function to list the variables a template's content refers to
+-- Includes variables used only in {{#if ...}} sections, sorted and without duplicates.
+CREATE OR REPLACE FUNCTION extract_template_placeholders(content_param TEXT)
+RETURNS TEXT[] AS $$
+    SELECT COALESCE(array_agg(DISTINCT m[3] ORDER BY m[3]), ARRAY[]::TEXT[])
+    FROM regexp_matches(
+        COALESCE(content_param, ''),
+        '\{\{\s*(#if\s+(not\s+)?)?([A-Za-z_][A-Za-z0-9_]*)',
+        'g'
+    ) AS m
+    WHERE m[3] <> 'else';
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Function to list the variables a template's content cannot render without
+-- A placeholder is needed when it is output at least once without a default filter;
+-- variables used only in {{#if ...}} sections or behind | default: render either way.
+CREATE OR REPLACE FUNCTION extract_required_placeholders(content_param TEXT)
+RETURNS TEXT[] AS $$
+    SELECT COALESCE(array_agg(DISTINCT m[1] ORDER BY m[1]), ARRAY[]::TEXT[])
+    FROM regexp_matches(
+        COALESCE(content_param, ''),
+        '\{\{\s*([A-Za-z_][A-Za-z0-9_]*)([^}]*)\}\}',
+        'g'
+    ) AS m
+    WHERE m[1] <> 'else'
+        AND m[2] !~ '\|\s*default\s*:';
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Variables render_template() fills in from the recipient, which never need declaring
+CREATE OR REPLACE FUNCTION template_builtin_variables()
+RETURNS TEXT[] AS $$
+    SELECT ARRAY['recipient_name', 'recipient_first_name', 'recipient_phone', 'recipient_email'];
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Function to compare a template's placeholders with its declared variables
+-- warning is 'undeclared' for placeholders without a template_variables row and
+-- 'unused' for declared variables the content never refers to.
+CREATE OR REPLACE FUNCTION check_template_placeholders(template_id_param UUID)
+RETURNS TABLE (
+    variable_name TEXT,
+    warning TEXT
+) AS $$
+    WITH used AS (
+        SELECT unnest(extract_template_placeholders(ct.content)) AS name
+        FROM call_templates ct
+        WHERE ct.id = template_id_param
+    ),
+    declared AS (
+        SELECT tv.variable_name AS name
+        FROM template_variables tv
+        WHERE tv.template_id = template_id_param
+    )
+    SELECT used.name, 'undeclared'
+    FROM used
+    WHERE used.name NOT IN (SELECT name FROM declared)
+        AND NOT used.name = ANY(template_builtin_variables())
+    UNION ALL
+    SELECT declared.name, 'unused'
+    FROM declared
+    WHERE declared.name NOT IN (SELECT name FROM used)
+    ORDER BY 1;
+$$ LANGUAGE sql STABLE;
+
+-- Function to create or update a template and its variables in one transaction
+-- template_id_param is NULL to create a template. fields_param holds call_templates
+-- columns to set; variables_param, when given, is the complete list of variables
+-- (template_variables columns) and replaces the existing ones. Placeholders without a
+-- variable get a string variable, required unless the content renders without it.
+-- Because everything happens in one transaction, the save produces a single template
+-- version.
+-- Returns { templateId, versionId, warnings: [{ variable, warning, created }] }.
+CREATE OR REPLACE FUNCTION save_template(
+    template_id_param UUID,
+    user_id_param UUID,
+    fields_param JSONB,
+    variables_param JSONB DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+    saved_template_id UUID := template_id_param;
+    variable_definition JSONB;
+    placeholder RECORD;
+    required_placeholders TEXT[];
+    warnings JSONB := '[]'::JSONB;
+    version_id UUID;
+BEGIN
+    fields_param := COALESCE(fields_param, '{}'::JSONB);
+
+    IF saved_template_id IS NULL THEN
+        IF COALESCE(fields_param ->> 'name', '') = '' OR COALESCE(fields_param ->> 'content', '') = '' THEN
+            RAISE EXCEPTION 'Template name and content are required';
+        END IF;
+
+        INSERT INTO call_templates (name, content, created_by)
+        VALUES (fields_param ->> 'name', fields_param ->> 'content', user_id_param)
+        RETURNING id INTO saved_template_id;
+    ELSIF NOT EXISTS (
+        SELECT 1 FROM call_templates WHERE id = saved_template_id AND created_by = user_id_param
+    ) THEN
+        RAISE EXCEPTION 'Template not found or not owned by user';
+    END IF;
+
+    IF fields_param ? 'name' AND COALESCE(fields_param ->> 'name', '') = '' THEN
+        RAISE EXCEPTION 'Template name cannot be empty';
+    END IF;
+
+    IF fields_param ? 'content' AND COALESCE(fields_param ->> 'content', '') = '' THEN
+        RAISE EXCEPTION 'Template content cannot be empty';
+    END IF;
+
+    UPDATE call_templates
+    SET
+        name = CASE WHEN fields_param ? 'name' THEN fields_param ->> 'name' ELSE name END,
+        description = CASE WHEN fields_param ? 'description' THEN fields_param ->> 'description' ELSE description END,
+        content = CASE WHEN fields_param ? 'content' THEN fields_param ->> 'content' ELSE content END,
+        category = CASE WHEN fields_param ? 'category' THEN fields_param ->> 'category' ELSE category END,
+        tags = CASE
+            WHEN fields_param ? 'tags' THEN ARRAY(SELECT jsonb_array_elements_text(COALESCE(NULLIF(fields_param -> 'tags', 'null'::JSONB), '[]'::JSONB)))
+            ELSE tags
+        END,
+        is_public = CASE WHEN fields_param ? 'is_public' THEN COALESCE((fields_param ->> 'is_public')::BOOLEAN, FALSE) ELSE is_public END,
+        provider_id = CASE WHEN fields_param ? 'provider_id' THEN (fields_param ->> 'provider_id')::UUID ELSE provider_id END,
+        assistant_id = CASE WHEN fields_param ? 'assistant_id' THEN (fields_param ->> 'assistant_id')::UUID ELSE assistant_id END,
+        calling_window = CASE WHEN fields_param ? 'calling_window' THEN NULLIF(fields_param -> 'calling_window', 'null'::JSONB) ELSE calling_window END,
+        required_capabilities = CASE
+            WHEN fields_param ? 'required_capabilities' THEN ARRAY(SELECT jsonb_array_elements_text(COALESCE(NULLIF(fields_param -> 'required_capabilities', 'null'::JSONB), '[]'::JSONB)))
+            ELSE required_capabilities
+        END
+    WHERE id = saved_template_id;
+
+    IF variables_param IS NOT NULL THEN
+        DELETE FROM template_variables tv
+        WHERE tv.template_id = saved_template_id
+            AND tv.variable_name NOT IN (
+                SELECT v ->> 'variable_name' FROM jsonb_array_elements(variables_param) v
+            );
+
+        FOR variable_definition IN SELECT * FROM jsonb_array_elements(variables_param) LOOP
+            IF COALESCE(variable_definition ->> 'variable_name', '') !~ '^[A-Za-z_][A-Za-z0-9_]*$' THEN
+                RAISE EXCEPTION 'Invalid variable name: %', COALESCE(variable_definition ->> 'variable_name', '');
+            END IF;
+
+            INSERT INTO template_variables (
+                template_id,
+                variable_name,
+                display_name,
+                description,
+                is_required,
+                default_value,
+                validation_regex,
+                variable_type,
+                min_value,
+                max_value,
+                min_length,
+                max_length,
+                allowed_values
+            )
+            SELECT
+                saved_template_id,
+                v.variable_name,
+                COALESCE(NULLIF(v.display_name, ''), initcap(replace(v.variable_name, '_', ' '))),
+                v.description,
+                COALESCE(v.is_required, TRUE),
+                v.default_value,
+                v.validation_regex,
+                COALESCE(v.variable_type, 'string'),
+                v.min_value,
+                v.max_value,
+                v.min_length,
+                v.max_length,
+                v.allowed_values
+            FROM jsonb_populate_record(NULL::template_variables, variable_definition) v
+            ON CONFLICT (template_id, variable_name)
+            DO UPDATE SET
+                display_name = EXCLUDED.display_name,
+                description = EXCLUDED.description,
+                is_required = EXCLUDED.is_required,
+                default_value = EXCLUDED.default_value,
+                validation_regex = EXCLUDED.validation_regex,
+                variable_type = EXCLUDED.variable_type,
+                min_value = EXCLUDED.min_value,
+                max_value = EXCLUDED.max_value,
+                min_length = EXCLUDED.min_length,
+                max_length = EXCLUDED.max_length,
+                allowed_values = EXCLUDED.allowed_values;
+        END LOOP;
+    END IF;
+
+    -- Declare placeholders nobody declared, and report variables nothing uses
+    SELECT extract_required_placeholders(ct.content) INTO required_placeholders
+    FROM call_templates ct
+    WHERE ct.id = saved_template_id;
+
+    FOR placeholder IN SELECT * FROM check_template_placeholders(saved_template_id) LOOP
+        IF placeholder.warning = 'undeclared' THEN
+            INSERT INTO template_variables (template_id, variable_name, display_name, is_required, variable_type)
+            VALUES (
+                saved_template_id,
+                placeholder.variable_name,
+                initcap(replace(placeholder.variable_name, '_', ' ')),
+                placeholder.variable_name = ANY(required_placeholders),
+                'string'
+            );
+        END IF;
+
+        warnings := warnings || jsonb_build_object(
+            'variable', placeholder.variable_name,
+            'warning', placeholder.warning,
+            'created', placeholder.warning = 'undeclared'
+        );
+    END LOOP;
+
+    SELECT current_version_id INTO version_id FROM call_templates WHERE id = saved_template_id;
+
+    RETURN jsonb_build_object(
+        'templateId', saved_template_id,
+        'versionId', version_id,
+        'warnings', warnings
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to copy a public (or the user's own) template into the user's private library
+-- Returns the new template's ID.
+CREATE OR REPLACE FUNCTION clone_template(
+    template_id_param UUID,
+    user_id_param UUID,
+    name_param TEXT DEFAULT NULL
+)
+RETURNS UUID AS $$
+DECLARE
+    source_template RECORD;
+    source_version INTEGER;
+    new_template_id UUID;
+BEGIN
+    SELECT * INTO source_template
+    FROM call_templates
+    WHERE id = template_id_param
+        AND (is_public OR created_by = user_id_param);
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Template not found or not accessible';
+    END IF;
+
+    INSERT INTO call_templates (
+        name,
+        description,
+        content,
+        category,
+        tags,
+        is_public,
+        created_by,
+        provider_id,
+        assistant_id,
+        calling_window,
+        required_capabilities,
+        max_retries,
+        retry_base_delay_seconds,
+        retry_backoff_multiplier,
+        retry_max_delay_seconds
+    ) VALUES (
+        COALESCE(NULLIF(name_param, ''), source_template.name || ' (copy)'),
+        source_template.description,
+        source_template.content,
+        source_template.category,
+        source_template.tags,
+        FALSE,
+        user_id_param,
+        source_template.provider_id,
+        source_template.assistant_id,
+        source_template.calling_window,
+        source_template.required_capabilities,
+        source_template.max_retries,
+        source_template.retry_base_delay_seconds,
+        source_template.retry_backoff_multiplier,
+        source_template.retry_max_delay_seconds
+    )
+    RETURNING id INTO new_template_id;
+
+    INSERT INTO template_variables (
+        template_id,
+        variable_name,
+        display_name,
+        description,
+        is_required,
+        default_value,
+        validation_regex,
+        variable_type,
+        min_value,
+        max_value,
+        min_length,
+        max_length,
+        allowed_values
+    )
+    SELECT
+        new_template_id,
+        tv.variable_name,
+        tv.display_name,
+        tv.description,
+        tv.is_required,
+        tv.default_value,
+        tv.validation_regex,
+        tv.variable_type,
+        tv.min_value,
+        tv.max_value,
+        tv.min_length,
+        tv.max_length,
+        tv.allowed_values
+    FROM template_variables tv
+    WHERE tv.template_id = template_id_param;
+
+    SELECT ctv.version_number INTO source_version
+    FROM call_template_versions ctv
+    WHERE ctv.id = source_template.current_version_id;
+
+    -- The clone's first version was created in this transaction, so it can still be labeled
+    UPDATE call_template_versions
+    SET change_note = format('Cloned from "%s" version %s', source_template.name, source_version)
+    WHERE id = (SELECT current_version_id FROM call_templates WHERE id = new_template_id);
+
+    RETURN new_template_id;
+END;
+$$ LANGUAGE plpgsql;
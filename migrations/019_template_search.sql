@@ -0,0 +1,175 @@
+-- Full-text search over template names, descriptions and scripts
+-- Name matches rank above description matches, which rank above script matches.
+ALTER TABLE call_templates
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(name, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(description, '')), 'B') ||
+    setweight(to_tsvector('english', COALESCE(content, '')), 'C')
+) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_call_templates_search ON call_templates USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_call_templates_tags ON call_templates USING GIN (tags);
+CREATE INDEX IF NOT EXISTS idx_call_templates_category ON call_templates (lower(category));
+CREATE INDEX IF NOT EXISTS idx_call_history_template ON call_history (template_id) WHERE template_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_call_feedback_call ON call_feedback (call_id);
+CREATE INDEX IF NOT EXISTS idx_template_favorites_template ON template_favorites (template_id);
+
+-- View of how often each template is used and how its calls are rated
+CREATE OR REPLACE VIEW template_popularity AS
+SELECT
+    ct.id AS template_id,
+    COALESCE(calls.call_count, 0) AS call_count,
+    COALESCE(ratings.rating_count, 0) AS rating_count,
+    ratings.average_rating,
+    COALESCE(favorites.favorite_count, 0) AS favorite_count
+FROM call_templates ct
+LEFT JOIN (
+    SELECT ch.template_id, COUNT(*) AS call_count
+    FROM call_history ch
+    WHERE ch.template_id IS NOT NULL
+    GROUP BY ch.template_id
+) calls ON calls.template_id = ct.id
+LEFT JOIN (
+    SELECT ch.template_id, COUNT(*) AS rating_count, ROUND(AVG(cf.rating), 2) AS average_rating
+    FROM call_feedback cf
+    JOIN call_history ch ON ch.id = cf.call_id
+    WHERE ch.template_id IS NOT NULL
+    GROUP BY ch.template_id
+) ratings ON ratings.template_id = ct.id
+LEFT JOIN (
+    SELECT tf.template_id, COUNT(*) AS favorite_count
+    FROM template_favorites tf
+    GROUP BY tf.template_id
+) favorites ON favorites.template_id = ct.id;
+
+-- The view counts every user's calls, ratings and favorites, so it runs as its owner and
+-- is only readable through the service role (the templates endpoint), never by API clients
+REVOKE SELECT ON template_popularity FROM anon, authenticated;
+
+-- Function to search the templates a user can see
+-- query_param uses web search syntax ("quoted phrases", OR, -excluded). Templates must have
+-- every tag in tags_param. The user's favorites always come first, then sort_param orders
+-- the rest: 'relevance' (the default; popularity when there is no query), 'popular',
+-- 'rating', 'newest' or 'name'. total_count is the number of matches before paging.
+CREATE OR REPLACE FUNCTION search_templates(
+    user_id_param UUID,
+    query_param TEXT DEFAULT NULL,
+    category_param TEXT DEFAULT NULL,
+    tags_param TEXT[] DEFAULT NULL,
+    scope_param TEXT DEFAULT 'all',
+    favorites_only_param BOOLEAN DEFAULT FALSE,
+    sort_param TEXT DEFAULT 'relevance',
+    limit_param INTEGER DEFAULT 20,
+    offset_param INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+    template_id UUID,
+    name TEXT,
+    description TEXT,
+    category TEXT,
+    tags TEXT[],
+    is_public BOOLEAN,
+    is_owner BOOLEAN,
+    is_favorite BOOLEAN,
+    call_count BIGINT,
+    rating_count BIGINT,
+    average_rating NUMERIC,
+    favorite_count BIGINT,
+    rank REAL,
+    created_at TIMESTAMP WITH TIME ZONE,
+    total_count BIGINT
+) AS $$
+    WITH search AS (
+        SELECT
+            CASE
+                WHEN NULLIF(trim(query_param), '') IS NULL THEN NULL
+                ELSE websearch_to_tsquery('english', query_param)
+            END AS query
+    ),
+    matches AS (
+        SELECT
+            ct.id AS template_id,
+            ct.name,
+            ct.description,
+            ct.category,
+            COALESCE(ct.tags, ARRAY[]::TEXT[]) AS tags,
+            ct.is_public,
+            ct.created_by = user_id_param AS is_owner,
+            tf.id IS NOT NULL AS is_favorite,
+            tp.call_count,
+            tp.rating_count,
+            tp.average_rating,
+            tp.favorite_count,
+            CASE WHEN search.query IS NULL THEN 0 ELSE ts_rank(ct.search_vector, search.query) END AS rank,
+            ct.created_at
+        FROM call_templates ct
+        CROSS JOIN search
+        JOIN template_popularity tp ON tp.template_id = ct.id
+        LEFT JOIN template_favorites tf ON tf.template_id = ct.id AND tf.user_id = user_id_param
+        WHERE (ct.is_public OR ct.created_by = user_id_param)
+            AND (scope_param IS DISTINCT FROM 'mine' OR ct.created_by = user_id_param)
+            AND (scope_param IS DISTINCT FROM 'public' OR ct.is_public)
+            AND (NOT favorites_only_param OR tf.id IS NOT NULL)
+            AND (search.query IS NULL OR ct.search_vector @@ search.query)
+            AND (NULLIF(category_param, '') IS NULL OR lower(ct.category) = lower(category_param))
+            AND (COALESCE(cardinality(tags_param), 0) = 0 OR ct.tags @> tags_param)
+    )
+    SELECT
+        m.template_id,
+        m.name,
+        m.description,
+        m.category,
+        m.tags,
+        m.is_public,
+        m.is_owner,
+        m.is_favorite,
+        m.call_count,
+        m.rating_count,
+        m.average_rating,
+        m.favorite_count,
+        m.rank,
+        m.created_at,
+        COUNT(*) OVER () AS total_count
+    FROM matches m
+    ORDER BY
+        m.is_favorite DESC,
+        CASE WHEN sort_param = 'relevance' THEN m.rank END DESC,
+        CASE WHEN sort_param IN ('relevance', 'popular') THEN m.call_count END DESC,
+        CASE WHEN sort_param IN ('relevance', 'popular', 'rating') THEN m.average_rating END DESC NULLS LAST,
+        CASE WHEN sort_param = 'rating' THEN m.rating_count END DESC,
+        CASE WHEN sort_param = 'newest' THEN m.created_at END DESC,
+        m.name,
+        m.template_id
+    LIMIT GREATEST(COALESCE(limit_param, 20), 0)
+    OFFSET GREATEST(COALESCE(offset_param, 0), 0);
+$$ LANGUAGE sql STABLE;
+
+-- Function to list the categories and tags of the templates a user can see, with counts
+CREATE OR REPLACE FUNCTION get_template_facets(user_id_param UUID)
+RETURNS JSONB AS $$
+    WITH visible AS (
+        SELECT ct.category, ct.tags
+        FROM call_templates ct
+        WHERE ct.is_public OR ct.created_by = user_id_param
+    )
+    SELECT jsonb_build_object(
+        'categories', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('category', c.category, 'count', c.template_count) ORDER BY c.template_count DESC, c.category)
+            FROM (
+                SELECT v.category, COUNT(*) AS template_count
+                FROM visible v
+                WHERE v.category IS NOT NULL AND v.category <> ''
+                GROUP BY v.category
+            ) c
+        ), '[]'::JSONB),
+        'tags', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('tag', t.tag, 'count', t.template_count) ORDER BY t.template_count DESC, t.tag)
+            FROM (
+                SELECT tag, COUNT(*) AS template_count
+                FROM visible v, unnest(v.tags) AS tag
+                WHERE tag <> ''
+                GROUP BY tag
+            ) t
+        ), '[]'::JSONB)
+    );
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,320 @@
+-- E.164 phone numbers
+-- Every recipient and provider number is stored as +<country code><national number>, so
+-- "(415) 555-0101", "415.555.0101" and "+1 415 555 0101" are the same recipient.
+-- parse_phone_number() is the one place numbers are split into country and area codes;
+-- the edge functions and the queue processor call it rather than parsing numbers themselves.
+
+-- Numbering plans by country calling code
+-- national_min_length/national_max_length count the digits after the calling code, without
+-- the trunk prefix. area_code_length is set where a plan has fixed-length area codes; plans
+-- with variable-length codes leave it NULL and their numbers get an empty area code.
+CREATE TABLE IF NOT EXISTS phone_country_codes (
+    country_code TEXT PRIMARY KEY, -- Calling code including '+', e.g. '+44'
+    country TEXT NOT NULL, -- ISO 3166-1 alpha-2 code of the main country using the code
+    trunk_prefix TEXT, -- Dialed before national numbers inside the country, e.g. '0'
+    national_min_length INTEGER NOT NULL,
+    national_max_length INTEGER NOT NULL,
+    area_code_length INTEGER,
+    CHECK (country_code ~ '^\+[1-9][0-9]{0,2}$'),
+    CHECK (national_min_length BETWEEN 4 AND national_max_length),
+    CHECK (length(country_code) - 1 + national_max_length <= 15)
+);
+
+ALTER TABLE phone_country_codes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY phone_country_codes_read_policy ON phone_country_codes
+    FOR SELECT
+    USING (auth.role() = 'authenticated');
+
+INSERT INTO phone_country_codes (country_code, country, trunk_prefix, national_min_length, national_max_length, area_code_length) VALUES
+('+1', 'US', '1', 10, 10, 3),
+('+7', 'RU', '8', 10, 10, 3),
+('+27', 'ZA', '0', 9, 9, 2),
+('+31', 'NL', '0', 9, 9, NULL),
+('+32', 'BE', '0', 8, 9, NULL),
+('+33', 'FR', '0', 9, 9, 1),
+('+34', 'ES', NULL, 9, 9, NULL),
+('+39', 'IT', NULL, 6, 11, NULL),
+('+41', 'CH', '0', 9, 9, 2),
+('+43', 'AT', '0', 4, 13, NULL),
+('+44', 'GB', '0', 9, 10, NULL),
+('+45', 'DK', NULL, 8, 8, NULL),
+('+46', 'SE', '0', 7, 9, NULL),
+('+47', 'NO', NULL, 8, 8, NULL),
+('+48', 'PL', NULL, 9, 9, 2),
+('+49', 'DE', '0', 6, 11, NULL),
+('+52', 'MX', NULL, 10, 10, NULL),
+('+55', 'BR', '0', 10, 11, 2),
+('+61', 'AU', '0', 9, 9, 1),
+('+64', 'NZ', '0', 8, 10, NULL),
+('+65', 'SG', NULL, 8, 8, NULL),
+('+81', 'JP', '0', 9, 10, NULL),
+('+82', 'KR', '0', 8, 10, NULL),
+('+86', 'CN', '0', 10, 11, NULL),
+('+91', 'IN', '0', 10, 10, NULL),
+('+351', 'PT', NULL, 9, 9, NULL),
+('+353', 'IE', '0', 7, 9, NULL),
+('+852', 'HK', NULL, 8, 8, NULL),
+('+971', 'AE', '0', 8, 9, NULL),
+('+972', 'IL', '0', 8, 9, NULL)
+ON CONFLICT (country_code) DO NOTHING;
+
+-- Function to parse a phone number into E.164 and its parts
+-- Numbers without a '+' (or a 00/011 international prefix) are national numbers of
+-- default_country_param. Numbers whose calling code has no phone_country_codes row are
+-- accepted when they have 8-15 digits, with NULL country and area codes.
+-- parse_error is 'missing', 'invalid_characters', 'invalid_length', 'invalid_area_code'
+-- or 'unknown_country' (a national number for a country without a numbering plan).
+CREATE OR REPLACE FUNCTION parse_phone_number(
+    phone_param TEXT,
+    default_country_param TEXT DEFAULT '+1',
+    OUT e164 TEXT,
+    OUT country_code TEXT,
+    OUT area_code TEXT,
+    OUT subscriber_number TEXT,
+    OUT parse_error TEXT
+) AS $$
+DECLARE
+    cleaned TEXT := btrim(COALESCE(phone_param, ''));
+    international BOOLEAN;
+    digits TEXT;
+    national TEXT;
+    numbering_plan phone_country_codes%ROWTYPE;
+BEGIN
+    IF cleaned = '' THEN
+        parse_error := 'missing';
+        RETURN;
+    END IF;
+
+    -- Drop extensions ("x123", "ext. 123", "#123")
+    cleaned := regexp_replace(cleaned, '\s*(ext\.?|x|#)\s*[0-9]+$', '', 'i');
+
+    IF cleaned !~ '^\+?[0-9 ().\-/]+$' THEN
+        parse_error := 'invalid_characters';
+        RETURN;
+    END IF;
+
+    -- "+44 (0)20 ..." writes the trunk prefix that is not dialed from abroad
+    cleaned := regexp_replace(cleaned, '\(0\)', '', 'g');
+    digits := regexp_replace(cleaned, '[^0-9]', '', 'g');
+    international := cleaned LIKE '+%';
+
+    IF NOT international AND digits LIKE '011%' AND default_country_param = '+1' THEN
+        international := TRUE;
+        digits := substring(digits FROM 4);
+    ELSIF NOT international AND digits LIKE '00%' THEN
+        international := TRUE;
+        digits := substring(digits FROM 3);
+    END IF;
+
+    IF international THEN
+        SELECT * INTO numbering_plan
+        FROM phone_country_codes pcc
+        WHERE digits LIKE substring(pcc.country_code FROM 2) || '%'
+        ORDER BY length(pcc.country_code) DESC
+        LIMIT 1;
+
+        IF NOT FOUND THEN
+            IF length(digits) NOT BETWEEN 8 AND 15 OR digits LIKE '0%' THEN
+                parse_error := 'invalid_length';
+                RETURN;
+            END IF;
+
+            e164 := '+' || digits;
+            RETURN;
+        END IF;
+
+        national := substring(digits FROM length(numbering_plan.country_code));
+
+        -- A trunk prefix dialed after the calling code by mistake
+        IF numbering_plan.trunk_prefix IS NOT NULL
+            AND national LIKE numbering_plan.trunk_prefix || '%'
+            AND length(national) > numbering_plan.national_max_length THEN
+            national := substring(national FROM length(numbering_plan.trunk_prefix) + 1);
+        END IF;
+    ELSE
+        SELECT * INTO numbering_plan FROM phone_country_codes pcc WHERE pcc.country_code = default_country_param;
+
+        IF NOT FOUND THEN
+            parse_error := 'unknown_country';
+            RETURN;
+        END IF;
+
+        national := digits;
+
+        IF numbering_plan.trunk_prefix IS NOT NULL
+            AND national LIKE numbering_plan.trunk_prefix || '%'
+            AND length(national) - length(numbering_plan.trunk_prefix) >= numbering_plan.national_min_length THEN
+            national := substring(national FROM length(numbering_plan.trunk_prefix) + 1);
+        END IF;
+    END IF;
+
+    IF length(national) NOT BETWEEN numbering_plan.national_min_length AND numbering_plan.national_max_length THEN
+        parse_error := 'invalid_length';
+        RETURN;
+    END IF;
+
+    -- North American area codes never start with 0 or 1
+    IF numbering_plan.country_code = '+1' AND national !~ '^[2-9]' THEN
+        parse_error := 'invalid_area_code';
+        RETURN;
+    END IF;
+
+    e164 := numbering_plan.country_code || national;
+    country_code := numbering_plan.country_code;
+    area_code := COALESCE(substring(national FROM 1 FOR numbering_plan.area_code_length), '');
+    subscriber_number := substring(national FROM COALESCE(numbering_plan.area_code_length, 0) + 1);
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Function to normalize a phone number to E.164
+-- Returns NULL for numbers parse_phone_number() rejects.
+CREATE OR REPLACE FUNCTION normalize_phone_number(phone_param TEXT)
+RETURNS TEXT AS $$
+    SELECT (parse_phone_number(phone_param)).e164;
+$$ LANGUAGE sql STABLE;
+
+-- Function to infer a recipient's timezone from their phone number
+-- Uses the number's area code where phone_timezones has one, then the country default.
+CREATE OR REPLACE FUNCTION infer_phone_timezone(phone_param TEXT)
+RETURNS TEXT AS $$
+DECLARE
+    parsed RECORD;
+BEGIN
+    SELECT * INTO parsed FROM parse_phone_number(phone_param);
+
+    IF parsed.country_code IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    RETURN COALESCE(
+        (SELECT pt.timezone FROM phone_timezones pt
+            WHERE pt.country_code = parsed.country_code AND pt.area_code = NULLIF(parsed.area_code, '')),
+        (SELECT pt.timezone FROM phone_timezones pt
+            WHERE pt.country_code = parsed.country_code AND pt.area_code IS NULL)
+    );
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Function to format a phone number for reading aloud
+-- NANP numbers become (415) 555-0101; others are grouped as +44 2079460958 or,
+-- with a known area code, +61 2 9374 4000 style groups.
+CREATE OR REPLACE FUNCTION format_phone_for_script(phone_param TEXT)
+RETURNS TEXT AS $$
+DECLARE
+    parsed RECORD;
+BEGIN
+    SELECT * INTO parsed FROM parse_phone_number(phone_param);
+
+    IF parsed.e164 IS NULL THEN
+        RETURN phone_param;
+    END IF;
+
+    IF parsed.country_code = '+1' THEN
+        RETURN format('(%s) %s-%s', parsed.area_code, substr(parsed.subscriber_number, 1, 3), substr(parsed.subscriber_number, 4));
+    END IF;
+
+    IF parsed.country_code IS NULL THEN
+        RETURN parsed.e164;
+    END IF;
+
+    RETURN concat_ws(' ', parsed.country_code, NULLIF(parsed.area_code, ''), parsed.subscriber_number);
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Store queued recipients in E.164 and refuse numbers that cannot be dialed
+CREATE OR REPLACE FUNCTION normalize_call_queue_phone()
+RETURNS TRIGGER AS $$
+DECLARE
+    normalized TEXT := normalize_phone_number(NEW.recipient_phone);
+BEGIN
+    IF normalized IS NULL THEN
+        RAISE EXCEPTION 'Invalid recipient phone number: %', NEW.recipient_phone;
+    END IF;
+
+    NEW.recipient_phone := normalized;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS normalize_call_queue_phone ON call_queue;
+CREATE TRIGGER normalize_call_queue_phone
+BEFORE INSERT OR UPDATE OF recipient_phone ON call_queue
+FOR EACH ROW EXECUTE PROCEDURE normalize_call_queue_phone();
+
+-- Call history keeps numbers it cannot parse as they were recorded
+CREATE OR REPLACE FUNCTION normalize_call_history_phone()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.recipient_phone := COALESCE(normalize_phone_number(NEW.recipient_phone), NEW.recipient_phone);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS normalize_call_history_phone ON call_history;
+CREATE TRIGGER normalize_call_history_phone
+BEFORE INSERT OR UPDATE OF recipient_phone ON call_history
+FOR EACH ROW EXECUTE PROCEDURE normalize_call_history_phone();
+
+-- Derive a provider number's parts from its full number
+-- Providers report numbers in different shapes; a full number without a '+' is read as a
+-- national number of the row's country_code. Numbers that cannot be parsed keep the
+-- provider's values.
+CREATE OR REPLACE FUNCTION normalize_provider_phone_number()
+RETURNS TRIGGER AS $$
+DECLARE
+    parsed RECORD;
+BEGIN
+    SELECT * INTO parsed
+    FROM parse_phone_number(NEW.full_number, COALESCE(NULLIF(NEW.country_code, ''), '+1'));
+
+    IF parsed.e164 IS NOT NULL THEN
+        NEW.full_number := parsed.e164;
+        NEW.country_code := COALESCE(parsed.country_code, NULLIF(NEW.country_code, ''), '');
+        NEW.area_code := COALESCE(parsed.area_code, NEW.area_code, '');
+        NEW.phone_number := COALESCE(parsed.subscriber_number, NEW.phone_number, '');
+    ELSE
+        NEW.country_code := COALESCE(NEW.country_code, '');
+        NEW.area_code := COALESCE(NEW.area_code, '');
+        NEW.phone_number := COALESCE(NEW.phone_number, '');
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS normalize_provider_phone_number ON provider_phone_numbers;
+CREATE TRIGGER normalize_provider_phone_number
+BEFORE INSERT OR UPDATE OF full_number, country_code, area_code, phone_number ON provider_phone_numbers
+FOR EACH ROW EXECUTE PROCEDURE normalize_provider_phone_number();
+
+-- Backfill existing numbers
+UPDATE provider_phone_numbers SET full_number = full_number;
+
+UPDATE call_queue
+SET recipient_phone = normalize_phone_number(recipient_phone)
+WHERE normalize_phone_number(recipient_phone) IS DISTINCT FROM recipient_phone
+    AND normalize_phone_number(recipient_phone) IS NOT NULL;
+
+UPDATE call_history
+SET recipient_phone = normalize_phone_number(recipient_phone)
+WHERE normalize_phone_number(recipient_phone) IS DISTINCT FROM recipient_phone
+    AND normalize_phone_number(recipient_phone) IS NOT NULL;
+
+-- Entries that now normalize to the same number are merged, keeping an already
+-- normalized entry or else the oldest one
+DELETE FROM do_not_call_entries dnc
+WHERE normalize_phone_number(dnc.phone_number) IS DISTINCT FROM dnc.phone_number
+    AND EXISTS (
+        SELECT 1 FROM do_not_call_entries other
+        WHERE other.id <> dnc.id
+            AND other.user_id IS NOT DISTINCT FROM dnc.user_id
+            AND normalize_phone_number(other.phone_number) = normalize_phone_number(dnc.phone_number)
+            AND (other.phone_number = normalize_phone_number(other.phone_number)
+                OR (other.created_at, other.id) < (dnc.created_at, dnc.id))
+    );
+
+UPDATE do_not_call_entries
+SET phone_number = normalize_phone_number(phone_number)
+WHERE normalize_phone_number(phone_number) IS DISTINCT FROM phone_number
+    AND normalize_phone_number(phone_number) IS NOT NULL;
@@ -0,0 +1,362 @@
+-- Local-presence caller ID
+-- Calls without a phone number picked by the user are dialed from one of the routed
+-- provider's numbers, chosen right before dialing by select_caller_id(): a number with the
+-- recipient's area code, else one in the recipient's state or province, else one in the
+-- recipient's country. Matching numbers take turns, and each one places at most
+-- daily_call_limit automatically selected calls per (UTC) day.
+ALTER TABLE provider_phone_numbers
+ADD COLUMN IF NOT EXISTS daily_call_limit INTEGER DEFAULT 100, -- NULL for no cap
+ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMP WITH TIME ZONE;
+
+-- The number a call was actually dialed from and how it was chosen
+-- caller_id_strategy: 'fixed' (picked by the user), 'local_area_code', 'local_state',
+-- 'local_country', or 'provider_default' when no number matched and the provider's own
+-- caller ID was used.
+ALTER TABLE call_queue
+ADD COLUMN IF NOT EXISTS caller_phone_number_id UUID REFERENCES provider_phone_numbers(id),
+ADD COLUMN IF NOT EXISTS caller_phone_number TEXT,
+ADD COLUMN IF NOT EXISTS caller_id_strategy TEXT;
+
+ALTER TABLE call_history
+ADD COLUMN IF NOT EXISTS caller_id_strategy TEXT;
+
+-- Calls placed from each number per day
+CREATE TABLE IF NOT EXISTS caller_id_daily_usage (
+    phone_number_id UUID NOT NULL REFERENCES provider_phone_numbers(id) ON DELETE CASCADE,
+    usage_date DATE NOT NULL,
+    call_count INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (phone_number_id, usage_date)
+);
+
+ALTER TABLE caller_id_daily_usage ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY caller_id_daily_usage_admin_policy ON caller_id_daily_usage
+    USING (auth.jwt() ->> 'role' = 'admin');
+
+-- State or province of each area code, for numbering plans with fixed-length area codes
+-- region is an ISO 3166-2 code, e.g. 'US-CA' or 'CA-ON'.
+CREATE TABLE IF NOT EXISTS phone_area_code_regions (
+    country_code TEXT NOT NULL,
+    area_code TEXT NOT NULL,
+    region TEXT NOT NULL,
+    PRIMARY KEY (country_code, area_code)
+);
+
+CREATE INDEX IF NOT EXISTS idx_phone_area_code_regions_region ON phone_area_code_regions (country_code, region);
+
+ALTER TABLE phone_area_code_regions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY phone_area_code_regions_read_policy ON phone_area_code_regions
+    FOR SELECT
+    USING (auth.role() = 'authenticated');
+
+INSERT INTO phone_area_code_regions (country_code, area_code, region)
+SELECT '+1', area_code, region
+FROM (VALUES
+    ('US-AL', ARRAY['205', '251', '256', '334', '659', '938']),
+    ('US-AK', ARRAY['907']),
+    ('US-AZ', ARRAY['480', '520', '602', '623', '928']),
+    ('US-AR', ARRAY['327', '479', '501', '870']),
+    ('US-CA', ARRAY[
+        '209', '213', '279', '310', '323', '341', '350', '369', '408', '415', '424', '442', '510',
+        '530', '559', '562', '619', '626', '628', '650', '657', '661', '669', '707', '714', '738',
+        '747', '760', '805', '818', '820', '831', '840', '858', '909', '916', '925', '949', '951'
+    ]),
+    ('US-CO', ARRAY['303', '719', '720', '970', '983']),
+    ('US-CT', ARRAY['203', '475', '860', '959']),
+    ('US-DE', ARRAY['302']),
+    ('US-DC', ARRAY['202', '771']),
+    ('US-FL', ARRAY[
+        '239', '305', '321', '324', '352', '386', '407', '448', '561', '645', '656', '689', '727',
+        '728', '754', '772', '786', '813', '850', '863', '904', '941', '954'
+    ]),
+    ('US-GA', ARRAY['229', '404', '470', '478', '678', '706', '762', '770', '912', '943']),
+    ('US-HI', ARRAY['808']),
+    ('US-ID', ARRAY['208', '986']),
+    ('US-IL', ARRAY[
+        '217', '224', '309', '312', '331', '447', '464', '618', '630', '708', '730', '773', '779',
+        '815', '847', '861', '872'
+    ]),
+    ('US-IN', ARRAY['219', '260', '317', '463', '574', '765', '812', '930']),
+    ('US-IA', ARRAY['319', '515', '563', '641', '712']),
+    ('US-KS', ARRAY['316', '620', '785', '913']),
+    ('US-KY', ARRAY['270', '364', '502', '606', '859']),
+    ('US-LA', ARRAY['225', '318', '337', '504', '985']),
+    ('US-ME', ARRAY['207']),
+    ('US-MD', ARRAY['227', '240', '301', '410', '443', '667']),
+    ('US-MA', ARRAY['339', '351', '413', '508', '617', '774', '781', '857', '978']),
+    ('US-MI', ARRAY['231', '248', '269', '313', '517', '586', '616', '679', '734', '810', '906', '947', '989']),
+    ('US-MN', ARRAY['218', '320', '507', '612', '651', '763', '924', '952']),
+    ('US-MS', ARRAY['228', '601', '662', '769']),
+    ('US-MO', ARRAY['235', '314', '417', '557', '573', '636', '660', '816', '975']),
+    ('US-MT', ARRAY['406']),
+    ('US-NE', ARRAY['308', '402', '531']),
+    ('US-NV', ARRAY['702', '725', '775']),
+    ('US-NH', ARRAY['603']),
+    ('US-NJ', ARRAY['201', '551', '609', '640', '732', '848', '856', '862', '908', '973']),
+    ('US-NM', ARRAY['505', '575']),
+    ('US-NY', ARRAY[
+        '212', '315', '329', '332', '347', '363', '516', '518', '585', '607', '624', '631', '646',
+        '680', '716', '718', '838', '845', '914', '917', '929', '934'
+    ]),
+    ('US-NC', ARRAY['252', '336', '472', '704', '743', '828', '910', '919', '980', '984']),
+    ('US-ND', ARRAY['701']),
+    ('US-OH', ARRAY[
+        '216', '220', '234', '283', '326', '330', '380', '419', '436', '440', '513', '567', '614',
+        '740', '937'
+    ]),
+    ('US-OK', ARRAY['405', '539', '572', '580', '918']),
+    ('US-OR', ARRAY['458', '503', '541', '971']),
+    ('US-PA', ARRAY[
+        '215', '223', '267', '272', '412', '445', '484', '570', '582', '610', '717', '724', '814',
+        '835', '878'
+    ]),
+    ('US-RI', ARRAY['401']),
+    ('US-SC', ARRAY['803', '821', '839', '843', '854', '864']),
+    ('US-SD', ARRAY['605']),
+    ('US-TN', ARRAY['423', '615', '629', '731', '865', '901', '931']),
+    ('US-TX', ARRAY[
+        '210', '214', '254', '281', '325', '346', '361', '409', '430', '432', '469', '512', '682',
+        '713', '726', '737', '806', '817', '830', '832', '903', '915', '936', '940', '945', '956',
+        '972', '979'
+    ]),
+    ('US-UT', ARRAY['385', '435', '801']),
+    ('US-VT', ARRAY['802']),
+    ('US-VA', ARRAY['276', '434', '540', '571', '686', '703', '757', '804', '826', '948']),
+    ('US-WA', ARRAY['206', '253', '360', '425', '509', '564']),
+    ('US-WV', ARRAY['304', '681']),
+    ('US-WI', ARRAY['262', '274', '353', '414', '534', '608', '715', '920']),
+    ('US-WY', ARRAY['307']),
+    ('CA-AB', ARRAY['368', '403', '587', '780', '825']),
+    ('CA-BC', ARRAY['236', '250', '257', '604', '672', '778']),
+    ('CA-MB', ARRAY['204', '431', '584']),
+    ('CA-NB', ARRAY['428', '506']),
+    ('CA-NL', ARRAY['709', '879']),
+    ('CA-NS', ARRAY['782', '902']),
+    ('CA-ON', ARRAY[
+        '226', '249', '289', '343', '365', '382', '416', '437', '519', '548', '613', '647', '683',
+        '705', '742', '753', '807', '905', '942'
+    ]),
+    ('CA-QC', ARRAY['263', '354', '367', '418', '438', '450', '468', '514', '579', '581', '819', '873']),
+    ('CA-SK', ARRAY['306', '474', '639']),
+    ('CA-YT', ARRAY['867'])
+) AS regions (region, area_codes),
+unnest(regions.area_codes) AS area_code
+ON CONFLICT DO NOTHING;
+
+-- Function to choose the number a claimed call is dialed from
+-- A number picked at schedule time (call_queue.phone_number_id) is always used. Otherwise
+-- the routed provider's active numbers in the recipient's country are ranked by how local
+-- they are, then by calls placed today and by how long ago they were last used, skipping
+-- numbers that reached their daily_call_limit. The choice is recorded on the call.
+CREATE OR REPLACE FUNCTION select_caller_id(queue_id_param UUID)
+RETURNS TABLE (
+    phone_number_id UUID,
+    caller_phone_number TEXT,
+    strategy TEXT
+) AS $$
+DECLARE
+    queue_record RECORD;
+    recipient RECORD;
+    recipient_region TEXT;
+    chosen RECORD;
+    today DATE := (CURRENT_TIMESTAMP AT TIME ZONE 'UTC')::DATE;
+BEGIN
+    SELECT * INTO queue_record FROM call_queue WHERE id = queue_id_param FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    IF queue_record.phone_number_id IS NOT NULL THEN
+        SELECT ppn.id, ppn.full_number, 'fixed' AS match_strategy INTO chosen
+        FROM provider_phone_numbers ppn
+        WHERE ppn.id = queue_record.phone_number_id;
+    ELSE
+        SELECT * INTO recipient FROM parse_phone_number(queue_record.recipient_phone);
+
+        SELECT r.region INTO recipient_region
+        FROM phone_area_code_regions r
+        WHERE r.country_code = recipient.country_code
+            AND r.area_code = recipient.area_code;
+
+        SELECT
+            ppn.id,
+            ppn.full_number,
+            CASE
+                WHEN ppn.area_code <> '' AND ppn.area_code = recipient.area_code THEN 'local_area_code'
+                WHEN recipient_region IS NOT NULL AND r.region = recipient_region THEN 'local_state'
+                ELSE 'local_country'
+            END AS match_strategy
+        INTO chosen
+        FROM provider_phone_numbers ppn
+        LEFT JOIN phone_area_code_regions r
+            ON r.country_code = ppn.country_code AND r.area_code = ppn.area_code
+        LEFT JOIN caller_id_daily_usage u
+            ON u.phone_number_id = ppn.id AND u.usage_date = today
+        WHERE ppn.provider_id = queue_record.provider_id
+            AND ppn.is_active = TRUE
+            AND ppn.country_code = recipient.country_code
+            AND (ppn.daily_call_limit IS NULL OR COALESCE(u.call_count, 0) < ppn.daily_call_limit)
+        ORDER BY
+            CASE
+                WHEN ppn.area_code <> '' AND ppn.area_code = recipient.area_code THEN 1
+                WHEN recipient_region IS NOT NULL AND r.region = recipient_region THEN 2
+                ELSE 3
+            END,
+            COALESCE(u.call_count, 0),
+            ppn.last_used_at NULLS FIRST,
+            ppn.id
+        LIMIT 1
+        -- Another worker choosing a number at the same moment takes the next one
+        FOR UPDATE OF ppn SKIP LOCKED;
+    END IF;
+
+    IF chosen.id IS NOT NULL THEN
+        INSERT INTO caller_id_daily_usage (phone_number_id, usage_date, call_count)
+        VALUES (chosen.id, today, 1)
+        ON CONFLICT ON CONSTRAINT caller_id_daily_usage_pkey
+        DO UPDATE SET call_count = caller_id_daily_usage.call_count + 1;
+
+        UPDATE provider_phone_numbers
+        SET last_used_at = CURRENT_TIMESTAMP
+        WHERE id = chosen.id;
+    END IF;
+
+    phone_number_id := chosen.id;
+    caller_phone_number := chosen.full_number;
+    strategy := COALESCE(chosen.match_strategy, 'provider_default');
+
+    UPDATE call_queue
+    SET
+        caller_phone_number_id = chosen.id,
+        caller_phone_number = chosen.full_number,
+        caller_id_strategy = strategy
+    WHERE id = queue_id_param;
+
+    RETURN NEXT;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to copy the number a call was dialed from into call history
+CREATE OR REPLACE FUNCTION set_call_history_caller_id()
+RETURNS TRIGGER AS $$
+DECLARE
+    queue_record RECORD;
+BEGIN
+    IF NEW.queue_id IS NOT NULL THEN
+        SELECT cq.caller_phone_number_id, cq.caller_phone_number, cq.caller_id_strategy
+        INTO queue_record
+        FROM call_queue cq
+        WHERE cq.id = NEW.queue_id;
+
+        IF FOUND THEN
+            NEW.phone_number_id := COALESCE(NEW.phone_number_id, queue_record.caller_phone_number_id);
+            NEW.caller_phone_number := COALESCE(NEW.caller_phone_number, queue_record.caller_phone_number);
+            NEW.caller_id_strategy := COALESCE(NEW.caller_id_strategy, queue_record.caller_id_strategy);
+        END IF;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS set_call_history_caller_id ON call_history;
+CREATE TRIGGER set_call_history_caller_id
+BEFORE INSERT ON call_history
+FOR EACH ROW EXECUTE PROCEDURE set_call_history_caller_id();
+
+-- schedule_call() no longer pins the first active number to calls without one; they get a
+-- local-presence number when they are dialed
+CREATE OR REPLACE FUNCTION schedule_call(
+    user_id_param UUID,
+    template_id_param UUID,
+    recipient_name_param TEXT,
+    recipient_phone_param TEXT,
+    recipient_email_param TEXT,
+    scheduled_time_param TIMESTAMP WITH TIME ZONE,
+    priority_param INTEGER DEFAULT 5,
+    custom_variables_param JSONB DEFAULT NULL,
+    metadata_param JSONB DEFAULT NULL,
+    assistant_id_param UUID DEFAULT NULL,
+    phone_number_id_param UUID DEFAULT NULL,
+    recipient_timezone_param TEXT DEFAULT NULL
+)
+RETURNS UUID AS $$
+DECLARE
+    new_queue_id UUID;
+    validated_variables JSONB := custom_variables_param;
+    missing_required_vars TEXT[];
+BEGIN
+    -- Check for required variables
+    WITH required_vars AS (
+        SELECT
+            variable_name,
+            is_required
+        FROM
+            template_variables
+        WHERE
+            template_id = template_id_param
+            AND is_required = TRUE
+    )
+    SELECT
+        array_agg(variable_name) INTO missing_required_vars
+    FROM
+        required_vars
+    WHERE
+        NOT (custom_variables_param ? variable_name);
+
+    -- Error if missing required variables
+    IF missing_required_vars IS NOT NULL AND array_length(missing_required_vars, 1) > 0 THEN
+        RAISE EXCEPTION 'Missing required variables: %', missing_required_vars;
+    END IF;
+
+    -- Find assistant if not specified
+    IF assistant_id_param IS NULL THEN
+        -- Get template's assistant if set
+        WITH template_assistant AS (
+            SELECT assistant_id FROM call_templates WHERE id = template_id_param AND assistant_id IS NOT NULL
+        )
+        SELECT
+            COALESCE(
+                (SELECT assistant_id FROM template_assistant),
+                (SELECT id FROM provider_assistants WHERE is_active = TRUE LIMIT 1)
+            )
+        INTO assistant_id_param;
+    END IF;
+
+    -- Create the queue entry
+    INSERT INTO call_queue (
+        user_id,
+        template_id,
+        recipient_name,
+        recipient_phone,
+        recipient_email,
+        recipient_timezone,
+        scheduled_time,
+        priority,
+        status,
+        custom_variables,
+        metadata,
+        assistant_id,
+        phone_number_id
+    ) VALUES (
+        user_id_param,
+        template_id_param,
+        recipient_name_param,
+        recipient_phone_param,
+        recipient_email_param,
+        recipient_timezone_param,
+        scheduled_time_param,
+        priority_param,
+        'pending',
+        validated_variables,
+        metadata_param,
+        assistant_id_param,
+        phone_number_id_param
+    )
+    RETURNING id INTO new_queue_id;
+
+    RETURN new_queue_id;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,304 @@
+-- Call and minute quota reservations
+-- Every queued call reserves one call and an estimate of its minutes from the user's
+-- allowance for the current billing period, so calls that are queued but not yet made
+-- count against the limits. The reservation is settled when the call is charged
+-- (complete_call, or finalize_canceled_call for a call that connected) and released when
+-- the call fails for good or is canceled before connecting. Retries keep their reservation.
+
+-- Expected length of a call made with the template, used for minute reservations
+-- NULL estimates from the template's recent calls (3 minutes without any).
+ALTER TABLE call_templates
+ADD COLUMN IF NOT EXISTS estimated_call_minutes INTEGER CHECK (estimated_call_minutes > 0);
+
+CREATE TABLE IF NOT EXISTS call_quota_reservations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    usage_id UUID REFERENCES user_call_usage(id) ON DELETE SET NULL,
+    queue_id UUID NOT NULL UNIQUE REFERENCES call_queue(id) ON DELETE CASCADE,
+    calls INTEGER NOT NULL DEFAULT 1,
+    minutes INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'reserved', -- 'reserved', 'settled', 'released'
+    settled_minutes INTEGER, -- Minutes actually charged, once settled
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_call_quota_reservations_open ON call_quota_reservations (user_id) WHERE status = 'reserved';
+
+-- Users can see their own reservations; only the functions below write them
+ALTER TABLE call_quota_reservations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY call_quota_reservations_read_policy ON call_quota_reservations
+    FOR SELECT
+    USING (user_id = auth.uid());
+
+-- Function to estimate how many minutes a call made with a template will use
+CREATE OR REPLACE FUNCTION estimate_call_minutes(template_id_param UUID)
+RETURNS INTEGER AS $$
+    SELECT GREATEST(1, COALESCE(
+        (SELECT ct.estimated_call_minutes FROM call_templates ct WHERE ct.id = template_id_param),
+        (SELECT CEILING(AVG(recent.duration) / 60.0)::INTEGER
+            FROM (
+                SELECT ch.duration
+                FROM call_history ch
+                WHERE ch.template_id = template_id_param AND ch.duration > 0
+                ORDER BY ch.created_at DESC
+                LIMIT 50
+            ) recent),
+        3
+    ));
+$$ LANGUAGE sql STABLE;
+
+-- Function to report a user's allowance for the current billing period
+-- remaining is what is left after completed calls (user_call_usage); available also
+-- subtracts open reservations. Limits and remaining/available values are NULL when the
+-- plan does not limit calls or minutes. No row means there is no usage record for the
+-- current period.
+CREATE OR REPLACE FUNCTION get_call_quota(user_id_param UUID)
+RETURNS TABLE (
+    usage_id UUID,
+    subscription_id UUID,
+    billing_period_end TIMESTAMP WITH TIME ZONE,
+    call_limit INTEGER,
+    calls_used INTEGER,
+    calls_reserved INTEGER,
+    calls_remaining INTEGER,
+    calls_available INTEGER,
+    minutes_limit INTEGER,
+    minutes_used INTEGER,
+    minutes_reserved INTEGER,
+    minutes_remaining INTEGER,
+    minutes_available INTEGER
+) AS $$
+    WITH reserved AS (
+        SELECT
+            COALESCE(SUM(cqr.calls), 0)::INTEGER AS calls,
+            COALESCE(SUM(cqr.minutes), 0)::INTEGER AS minutes
+        FROM call_quota_reservations cqr
+        WHERE cqr.user_id = user_id_param
+            AND cqr.status = 'reserved'
+    )
+    SELECT
+        ucu.id,
+        ucu.subscription_id,
+        ucu.billing_period_end,
+        sp.call_limit,
+        COALESCE(ucu.calls_used, 0),
+        reserved.calls,
+        ucu.calls_remaining,
+        CASE WHEN ucu.calls_remaining IS NOT NULL THEN GREATEST(0, ucu.calls_remaining - reserved.calls) END,
+        sp.minutes_limit,
+        COALESCE(ucu.minutes_used, 0),
+        reserved.minutes,
+        ucu.minutes_remaining,
+        CASE WHEN ucu.minutes_remaining IS NOT NULL THEN GREATEST(0, ucu.minutes_remaining - reserved.minutes) END
+    FROM user_call_usage ucu
+    LEFT JOIN user_subscriptions us ON us.id = ucu.subscription_id
+    LEFT JOIN subscription_plans sp ON sp.id = us.plan_id
+    CROSS JOIN reserved
+    WHERE ucu.user_id = user_id_param
+        AND CURRENT_TIMESTAMP BETWEEN ucu.billing_period_start AND ucu.billing_period_end
+    ORDER BY ucu.billing_period_end DESC
+    LIMIT 1;
+$$ LANGUAGE sql STABLE;
+
+-- Function to reserve quota for a queued call
+-- Raises 'Call quota exceeded' or 'Minute quota exceeded' when the allowance, minus open
+-- reservations, cannot cover the call. The usage row is locked, so concurrent schedules
+-- for the same user cannot both take the last call. Users without a usage record for the
+-- current period are not limited here. Returns the reservation ID.
+CREATE OR REPLACE FUNCTION reserve_call_quota(queue_id_param UUID)
+RETURNS UUID AS $$
+DECLARE
+    queue_record RECORD;
+    quota RECORD;
+    estimated_minutes INTEGER;
+    reservation_id UUID;
+BEGIN
+    SELECT * INTO queue_record FROM call_queue WHERE id = queue_id_param;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Queue record not found';
+    END IF;
+
+    SELECT cqr.id INTO reservation_id FROM call_quota_reservations cqr WHERE cqr.queue_id = queue_id_param;
+
+    IF FOUND THEN
+        RETURN reservation_id;
+    END IF;
+
+    PERFORM 1
+    FROM user_call_usage ucu
+    WHERE ucu.user_id = queue_record.user_id
+        AND CURRENT_TIMESTAMP BETWEEN ucu.billing_period_start AND ucu.billing_period_end
+    FOR UPDATE;
+
+    SELECT * INTO quota FROM get_call_quota(queue_record.user_id);
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    estimated_minutes := estimate_call_minutes(queue_record.template_id);
+
+    IF quota.calls_available IS NOT NULL AND quota.calls_available < 1 THEN
+        RAISE EXCEPTION 'Call quota exceeded: % calls remaining, % reserved by scheduled calls',
+            quota.calls_remaining, quota.calls_reserved;
+    END IF;
+
+    IF quota.minutes_available IS NOT NULL AND quota.minutes_available < estimated_minutes THEN
+        RAISE EXCEPTION 'Minute quota exceeded: % minutes available, % needed',
+            quota.minutes_available, estimated_minutes;
+    END IF;
+
+    INSERT INTO call_quota_reservations (user_id, usage_id, queue_id, calls, minutes)
+    VALUES (queue_record.user_id, quota.usage_id, queue_id_param, 1, estimated_minutes)
+    RETURNING id INTO reservation_id;
+
+    RETURN reservation_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to reserve quota for every call added to the queue
+-- Covers schedule_call(), campaign imports and any other insert.
+CREATE OR REPLACE FUNCTION reserve_call_queue_quota()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status = 'pending' THEN
+        PERFORM reserve_call_quota(NEW.id);
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function to settle or release a call's reservation when it leaves the queue
+-- Completed calls were charged by complete_call(); canceled calls were charged by
+-- finalize_canceled_call() only if they connected. Failed calls were never charged.
+CREATE OR REPLACE FUNCTION resolve_call_queue_quota()
+RETURNS TRIGGER AS $$
+DECLARE
+    charged_minutes INTEGER;
+BEGIN
+    IF NEW.status NOT IN ('completed', 'failed', 'canceled') THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT CEILING(ch.duration / 60.0)::INTEGER INTO charged_minutes
+    FROM call_history ch
+    WHERE ch.queue_id = NEW.id
+    ORDER BY ch.created_at DESC
+    LIMIT 1;
+
+    IF NEW.status = 'completed' OR (NEW.status = 'canceled' AND COALESCE(charged_minutes, 0) > 0) THEN
+        UPDATE call_quota_reservations
+        SET
+            status = 'settled',
+            settled_minutes = COALESCE(charged_minutes, 0),
+            resolved_at = CURRENT_TIMESTAMP
+        WHERE queue_id = NEW.id
+            AND status = 'reserved';
+    ELSE
+        UPDATE call_quota_reservations
+        SET
+            status = 'released',
+            resolved_at = CURRENT_TIMESTAMP
+        WHERE queue_id = NEW.id
+            AND status = 'reserved';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS reserve_call_queue_quota ON call_queue;
+CREATE TRIGGER reserve_call_queue_quota
+AFTER INSERT ON call_queue
+FOR EACH ROW EXECUTE PROCEDURE reserve_call_queue_quota();
+
+DROP TRIGGER IF EXISTS resolve_call_queue_quota ON call_queue;
+CREATE TRIGGER resolve_call_queue_quota
+AFTER UPDATE OF status ON call_queue
+FOR EACH ROW
+WHEN (OLD.status IS DISTINCT FROM NEW.status)
+EXECUTE PROCEDURE resolve_call_queue_quota();
+
+-- Reserve quota for calls already waiting in the queue, without refusing any of them
+INSERT INTO call_quota_reservations (user_id, usage_id, queue_id, calls, minutes)
+SELECT
+    cq.user_id,
+    (SELECT q.usage_id FROM get_call_quota(cq.user_id) q),
+    cq.id,
+    1,
+    estimate_call_minutes(cq.template_id)
+FROM call_queue cq
+WHERE cq.status IN ('pending', 'processing')
+ON CONFLICT (queue_id) DO NOTHING;
+
+-- get_user_subscription() also reports open reservations and what is still available
+DROP FUNCTION IF EXISTS get_user_subscription(UUID);
+
+CREATE OR REPLACE FUNCTION get_user_subscription(user_id_param UUID)
+RETURNS TABLE (
+    id UUID,
+    status TEXT,
+    current_period_start TIMESTAMP WITH TIME ZONE,
+    current_period_end TIMESTAMP WITH TIME ZONE,
+    cancel_at_period_end BOOLEAN,
+    subscription_id TEXT,
+    plan_id UUID,
+    plan_name TEXT,
+    plan_price DECIMAL,
+    plan_interval TEXT,
+    plan_call_limit INTEGER,
+    plan_minutes_limit INTEGER,
+    calls_used INTEGER,
+    calls_remaining INTEGER,
+    minutes_used INTEGER,
+    minutes_remaining INTEGER,
+    calls_reserved INTEGER,
+    minutes_reserved INTEGER,
+    calls_available INTEGER,
+    minutes_available INTEGER
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        us.id,
+        us.status,
+        us.current_period_start,
+        us.current_period_end,
+        us.cancel_at_period_end,
+        us.subscription_id,
+        sp.id AS plan_id,
+        sp.name AS plan_name,
+        sp.price AS plan_price,
+        sp.interval AS plan_interval,
+        sp.call_limit AS plan_call_limit,
+        sp.minutes_limit AS plan_minutes_limit,
+        ucu.calls_used,
+        ucu.calls_remaining,
+        ucu.minutes_used,
+        ucu.minutes_remaining,
+        quota.calls_reserved,
+        quota.minutes_reserved,
+        quota.calls_available,
+        quota.minutes_available
+    FROM
+        user_subscriptions us
+    JOIN
+        subscription_plans sp ON us.plan_id = sp.id
+    LEFT JOIN
+        user_call_usage ucu ON us.id = ucu.subscription_id
+            AND ucu.billing_period_start <= CURRENT_TIMESTAMP
+            AND ucu.billing_period_end >= CURRENT_TIMESTAMP
+    LEFT JOIN LATERAL
+        get_call_quota(us.user_id) quota ON TRUE
+    WHERE
+        us.user_id = user_id_param
+        AND us.status IN ('active', 'trialing')
+    ORDER BY
+        us.current_period_end DESC
+    LIMIT 1;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,553 @@
+-- Overage billing
+-- Usage past a plan's call or minute limit used to disappear: the remaining counters are
+-- clamped at zero and nothing else was recorded. Overage is now counted on the usage
+-- record, and plans in 'bill' mode keep calling past their limits and charge the extra
+-- calls and minutes through a ledger that the queue processor reports to Stripe as
+-- metered usage. Plans in 'block' mode (the default) keep refusing calls at the limit.
+
+ALTER TABLE subscription_plans
+ADD COLUMN IF NOT EXISTS overage_mode TEXT NOT NULL DEFAULT 'block' CHECK (overage_mode IN ('block', 'bill')),
+ADD COLUMN IF NOT EXISTS overage_call_price DECIMAL(10, 4), -- Price per call past call_limit
+ADD COLUMN IF NOT EXISTS overage_minute_price DECIMAL(10, 4), -- Price per minute past minutes_limit
+ADD COLUMN IF NOT EXISTS stripe_overage_call_price_id TEXT, -- Metered Stripe price for extra calls
+ADD COLUMN IF NOT EXISTS stripe_overage_minute_price_id TEXT; -- Metered Stripe price for extra minutes
+
+-- Subscription items of the metered overage prices; stripe_subscription_item_id is the plan's base item
+ALTER TABLE user_subscriptions
+ADD COLUMN IF NOT EXISTS stripe_overage_call_item_id TEXT,
+ADD COLUMN IF NOT EXISTS stripe_overage_minute_item_id TEXT;
+
+-- Usage past the limits in the billing period, whether or not the plan bills for it
+ALTER TABLE user_call_usage
+ADD COLUMN IF NOT EXISTS overage_calls INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS overage_minutes INTEGER DEFAULT 0;
+
+-- Overage ledger
+-- One row per call and unit, so a call is never charged twice. Rows are reported to Stripe
+-- by the queue processor: pending -> reporting -> reported, back to pending with a backoff
+-- when Stripe refuses, and failed once the attempts run out.
+CREATE TABLE IF NOT EXISTS usage_overage_charges (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    subscription_id UUID REFERENCES user_subscriptions(id) ON DELETE SET NULL,
+    usage_id UUID REFERENCES user_call_usage(id) ON DELETE SET NULL,
+    queue_id UUID REFERENCES call_queue(id) ON DELETE SET NULL,
+    call_history_id UUID REFERENCES call_history(id) ON DELETE SET NULL,
+    unit TEXT NOT NULL CHECK (unit IN ('call', 'minute')),
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    unit_price DECIMAL(10, 4) NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL,
+    stripe_subscription_item_id TEXT, -- Metered item the usage is reported against
+    stripe_usage_record_id TEXT,
+    report_status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'reporting', 'reported', 'failed'
+    report_attempts INTEGER NOT NULL DEFAULT 0,
+    next_report_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    report_claimed_at TIMESTAMP WITH TIME ZONE,
+    last_report_error TEXT,
+    reported_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (queue_id, unit)
+);
+
+CREATE INDEX IF NOT EXISTS idx_usage_overage_charges_user ON usage_overage_charges (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_usage_overage_charges_usage ON usage_overage_charges (usage_id);
+CREATE INDEX IF NOT EXISTS idx_usage_overage_charges_unreported ON usage_overage_charges (next_report_at)
+    WHERE report_status IN ('pending', 'reporting');
+
+-- Users can see their own charges; only the functions below write them
+ALTER TABLE usage_overage_charges ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY usage_overage_charges_read_policy ON usage_overage_charges
+    FOR SELECT
+    USING (user_id = auth.uid());
+
+-- Function to charge a finished call to the user's allowance
+-- Counts the call and its minutes on the current usage record, with anything past the
+-- limits added to overage_calls / overage_minutes, and adds overage charges to the ledger
+-- when the plan bills for overage.
+CREATE OR REPLACE FUNCTION charge_call_usage(
+    queue_id_param UUID,
+    call_history_id_param UUID,
+    duration_param INTEGER
+)
+RETURNS VOID AS $$
+DECLARE
+    queue_record RECORD;
+    usage_record RECORD;
+    subscription_record RECORD;
+    plan_record RECORD;
+    call_minutes INTEGER := CEILING(COALESCE(duration_param, 0) / 60.0);
+    extra_calls INTEGER;
+    extra_minutes INTEGER;
+BEGIN
+    SELECT * INTO queue_record FROM call_queue WHERE id = queue_id_param;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Queue record not found';
+    END IF;
+
+    SELECT * INTO usage_record
+    FROM user_call_usage ucu
+    WHERE ucu.user_id = queue_record.user_id
+        AND CURRENT_TIMESTAMP BETWEEN ucu.billing_period_start AND ucu.billing_period_end
+    ORDER BY ucu.billing_period_end DESC
+    LIMIT 1
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    extra_calls := CASE WHEN usage_record.calls_remaining IS NULL THEN 0
+        ELSE GREATEST(0, 1 - usage_record.calls_remaining) END;
+    extra_minutes := CASE WHEN usage_record.minutes_remaining IS NULL THEN 0
+        ELSE GREATEST(0, call_minutes - usage_record.minutes_remaining) END;
+
+    UPDATE user_call_usage
+    SET
+        calls_used = calls_used + 1,
+        minutes_used = minutes_used + call_minutes,
+        calls_remaining = GREATEST(0, calls_remaining - 1),
+        minutes_remaining = GREATEST(0, minutes_remaining - call_minutes),
+        overage_calls = COALESCE(overage_calls, 0) + extra_calls,
+        overage_minutes = COALESCE(overage_minutes, 0) + extra_minutes,
+        last_updated = CURRENT_TIMESTAMP
+    WHERE id = usage_record.id;
+
+    IF extra_calls = 0 AND extra_minutes = 0 THEN
+        RETURN;
+    END IF;
+
+    SELECT * INTO subscription_record FROM user_subscriptions WHERE id = usage_record.subscription_id;
+    SELECT * INTO plan_record FROM subscription_plans WHERE id = subscription_record.plan_id;
+
+    IF NOT FOUND OR plan_record.overage_mode <> 'bill' THEN
+        RETURN;
+    END IF;
+
+    IF extra_calls > 0 AND plan_record.overage_call_price IS NOT NULL THEN
+        INSERT INTO usage_overage_charges (
+            user_id, subscription_id, usage_id, queue_id, call_history_id,
+            unit, quantity, unit_price, amount, stripe_subscription_item_id
+        ) VALUES (
+            queue_record.user_id, subscription_record.id, usage_record.id, queue_id_param, call_history_id_param,
+            'call', extra_calls, plan_record.overage_call_price,
+            ROUND(extra_calls * plan_record.overage_call_price, 2),
+            subscription_record.stripe_overage_call_item_id
+        )
+        ON CONFLICT (queue_id, unit) DO NOTHING;
+    END IF;
+
+    IF extra_minutes > 0 AND plan_record.overage_minute_price IS NOT NULL THEN
+        INSERT INTO usage_overage_charges (
+            user_id, subscription_id, usage_id, queue_id, call_history_id,
+            unit, quantity, unit_price, amount, stripe_subscription_item_id
+        ) VALUES (
+            queue_record.user_id, subscription_record.id, usage_record.id, queue_id_param, call_history_id_param,
+            'minute', extra_minutes, plan_record.overage_minute_price,
+            ROUND(extra_minutes * plan_record.overage_minute_price, 2),
+            subscription_record.stripe_overage_minute_item_id
+        )
+        ON CONFLICT (queue_id, unit) DO NOTHING;
+    END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+-- complete_call() charges usage through charge_call_usage()
+CREATE OR REPLACE FUNCTION complete_call(
+    queue_id_param UUID,
+    call_status_param TEXT,
+    duration_param INTEGER,
+    recording_url_param TEXT DEFAULT NULL,
+    transcript_param TEXT DEFAULT NULL,
+    provider_call_id_param TEXT DEFAULT NULL
+)
+RETURNS UUID AS $$
+DECLARE
+    call_record_id UUID;
+    queue_record RECORD;
+    provider_id_var UUID;
+BEGIN
+    -- Get the queue record, serializing concurrent deliveries for the same call
+    SELECT * INTO queue_record FROM call_queue WHERE id = queue_id_param FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Queue record not found';
+    END IF;
+
+    -- Already completed, or the webhook is about an earlier attempt
+    IF queue_record.status <> 'processing'
+        OR (provider_call_id_param IS NOT NULL
+            AND queue_record.provider_call_id IS NOT NULL
+            AND provider_call_id_param <> queue_record.provider_call_id) THEN
+        SELECT ch.id INTO call_record_id
+        FROM call_history ch
+        WHERE ch.queue_id = queue_id_param
+            AND (provider_call_id_param IS NULL OR ch.provider_call_id = provider_call_id_param)
+        ORDER BY ch.created_at DESC
+        LIMIT 1;
+
+        RETURN call_record_id;
+    END IF;
+
+    provider_id_var := queue_record.provider_id;
+
+    -- Create call history record
+    INSERT INTO call_history (
+        user_id,
+        template_id,
+        call_start,
+        call_end,
+        duration,
+        recipient_name,
+        recipient_phone,
+        recipient_email,
+        recording_url,
+        transcript,
+        call_status,
+        provider_id,
+        provider_call_id,
+        queue_id,
+        metadata
+    ) VALUES (
+        queue_record.user_id,
+        queue_record.template_id,
+        CURRENT_TIMESTAMP - (duration_param || ' seconds')::INTERVAL,
+        CURRENT_TIMESTAMP,
+        duration_param,
+        queue_record.recipient_name,
+        queue_record.recipient_phone,
+        queue_record.recipient_email,
+        recording_url_param,
+        transcript_param,
+        call_status_param,
+        provider_id_var,
+        COALESCE(queue_record.provider_call_id, provider_call_id_param),
+        queue_id_param,
+        queue_record.metadata
+    )
+    RETURNING id INTO call_record_id;
+
+    -- Update call queue status
+    UPDATE call_queue
+    SET status = 'completed'
+    WHERE id = queue_id_param;
+
+    -- Update provider availability
+    UPDATE provider_availability
+    SET current_calls = GREATEST(0, current_calls - 1)
+    WHERE provider_id = provider_id_var;
+
+    -- Update call assignment
+    UPDATE call_assignments
+    SET assignment_status = 'completed'
+    WHERE queue_id = queue_id_param AND assignment_status = 'assigned';
+
+    -- Update user call usage, recording any overage
+    PERFORM charge_call_usage(queue_id_param, call_record_id, duration_param);
+
+    RETURN call_record_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- finalize_canceled_call() charges usage through charge_call_usage()
+CREATE OR REPLACE FUNCTION finalize_canceled_call(
+    queue_id_param UUID,
+    duration_param INTEGER DEFAULT 0,
+    recording_url_param TEXT DEFAULT NULL,
+    transcript_param TEXT DEFAULT NULL
+)
+RETURNS UUID AS $$
+DECLARE
+    queue_record RECORD;
+    call_record_id UUID;
+    duration_var INTEGER := COALESCE(duration_param, 0);
+BEGIN
+    SELECT * INTO queue_record FROM call_queue WHERE id = queue_id_param FOR UPDATE;
+
+    IF NOT FOUND OR queue_record.status <> 'processing' THEN
+        RETURN NULL;
+    END IF;
+
+    INSERT INTO call_history (
+        user_id,
+        template_id,
+        call_start,
+        call_end,
+        duration,
+        recipient_name,
+        recipient_phone,
+        recipient_email,
+        recording_url,
+        transcript,
+        call_status,
+        provider_id,
+        provider_call_id,
+        queue_id,
+        metadata
+    ) VALUES (
+        queue_record.user_id,
+        queue_record.template_id,
+        CURRENT_TIMESTAMP - (duration_var || ' seconds')::INTERVAL,
+        CURRENT_TIMESTAMP,
+        duration_var,
+        queue_record.recipient_name,
+        queue_record.recipient_phone,
+        queue_record.recipient_email,
+        recording_url_param,
+        transcript_param,
+        'canceled',
+        queue_record.provider_id,
+        queue_record.provider_call_id,
+        queue_id_param,
+        COALESCE(queue_record.metadata, '{}'::JSONB) || jsonb_build_object('cancel_requested_at', queue_record.cancel_requested_at)
+    )
+    RETURNING id INTO call_record_id;
+
+    UPDATE call_queue
+    SET status = 'canceled'
+    WHERE id = queue_id_param;
+
+    UPDATE provider_availability
+    SET current_calls = GREATEST(0, current_calls - 1)
+    WHERE provider_id = queue_record.provider_id;
+
+    UPDATE call_assignments
+    SET assignment_status = 'canceled'
+    WHERE queue_id = queue_id_param AND assignment_status = 'assigned';
+
+    -- Only calls that connected use up the allowance
+    IF duration_var > 0 THEN
+        PERFORM charge_call_usage(queue_id_param, call_record_id, duration_var);
+    END IF;
+
+    RETURN call_record_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- get_call_quota() also reports the plan's overage mode
+DROP FUNCTION IF EXISTS get_call_quota(UUID);
+
+CREATE OR REPLACE FUNCTION get_call_quota(user_id_param UUID)
+RETURNS TABLE (
+    usage_id UUID,
+    subscription_id UUID,
+    billing_period_end TIMESTAMP WITH TIME ZONE,
+    call_limit INTEGER,
+    calls_used INTEGER,
+    calls_reserved INTEGER,
+    calls_remaining INTEGER,
+    calls_available INTEGER,
+    minutes_limit INTEGER,
+    minutes_used INTEGER,
+    minutes_reserved INTEGER,
+    minutes_remaining INTEGER,
+    minutes_available INTEGER,
+    overage_mode TEXT
+) AS $$
+    WITH reserved AS (
+        SELECT
+            COALESCE(SUM(cqr.calls), 0)::INTEGER AS calls,
+            COALESCE(SUM(cqr.minutes), 0)::INTEGER AS minutes
+        FROM call_quota_reservations cqr
+        WHERE cqr.user_id = user_id_param
+            AND cqr.status = 'reserved'
+    )
+    SELECT
+        ucu.id,
+        ucu.subscription_id,
+        ucu.billing_period_end,
+        sp.call_limit,
+        COALESCE(ucu.calls_used, 0),
+        reserved.calls,
+        ucu.calls_remaining,
+        CASE WHEN ucu.calls_remaining IS NOT NULL THEN GREATEST(0, ucu.calls_remaining - reserved.calls) END,
+        sp.minutes_limit,
+        COALESCE(ucu.minutes_used, 0),
+        reserved.minutes,
+        ucu.minutes_remaining,
+        CASE WHEN ucu.minutes_remaining IS NOT NULL THEN GREATEST(0, ucu.minutes_remaining - reserved.minutes) END,
+        COALESCE(sp.overage_mode, 'block')
+    FROM user_call_usage ucu
+    LEFT JOIN user_subscriptions us ON us.id = ucu.subscription_id
+    LEFT JOIN subscription_plans sp ON sp.id = us.plan_id
+    CROSS JOIN reserved
+    WHERE ucu.user_id = user_id_param
+        AND CURRENT_TIMESTAMP BETWEEN ucu.billing_period_start AND ucu.billing_period_end
+    ORDER BY ucu.billing_period_end DESC
+    LIMIT 1;
+$$ LANGUAGE sql STABLE;
+
+-- reserve_call_quota() lets plans that bill for overage queue calls past their limits
+-- The call is still reserved, so the reservation counts show what is coming.
+CREATE OR REPLACE FUNCTION reserve_call_quota(queue_id_param UUID)
+RETURNS UUID AS $$
+DECLARE
+    queue_record RECORD;
+    quota RECORD;
+    estimated_minutes INTEGER;
+    reservation_id UUID;
+BEGIN
+    SELECT * INTO queue_record FROM call_queue WHERE id = queue_id_param;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Queue record not found';
+    END IF;
+
+    SELECT cqr.id INTO reservation_id FROM call_quota_reservations cqr WHERE cqr.queue_id = queue_id_param;
+
+    IF FOUND THEN
+        RETURN reservation_id;
+    END IF;
+
+    PERFORM 1
+    FROM user_call_usage ucu
+    WHERE ucu.user_id = queue_record.user_id
+        AND CURRENT_TIMESTAMP BETWEEN ucu.billing_period_start AND ucu.billing_period_end
+    FOR UPDATE;
+
+    SELECT * INTO quota FROM get_call_quota(queue_record.user_id);
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    estimated_minutes := estimate_call_minutes(queue_record.template_id);
+
+    IF quota.overage_mode <> 'bill' THEN
+        IF quota.calls_available IS NOT NULL AND quota.calls_available < 1 THEN
+            RAISE EXCEPTION 'Call quota exceeded: % calls remaining, % reserved by scheduled calls',
+                quota.calls_remaining, quota.calls_reserved;
+        END IF;
+
+        IF quota.minutes_available IS NOT NULL AND quota.minutes_available < estimated_minutes THEN
+            RAISE EXCEPTION 'Minute quota exceeded: % minutes available, % needed',
+                quota.minutes_available, estimated_minutes;
+        END IF;
+    END IF;
+
+    INSERT INTO call_quota_reservations (user_id, usage_id, queue_id, calls, minutes)
+    VALUES (queue_record.user_id, quota.usage_id, queue_id_param, 1, estimated_minutes)
+    RETURNING id INTO reservation_id;
+
+    RETURN reservation_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to claim overage charges for reporting to Stripe
+-- Locks rows with FOR UPDATE SKIP LOCKED so several processors never report the same
+-- charge at once. Rows left 'reporting' by a processor that stopped are claimed again
+-- after 15 minutes; the processor reports each charge with a fixed idempotency key, so
+-- a charge Stripe already accepted is not counted twice. Charges recorded before the
+-- subscription's metered item was known pick it up here.
+CREATE OR REPLACE FUNCTION claim_overage_reports(batch_size_param INTEGER DEFAULT 50)
+RETURNS SETOF usage_overage_charges AS $$
+    UPDATE usage_overage_charges uoc
+    SET
+        report_status = 'reporting',
+        report_attempts = uoc.report_attempts + 1,
+        report_claimed_at = CURRENT_TIMESTAMP,
+        stripe_subscription_item_id = COALESCE(
+            uoc.stripe_subscription_item_id,
+            (SELECT CASE uoc.unit
+                    WHEN 'call' THEN us.stripe_overage_call_item_id
+                    ELSE us.stripe_overage_minute_item_id
+                END
+             FROM user_subscriptions us
+             WHERE us.id = uoc.subscription_id)
+        )
+    WHERE uoc.id IN (
+        SELECT due.id
+        FROM usage_overage_charges due
+        WHERE (due.report_status = 'pending' AND due.next_report_at <= CURRENT_TIMESTAMP)
+            OR (due.report_status = 'reporting' AND due.report_claimed_at < CURRENT_TIMESTAMP - INTERVAL '15 minutes')
+        ORDER BY due.created_at
+        LIMIT batch_size_param
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING uoc.*;
+$$ LANGUAGE sql;
+
+-- Function to record that Stripe accepted an overage charge
+CREATE OR REPLACE FUNCTION mark_overage_reported(
+    charge_id_param UUID,
+    stripe_usage_record_id_param TEXT
+)
+RETURNS VOID AS $$
+    UPDATE usage_overage_charges
+    SET
+        report_status = 'reported',
+        stripe_usage_record_id = stripe_usage_record_id_param,
+        last_report_error = NULL,
+        reported_at = CURRENT_TIMESTAMP
+    WHERE id = charge_id_param
+        AND report_status = 'reporting';
+$$ LANGUAGE sql;
+
+-- Function to record a failed attempt to report an overage charge
+-- The charge is tried again after 2, 4, 8 ... minutes and marked failed after
+-- max_attempts_param tries. The default keeps every retry within the 24 hours Stripe
+-- honours idempotency keys for.
+CREATE OR REPLACE FUNCTION mark_overage_report_failed(
+    charge_id_param UUID,
+    error_param TEXT,
+    max_attempts_param INTEGER DEFAULT 8
+)
+RETURNS TEXT AS $$
+    UPDATE usage_overage_charges
+    SET
+        report_status = CASE WHEN report_attempts >= max_attempts_param THEN 'failed' ELSE 'pending' END,
+        next_report_at = CURRENT_TIMESTAMP + (POWER(2, report_attempts) || ' minutes')::INTERVAL,
+        last_report_error = error_param
+    WHERE id = charge_id_param
+        AND report_status = 'reporting'
+    RETURNING report_status;
+$$ LANGUAGE sql;
+
+-- Function to summarize a user's overage for the current billing period
+CREATE OR REPLACE FUNCTION get_overage_summary(user_id_param UUID)
+RETURNS JSONB AS $$
+DECLARE
+    usage_record RECORD;
+    plan_record RECORD;
+    charges RECORD;
+BEGIN
+    SELECT * INTO usage_record
+    FROM user_call_usage ucu
+    WHERE ucu.user_id = user_id_param
+        AND CURRENT_TIMESTAMP BETWEEN ucu.billing_period_start AND ucu.billing_period_end
+    ORDER BY ucu.billing_period_end DESC
+    LIMIT 1;
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    SELECT sp.* INTO plan_record
+    FROM user_subscriptions us
+    JOIN subscription_plans sp ON sp.id = us.plan_id
+    WHERE us.id = usage_record.subscription_id;
+
+    SELECT
+        COALESCE(SUM(uoc.amount), 0) AS amount,
+        COALESCE(SUM(uoc.amount) FILTER (WHERE uoc.report_status = 'reported'), 0) AS reported_amount,
+        COALESCE(SUM(uoc.amount) FILTER (WHERE uoc.report_status IN ('pending', 'reporting')), 0) AS pending_amount,
+        COUNT(*) FILTER (WHERE uoc.report_status = 'failed') AS failed_count
+    INTO charges
+    FROM usage_overage_charges uoc
+    WHERE uoc.usage_id = usage_record.id;
+
+    RETURN jsonb_build_object(
+        'overageMode', COALESCE(plan_record.overage_mode, 'block'),
+        'callPrice', plan_record.overage_call_price,
+        'minutePrice', plan_record.overage_minute_price,
+        'overageCalls', COALESCE(usage_record.overage_calls, 0),
+        'overageMinutes', COALESCE(usage_record.overage_minutes, 0),
+        'amount', charges.amount,
+        'reportedAmount', charges.reported_amount,
+        'pendingAmount', charges.pending_amount,
+        'failedCharges', charges.failed_count,
+        'billingPeriodEnd', usage_record.billing_period_end
+    );
+END;
+$$ LANGUAGE plpgsql STABLE;
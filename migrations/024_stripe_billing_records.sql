@@ -0,0 +1,56 @@
+-- Invoices and payment methods synced from Stripe
+-- stripe-webhook keeps subscription_invoices and payment_methods in line with Stripe, so
+-- the billing screens read real data. Rows are keyed by their Stripe IDs and rewritten
+-- from Stripe's current copy on every event, so events arriving out of order cannot
+-- leave an older state behind.
+
+ALTER TABLE subscription_invoices
+ADD COLUMN IF NOT EXISTS invoice_number TEXT, -- Stripe's customer-facing invoice number
+ADD COLUMN IF NOT EXISTS hosted_invoice_url TEXT; -- Stripe-hosted page to view and pay the invoice
+
+CREATE INDEX IF NOT EXISTS idx_subscription_invoices_user ON subscription_invoices (user_id, invoice_date DESC);
+CREATE INDEX IF NOT EXISTS idx_payment_methods_user ON payment_methods (user_id);
+
+-- A user has at most one default payment method
+UPDATE payment_methods pm
+SET is_default = FALSE
+WHERE pm.is_default
+    AND EXISTS (
+        SELECT 1
+        FROM payment_methods newer
+        WHERE newer.user_id = pm.user_id
+            AND newer.is_default
+            AND (newer.updated_at, newer.id) > (pm.updated_at, pm.id)
+    );
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_methods_one_default ON payment_methods (user_id) WHERE is_default;
+
+-- Function to mark a user's default payment method
+-- Clears the flag on every other method first, so the one-default index always holds.
+-- A NULL payment method ID leaves the user without a default. Active subscriptions
+-- record the same method.
+CREATE OR REPLACE FUNCTION set_default_payment_method(
+    user_id_param UUID,
+    stripe_payment_method_id_param TEXT
+)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE payment_methods
+    SET is_default = FALSE
+    WHERE user_id = user_id_param
+        AND is_default
+        AND stripe_payment_method_id IS DISTINCT FROM stripe_payment_method_id_param;
+
+    UPDATE payment_methods
+    SET is_default = TRUE
+    WHERE user_id = user_id_param
+        AND stripe_payment_method_id = stripe_payment_method_id_param
+        AND NOT is_default;
+
+    UPDATE user_subscriptions
+    SET stripe_payment_method_id = stripe_payment_method_id_param
+    WHERE user_id = user_id_param
+        AND status IN ('active', 'trialing', 'past_due')
+        AND stripe_payment_method_id IS DISTINCT FROM stripe_payment_method_id_param;
+END;
+$$ LANGUAGE plpgsql;
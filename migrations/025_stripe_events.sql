@@ -0,0 +1,180 @@
+-- Stripe webhook event ledger
+-- Every event stripe-webhook receives is recorded by its Stripe event ID before it is
+-- handled. Repeated deliveries of a processed event are skipped, failed events are
+-- answered with an error so Stripe delivers them again, and admins can replay failed or
+-- chosen events from the stored payload.
+
+CREATE TABLE IF NOT EXISTS stripe_events (
+    id TEXT PRIMARY KEY, -- Stripe event ID (evt_...)
+    type TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    livemode BOOLEAN,
+    status TEXT NOT NULL DEFAULT 'processing', -- 'processing', 'processed', 'failed'
+    attempts INTEGER NOT NULL DEFAULT 1,
+    error TEXT, -- Error from the last failed attempt
+    stripe_created_at TIMESTAMP WITH TIME ZONE,
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    processed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_stripe_events_status ON stripe_events (status, received_at);
+CREATE INDEX IF NOT EXISTS idx_stripe_events_type ON stripe_events (type, received_at DESC);
+
+-- Only admins can see the ledger; stripe-webhook writes it with the service role
+ALTER TABLE stripe_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY stripe_events_admin_policy ON stripe_events
+    USING (auth.jwt() ->> 'role' = 'admin')
+    WITH CHECK (auth.jwt() ->> 'role' = 'admin');
+
+-- Function to record a Stripe event and claim it for processing
+-- Returns 'process' when the caller should handle the event, 'duplicate' when it was
+-- already processed, or 'in_progress' when another delivery is handling it right now.
+-- Events stuck processing for longer than 5 minutes (the handler died) can be claimed
+-- again. force_param also claims processed events, for replays.
+CREATE OR REPLACE FUNCTION begin_stripe_event(
+    event_id_param TEXT,
+    type_param TEXT,
+    payload_param JSONB,
+    force_param BOOLEAN DEFAULT FALSE
+)
+RETURNS TEXT AS $$
+DECLARE
+    event_record RECORD;
+BEGIN
+    INSERT INTO stripe_events (id, type, payload, livemode, stripe_created_at)
+    VALUES (
+        event_id_param,
+        type_param,
+        payload_param,
+        (payload_param ->> 'livemode')::BOOLEAN,
+        to_timestamp((payload_param ->> 'created')::BIGINT)
+    )
+    ON CONFLICT (id) DO NOTHING;
+
+    IF FOUND THEN
+        RETURN 'process';
+    END IF;
+
+    SELECT * INTO event_record FROM stripe_events WHERE id = event_id_param FOR UPDATE;
+
+    IF event_record.status = 'processing'
+        AND event_record.started_at > CURRENT_TIMESTAMP - INTERVAL '5 minutes' THEN
+        RETURN 'in_progress';
+    END IF;
+
+    IF event_record.status = 'processed' AND NOT force_param THEN
+        RETURN 'duplicate';
+    END IF;
+
+    UPDATE stripe_events
+    SET
+        status = 'processing',
+        attempts = attempts + 1,
+        started_at = CURRENT_TIMESTAMP
+    WHERE id = event_id_param;
+
+    RETURN 'process';
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to record the outcome of handling a Stripe event
+-- A NULL error marks the event processed; anything else marks it failed.
+CREATE OR REPLACE FUNCTION finish_stripe_event(
+    event_id_param TEXT,
+    error_param TEXT DEFAULT NULL
+)
+RETURNS VOID AS $$
+    UPDATE stripe_events
+    SET
+        status = CASE WHEN error_param IS NULL THEN 'processed' ELSE 'failed' END,
+        error = error_param,
+        processed_at = CASE WHEN error_param IS NULL THEN CURRENT_TIMESTAMP ELSE processed_at END
+    WHERE id = event_id_param;
+$$ LANGUAGE sql;
+
+-- One usage record per subscription and billing period
+-- customer.subscription.created inserted a new record on every delivery. Duplicates got
+-- the same counts from complete_call() until 023, so keep the one with the most usage
+-- (then the oldest) and move anything pointing at the others onto it.
+CREATE TEMP TABLE duplicate_usage_periods AS
+SELECT ranked.id, ranked.keep_id
+FROM (
+    SELECT
+        ucu.id,
+        FIRST_VALUE(ucu.id) OVER (
+            PARTITION BY ucu.subscription_id, ucu.billing_period_start
+            ORDER BY ucu.calls_used DESC NULLS LAST, ucu.minutes_used DESC NULLS LAST, ucu.last_updated, ucu.id
+        ) AS keep_id
+    FROM user_call_usage ucu
+    WHERE ucu.subscription_id IS NOT NULL
+) ranked
+WHERE ranked.id <> ranked.keep_id;
+
+UPDATE call_quota_reservations cqr
+SET usage_id = d.keep_id
+FROM duplicate_usage_periods d
+WHERE cqr.usage_id = d.id;
+
+UPDATE usage_overage_charges uoc
+SET usage_id = d.keep_id
+FROM duplicate_usage_periods d
+WHERE uoc.usage_id = d.id;
+
+DELETE FROM user_call_usage ucu
+USING duplicate_usage_periods d
+WHERE ucu.id = d.id;
+
+DROP TABLE duplicate_usage_periods;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_call_usage_period
+    ON user_call_usage (subscription_id, billing_period_start);
+
+-- Function to start a subscription's usage record for a billing period
+-- Safe to call for every delivery of every event that announces a period: an existing
+-- record is left as it is. Returns the usage record ID.
+CREATE OR REPLACE FUNCTION start_usage_period(
+    subscription_id_param UUID,
+    period_start_param TIMESTAMP WITH TIME ZONE,
+    period_end_param TIMESTAMP WITH TIME ZONE
+)
+RETURNS UUID AS $$
+DECLARE
+    usage_id_var UUID;
+BEGIN
+    INSERT INTO user_call_usage (
+        user_id,
+        subscription_id,
+        billing_period_start,
+        billing_period_end,
+        calls_used,
+        minutes_used,
+        calls_remaining,
+        minutes_remaining
+    )
+    SELECT
+        us.user_id,
+        us.id,
+        period_start_param,
+        period_end_param,
+        0,
+        0,
+        sp.call_limit,
+        sp.minutes_limit
+    FROM user_subscriptions us
+    JOIN subscription_plans sp ON sp.id = us.plan_id
+    WHERE us.id = subscription_id_param
+    ON CONFLICT (subscription_id, billing_period_start) DO NOTHING
+    RETURNING id INTO usage_id_var;
+
+    IF usage_id_var IS NULL THEN
+        SELECT ucu.id INTO usage_id_var
+        FROM user_call_usage ucu
+        WHERE ucu.subscription_id = subscription_id_param
+            AND ucu.billing_period_start = period_start_param;
+    END IF;
+
+    RETURN usage_id_var;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,391 @@
+-- Plan upgrades and downgrades
+-- Switching plans used to change user_subscriptions.plan_id and nothing else, leaving the
+-- period's usage record with the old plan's allowance. Plan switches now go through
+-- apply_plan_change(): upgrades take effect at once, with the new allowance less what
+-- was already used in the period; downgrades wait for the end of the period unless the
+-- new plan says otherwise. Every switch is kept in subscription_changes.
+
+-- When a switch down to this plan takes effect: 'period_end' or 'immediate'
+ALTER TABLE subscription_plans
+ADD COLUMN IF NOT EXISTS downgrade_timing TEXT NOT NULL DEFAULT 'period_end'
+    CHECK (downgrade_timing IN ('period_end', 'immediate'));
+
+-- Downgrade waiting for the end of the current period
+ALTER TABLE user_subscriptions
+ADD COLUMN IF NOT EXISTS scheduled_plan_id UUID REFERENCES subscription_plans(id),
+ADD COLUMN IF NOT EXISTS scheduled_plan_change_at TIMESTAMP WITH TIME ZONE;
+
+CREATE TABLE IF NOT EXISTS subscription_changes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    subscription_id UUID NOT NULL REFERENCES user_subscriptions(id) ON DELETE CASCADE,
+    from_plan_id UUID REFERENCES subscription_plans(id),
+    to_plan_id UUID NOT NULL REFERENCES subscription_plans(id),
+    change_type TEXT NOT NULL, -- 'upgrade', 'downgrade', 'lateral'
+    timing TEXT NOT NULL, -- 'immediate', 'period_end'
+    status TEXT NOT NULL, -- 'applied', 'scheduled', 'canceled'
+    source TEXT NOT NULL DEFAULT 'stripe',
+    usage_id UUID REFERENCES user_call_usage(id) ON DELETE SET NULL, -- Usage record recalculated by the change
+    calls_used INTEGER, -- Usage in the period when the change was applied
+    minutes_used INTEGER,
+    previous_calls_remaining INTEGER,
+    previous_minutes_remaining INTEGER,
+    new_calls_remaining INTEGER,
+    new_minutes_remaining INTEGER,
+    effective_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    applied_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscription_changes_subscription ON subscription_changes (subscription_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_subscription_changes_user ON subscription_changes (user_id, created_at DESC);
+
+-- Users can see their own plan changes; only the functions below write them
+ALTER TABLE subscription_changes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY subscription_changes_read_policy ON subscription_changes
+    FOR SELECT
+    USING (user_id = auth.uid());
+
+-- Function to classify a switch between two plans
+-- Compares the monthly price; plans at the same price are compared by their limits, with
+-- no limit counting as the most.
+CREATE OR REPLACE FUNCTION plan_change_type(from_plan_id_param UUID, to_plan_id_param UUID)
+RETURNS TEXT AS $$
+    SELECT CASE
+        WHEN to_price > from_price THEN 'upgrade'
+        WHEN to_price < from_price THEN 'downgrade'
+        WHEN to_calls > from_calls OR (to_calls = from_calls AND to_minutes > from_minutes) THEN 'upgrade'
+        WHEN to_calls < from_calls OR (to_calls = from_calls AND to_minutes < from_minutes) THEN 'downgrade'
+        ELSE 'lateral'
+    END
+    FROM (
+        SELECT
+            f.price / CASE WHEN f.interval = 'yearly' THEN 12 ELSE 1 END AS from_price,
+            t.price / CASE WHEN t.interval = 'yearly' THEN 12 ELSE 1 END AS to_price,
+            COALESCE(f.call_limit, 2147483647) AS from_calls,
+            COALESCE(t.call_limit, 2147483647) AS to_calls,
+            COALESCE(f.minutes_limit, 2147483647) AS from_minutes,
+            COALESCE(t.minutes_limit, 2147483647) AS to_minutes
+        FROM subscription_plans f, subscription_plans t
+        WHERE f.id = from_plan_id_param
+            AND t.id = to_plan_id_param
+    ) prices;
+$$ LANGUAGE sql STABLE;
+
+-- Function to preview a switch to another plan for a user
+-- Returns the change type, when it would take effect and the period's allowance before and
+-- after, without changing anything. Users without a subscription get the plan's limits.
+CREATE OR REPLACE FUNCTION preview_plan_change(user_id_param UUID, to_plan_id_param UUID)
+RETURNS JSONB AS $$
+DECLARE
+    subscription_record RECORD;
+    from_plan RECORD;
+    to_plan RECORD;
+    usage_record RECORD;
+    scheduled_plan RECORD;
+    change_type_var TEXT;
+    timing_var TEXT;
+BEGIN
+    SELECT * INTO to_plan FROM subscription_plans WHERE id = to_plan_id_param;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Plan not found';
+    END IF;
+
+    SELECT * INTO subscription_record
+    FROM user_subscriptions us
+    WHERE us.user_id = user_id_param
+        AND us.status IN ('active', 'trialing', 'past_due')
+    ORDER BY us.current_period_end DESC
+    LIMIT 1;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object(
+            'changeType', 'new',
+            'timing', 'immediate',
+            'effectiveAt', CURRENT_TIMESTAMP,
+            'current', NULL,
+            'new', jsonb_build_object(
+                'planId', to_plan.id,
+                'planName', to_plan.name,
+                'callLimit', to_plan.call_limit,
+                'minutesLimit', to_plan.minutes_limit,
+                'callsRemaining', to_plan.call_limit,
+                'minutesRemaining', to_plan.minutes_limit
+            )
+        );
+    END IF;
+
+    SELECT * INTO from_plan FROM subscription_plans WHERE id = subscription_record.plan_id;
+    SELECT * INTO scheduled_plan FROM subscription_plans WHERE id = subscription_record.scheduled_plan_id;
+
+    SELECT * INTO usage_record
+    FROM user_call_usage ucu
+    WHERE ucu.subscription_id = subscription_record.id
+        AND CURRENT_TIMESTAMP BETWEEN ucu.billing_period_start AND ucu.billing_period_end
+    ORDER BY ucu.billing_period_end DESC
+    LIMIT 1;
+
+    change_type_var := CASE WHEN to_plan.id = from_plan.id THEN 'none'
+        ELSE plan_change_type(from_plan.id, to_plan.id) END;
+    timing_var := CASE WHEN change_type_var = 'downgrade' AND to_plan.downgrade_timing = 'period_end'
+        THEN 'period_end' ELSE 'immediate' END;
+
+    RETURN jsonb_build_object(
+        'changeType', change_type_var,
+        'timing', timing_var,
+        'effectiveAt', CASE WHEN timing_var = 'period_end' THEN subscription_record.current_period_end ELSE CURRENT_TIMESTAMP END,
+        'scheduledChange', CASE WHEN scheduled_plan.id IS NULL THEN NULL ELSE jsonb_build_object(
+            'planId', scheduled_plan.id,
+            'planName', scheduled_plan.name,
+            'effectiveAt', subscription_record.scheduled_plan_change_at
+        ) END,
+        'current', jsonb_build_object(
+            'planId', from_plan.id,
+            'planName', from_plan.name,
+            'callLimit', from_plan.call_limit,
+            'minutesLimit', from_plan.minutes_limit,
+            'callsUsed', COALESCE(usage_record.calls_used, 0),
+            'minutesUsed', COALESCE(usage_record.minutes_used, 0),
+            'callsRemaining', usage_record.calls_remaining,
+            'minutesRemaining', usage_record.minutes_remaining
+        ),
+        -- A downgrade at period end starts the next period with the full new allowance
+        'new', jsonb_build_object(
+            'planId', to_plan.id,
+            'planName', to_plan.name,
+            'callLimit', to_plan.call_limit,
+            'minutesLimit', to_plan.minutes_limit,
+            'callsRemaining', CASE
+                WHEN to_plan.call_limit IS NULL THEN NULL
+                WHEN timing_var = 'period_end' THEN to_plan.call_limit
+                ELSE GREATEST(0, to_plan.call_limit - COALESCE(usage_record.calls_used, 0))
+            END,
+            'minutesRemaining', CASE
+                WHEN to_plan.minutes_limit IS NULL THEN NULL
+                WHEN timing_var = 'period_end' THEN to_plan.minutes_limit
+                ELSE GREATEST(0, to_plan.minutes_limit - COALESCE(usage_record.minutes_used, 0))
+            END
+        )
+    );
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Function to switch a subscription to another plan
+-- Upgrades, lateral switches and downgrades to plans with downgrade_timing 'immediate'
+-- take effect at once: the current period's remaining calls and minutes become the new
+-- plan's limits less what was already used. Other downgrades are scheduled for the end
+-- of the period and applied by start_usage_period(). Switching back to the current plan
+-- cancels a scheduled downgrade. Returns the change, or NULL when there is nothing to do.
+CREATE OR REPLACE FUNCTION apply_plan_change(
+    subscription_id_param UUID,
+    to_plan_id_param UUID,
+    source_param TEXT DEFAULT 'stripe'
+)
+RETURNS JSONB AS $$
+DECLARE
+    subscription_record RECORD;
+    to_plan RECORD;
+    usage_record RECORD;
+    change_type_var TEXT;
+    timing_var TEXT;
+    change_id UUID;
+    new_calls_remaining INTEGER;
+    new_minutes_remaining INTEGER;
+BEGIN
+    SELECT * INTO subscription_record FROM user_subscriptions WHERE id = subscription_id_param FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Subscription not found';
+    END IF;
+
+    SELECT * INTO to_plan FROM subscription_plans WHERE id = to_plan_id_param;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Plan not found';
+    END IF;
+
+    -- Already on its way to this plan
+    IF to_plan_id_param = subscription_record.scheduled_plan_id THEN
+        RETURN NULL;
+    END IF;
+
+    -- Anything scheduled is replaced by this switch
+    UPDATE subscription_changes
+    SET status = 'canceled'
+    WHERE subscription_id = subscription_id_param
+        AND status = 'scheduled';
+
+    UPDATE user_subscriptions
+    SET
+        scheduled_plan_id = NULL,
+        scheduled_plan_change_at = NULL
+    WHERE id = subscription_id_param
+        AND scheduled_plan_id IS NOT NULL;
+
+    IF to_plan_id_param = subscription_record.plan_id THEN
+        RETURN CASE WHEN subscription_record.scheduled_plan_id IS NULL THEN NULL
+            ELSE jsonb_build_object('status', 'canceled', 'planId', subscription_record.scheduled_plan_id) END;
+    END IF;
+
+    change_type_var := plan_change_type(subscription_record.plan_id, to_plan_id_param);
+    timing_var := CASE WHEN change_type_var = 'downgrade' AND to_plan.downgrade_timing = 'period_end'
+        THEN 'period_end' ELSE 'immediate' END;
+
+    IF timing_var = 'period_end' THEN
+        UPDATE user_subscriptions
+        SET
+            scheduled_plan_id = to_plan_id_param,
+            scheduled_plan_change_at = subscription_record.current_period_end
+        WHERE id = subscription_id_param;
+
+        INSERT INTO subscription_changes (
+            user_id, subscription_id, from_plan_id, to_plan_id,
+            change_type, timing, status, source, effective_at
+        ) VALUES (
+            subscription_record.user_id, subscription_id_param, subscription_record.plan_id, to_plan_id_param,
+            change_type_var, timing_var, 'scheduled', source_param, subscription_record.current_period_end
+        )
+        RETURNING id INTO change_id;
+
+        RETURN jsonb_build_object(
+            'changeId', change_id,
+            'changeType', change_type_var,
+            'timing', timing_var,
+            'status', 'scheduled',
+            'effectiveAt', subscription_record.current_period_end
+        );
+    END IF;
+
+    SELECT * INTO usage_record
+    FROM user_call_usage ucu
+    WHERE ucu.subscription_id = subscription_id_param
+        AND CURRENT_TIMESTAMP BETWEEN ucu.billing_period_start AND ucu.billing_period_end
+    ORDER BY ucu.billing_period_end DESC
+    LIMIT 1
+    FOR UPDATE;
+
+    new_calls_remaining := CASE WHEN to_plan.call_limit IS NULL THEN NULL
+        ELSE GREATEST(0, to_plan.call_limit - COALESCE(usage_record.calls_used, 0)) END;
+    new_minutes_remaining := CASE WHEN to_plan.minutes_limit IS NULL THEN NULL
+        ELSE GREATEST(0, to_plan.minutes_limit - COALESCE(usage_record.minutes_used, 0)) END;
+
+    IF usage_record.id IS NOT NULL THEN
+        UPDATE user_call_usage
+        SET
+            calls_remaining = new_calls_remaining,
+            minutes_remaining = new_minutes_remaining,
+            last_updated = CURRENT_TIMESTAMP
+        WHERE id = usage_record.id;
+    END IF;
+
+    UPDATE user_subscriptions
+    SET
+        plan_id = to_plan_id_param,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = subscription_id_param;
+
+    INSERT INTO subscription_changes (
+        user_id, subscription_id, from_plan_id, to_plan_id,
+        change_type, timing, status, source, usage_id,
+        calls_used, minutes_used,
+        previous_calls_remaining, previous_minutes_remaining,
+        new_calls_remaining, new_minutes_remaining,
+        effective_at, applied_at
+    ) VALUES (
+        subscription_record.user_id, subscription_id_param, subscription_record.plan_id, to_plan_id_param,
+        change_type_var, timing_var, 'applied', source_param, usage_record.id,
+        usage_record.calls_used, usage_record.minutes_used,
+        usage_record.calls_remaining, usage_record.minutes_remaining,
+        new_calls_remaining, new_minutes_remaining,
+        CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+    )
+    RETURNING id INTO change_id;
+
+    RETURN jsonb_build_object(
+        'changeId', change_id,
+        'changeType', change_type_var,
+        'timing', timing_var,
+        'status', 'applied',
+        'effectiveAt', CURRENT_TIMESTAMP,
+        'callsRemaining', new_calls_remaining,
+        'minutesRemaining', new_minutes_remaining
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- start_usage_period() applies a downgrade scheduled for the start of the new period,
+-- so the period's usage record gets the new plan's limits
+CREATE OR REPLACE FUNCTION start_usage_period(
+    subscription_id_param UUID,
+    period_start_param TIMESTAMP WITH TIME ZONE,
+    period_end_param TIMESTAMP WITH TIME ZONE
+)
+RETURNS UUID AS $$
+DECLARE
+    subscription_record RECORD;
+    usage_id_var UUID;
+BEGIN
+    SELECT * INTO subscription_record FROM user_subscriptions WHERE id = subscription_id_param FOR UPDATE;
+
+    IF subscription_record.scheduled_plan_id IS NOT NULL
+        AND subscription_record.scheduled_plan_change_at <= period_start_param THEN
+        UPDATE user_subscriptions
+        SET
+            plan_id = subscription_record.scheduled_plan_id,
+            scheduled_plan_id = NULL,
+            scheduled_plan_change_at = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = subscription_id_param;
+
+        UPDATE subscription_changes
+        SET
+            status = 'applied',
+            applied_at = CURRENT_TIMESTAMP
+        WHERE subscription_id = subscription_id_param
+            AND status = 'scheduled';
+    END IF;
+
+    INSERT INTO user_call_usage (
+        user_id,
+        subscription_id,
+        billing_period_start,
+        billing_period_end,
+        calls_used,
+        minutes_used,
+        calls_remaining,
+        minutes_remaining
+    )
+    SELECT
+        us.user_id,
+        us.id,
+        period_start_param,
+        period_end_param,
+        0,
+        0,
+        sp.call_limit,
+        sp.minutes_limit
+    FROM user_subscriptions us
+    JOIN subscription_plans sp ON sp.id = us.plan_id
+    WHERE us.id = subscription_id_param
+    ON CONFLICT (subscription_id, billing_period_start) DO NOTHING
+    RETURNING id INTO usage_id_var;
+
+    IF usage_id_var IS NULL THEN
+        SELECT ucu.id INTO usage_id_var
+        FROM user_call_usage ucu
+        WHERE ucu.subscription_id = subscription_id_param
+            AND ucu.billing_period_start = period_start_param;
+    ELSE
+        UPDATE subscription_changes
+        SET usage_id = usage_id_var
+        WHERE subscription_id = subscription_id_param
+            AND status = 'applied'
+            AND timing = 'period_end'
+            AND usage_id IS NULL;
+    END IF;
+
+    RETURN usage_id_var;
+END;
+$$ LANGUAGE plpgsql;
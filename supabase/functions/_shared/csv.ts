@@ -0,0 +1,70 @@
+/**
+ * Minimal CSV parsing for imports
+ *
+ * Handles quoted fields, escaped quotes ("") and CRLF line endings. Blank lines are skipped.
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ */
+export function parseCsv(text: string): string[][] {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  rows.push(row);
+
+  return rows
+    .map(fields => fields.map(value => value.trim()))
+    .filter(fields => fields.some(value => value !== ""));
+}
+
+/**
+ * Parse CSV text whose first row is a header into one object per row
+ */
+export function parseCsvRecords(text: string): Record<string, string>[] {
+  const [header, ...rows] = parseCsv(text);
+
+  if (!header) {
+    return [];
+  }
+
+  return rows.map(fields =>
+    Object.fromEntries(header.map((column, index) => [column, fields[index] ?? ""]))
+  );
+}
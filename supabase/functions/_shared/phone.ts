@@ -0,0 +1,60 @@
+/**
+ * Phone number checks shared by the edge functions
+ *
+ * Parsing happens in parse_phone_number() so every function, trigger and the queue
+ * processor agree on what a number is; this module only turns its result into a response.
+ */
+
+import type { CheckError } from "./scheduling.ts";
+
+export interface ParsedPhoneNumber {
+  e164: string;
+  country_code: string | null;
+  area_code: string | null;
+  subscriber_number: string | null;
+}
+
+const PHONE_ERRORS: Record<string, string> = {
+  missing: "Phone number is required",
+  invalid_characters: "Phone number may only contain digits, spaces and ( ) . - / characters",
+  invalid_length: "Phone number has the wrong number of digits for its country",
+  invalid_area_code: "Phone number has an invalid area code",
+  unknown_country: "Phone number needs a +country code"
+};
+
+/**
+ * Normalize a phone number to E.164, or explain why it cannot be dialed
+ */
+export async function parsePhoneNumber(
+  supabase: any,
+  phone: string,
+  field = "recipientPhone"
+): Promise<{ phone: ParsedPhoneNumber | null; error?: CheckError }> {
+  const { data, error } = await supabase.rpc("parse_phone_number", { phone_param: phone });
+  const parsed = Array.isArray(data) ? data[0] : data;
+
+  if (error || !parsed) {
+    console.error("Error parsing phone number:", error);
+    return { phone: null, error: { status: 500, body: { error: "Failed to check phone number" } } };
+  }
+
+  if (!parsed.e164) {
+    return {
+      phone: null,
+      error: {
+        status: 400,
+        body: {
+          error: "Invalid phone number",
+          details: {
+            field,
+            value: phone,
+            code: parsed.parse_error,
+            message: PHONE_ERRORS[parsed.parse_error] || "Phone number is not valid"
+          }
+        }
+      }
+    };
+  }
+
+  return { phone: parsed };
+}
@@ -0,0 +1,63 @@
+import { registerWebhookAdapter, StandardWebhookData } from "./registry.ts";
+
+// Statuses our system understands; anything else must be mapped through configuration.statusMap
+const STANDARD_STATUSES = ['pending', 'in-progress', 'completed', 'failed', 'canceled'];
+
+/**
+ * Read a value from an object by dot path (e.g. 'call.media.recording')
+ */
+function getPath(source: any, path: string | undefined): any {
+  if (!path) {
+    return undefined;
+  }
+
+  return path.split('.').reduce(
+    (value, key) => (value === null || value === undefined ? undefined : value[key]),
+    source
+  );
+}
+
+/**
+ * Webhook adapter for providers configured entirely through
+ * call_service_providers.configuration (see examples/providers/generic-http-client.js)
+ */
+registerWebhookAdapter({
+  providerType: "generic_http",
+
+  parseWebhook(body: any, configuration?: Record<string, any> | null): StandardWebhookData | null {
+    const webhook = configuration?.webhook;
+
+    // Without the provider's configuration there is nothing to map the payload with
+    if (!body || !webhook || !webhook.fields) {
+      return null;
+    }
+
+    if (webhook.match) {
+      const value = getPath(body, webhook.match.path);
+      if (webhook.match.equals !== undefined ? value !== webhook.match.equals : value === undefined) {
+        return null;
+      }
+    }
+
+    const fields = webhook.fields as Record<string, string>;
+    const providerCallId = getPath(body, fields.providerCallId);
+    const queueId = getPath(body, fields.queueId);
+
+    if (providerCallId === undefined && queueId === undefined) {
+      return null;
+    }
+
+    const rawStatus = getPath(body, fields.status);
+    const statusMap: Record<string, string> = configuration?.statusMap || {};
+
+    return {
+      providerCallId: providerCallId === undefined ? null : String(providerCallId),
+      queueId: queueId || null,
+      status: statusMap[rawStatus] || (STANDARD_STATUSES.includes(rawStatus) ? rawStatus : 'unknown'),
+      duration: Number(getPath(body, fields.duration)) || 0,
+      recordingUrl: getPath(body, fields.recordingUrl) || null,
+      transcript: getPath(body, fields.transcript) || null,
+      optOut: [true, 'true'].includes(getPath(body, fields.optOut))
+    };
+  }
+});
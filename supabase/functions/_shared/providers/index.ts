@@ -0,0 +1,6 @@
+// Registers the built-in webhook adapters; import this module to use the registry
+import "./vapi.ts";
+import "./synthflow.ts";
+import "./generic-http.ts";
+
+export * from "./registry.ts";
@@ -0,0 +1,41 @@
+/**
+ * Registry of provider webhook adapters, keyed by call_service_providers.provider_type
+ *
+ * Mirrors examples/providers/registry.js for the edge functions: each adapter
+ * knows how to turn its provider's webhook payload into StandardWebhookData.
+ */
+
+export interface StandardWebhookData {
+  providerCallId: string | null;
+  queueId: string | null;
+  status: string;
+  duration: number;
+  recordingUrl: string | null;
+  transcript: string | null;
+  optOut?: boolean; // Provider reported that the recipient asked not to be called again
+}
+
+export interface WebhookAdapter {
+  providerType: string;
+  /**
+   * Normalize a webhook payload, or return null if it is not from this provider
+   * configuration is call_service_providers.configuration when the provider row is known
+   */
+  parseWebhook(body: any, configuration?: Record<string, any> | null): StandardWebhookData | null;
+}
+
+const adapters = new Map<string, WebhookAdapter>();
+
+/**
+ * Register a webhook adapter for a provider type
+ */
+export function registerWebhookAdapter(adapter: WebhookAdapter): void {
+  adapters.set(adapter.providerType.toLowerCase(), adapter);
+}
+
+/**
+ * Get the webhook adapter for a provider type
+ */
+export function getWebhookAdapter(providerType: string): WebhookAdapter | null {
+  return adapters.get((providerType || "").toLowerCase()) || null;
+}
@@ -0,0 +1,50 @@
+import { registerWebhookAdapter, StandardWebhookData } from "./registry.ts";
+
+interface SynthFlowWebhook {
+  callId: string;
+  status: string;
+  durationSeconds: number;
+  recording?: {
+    url: string;
+  };
+  transcription?: {
+    text: string;
+  };
+  metadata?: {
+    externalId?: string;
+  };
+}
+
+// Map SynthFlow status to our standard status
+const statusMap: Record<string, string> = {
+  'QUEUED': 'pending',
+  'CONNECTING': 'pending',
+  'IN_PROGRESS': 'in-progress',
+  'CONNECTED': 'in-progress',
+  'COMPLETED': 'completed',
+  'FAILED': 'failed',
+  'ERROR': 'failed',
+  'CANCELLED': 'canceled',
+  'NO_ANSWER': 'failed'
+};
+
+registerWebhookAdapter({
+  providerType: "synthflow",
+
+  parseWebhook(body: any): StandardWebhookData | null {
+    if (!body || body.callId === undefined) {
+      return null;
+    }
+
+    const synthFlowBody = body as SynthFlowWebhook;
+
+    return {
+      providerCallId: synthFlowBody.callId,
+      queueId: synthFlowBody.metadata?.externalId || null,
+      status: statusMap[synthFlowBody.status] || 'unknown',
+      duration: synthFlowBody.durationSeconds || 0,
+      recordingUrl: synthFlowBody.recording?.url || null,
+      transcript: synthFlowBody.transcription?.text || null
+    };
+  }
+});
@@ -0,0 +1,42 @@
+import { registerWebhookAdapter, StandardWebhookData } from "./registry.ts";
+
+interface VapiWebhook {
+  call_id: string;
+  status: string;
+  duration: number;
+  recording_url?: string;
+  transcript?: string;
+  metadata?: {
+    system_call_id?: string;
+  };
+}
+
+// Map Vapi status to our standard status
+const statusMap: Record<string, string> = {
+  'queued': 'pending',
+  'in-progress': 'in-progress',
+  'completed': 'completed',
+  'failed': 'failed',
+  'canceled': 'canceled'
+};
+
+registerWebhookAdapter({
+  providerType: "vapi",
+
+  parseWebhook(body: any): StandardWebhookData | null {
+    if (!body || body.call_id === undefined) {
+      return null;
+    }
+
+    const vapiBody = body as VapiWebhook;
+
+    return {
+      providerCallId: vapiBody.call_id,
+      queueId: vapiBody.metadata?.system_call_id || null,
+      status: statusMap[vapiBody.status] || 'unknown',
+      duration: vapiBody.duration || 0,
+      recordingUrl: vapiBody.recording_url || null,
+      transcript: vapiBody.transcript || null
+    };
+  }
+});
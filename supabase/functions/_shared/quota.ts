@@ -0,0 +1,154 @@
+/**
+ * Call and minute quota checks shared by the endpoints that queue calls
+ * (schedule-call, campaigns)
+ *
+ * The authoritative check is reserve_call_quota(), run by a trigger when the call is
+ * queued; this module checks ahead of time so requests fail with the remaining quota
+ * instead of a database error.
+ */
+
+import type { CheckError } from "./scheduling.ts";
+
+export interface CallQuota {
+  usage_id: string;
+  billing_period_end: string;
+  call_limit: number | null;
+  calls_used: number;
+  calls_reserved: number;
+  calls_remaining: number | null;
+  calls_available: number | null;
+  minutes_limit: number | null;
+  minutes_used: number;
+  minutes_reserved: number;
+  minutes_remaining: number | null;
+  minutes_available: number | null;
+  overage_mode: "block" | "bill";
+}
+
+/**
+ * Shape the quota for an API response, counting calls that are scheduled but not made
+ * used, remaining, limit and requested are the call figures earlier responses carried,
+ * kept for clients that read them.
+ */
+export function formatQuotaDetails(
+  quota: CallQuota,
+  requested: { calls: number; minutes: number }
+): Record<string, unknown> {
+  return {
+    used: quota.calls_used,
+    remaining: quota.calls_available,
+    limit: quota.call_limit,
+    requested: requested.calls,
+    calls: {
+      limit: quota.call_limit,
+      used: quota.calls_used,
+      reserved: quota.calls_reserved,
+      remaining: quota.calls_available,
+      requested: requested.calls
+    },
+    minutes: {
+      limit: quota.minutes_limit,
+      used: quota.minutes_used,
+      reserved: quota.minutes_reserved,
+      remaining: quota.minutes_available,
+      requested: requested.minutes
+    },
+    billingPeriodEnd: quota.billing_period_end
+  };
+}
+
+/**
+ * Fetch the user's quota for the current billing period (null without a usage record)
+ */
+export async function getCallQuota(
+  supabase: any,
+  userId: string
+): Promise<{ quota: CallQuota | null; error?: CheckError }> {
+  const { data, error } = await supabase.rpc("get_call_quota", { user_id_param: userId });
+
+  if (error) {
+    console.error("Error fetching call quota:", error);
+    return { quota: null, error: { status: 500, body: { error: "Failed to check call usage" } } };
+  }
+
+  return { quota: (Array.isArray(data) ? data[0] : data) || null };
+}
+
+/**
+ * Refuse the request when the user cannot cover the calls and minutes it needs
+ */
+export async function checkCallQuota(
+  supabase: any,
+  userId: string,
+  requested: { calls: number; minutes: number }
+): Promise<{ quota: CallQuota | null; error?: CheckError }> {
+  const { quota, error } = await getCallQuota(supabase, userId);
+
+  // Plans that bill for overage keep calling past their limits
+  if (error || !quota || quota.overage_mode === "bill") {
+    return { quota, error };
+  }
+
+  if (quota.calls_available !== null && quota.calls_available < requested.calls) {
+    return {
+      quota,
+      error: {
+        status: 403,
+        body: {
+          error: "Call limit exceeded",
+          code: "CALL_QUOTA_EXCEEDED",
+          details: formatQuotaDetails(quota, requested)
+        }
+      }
+    };
+  }
+
+  if (quota.minutes_available !== null && quota.minutes_available < requested.minutes) {
+    return {
+      quota,
+      error: {
+        status: 403,
+        body: {
+          error: "Minute limit exceeded",
+          code: "MINUTE_QUOTA_EXCEEDED",
+          details: formatQuotaDetails(quota, requested)
+        }
+      }
+    };
+  }
+
+  return { quota };
+}
+
+/**
+ * Turn a 'quota exceeded' error raised while queueing into a 403 with fresh details,
+ * for requests that lost a race with another schedule. Returns null for other errors.
+ */
+export async function quotaErrorFromDatabase(
+  supabase: any,
+  userId: string,
+  dbError: { message?: string } | null,
+  requested: { calls: number; minutes: number }
+): Promise<CheckError | null> {
+  const message = dbError?.message || "";
+  const code = message.startsWith("Call quota exceeded")
+    ? "CALL_QUOTA_EXCEEDED"
+    : message.startsWith("Minute quota exceeded")
+      ? "MINUTE_QUOTA_EXCEEDED"
+      : null;
+
+  if (!code) {
+    return null;
+  }
+
+  const { quota } = await getCallQuota(supabase, userId);
+
+  return {
+    status: 403,
+    body: {
+      error: code === "CALL_QUOTA_EXCEEDED" ? "Call limit exceeded" : "Minute limit exceeded",
+      code,
+      details: quota ? formatQuotaDetails(quota, requested) : null
+    }
+  };
+}
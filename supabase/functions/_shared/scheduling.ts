@@ -0,0 +1,169 @@
+/**
+ * Checks shared by every endpoint that sets when a call is dialed
+ * (schedule-call, reschedule-call, campaigns)
+ *
+ * Each check returns `error` as { status, body } for the caller to send back,
+ * or the checked values when the request can go ahead.
+ */
+
+export interface CheckError {
+  status: number;
+  body: Record<string, unknown>;
+}
+
+export interface CallTime {
+  effective_time: string | null;
+  recipient_timezone: string;
+  calling_window: Record<string, unknown>;
+  within_window: boolean;
+}
+
+/**
+ * Parse a requested scheduled time, which must be in the future
+ */
+export function parseScheduledTime(
+  scheduledTime: string | null
+): { scheduledTime: string | null; error?: CheckError } {
+  if (!scheduledTime) {
+    return { scheduledTime: null };
+  }
+
+  const parsed = new Date(scheduledTime);
+
+  if (isNaN(parsed.getTime())) {
+    return {
+      scheduledTime: null,
+      error: {
+        status: 400,
+        body: { error: "Scheduled time is not a valid date", details: { scheduledTime } }
+      }
+    };
+  }
+
+  if (parsed <= new Date()) {
+    return {
+      scheduledTime: null,
+      error: {
+        status: 400,
+        body: {
+          error: "Scheduled time must be in the future",
+          details: { scheduledTime: parsed.toISOString(), now: new Date().toISOString() }
+        }
+      }
+    };
+  }
+
+  return { scheduledTime: parsed.toISOString() };
+}
+
+/**
+ * Refuse recipients on the global or the user's do-not-call list
+ * Refused attempts are logged in blocked_call_attempts.
+ */
+export async function checkDoNotCall(
+  supabase: any,
+  userId: string,
+  recipientPhone: string,
+  queueId: string | null = null
+): Promise<{ error?: CheckError }> {
+  const { data: doNotCall, error: doNotCallError } = await supabase.rpc('check_do_not_call', {
+    user_id_param: userId,
+    phone_param: recipientPhone
+  });
+
+  if (doNotCallError) {
+    console.error("Error checking do-not-call lists:", doNotCallError);
+    return { error: { status: 500, body: { error: "Failed to check do-not-call lists" } } };
+  }
+
+  if (doNotCall && doNotCall.length > 0) {
+    const block = doNotCall[0];
+
+    await supabase.rpc('record_blocked_call_attempt', {
+      user_id_param: userId,
+      queue_id_param: queueId,
+      phone_param: recipientPhone,
+      error_code_param: block.error_code,
+      entry_id_param: block.entry_id,
+      stage_param: "schedule"
+    });
+
+    return {
+      error: {
+        status: 403,
+        body: { error: "Recipient is on a do-not-call list", code: block.error_code }
+      }
+    };
+  }
+
+  return {};
+}
+
+/**
+ * Work out when a call may actually be dialed in the recipient's local time
+ * Times outside the calling window are moved to the next allowed slot, or refused
+ * when outsideWindow is 'reject'.
+ */
+export async function resolveDialTime(
+  supabase: any,
+  {
+    userId,
+    templateId,
+    recipientPhone,
+    recipientTimezone = null,
+    scheduledTime = null,
+    outsideWindow = "adjust"
+  }: {
+    userId: string;
+    templateId: string;
+    recipientPhone: string;
+    recipientTimezone?: string | null;
+    scheduledTime?: string | null;
+    outsideWindow?: string;
+  }
+): Promise<{ scheduledTime: string | null; callTime?: CallTime; error?: CheckError }> {
+  const { data: callTimes, error: callTimeError } = await supabase.rpc('get_effective_call_time', {
+    user_id_param: userId,
+    template_id_param: templateId,
+    recipient_phone_param: recipientPhone,
+    recipient_timezone_param: recipientTimezone,
+    requested_time_param: scheduledTime
+  });
+
+  const callTime: CallTime | undefined = callTimes && callTimes[0];
+
+  if (callTimeError || !callTime) {
+    console.error("Error checking calling window:", callTimeError);
+    return {
+      scheduledTime,
+      error: { status: 500, body: { error: "Failed to check calling window" } }
+    };
+  }
+
+  if (!callTime.within_window && (outsideWindow === "reject" || !callTime.effective_time)) {
+    return {
+      scheduledTime,
+      callTime,
+      error: {
+        status: 400,
+        body: {
+          error: "Requested time is outside the recipient's calling window",
+          details: {
+            requestedTime: scheduledTime || new Date().toISOString(),
+            recipientTimezone: callTime.recipient_timezone,
+            callingWindow: callTime.calling_window,
+            nextAllowedTime: callTime.effective_time
+          }
+        }
+      }
+    };
+  }
+
+  // Move calls that fall outside the window to the next allowed slot
+  return {
+    scheduledTime: callTime.within_window
+      ? scheduledTime
+      : new Date(callTime.effective_time as string).toISOString(),
+    callTime
+  };
+}
@@ -0,0 +1,107 @@
+/**
+ * Template variable validation for the edge functions
+ *
+ * The checks themselves live in validate_template_variables() so the queue
+ * processor applies exactly the same rules; this module turns its rows into
+ * per-field errors a form can show inline.
+ */
+
+import type { CheckError } from "./scheduling.ts";
+
+export interface VariableErrorRow {
+  variable_name: string;
+  display_name: string;
+  variable_type: string;
+  error: string;
+  details: Record<string, any> | null;
+}
+
+export interface VariableError {
+  field: string;
+  displayName: string;
+  type: string;
+  error: string;
+  message: string;
+  details: Record<string, any> | null;
+}
+
+/**
+ * Describe a validation error for display
+ */
+function describeError(row: VariableErrorRow): string {
+  const name = row.display_name || row.variable_name;
+  const details = row.details || {};
+
+  switch (row.error) {
+    case "required":
+      return `${name} is required`;
+    case "invalid_number":
+      return `${name} must be a number`;
+    case "invalid_date":
+      return `${name} must be a date (YYYY-MM-DD)`;
+    case "invalid_datetime":
+      return `${name} must be a date and time`;
+    case "invalid_boolean":
+      return `${name} must be yes or no`;
+    case "invalid_phone":
+      return `${name} must be a phone number`;
+    case "invalid_email":
+      return `${name} must be an email address`;
+    case "not_an_option":
+      return `${name} must be one of: ${(details.options || []).join(", ")}`;
+    case "below_minimum":
+      return `${name} must be at least ${details.min}`;
+    case "above_maximum":
+      return `${name} must be at most ${details.max}`;
+    case "too_short":
+      return `${name} must be at least ${details.minLength} characters`;
+    case "too_long":
+      return `${name} must be at most ${details.maxLength} characters`;
+    default:
+      return `${name} is not in the expected format`;
+  }
+}
+
+/**
+ * Convert validate_template_variables() rows into per-field errors
+ */
+export function formatVariableErrors(rows: VariableErrorRow[]): VariableError[] {
+  return rows.map(row => ({
+    field: row.variable_name,
+    displayName: row.display_name,
+    type: row.variable_type,
+    error: row.error,
+    message: describeError(row),
+    details: row.details
+  }));
+}
+
+/**
+ * Validate variable values against a template's variable definitions
+ */
+export async function validateTemplateVariables(
+  supabase: any,
+  templateId: string,
+  variables: Record<string, unknown>
+): Promise<{ error?: CheckError }> {
+  const { data: rows, error } = await supabase.rpc("validate_template_variables", {
+    template_id_param: templateId,
+    variables_param: variables || {}
+  });
+
+  if (error) {
+    console.error("Error validating template variables:", error);
+    return { error: { status: 500, body: { error: "Failed to validate template variables" } } };
+  }
+
+  if (rows && rows.length > 0) {
+    return {
+      error: {
+        status: 400,
+        body: { error: "Variable validation failed", details: formatVariableErrors(rows) }
+      }
+    };
+  }
+
+  return {};
+}
@@ -0,0 +1,84 @@
+/**
+ * Webhook verification using the settings on call_service_providers
+ *
+ * hmac-sha256    signature header holds the hex HMAC-SHA256 of the raw body,
+ *                optionally prefixed with "sha256="
+ * shared-secret  signature header holds the secret itself
+ * none           no verification (local testing only)
+ */
+
+const DEFAULT_HEADERS: Record<string, string> = {
+  "hmac-sha256": "x-webhook-signature",
+  "shared-secret": "x-webhook-secret"
+};
+
+export interface WebhookVerificationSettings {
+  webhook_verification: string;
+  webhook_secret: string | null;
+  webhook_signature_header: string | null;
+}
+
+function toHex(buffer: ArrayBuffer): string {
+  return Array.from(new Uint8Array(buffer))
+    .map(byte => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+// Compare without returning early, so timing does not reveal the secret
+function timingSafeEqual(a: string, b: string): boolean {
+  const length = Math.max(a.length, b.length);
+  let difference = a.length ^ b.length;
+
+  for (let i = 0; i < length; i++) {
+    difference |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+  }
+
+  return difference === 0;
+}
+
+/**
+ * SHA-256 of a string as hex, used to recognize redelivered webhooks
+ */
+export async function sha256Hex(text: string): Promise<string> {
+  return toHex(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text)));
+}
+
+/**
+ * Check a webhook request against the provider's verification settings
+ */
+export async function verifyWebhook(
+  headers: Headers,
+  rawBody: string,
+  settings: WebhookVerificationSettings
+): Promise<boolean> {
+  const method = settings.webhook_verification || "hmac-sha256";
+
+  if (method === "none") {
+    return true;
+  }
+
+  if (!settings.webhook_secret || !DEFAULT_HEADERS[method]) {
+    return false;
+  }
+
+  const received = headers.get(settings.webhook_signature_header || DEFAULT_HEADERS[method]);
+
+  if (!received) {
+    return false;
+  }
+
+  if (method === "shared-secret") {
+    return timingSafeEqual(received, settings.webhook_secret);
+  }
+
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(settings.webhook_secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const expected = toHex(await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(rawBody)));
+
+  return timingSafeEqual(received.replace(/^sha256=/, "").toLowerCase(), expected);
+}
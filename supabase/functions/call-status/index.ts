@@ -0,0 +1,147 @@
+// Follow this setup guide to integrate the Deno Edge Functions:
+// https://deno.com/deploy/docs/supabase-functions
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+
+/**
+ * Edge function to get a call's current status and event timeline
+ */
+serve(async (req: Request) => {
+  // Create a Supabase client with the Auth context of the function
+  const supabaseUrl = Deno.env.get("SUPABASE_URL") ?? "";
+  const supabaseKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "";
+  const supabase = createClient(supabaseUrl, supabaseKey);
+
+  // Check if this request has authorization
+  const authorization = req.headers.get('Authorization');
+  if (!authorization) {
+    return new Response(
+      JSON.stringify({ error: "Authorization required" }),
+      { status: 401, headers: { "Content-Type": "application/json" } }
+    );
+  }
+
+  try {
+    // Get the JWT token from the Authorization header
+    const token = authorization.replace('Bearer ', '');
+
+    // Get the user ID from the token
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return new Response(
+        JSON.stringify({ error: "Invalid authorization token" }),
+        { status: 401, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // Get query parameters
+    const queueId = new URL(req.url).searchParams.get('queueId');
+
+    if (!queueId) {
+      return new Response(
+        JSON.stringify({ error: "Queue ID is required" }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // Get the call, making sure it belongs to the user
+    const { data: call, error: callError } = await supabase
+      .from("call_queue")
+      .select(`
+        id,
+        template_id,
+        template_version_id,
+        campaign_id,
+        recipient_name,
+        recipient_phone,
+        status,
+        scheduled_time,
+        attempt_count,
+        next_retry_time,
+        last_error,
+        error_code,
+        provider_call_id,
+        caller_phone_number,
+        caller_id_strategy,
+        created_at
+      `)
+      .eq("id", queueId)
+      .eq("user_id", user.id)
+      .single();
+
+    if (callError || !call) {
+      return new Response(
+        JSON.stringify({ error: "Call not found" }),
+        { status: 404, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    const { data: liveStatus } = await supabase
+      .from("call_live_status")
+      .select("phase, last_event_at")
+      .eq("queue_id", queueId)
+      .single();
+
+    // Get the timeline
+    const { data: events, error: eventsError } = await supabase
+      .from("call_events")
+      .select("id, status, phase, source, provider_call_id, payload, occurred_at")
+      .eq("queue_id", queueId)
+      .order("occurred_at", { ascending: true });
+
+    if (eventsError) {
+      console.error("Error getting call events:", eventsError);
+      return new Response(
+        JSON.stringify({ error: "Failed to get call events" }),
+        { status: 500, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    return new Response(
+      JSON.stringify({
+        call: {
+          id: call.id,
+          templateId: call.template_id,
+          templateVersionId: call.template_version_id,
+          campaignId: call.campaign_id,
+          recipient: {
+            name: call.recipient_name,
+            phone: call.recipient_phone
+          },
+          status: call.status,
+          phase: liveStatus ? liveStatus.phase : null,
+          scheduledTime: call.scheduled_time,
+          attemptCount: call.attempt_count,
+          nextRetryTime: call.next_retry_time,
+          lastError: call.last_error,
+          errorCode: call.error_code,
+          providerCallId: call.provider_call_id,
+          callerId: call.caller_id_strategy ? {
+            phone: call.caller_phone_number,
+            strategy: call.caller_id_strategy
+          } : null,
+          lastEventAt: liveStatus ? liveStatus.last_event_at : null,
+          createdAt: call.created_at
+        },
+        events: (events || []).map(event => ({
+          id: event.id,
+          status: event.status,
+          phase: event.phase,
+          source: event.source,
+          providerCallId: event.provider_call_id,
+          occurredAt: event.occurred_at,
+          payload: event.payload
+        }))
+      }),
+      { status: 200, headers: { "Content-Type": "application/json" } }
+    );
+  } catch (error) {
+    console.error("Error processing call status request:", error);
+
+    return new Response(
+      JSON.stringify({ error: "Internal server error" }),
+      { status: 500, headers: { "Content-Type": "application/json" } }
+    );
+  }
+});
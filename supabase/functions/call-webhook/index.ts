@@ -2,32 +2,8 @@
 // https://deno.com/deploy/docs/supabase-functions
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
-
-interface VapiWebhook {
-  call_id: string;
-  status: string;
-  duration: number;
-  recording_url?: string;
-  transcript?: string;
-  metadata?: {
-    system_call_id?: string;
-  };
-}
-
-interface SynthFlowWebhook {
-  callId: string;
-  status: string;
-  durationSeconds: number;
-  recording?: {
-    url: string;
-  };
-  transcription?: {
-    text: string;
-  };
-  metadata?: {
-    externalId?: string;
-  };
-}
+import { getWebhookAdapter } from "../_shared/providers/index.ts";
+import { sha256Hex, verifyWebhook } from "../_shared/webhook-signature.ts";
 
 serve(async (req: Request) => {
   try {
@@ -36,20 +12,77 @@ serve(async (req: Request) => {
     const supabaseKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "";
     const supabase = createClient(supabaseUrl, supabaseKey);
 
-    // Get the webhook body
-    const body = await req.json();
+    // Providers post to /call-webhook/<provider id> (or ?providerId=<provider id>),
+    // so each payload is parsed and verified with its own provider's settings
+    const url = new URL(req.url);
+    const pathSegments = url.pathname.split("/").filter(Boolean);
+    const webhookIndex = pathSegments.indexOf("call-webhook");
+    const providerId = url.searchParams.get("providerId")
+      || (webhookIndex >= 0 ? pathSegments[webhookIndex + 1] : null);
+    
+    if (!providerId) {
+      return new Response(
+        JSON.stringify({ error: "Provider ID is required in the webhook URL" }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
+    
+    const { data: provider, error: providerError } = await supabase
+      .from("call_service_providers")
+      .select("id, provider_type, configuration, webhook_verification, webhook_secret, webhook_signature_header")
+      .eq("id", providerId)
+      .single();
+    
+    if (providerError || !provider) {
+      console.error("Webhook provider not found:", providerError);
+      return new Response(
+        JSON.stringify({ error: "Provider not found" }),
+        { status: 404, headers: { "Content-Type": "application/json" } }
+      );
+    }
+    
+    // Verify the signature against the raw body before trusting any of it
+    const rawBody = await req.text();
+    
+    if (!(await verifyWebhook(req.headers, rawBody, provider))) {
+      console.error("Webhook verification failed for provider:", providerId);
+      return new Response(
+        JSON.stringify({ error: "Invalid webhook signature" }),
+        { status: 401, headers: { "Content-Type": "application/json" } }
+      );
+    }
     
-    // Determine the provider type from the payload structure
-    const provider = determineProvider(body);
+    let body;
+    
+    try {
+      body = JSON.parse(rawBody);
+    } catch {
+      return new Response(
+        JSON.stringify({ error: "Webhook body must be JSON" }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
+    
+    const adapter = getWebhookAdapter(provider.provider_type);
+    const data = adapter ? adapter.parseWebhook(body, provider.configuration) : null;
+    const parsed = data ? { providerType: provider.provider_type, data } : null;
+    
+    if (!parsed) {
+      console.error("Unknown provider webhook format:", body);
+      return new Response(
+        JSON.stringify({ error: "Unrecognized webhook payload" }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
     
-    // Extract standardized data based on provider
     const { 
       queueId, 
       status, 
       duration, 
       recordingUrl, 
-      transcript 
-    } = extractStandardData(body, provider);
+      transcript,
+      optOut = false
+    } = parsed.data;
     
     if (!queueId) {
       console.error("No queue ID found in webhook payload:", body);
@@ -62,7 +95,7 @@ serve(async (req: Request) => {
     // Find the queue record
     const { data: queueRecord, error: queueError } = await supabase
       .from("call_queue")
-      .select("id, provider_id")
+      .select("id, provider_id, status, cancel_requested_at")
       .eq("id", queueId)
       .single();
     
@@ -74,46 +107,182 @@ serve(async (req: Request) => {
       );
     }
     
-    // Process the webhook based on status
-    if (status === "completed" || status === "failed" || status === "canceled") {
-      // Complete the call in the database
-      const { data, error } = await supabase.rpc("complete_call", {
-        queue_id_param: queueId,
-        call_status_param: status,
-        duration_param: duration,
-        recording_url_param: recordingUrl,
-        transcript_param: transcript
-      });
-      
-      if (error) {
-        console.error("Error completing call:", error);
-        return new Response(
-          JSON.stringify({ error: "Failed to process call completion" }),
-          { status: 500, headers: { "Content-Type": "application/json" } }
-        );
-      }
-      
+    // A provider can only report on calls that were dispatched through it
+    if (queueRecord.provider_id && queueRecord.provider_id !== provider.id) {
+      console.error("Webhook provider does not match the call's provider:", providerId);
+      return new Response(
+        JSON.stringify({ error: "Call was not dispatched through this provider" }),
+        { status: 403, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // Acknowledge redelivered webhooks without applying them again. The delivery is only
+    // recorded once it has been processed, so a delivery that failed part way is applied
+    // again when the provider retries it.
+    const payloadHash = await sha256Hex(rawBody);
+    
+    const { data: previousDelivery, error: deliveryError } = await supabase
+      .from("provider_webhook_deliveries")
+      .select("id")
+      .eq("provider_id", provider.id)
+      .eq("payload_hash", payloadHash)
+      .maybeSingle();
+    
+    if (deliveryError) {
+      console.error("Error checking webhook delivery:", deliveryError);
+      return new Response(
+        JSON.stringify({ error: "Failed to check webhook delivery" }),
+        { status: 500, headers: { "Content-Type": "application/json" } }
+      );
+    }
+    
+    if (previousDelivery) {
       return new Response(
         JSON.stringify({ 
           success: true, 
-          message: "Call processed successfully",
-          callHistoryId: data 
+          message: "Duplicate webhook ignored"
         }),
         { status: 200, headers: { "Content-Type": "application/json" } }
       );
+    }
+    
+    let result: Record<string, unknown>;
+    
+    // Process the webhook based on status
+    if (status === "completed" || status === "failed" || status === "canceled") {
+      if (queueRecord.status !== "processing") {
+        // The call was already finalized, e.g. canceled and hung up by the processor, or
+        // completed by an earlier delivery whose opt-out failed. Recording the opt-out
+        // again is harmless.
+        if (queueRecord.status === "completed" && status === "completed") {
+          const { error: optOutError } = await supabase.rpc("apply_call_opt_out", {
+            queue_id_param: queueId,
+            transcript_param: transcript,
+            provider_opt_out_param: optOut
+          });
+          
+          if (optOutError) {
+            console.error("Error recording opt-out:", optOutError);
+            return new Response(
+              JSON.stringify({ error: "Failed to record opt-out" }),
+              { status: 500, headers: { "Content-Type": "application/json" } }
+            );
+          }
+        }
+        
+        result = { 
+          success: true, 
+          message: "Call already finalized",
+          status: queueRecord.status
+        };
+      } else if (queueRecord.cancel_requested_at) {
+        // The user canceled the call and the provider ended it before the processor did
+        const { data, error } = await supabase.rpc("finalize_canceled_call", {
+          queue_id_param: queueId,
+          duration_param: duration,
+          recording_url_param: recordingUrl,
+          transcript_param: transcript
+        });
+        
+        if (error) {
+          console.error("Error finalizing canceled call:", error);
+          return new Response(
+            JSON.stringify({ error: "Failed to process call cancellation" }),
+            { status: 500, headers: { "Content-Type": "application/json" } }
+          );
+        }
+        
+        result = { 
+          success: true, 
+          message: "Canceled call processed successfully",
+          callHistoryId: data 
+        };
+      } else {
+        // Complete the call in the database
+        const { data, error } = await supabase.rpc("complete_call", {
+          queue_id_param: queueId,
+          call_status_param: status,
+          duration_param: duration,
+          recording_url_param: recordingUrl,
+          transcript_param: transcript,
+          provider_call_id_param: parsed.data.providerCallId
+        });
+        
+        if (error) {
+          console.error("Error completing call:", error);
+          return new Response(
+            JSON.stringify({ error: "Failed to process call completion" }),
+            { status: 500, headers: { "Content-Type": "application/json" } }
+          );
+        }
+        
+        // Add the recipient to the user's do-not-call list if they opted out during the call
+        const { data: optOutEntryId, error: optOutError } = await supabase.rpc("apply_call_opt_out", {
+          queue_id_param: queueId,
+          transcript_param: transcript,
+          provider_opt_out_param: optOut
+        });
+        
+        if (optOutError) {
+          console.error("Error recording opt-out:", optOutError);
+          return new Response(
+            JSON.stringify({ error: "Failed to record opt-out" }),
+            { status: 500, headers: { "Content-Type": "application/json" } }
+          );
+        }
+        
+        result = { 
+          success: true, 
+          message: "Call processed successfully",
+          callHistoryId: data,
+          optedOut: Boolean(optOutEntryId)
+        };
+      }
     } else {
-      // For other statuses, just log the event
-      console.log(`Call ${queueId} status update: ${status}`);
-      
+      // Other statuses only update the timeline
+      result = { 
+        success: true, 
+        message: "Status update received",
+        status: status
+      };
+    }
+    
+    // Add the callback to the call's timeline once it has been applied, so a delivery
+    // the provider retries after a failure is not added twice
+    const { error: eventError } = await supabase.rpc("record_call_event", {
+      queue_id_param: queueId,
+      status_param: status,
+      provider_call_id_param: parsed.data.providerCallId,
+      payload_param: body,
+      source_param: "webhook"
+    });
+    
+    if (eventError) {
+      console.error("Error recording call event:", eventError);
       return new Response(
-        JSON.stringify({ 
-          success: true, 
-          message: "Status update received",
-          status: status
-        }),
-        { status: 200, headers: { "Content-Type": "application/json" } }
+        JSON.stringify({ error: "Failed to record call event" }),
+        { status: 500, headers: { "Content-Type": "application/json" } }
       );
     }
+    
+    // Everything was applied, so later redeliveries can be ignored
+    const { error: recordError } = await supabase.rpc("record_webhook_delivery", {
+      provider_id_param: provider.id,
+      payload_hash_param: payloadHash,
+      provider_call_id_param: parsed.data.providerCallId,
+      queue_id_param: queueId,
+      status_param: status
+    });
+    
+    if (recordError) {
+      // The webhook was applied; a redelivery is handled idempotently
+      console.error("Error recording webhook delivery:", recordError);
+    }
+    
+    return new Response(
+      JSON.stringify(result),
+      { status: 200, headers: { "Content-Type": "application/json" } }
+    );
   } catch (error) {
     console.error("Error processing webhook:", error);
     
@@ -123,88 +292,3 @@ serve(async (req: Request) => {
     );
   }
 });
-
-/**
- * Determine the provider type from the webhook payload structure
- */
-function determineProvider(body: any): string {
-  if (body.call_id !== undefined) {
-    return "vapi";
-  } else if (body.callId !== undefined) {
-    return "synthflow";
-  } else {
-    console.warn("Unknown provider format:", body);
-    return "unknown";
-  }
-}
-
-/**
- * Extract standardized data from provider-specific webhook payloads
- */
-function extractStandardData(
-  body: VapiWebhook | SynthFlowWebhook | any,
-  provider: string
-): {
-  queueId: string | null;
-  status: string;
-  duration: number;
-  recordingUrl: string | null;
-  transcript: string | null;
-} {
-  if (provider === "vapi") {
-    const vapiBody = body as VapiWebhook;
-    
-    // Map Vapi status to our standard status
-    const statusMap: Record<string, string> = {
-      'queued': 'pending',
-      'in-progress': 'in-progress',
-      'completed': 'completed',
-      'failed': 'failed',
-      'canceled': 'canceled'
-    };
-    
-    return {
-      queueId: vapiBody.metadata?.system_call_id || null,
-      status: statusMap[vapiBody.status] || vapiBody.status,
-      duration: vapiBody.duration || 0,
-      recordingUrl: vapiBody.recording_url || null,
-      transcript: vapiBody.transcript || null
-    };
-  } 
-  else if (provider === "synthflow") {
-    const synthFlowBody = body as SynthFlowWebhook;
-    
-    // Map SynthFlow status to our standard status
-    const statusMap: Record<string, string> = {
-      'QUEUED': 'pending',
-      'CONNECTING': 'pending',
-      'IN_PROGRESS': 'in-progress',
-      'CONNECTED': 'in-progress',
-      'COMPLETED': 'completed',
-      'FAILED': 'failed',
-      'ERROR': 'failed',
-      'CANCELLED': 'canceled',
-      'NO_ANSWER': 'failed'
-    };
-    
-    return {
-      queueId: synthFlowBody.metadata?.externalId || null,
-      status: statusMap[synthFlowBody.status] || 'unknown',
-      duration: synthFlowBody.durationSeconds || 0,
-      recordingUrl: synthFlowBody.recording?.url || null,
-      transcript: synthFlowBody.transcription?.text || null
-    };
-  }
-  else {
-    // Unknown provider format, try to extract data in a generic way
-    console.warn("Using generic data extraction for unknown provider");
-    
-    return {
-      queueId: body.metadata?.system_call_id || body.metadata?.externalId || null,
-      status: body.status || 'unknown',
-      duration: body.duration || body.durationSeconds || 0,
-      recordingUrl: body.recording_url || (body.recording?.url) || null,
-      transcript: body.transcript || (body.transcription?.text) || null
-    };
-  }
-}
@@ -0,0 +1,473 @@
+// Follow this setup guide to integrate the Deno Edge Functions:
+// https://deno.com/deploy/docs/supabase-functions
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { parseCsvRecords } from "../_shared/csv.ts";
+import { checkCallQuota, quotaErrorFromDatabase } from "../_shared/quota.ts";
+import { parseScheduledTime } from "../_shared/scheduling.ts";
+
+// Largest number of recipients accepted by a single import
+const MAX_IMPORT_ROWS = 10000;
+
+const CAMPAIGN_ACTIONS: Record<string, string> = {
+  pause: "paused",
+  resume: "active",
+  cancel: "canceled"
+};
+
+interface ColumnMapping {
+  phone?: string;
+  name?: string;
+  email?: string;
+  timezone?: string;
+  variables?: Record<string, string>; // variable_name -> column
+}
+
+/**
+ * Turn an imported row into a recipient for import_campaign_recipients
+ * Without an explicit variables mapping, every column that is not a recipient
+ * field becomes a custom variable of the same name.
+ */
+function toRecipient(row: Record<string, any>, columns: ColumnMapping) {
+  const recipientColumns = {
+    phone: columns.phone || "phone",
+    name: columns.name || "name",
+    email: columns.email || "email",
+    timezone: columns.timezone || "timezone"
+  };
+
+  let variables: Record<string, any> = {};
+  if (columns.variables) {
+    for (const [variableName, column] of Object.entries(columns.variables)) {
+      if (row[column] !== undefined && row[column] !== "") {
+        variables[variableName] = row[column];
+      }
+    }
+  } else if (row.variables && typeof row.variables === "object") {
+    variables = row.variables;
+  } else {
+    const reserved = Object.values(recipientColumns);
+    for (const [column, value] of Object.entries(row)) {
+      if (!reserved.includes(column) && value !== undefined && value !== "") {
+        variables[column] = value;
+      }
+    }
+  }
+
+  return {
+    phone: row[recipientColumns.phone] || null,
+    name: row[recipientColumns.name] || null,
+    email: row[recipientColumns.email] || null,
+    timezone: row[recipientColumns.timezone] || null,
+    variables
+  };
+}
+
+/**
+ * Edge function to manage bulk call campaigns
+ *
+ * GET  /campaigns                   list campaigns with progress counters
+ * GET  /campaigns/:id               one campaign with progress counters
+ * POST /campaigns                   create a campaign and import its recipients
+ * POST /campaigns/:id/recipients    import more recipients ({ validateOnly: true } to only validate)
+ * POST /campaigns/:id/pause         stop dialing the campaign's pending calls
+ * POST /campaigns/:id/resume        resume a paused campaign
+ * POST /campaigns/:id/cancel        cancel every call that has not been dialed yet
+ *
+ * Recipients are sent as `recipients` (array of objects) or `csv` (text with a header row),
+ * with an optional `columns` mapping of recipient fields and variables to column names.
+ */
+serve(async (req: Request) => {
+  // Create a Supabase client with the Auth context of the function
+  const supabaseUrl = Deno.env.get("SUPABASE_URL") ?? "";
+  const supabaseKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "";
+  const supabase = createClient(supabaseUrl, supabaseKey);
+
+  // Check if this request has authorization
+  const authorization = req.headers.get('Authorization');
+  if (!authorization) {
+    return new Response(
+      JSON.stringify({ error: "Authorization required" }),
+      { status: 401, headers: { "Content-Type": "application/json" } }
+    );
+  }
+
+  try {
+    // Get the JWT token from the Authorization header
+    const token = authorization.replace('Bearer ', '');
+
+    // Get the user ID from the token
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return new Response(
+        JSON.stringify({ error: "Invalid authorization token" }),
+        { status: 401, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // Path segments after the function name: [campaignId?, action?]
+    const segments = new URL(req.url).pathname.split("/").filter(Boolean);
+    const [campaignId = null, action = null] = segments.slice(segments.indexOf("campaigns") + 1);
+    // Pause, resume and cancel requests may have no body
+    const body = req.method === "GET" ? {} : await req.json().catch(() => ({}));
+
+    // List campaigns, or get one
+    if (req.method === "GET") {
+      let query = supabase
+        .from("campaign_progress")
+        .select("*")
+        .eq("user_id", user.id)
+        .order("created_at", { ascending: false });
+
+      if (campaignId) {
+        query = query.eq("campaign_id", campaignId);
+      }
+
+      const { data: campaigns, error: campaignsError } = await query;
+
+      if (campaignsError) {
+        console.error("Error listing campaigns:", campaignsError);
+        return new Response(
+          JSON.stringify({ error: "Failed to list campaigns" }),
+          { status: 500, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      if (campaignId && campaigns.length === 0) {
+        return new Response(
+          JSON.stringify({ error: "Campaign not found" }),
+          { status: 404, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      return new Response(
+        JSON.stringify(campaignId ? { campaign: campaigns[0] } : { campaigns }),
+        { status: 200, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    if (req.method !== "POST") {
+      return new Response(
+        JSON.stringify({ error: "Method not allowed" }),
+        { status: 405, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // Pause, resume or cancel
+    if (campaignId && action && CAMPAIGN_ACTIONS[action]) {
+      const { data: campaign } = await supabase
+        .from("call_campaigns")
+        .select("id, status")
+        .eq("id", campaignId)
+        .eq("user_id", user.id)
+        .single();
+
+      if (!campaign) {
+        return new Response(
+          JSON.stringify({ error: "Campaign not found" }),
+          { status: 404, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      const { data: updated, error: statusError } = await supabase.rpc("set_campaign_status", {
+        campaign_id_param: campaignId,
+        status_param: CAMPAIGN_ACTIONS[action]
+      });
+
+      if (statusError) {
+        console.error(`Error trying to ${action} campaign:`, statusError);
+        return new Response(
+          JSON.stringify({ error: `Failed to ${action} campaign` }),
+          { status: 500, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      if (!updated) {
+        return new Response(
+          JSON.stringify({ error: "Campaign has already been canceled" }),
+          { status: 409, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      const { data: progress } = await supabase
+        .from("campaign_progress")
+        .select("*")
+        .eq("campaign_id", campaignId)
+        .single();
+
+      return new Response(
+        JSON.stringify({ success: true, campaign: progress }),
+        { status: 200, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    if (campaignId && action !== "recipients") {
+      return new Response(
+        JSON.stringify({ error: "Unknown campaign action" }),
+        { status: 404, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    const {
+      name,
+      templateId,
+      assistantId = null,
+      phoneNumberId = null,
+      scheduledTime = null,
+      priority = 5,
+      metadata = {},
+      recipients = null,
+      csv = null,
+      columns = {},
+      validateOnly = false
+    } = body;
+
+    // Parse the recipients
+    const rows: Record<string, any>[] = typeof csv === "string" ? parseCsvRecords(csv) : recipients;
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return new Response(
+        JSON.stringify({ error: "Provide recipients or csv to import" }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return new Response(
+        JSON.stringify({ error: `Imports are limited to ${MAX_IMPORT_ROWS} recipients` }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    const importRecipients = rows.map(row => toRecipient(row, columns as ColumnMapping));
+
+    let campaign = null;
+    let createdCampaign = false;
+
+    if (campaignId) {
+      const { data } = await supabase
+        .from("call_campaigns")
+        .select("*")
+        .eq("id", campaignId)
+        .eq("user_id", user.id)
+        .single();
+
+      if (!data) {
+        return new Response(
+          JSON.stringify({ error: "Campaign not found" }),
+          { status: 404, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      campaign = data;
+    } else {
+      if (!name || !templateId) {
+        return new Response(
+          JSON.stringify({ error: "Campaign name and template ID are required" }),
+          { status: 400, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      // Verify the template exists and the user has access to it
+      const { data: template, error: templateError } = await supabase
+        .from("call_templates")
+        .select("id, provider_id")
+        .eq("id", templateId)
+        .or(`is_public.eq.true,created_by.eq.${user.id}`)
+        .single();
+
+      if (templateError || !template) {
+        return new Response(
+          JSON.stringify({ error: "Template not found or not accessible" }),
+          { status: 404, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      // The assistant and phone number must be active and belong to the template's provider
+      const pinnedProviders = new Set([template.provider_id].filter(Boolean));
+
+      for (const [table, id] of [["provider_assistants", assistantId], ["provider_phone_numbers", phoneNumberId]]) {
+        if (!id) {
+          continue;
+        }
+
+        const { data: resource } = await supabase
+          .from(table)
+          .select("id, provider_id")
+          .eq("id", id)
+          .eq("is_active", true)
+          .single();
+
+        if (!resource) {
+          return new Response(
+            JSON.stringify({ error: `Invalid or inactive ${table === "provider_assistants" ? "assistant" : "phone number"}` }),
+            { status: 400, headers: { "Content-Type": "application/json" } }
+          );
+        }
+
+        pinnedProviders.add(resource.provider_id);
+      }
+
+      if (pinnedProviders.size > 1) {
+        return new Response(
+          JSON.stringify({ error: "Template, assistant and phone number belong to different providers" }),
+          { status: 400, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      // Each recipient's calling window is applied when its call is claimed
+      const scheduledTimeCheck = parseScheduledTime(scheduledTime);
+
+      if (scheduledTimeCheck.error) {
+        return new Response(
+          JSON.stringify(scheduledTimeCheck.error.body),
+          { status: scheduledTimeCheck.error.status, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      const { data, error: createError } = await supabase
+        .from("call_campaigns")
+        .insert({
+          user_id: user.id,
+          name,
+          template_id: templateId,
+          assistant_id: assistantId,
+          phone_number_id: phoneNumberId,
+          scheduled_time: scheduledTimeCheck.scheduledTime,
+          priority,
+          metadata
+        })
+        .select()
+        .single();
+
+      if (createError || !data) {
+        console.error("Error creating campaign:", createError);
+        return new Response(
+          JSON.stringify({ error: "Failed to create campaign" }),
+          { status: 500, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      campaign = data;
+      createdCampaign = true;
+    }
+
+    // Validate every row up front
+    const { data: validation, error: validationError } = await supabase.rpc("import_campaign_recipients", {
+      campaign_id_param: campaign.id,
+      recipients_param: importRecipients,
+      validate_only_param: true
+    });
+
+    if (validationError) {
+      console.error("Error validating campaign recipients:", validationError);
+      return new Response(
+        JSON.stringify({ error: "Failed to validate recipients", details: validationError.message }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    const discardCampaign = async () => {
+      if (createdCampaign) {
+        await supabase.from("call_campaigns").delete().eq("id", campaign.id);
+      }
+    };
+
+    // Nothing to enqueue: report the problems without keeping a new campaign around
+    if (validateOnly || validation.valid === 0) {
+      await discardCampaign();
+
+      return new Response(
+        JSON.stringify({
+          success: validation.errors.length === 0,
+          campaignId: createdCampaign ? null : campaign.id,
+          report: validation
+        }),
+        { status: validateOnly ? 200 : 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // Make sure the subscription covers every call we are about to enqueue
+    const { data: subscription } = await supabase
+      .from("user_subscriptions")
+      .select("id")
+      .eq("user_id", user.id)
+      .eq("status", "active")
+      .order("current_period_end", { ascending: false })
+      .limit(1)
+      .single();
+
+    if (!subscription) {
+      await discardCampaign();
+
+      return new Response(
+        JSON.stringify({ error: "No active subscription found" }),
+        { status: 403, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // Each call reserves the campaign template's estimated minutes when it is queued
+    const { data: estimatedMinutes } = await supabase.rpc("estimate_call_minutes", {
+      template_id_param: campaign.template_id
+    });
+
+    const requestedQuota = {
+      calls: validation.valid,
+      minutes: validation.valid * (estimatedMinutes || 1)
+    };
+    const quotaCheck = await checkCallQuota(supabase, user.id, requestedQuota);
+
+    if (quotaCheck.error) {
+      await discardCampaign();
+
+      return new Response(
+        JSON.stringify(quotaCheck.error.body),
+        { status: quotaCheck.error.status, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // Enqueue the valid rows
+    const { data: report, error: importError } = await supabase.rpc("import_campaign_recipients", {
+      campaign_id_param: campaign.id,
+      recipients_param: importRecipients,
+      validate_only_param: false
+    });
+
+    if (importError) {
+      await discardCampaign();
+
+      const quotaError = await quotaErrorFromDatabase(supabase, user.id, importError, requestedQuota);
+
+      if (quotaError) {
+        return new Response(
+          JSON.stringify(quotaError.body),
+          { status: quotaError.status, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      console.error("Error importing campaign recipients:", importError);
+
+      return new Response(
+        JSON.stringify({ error: "Failed to import recipients" }),
+        { status: 500, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    return new Response(
+      JSON.stringify({
+        success: report.errors.length === 0,
+        campaignId: campaign.id,
+        report
+      }),
+      { status: createdCampaign ? 201 : 200, headers: { "Content-Type": "application/json" } }
+    );
+  } catch (error) {
+    console.error("Error processing campaign request:", error);
+
+    return new Response(
+      JSON.stringify({ error: "Internal server error" }),
+      { status: 500, headers: { "Content-Type": "application/json" } }
+    );
+  }
+});
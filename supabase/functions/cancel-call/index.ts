@@ -0,0 +1,109 @@
+// Follow this setup guide to integrate the Deno Edge Functions:
+// https://deno.com/deploy/docs/supabase-functions
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+
+/**
+ * Edge function to cancel a queued or in-progress call
+ *
+ * Pending calls are canceled immediately. Calls already with a provider are
+ * hung up by the queue processor through the provider's endCall, which then
+ * records the call in call_history and frees the provider slot.
+ */
+serve(async (req: Request) => {
+  // Create a Supabase client with the Auth context of the function
+  const supabaseUrl = Deno.env.get("SUPABASE_URL") ?? "";
+  const supabaseKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "";
+  const supabase = createClient(supabaseUrl, supabaseKey);
+
+  // Check if this request has authorization
+  const authorization = req.headers.get('Authorization');
+  if (!authorization) {
+    return new Response(
+      JSON.stringify({ error: "Authorization required" }),
+      { status: 401, headers: { "Content-Type": "application/json" } }
+    );
+  }
+
+  try {
+    // Get the JWT token from the Authorization header
+    const token = authorization.replace('Bearer ', '');
+
+    // Get the user ID from the token
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return new Response(
+        JSON.stringify({ error: "Invalid authorization token" }),
+        { status: 401, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // Get the request body
+    const { queueId, reason = null } = await req.json();
+
+    if (!queueId) {
+      return new Response(
+        JSON.stringify({ error: "Queue ID is required" }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // Make sure the call belongs to the user
+    const { data: queueRecord, error: queueError } = await supabase
+      .from("call_queue")
+      .select("id, status")
+      .eq("id", queueId)
+      .eq("user_id", user.id)
+      .single();
+
+    if (queueError || !queueRecord) {
+      return new Response(
+        JSON.stringify({ error: "Call not found" }),
+        { status: 404, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    const { data: outcome, error: cancelError } = await supabase.rpc('cancel_call', {
+      queue_id_param: queueId,
+      reason_param: reason
+    });
+
+    if (cancelError) {
+      console.error("Error canceling call:", cancelError);
+      return new Response(
+        JSON.stringify({ error: "Failed to cancel call" }),
+        { status: 500, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    if (outcome === "not_cancelable") {
+      return new Response(
+        JSON.stringify({
+          error: "Call can no longer be canceled",
+          status: queueRecord.status
+        }),
+        { status: 409, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        id: queueId,
+        status: outcome,
+        message: outcome === "canceled"
+          ? "Call canceled"
+          : "Call is in progress and will be hung up shortly"
+      }),
+      { status: outcome === "canceled" ? 200 : 202, headers: { "Content-Type": "application/json" } }
+    );
+  } catch (error) {
+    console.error("Error processing cancel call request:", error);
+
+    return new Response(
+      JSON.stringify({ error: "Internal server error" }),
+      { status: 500, headers: { "Content-Type": "application/json" } }
+    );
+  }
+});
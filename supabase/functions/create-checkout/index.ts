@@ -67,16 +67,28 @@ serve(async (req: Request) => {
     // Get or create the Stripe customer ID
     let customerId = await getOrCreateStripeCustomer(user);
     
+    // Plans that bill for overage also subscribe to their metered overage prices,
+    // which start at zero usage and take no quantity
+    const lineItems = [
+      {
+        price: plan.stripe_price_id, // You'll need to add this field to the subscription_plans table
+        quantity: 1,
+      },
+    ];
+    
+    if (plan.overage_mode === 'bill') {
+      for (const meteredPrice of [plan.stripe_overage_call_price_id, plan.stripe_overage_minute_price_id]) {
+        if (meteredPrice) {
+          lineItems.push({ price: meteredPrice });
+        }
+      }
+    }
+    
     // Create the checkout session
     const session = await stripe.checkout.sessions.create({
       customer: customerId,
       payment_method_types: ['card'],
-      line_items: [
-        {
-          price: plan.stripe_price_id, // You'll need to add this field to the subscription_plans table
-          quantity: 1,
-        },
-      ],
+      line_items: lineItems,
       mode: 'subscription',
       success_url: successUrl,
       cancel_url: cancelUrl,
@@ -0,0 +1,221 @@
+// Follow this setup guide to integrate the Deno Edge Functions:
+// https://deno.com/deploy/docs/supabase-functions
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { parseCsv } from "../_shared/csv.ts";
+
+// Largest number of entries accepted by a single import
+const MAX_IMPORT_ENTRIES = 10000;
+
+/**
+ * Parse a CSV import: one number per line, optionally followed by a reason
+ * A header row starting with "phone" is skipped.
+ */
+function parseCsvEntries(csv: string): { phoneNumber: string; reason?: string }[] {
+  return parseCsv(csv)
+    .filter(([phoneNumber]) => !/^phone/i.test(phoneNumber))
+    .map(([phoneNumber, reason]) => ({ phoneNumber, reason: reason || undefined }));
+}
+
+/**
+ * Edge function to manage do-not-call lists
+ *
+ * GET                      list entries (?scope=global for the global list)
+ * POST                     { phoneNumber, reason?, scope? } add an entry
+ * POST /import             { entries: [{ phoneNumber, reason? }] } or { csv }, plus optional scope
+ * DELETE                   { phoneNumber, scope? } remove an entry
+ *
+ * The global list can only be changed by admins.
+ */
+serve(async (req: Request) => {
+  // Create a Supabase client with the Auth context of the function
+  const supabaseUrl = Deno.env.get("SUPABASE_URL") ?? "";
+  const supabaseKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "";
+  const supabase = createClient(supabaseUrl, supabaseKey);
+
+  // Check if this request has authorization
+  const authorization = req.headers.get('Authorization');
+  if (!authorization) {
+    return new Response(
+      JSON.stringify({ error: "Authorization required" }),
+      { status: 401, headers: { "Content-Type": "application/json" } }
+    );
+  }
+
+  try {
+    // Get the JWT token from the Authorization header
+    const token = authorization.replace('Bearer ', '');
+
+    // Get the user ID from the token
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return new Response(
+        JSON.stringify({ error: "Invalid authorization token" }),
+        { status: 401, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    const url = new URL(req.url);
+    const isImport = url.pathname.endsWith("/import");
+    const body = req.method === "GET" ? {} : await req.json();
+    const scope = url.searchParams.get("scope") || body.scope || "user";
+
+    if (scope !== "user" && scope !== "global") {
+      return new Response(
+        JSON.stringify({ error: "Scope must be 'user' or 'global'" }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // Only admins may touch the global list
+    if (scope === "global" && user.role !== "admin") {
+      return new Response(
+        JSON.stringify({ error: "Only admins can manage the global do-not-call list" }),
+        { status: 403, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    const listOwnerId = scope === "global" ? null : user.id;
+
+    // List entries
+    if (req.method === "GET") {
+      let query = supabase
+        .from("do_not_call_entries")
+        .select("id, phone_number, reason, source, created_at")
+        .order("created_at", { ascending: false });
+
+      query = listOwnerId ? query.eq("user_id", listOwnerId) : query.is("user_id", null);
+
+      const { data: entries, error: entriesError } = await query;
+
+      if (entriesError) {
+        console.error("Error listing do-not-call entries:", entriesError);
+        return new Response(
+          JSON.stringify({ error: "Failed to list do-not-call entries" }),
+          { status: 500, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      return new Response(
+        JSON.stringify({ scope, entries }),
+        { status: 200, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // Bulk import
+    if (req.method === "POST" && isImport) {
+      const entries = typeof body.csv === "string" ? parseCsvEntries(body.csv) : body.entries;
+
+      if (!Array.isArray(entries) || entries.length === 0) {
+        return new Response(
+          JSON.stringify({ error: "Provide entries or csv to import" }),
+          { status: 400, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      if (entries.length > MAX_IMPORT_ENTRIES) {
+        return new Response(
+          JSON.stringify({ error: `Imports are limited to ${MAX_IMPORT_ENTRIES} entries` }),
+          { status: 400, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      // One round trip for the whole import, so large lists finish within the request
+      const { data: report, error: importError } = await supabase.rpc("import_do_not_call", {
+        user_id_param: listOwnerId,
+        entries_param: entries.map((entry: { phoneNumber?: string; reason?: string }) => ({
+          phoneNumber: entry?.phoneNumber ?? null,
+          reason: entry?.reason || null
+        })),
+        source_param: "import"
+      });
+
+      if (importError) {
+        console.error("Error importing do-not-call entries:", importError);
+        return new Response(
+          JSON.stringify({ error: "Failed to import do-not-call entries" }),
+          { status: 500, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      const errors = report.errors;
+
+      return new Response(
+        JSON.stringify({ success: errors.length === 0, scope, imported: report.imported, failed: errors.length, errors }),
+        { status: 200, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    const { phoneNumber, reason = null } = body;
+
+    if (!phoneNumber) {
+      return new Response(
+        JSON.stringify({ error: "Phone number is required" }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // Add an entry
+    if (req.method === "POST") {
+      const { data: entryId, error: addError } = await supabase.rpc("add_do_not_call", {
+        user_id_param: listOwnerId,
+        phone_param: phoneNumber,
+        reason_param: reason,
+        source_param: "manual"
+      });
+
+      if (addError) {
+        return new Response(
+          JSON.stringify({ error: "Failed to add do-not-call entry", details: addError.message }),
+          { status: 400, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      return new Response(
+        JSON.stringify({ success: true, id: entryId, scope }),
+        { status: 200, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // Remove an entry
+    if (req.method === "DELETE") {
+      const { data: removed, error: removeError } = await supabase.rpc("remove_do_not_call", {
+        user_id_param: listOwnerId,
+        phone_param: phoneNumber
+      });
+
+      if (removeError) {
+        console.error("Error removing do-not-call entry:", removeError);
+        return new Response(
+          JSON.stringify({ error: "Failed to remove do-not-call entry" }),
+          { status: 500, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      if (!removed) {
+        return new Response(
+          JSON.stringify({ error: "Phone number is not on the list" }),
+          { status: 404, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      return new Response(
+        JSON.stringify({ success: true, scope }),
+        { status: 200, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    return new Response(
+      JSON.stringify({ error: "Method not allowed" }),
+      { status: 405, headers: { "Content-Type": "application/json" } }
+    );
+  } catch (error) {
+    console.error("Error processing do-not-call request:", error);
+
+    return new Response(
+      JSON.stringify({ error: "Internal server error" }),
+      { status: 500, headers: { "Content-Type": "application/json" } }
+    );
+  }
+});
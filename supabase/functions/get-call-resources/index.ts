@@ -101,6 +101,15 @@ serve(async (req: Request) => {
           description: variable.description,
           required: variable.is_required,
           defaultValue: variable.default_value,
+          type: variable.variable_type,
+          constraints: {
+            min: variable.min_value,
+            max: variable.max_value,
+            minLength: variable.min_length,
+            maxLength: variable.max_length,
+            options: variable.allowed_values,
+            pattern: variable.validation_regex
+          },
           validationRegex: variable.validation_regex
         }));
       }
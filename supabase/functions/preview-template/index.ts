@@ -0,0 +1,120 @@
+// Follow this setup guide to integrate the Deno Edge Functions:
+// https://deno.com/deploy/docs/supabase-functions
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { formatVariableErrors } from "../_shared/variables.ts";
+
+/**
+ * Edge function to render a template's script for given variables
+ * Uses the same render_template() the queue processor dials with, so the preview
+ * is exactly what the recipient will hear.
+ */
+serve(async (req: Request) => {
+  // Create a Supabase client with the Auth context of the function
+  const supabaseUrl = Deno.env.get("SUPABASE_URL") ?? "";
+  const supabaseKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "";
+  const supabase = createClient(supabaseUrl, supabaseKey);
+
+  // Check if this request has authorization
+  const authorization = req.headers.get('Authorization');
+  if (!authorization) {
+    return new Response(
+      JSON.stringify({ error: "Authorization required" }),
+      { status: 401, headers: { "Content-Type": "application/json" } }
+    );
+  }
+
+  try {
+    // Get the JWT token from the Authorization header
+    const token = authorization.replace('Bearer ', '');
+
+    // Get the user ID from the token
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return new Response(
+        JSON.stringify({ error: "Invalid authorization token" }),
+        { status: 401, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // Get the request body
+    const {
+      templateId,
+      variables = {},
+      recipientName = null,
+      recipientPhone = null,
+      recipientEmail = null
+    } = await req.json();
+
+    if (!templateId) {
+      return new Response(
+        JSON.stringify({ error: "Template ID is required" }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // Verify the template exists and the user has access to it
+    const { data: template, error: templateError } = await supabase
+      .from("call_templates")
+      .select("id")
+      .eq("id", templateId)
+      .or(`is_public.eq.true,created_by.eq.${user.id}`)
+      .single();
+
+    if (templateError || !template) {
+      return new Response(
+        JSON.stringify({ error: "Template not found or not accessible" }),
+        { status: 404, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    const { data: rendered, error: renderError } = await supabase.rpc("render_template", {
+      template_id_param: templateId,
+      variables_param: variables,
+      recipient_param: { name: recipientName, phone: recipientPhone, email: recipientEmail }
+    });
+
+    if (renderError || !rendered) {
+      console.error("Error rendering template:", renderError);
+      return new Response(
+        JSON.stringify({ error: "Failed to render template" }),
+        { status: 500, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // Report invalid values next to their fields, as schedule-call would
+    const { data: variableErrors, error: validationError } = await supabase.rpc("validate_template_variables", {
+      template_id_param: templateId,
+      variables_param: variables
+    });
+
+    if (validationError) {
+      console.error("Error validating template variables:", validationError);
+      return new Response(
+        JSON.stringify({ error: "Failed to validate template variables" }),
+        { status: 500, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    const fieldErrors = formatVariableErrors(variableErrors || []);
+
+    return new Response(
+      JSON.stringify({
+        content: rendered.content,
+        valid: rendered.errors.length === 0 && fieldErrors.length === 0,
+        errors: rendered.errors,
+        variableErrors: fieldErrors,
+        variables: rendered.variables
+      }),
+      { status: 200, headers: { "Content-Type": "application/json" } }
+    );
+  } catch (error) {
+    console.error("Error processing template preview request:", error);
+
+    return new Response(
+      JSON.stringify({ error: "Internal server error" }),
+      { status: 500, headers: { "Content-Type": "application/json" } }
+    );
+  }
+});
@@ -0,0 +1,175 @@
+// Follow this setup guide to integrate the Deno Edge Functions:
+// https://deno.com/deploy/docs/supabase-functions
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { checkDoNotCall, parseScheduledTime, resolveDialTime } from "../_shared/scheduling.ts";
+
+/**
+ * Edge function to change when a pending call is dialed and its priority
+ * The new time goes through the same checks as schedule-call.
+ */
+serve(async (req: Request) => {
+  // Create a Supabase client with the Auth context of the function
+  const supabaseUrl = Deno.env.get("SUPABASE_URL") ?? "";
+  const supabaseKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "";
+  const supabase = createClient(supabaseUrl, supabaseKey);
+
+  // Check if this request has authorization
+  const authorization = req.headers.get('Authorization');
+  if (!authorization) {
+    return new Response(
+      JSON.stringify({ error: "Authorization required" }),
+      { status: 401, headers: { "Content-Type": "application/json" } }
+    );
+  }
+
+  try {
+    // Get the JWT token from the Authorization header
+    const token = authorization.replace('Bearer ', '');
+
+    // Get the user ID from the token
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return new Response(
+        JSON.stringify({ error: "Invalid authorization token" }),
+        { status: 401, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // Get the request body
+    const {
+      queueId,
+      scheduledTime = null, // null dials as soon as the calling window allows
+      priority,
+      recipientTimezone,
+      outsideWindow = "adjust"
+    } = await req.json();
+
+    if (!queueId) {
+      return new Response(
+        JSON.stringify({ error: "Queue ID is required" }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    if (priority !== undefined && (!Number.isInteger(priority) || priority < 1 || priority > 10)) {
+      return new Response(
+        JSON.stringify({ error: "Priority must be a whole number from 1 to 10" }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // Make sure the call belongs to the user and has not been dialed yet
+    const { data: queueRecord, error: queueError } = await supabase
+      .from("call_queue")
+      .select("id, status, template_id, recipient_phone, recipient_timezone, priority")
+      .eq("id", queueId)
+      .eq("user_id", user.id)
+      .single();
+
+    if (queueError || !queueRecord) {
+      return new Response(
+        JSON.stringify({ error: "Call not found" }),
+        { status: 404, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    if (queueRecord.status !== "pending") {
+      return new Response(
+        JSON.stringify({
+          error: "Only pending calls can be rescheduled",
+          status: queueRecord.status
+        }),
+        { status: 409, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // Same checks as schedule-call
+    const doNotCallCheck = await checkDoNotCall(supabase, user.id, queueRecord.recipient_phone, queueId);
+
+    if (doNotCallCheck.error) {
+      return new Response(
+        JSON.stringify(doNotCallCheck.error.body),
+        { status: doNotCallCheck.error.status, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    const scheduledTimeCheck = parseScheduledTime(scheduledTime);
+
+    if (scheduledTimeCheck.error) {
+      return new Response(
+        JSON.stringify(scheduledTimeCheck.error.body),
+        { status: scheduledTimeCheck.error.status, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    const timezone = recipientTimezone === undefined ? queueRecord.recipient_timezone : recipientTimezone;
+    const dialTime = await resolveDialTime(supabase, {
+      userId: user.id,
+      templateId: queueRecord.template_id,
+      recipientPhone: queueRecord.recipient_phone,
+      recipientTimezone: timezone,
+      scheduledTime: scheduledTimeCheck.scheduledTime,
+      outsideWindow
+    });
+
+    if (dialTime.error) {
+      return new Response(
+        JSON.stringify(dialTime.error.body),
+        { status: dialTime.error.status, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    const callTime = dialTime.callTime!;
+
+    // Only update the call if it is still pending
+    const { data: updated, error: updateError } = await supabase
+      .from("call_queue")
+      .update({
+        scheduled_time: dialTime.scheduledTime,
+        priority: priority ?? queueRecord.priority,
+        recipient_timezone: timezone,
+        next_retry_time: null
+      })
+      .eq("id", queueId)
+      .eq("status", "pending")
+      .select("id, scheduled_time, priority");
+
+    if (updateError) {
+      console.error("Error rescheduling call:", updateError);
+      return new Response(
+        JSON.stringify({ error: "Failed to reschedule call" }),
+        { status: 500, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    if (!updated || updated.length === 0) {
+      return new Response(
+        JSON.stringify({ error: "Call was picked up for dialing before it could be rescheduled" }),
+        { status: 409, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        id: queueId,
+        scheduledTime: updated[0].scheduled_time,
+        priority: updated[0].priority,
+        effectiveDialTime: dialTime.scheduledTime || new Date().toISOString(),
+        adjustedToCallingWindow: !callTime.within_window,
+        recipientTimezone: callTime.recipient_timezone,
+        message: "Call rescheduled successfully"
+      }),
+      { status: 200, headers: { "Content-Type": "application/json" } }
+    );
+  } catch (error) {
+    console.error("Error processing reschedule call request:", error);
+
+    return new Response(
+      JSON.stringify({ error: "Internal server error" }),
+      { status: 500, headers: { "Content-Type": "application/json" } }
+    );
+  }
+});
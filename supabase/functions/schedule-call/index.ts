@@ -2,6 +2,10 @@
 // https://deno.com/deploy/docs/supabase-functions
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { parsePhoneNumber } from "../_shared/phone.ts";
+import { checkCallQuota, quotaErrorFromDatabase } from "../_shared/quota.ts";
+import { checkDoNotCall, parseScheduledTime, resolveDialTime } from "../_shared/scheduling.ts";
+import { validateTemplateVariables } from "../_shared/variables.ts";
 
 /**
  * Edge function to schedule a call through the system
@@ -39,28 +43,52 @@ serve(async (req: Request) => {
     const { 
       templateId,
       recipientName,
-      recipientPhone,
+      recipientPhone: rawRecipientPhone,
       recipientEmail,
       scheduledTime = null,
       priority = 5,
       customVariables = {},
       metadata = {},
       assistantId = null,
-      phoneNumberId = null
+      phoneNumberId = null,
+      recipientTimezone = null,
+      outsideWindow = "adjust" // 'adjust' to move the call into the window, 'reject' to refuse it
     } = await req.json();
     
     // Validate required fields
-    if (!templateId || !recipientPhone) {
+    if (!templateId || !rawRecipientPhone) {
       return new Response(
         JSON.stringify({ error: "Template ID and recipient phone are required" }),
         { status: 400, headers: { "Content-Type": "application/json" } }
       );
     }
     
+    // Work with the E.164 form so the same person is always the same recipient
+    const phoneCheck = await parsePhoneNumber(supabase, rawRecipientPhone);
+    
+    if (phoneCheck.error) {
+      return new Response(
+        JSON.stringify(phoneCheck.error.body),
+        { status: phoneCheck.error.status, headers: { "Content-Type": "application/json" } }
+      );
+    }
+    
+    const recipientPhone = phoneCheck.phone!.e164;
+    
+    // Refuse recipients on the global or the user's do-not-call list
+    const doNotCallCheck = await checkDoNotCall(supabase, user.id, recipientPhone);
+    
+    if (doNotCallCheck.error) {
+      return new Response(
+        JSON.stringify(doNotCallCheck.error.body),
+        { status: doNotCallCheck.error.status, headers: { "Content-Type": "application/json" } }
+      );
+    }
+    
     // Verify the template exists and the user has access to it
     const { data: template, error: templateError } = await supabase
       .from("call_templates")
-      .select("id, provider_id, assistant_id")
+      .select("id, provider_id, assistant_id, template_variables (variable_name, display_name)")
       .eq("id", templateId)
       .or(`is_public.eq.true,created_by.eq.${user.id}`)
       .single();
@@ -96,56 +124,47 @@ serve(async (req: Request) => {
       );
     }
     
-    // Check if the user has exceeded their call limit
-    const { data: usage, error: usageError } = await supabase
-      .from("user_call_usage")
-      .select("calls_used, calls_remaining")
-      .eq("user_id", user.id)
-      .eq("subscription_id", subscription.id)
-      .single();
+    // Check the call and its expected minutes fit in what is left of the allowance,
+    // counting calls that are already scheduled
+    const { data: estimatedMinutes, error: estimateError } = await supabase.rpc("estimate_call_minutes", {
+      template_id_param: templateId
+    });
     
-    if (usageError) {
-      console.error("Error fetching user call usage:", usageError);
+    if (estimateError) {
+      console.error("Error estimating call minutes:", estimateError);
       return new Response(
         JSON.stringify({ error: "Failed to check call usage" }),
         { status: 500, headers: { "Content-Type": "application/json" } }
       );
     }
     
-    if (usage && usage.calls_remaining <= 0) {
+    const requestedQuota = { calls: 1, minutes: estimatedMinutes };
+    const quotaCheck = await checkCallQuota(supabase, user.id, requestedQuota);
+    
+    if (quotaCheck.error) {
       return new Response(
-        JSON.stringify({ 
-          error: "Call limit exceeded", 
-          details: {
-            used: usage.calls_used,
-            remaining: usage.calls_remaining,
-            limit: subscription.subscription_plans.call_limit
-          }
-        }),
-        { status: 403, headers: { "Content-Type": "application/json" } }
+        JSON.stringify(quotaCheck.error.body),
+        { status: quotaCheck.error.status, headers: { "Content-Type": "application/json" } }
       );
     }
     
     // Format the scheduled time if provided
-    let parsedScheduledTime = null;
-    if (scheduledTime) {
-      parsedScheduledTime = new Date(scheduledTime).toISOString();
-      
-      // Ensure the scheduled time is in the future
-      if (new Date(parsedScheduledTime) <= new Date()) {
-        return new Response(
-          JSON.stringify({ error: "Scheduled time must be in the future" }),
-          { status: 400, headers: { "Content-Type": "application/json" } }
-        );
-      }
+    const scheduledTimeCheck = parseScheduledTime(scheduledTime);
+    
+    if (scheduledTimeCheck.error) {
+      return new Response(
+        JSON.stringify(scheduledTimeCheck.error.body),
+        { status: scheduledTimeCheck.error.status, headers: { "Content-Type": "application/json" } }
+      );
     }
     
     // Validate assistant ID if provided
     let validatedAssistantId = assistantId || template.assistant_id || null;
+    let assistantProviderId = null;
     if (validatedAssistantId) {
       const { data: assistant, error: assistantError } = await supabase
         .from("provider_assistants")
-        .select("id")
+        .select("id, provider_id")
         .eq("id", validatedAssistantId)
         .eq("is_active", true)
         .single();
@@ -153,15 +172,18 @@ serve(async (req: Request) => {
       if (assistantError || !assistant) {
         console.warn("Invalid or inactive assistant ID:", validatedAssistantId);
         validatedAssistantId = null;
+      } else {
+        assistantProviderId = assistant.provider_id;
       }
     }
     
     // Validate phone number ID if provided
     let validatedPhoneNumberId = phoneNumberId || null;
+    let phoneNumberProviderId = null;
     if (validatedPhoneNumberId) {
       const { data: phoneNumber, error: phoneNumberError } = await supabase
         .from("provider_phone_numbers")
-        .select("id")
+        .select("id, provider_id")
         .eq("id", validatedPhoneNumberId)
         .eq("is_active", true)
         .single();
@@ -169,50 +191,86 @@ serve(async (req: Request) => {
       if (phoneNumberError || !phoneNumber) {
         console.warn("Invalid or inactive phone number ID:", validatedPhoneNumberId);
         validatedPhoneNumberId = null;
+      } else {
+        phoneNumberProviderId = phoneNumber.provider_id;
       }
     }
     
-    // Get template variables for validation
-    const { data: templateVariables, error: templateVariablesError } = await supabase
-      .from("template_variables")
-      .select("*")
-      .eq("template_id", templateId);
+    // The template, assistant and phone number must all belong to the same provider,
+    // otherwise no provider could ever serve the call
+    const pinnedProviders = new Set(
+      [template.provider_id, assistantProviderId, phoneNumberProviderId].filter(Boolean)
+    );
+    
+    if (pinnedProviders.size > 1) {
+      return new Response(
+        JSON.stringify({ 
+          error: "Template, assistant and phone number belong to different providers",
+          details: {
+            templateProviderId: template.provider_id,
+            assistantProviderId,
+            phoneNumberProviderId
+          }
+        }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
+    
+    // Validate the variables against the template's typed definitions
+    const variableCheck = await validateTemplateVariables(supabase, templateId, customVariables);
     
-    if (templateVariablesError) {
-      console.warn("Could not get template variables:", templateVariablesError);
+    if (variableCheck.error) {
+      return new Response(
+        JSON.stringify(variableCheck.error.body),
+        { status: variableCheck.error.status, headers: { "Content-Type": "application/json" } }
+      );
     }
     
-    // Validate required variables
-    const validationErrors = [];
-    if (templateVariables && templateVariables.length > 0) {
-      templateVariables.forEach(variable => {
-        // Check if required variables are present
-        if (variable.is_required && (!customVariables || !customVariables[variable.variable_name])) {
-          validationErrors.push(`Required variable '${variable.variable_name}' (${variable.display_name}) is missing`);
-        }
-        
-        // Check regex validation if specified
-        if (customVariables && 
-            customVariables[variable.variable_name] && 
-            variable.validation_regex) {
-          const regex = new RegExp(variable.validation_regex);
-          if (!regex.test(customVariables[variable.variable_name])) {
-            validationErrors.push(`Variable '${variable.variable_name}' (${variable.display_name}) failed validation`);
-          }
-        }
-      });
+    // Make sure every placeholder in the script can be filled before the call is queued
+    const { data: renderedTemplate, error: renderError } = await supabase.rpc("render_template", {
+      template_id_param: templateId,
+      variables_param: customVariables,
+      recipient_param: { name: recipientName, phone: recipientPhone, email: recipientEmail }
+    });
+    
+    if (renderError || !renderedTemplate) {
+      console.error("Error rendering template:", renderError);
+      return new Response(
+        JSON.stringify({ error: "Failed to render template" }),
+        { status: 500, headers: { "Content-Type": "application/json" } }
+      );
     }
     
-    if (validationErrors.length > 0) {
+    if (renderedTemplate.errors.length > 0) {
       return new Response(
         JSON.stringify({ 
-          error: "Variable validation failed", 
-          details: validationErrors
+          error: "Template could not be rendered", 
+          details: renderedTemplate.errors
         }),
         { status: 400, headers: { "Content-Type": "application/json" } }
       );
     }
     
+    // Work out when the call may actually be dialed in the recipient's local time
+    const dialTime = await resolveDialTime(supabase, {
+      userId: user.id,
+      templateId,
+      recipientPhone,
+      recipientTimezone,
+      scheduledTime: scheduledTimeCheck.scheduledTime,
+      outsideWindow
+    });
+    
+    if (dialTime.error) {
+      return new Response(
+        JSON.stringify(dialTime.error.body),
+        { status: dialTime.error.status, headers: { "Content-Type": "application/json" } }
+      );
+    }
+    
+    const callTime = dialTime.callTime!;
+    const parsedScheduledTime = dialTime.scheduledTime;
+    
     // Schedule the call
     const { data: queueId, error: scheduleError } = await supabase.rpc('schedule_call', {
       user_id_param: user.id,
@@ -225,10 +283,21 @@ serve(async (req: Request) => {
       custom_variables_param: customVariables,
       metadata_param: metadata,
       assistant_id_param: validatedAssistantId,
-      phone_number_id_param: validatedPhoneNumberId
+      phone_number_id_param: validatedPhoneNumberId,
+      recipient_timezone_param: recipientTimezone
     });
     
     if (scheduleError || !queueId) {
+      // Another request may have taken the last of the quota since the check above
+      const quotaError = await quotaErrorFromDatabase(supabase, user.id, scheduleError, requestedQuota);
+      
+      if (quotaError) {
+        return new Response(
+          JSON.stringify(quotaError.body),
+          { status: quotaError.status, headers: { "Content-Type": "application/json" } }
+        );
+      }
+      
       console.error("Error scheduling call:", scheduleError);
       return new Response(
         JSON.stringify({ error: "Failed to schedule call" }),
@@ -272,9 +341,10 @@ serve(async (req: Request) => {
     }
     
     // Prepare variables info for response
+    const templateVariables = template.template_variables || [];
     let variablesInfo = null;
-    if (templateVariables && templateVariables.length > 0 && customVariables) {
-      variablesInfo = templateVariables.map(variable => ({
+    if (templateVariables.length > 0 && customVariables) {
+      variablesInfo = templateVariables.map((variable: { variable_name: string; display_name: string }) => ({
         name: variable.variable_name,
         displayName: variable.display_name,
         value: customVariables[variable.variable_name] || null
@@ -287,10 +357,13 @@ serve(async (req: Request) => {
         id: queueId,
         scheduled: parsedScheduledTime ? true : false,
         scheduledTime: parsedScheduledTime,
+        effectiveDialTime: parsedScheduledTime || new Date().toISOString(),
+        adjustedToCallingWindow: !callTime.within_window,
         recipient: {
           name: recipientName,
           phone: recipientPhone,
-          email: recipientEmail
+          email: recipientEmail,
+          timezone: callTime.recipient_timezone
         },
         template: {
           id: templateId
@@ -298,9 +371,11 @@ serve(async (req: Request) => {
         assistant: assistantDetails,
         phoneNumber: phoneNumberDetails,
         variables: variablesInfo,
-        message: parsedScheduledTime 
-          ? "Call scheduled successfully" 
-          : "Call queued for immediate processing"
+        message: !callTime.within_window
+          ? "Call moved to the next slot in the recipient's calling window"
+          : parsedScheduledTime 
+            ? "Call scheduled successfully" 
+            : "Call queued for immediate processing"
       }),
       { status: 200, headers: { "Content-Type": "application/json" } }
     );
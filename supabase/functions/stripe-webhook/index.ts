@@ -19,7 +19,26 @@ const supabase = createClient(supabaseUrl, supabaseServiceKey);
 // This is your Stripe webhook secret for testing your endpoint locally.
 const webhookSecret = Deno.env.get('STRIPE_WEBHOOK_SECRET') || '';
 
+// Largest number of events replayed by a single request
+const MAX_REPLAY_EVENTS = 100;
+
+/**
+ * Edge function receiving Stripe webhooks
+ *
+ * Every event is recorded in stripe_events before it is handled. Repeated deliveries of
+ * a processed event are acknowledged without handling it again; an event whose handler
+ * fails is recorded as failed and answered with a 500, so Stripe delivers it again.
+ *
+ * POST /stripe-webhook/replay (admins, with a user token instead of a Stripe signature)
+ * handles stored events again: the ones listed in `eventIds`, or else the failed ones.
+ */
 serve(async (request) => {
+  const url = new URL(request.url);
+  
+  if (url.pathname.endsWith('/replay')) {
+    return handleReplayRequest(request);
+  }
+  
   const signature = request.headers.get('stripe-signature');
 
   if (!signature) {
@@ -42,53 +61,38 @@ serve(async (request) => {
       return new Response(`Webhook signature verification failed: ${err.message}`, { status: 400 });
     }
 
-    // Handle specific event types
-    switch (event.type) {
-      case 'checkout.session.completed': {
-        const session = event.data.object;
-        // Process the checkout session
-        await handleCheckoutSession(session);
-        break;
-      }
-      
-      case 'customer.subscription.created': {
-        const subscription = event.data.object;
-        // Process new subscription
-        await handleSubscriptionCreated(subscription);
-        break;
-      }
-      
-      case 'customer.subscription.updated': {
-        const subscription = event.data.object;
-        // Process subscription update
-        await handleSubscriptionUpdated(subscription);
-        break;
-      }
-      
-      case 'customer.subscription.deleted': {
-        const subscription = event.data.object;
-        // Process subscription cancellation
-        await handleSubscriptionCanceled(subscription);
-        break;
-      }
-      
-      case 'invoice.payment_succeeded': {
-        const invoice = event.data.object;
-        // Process successful payment
-        await handlePaymentSucceeded(invoice);
-        break;
-      }
-      
-      case 'invoice.payment_failed': {
-        const invoice = event.data.object;
-        // Process failed payment
-        await handlePaymentFailed(invoice);
-        break;
-      }
-      
-      default: {
-        console.log(`Unhandled event type: ${event.type}`);
-      }
+    // Record the event, skipping deliveries of events that were already handled
+    const { data: claim, error: claimError } = await supabase.rpc('begin_stripe_event', {
+      event_id_param: event.id,
+      type_param: event.type,
+      payload_param: event
+    });
+    
+    if (claimError) {
+      throw claimError;
+    }
+    
+    if (claim === 'duplicate') {
+      return new Response(JSON.stringify({ received: true, duplicate: true }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+    
+    // Another delivery is handling the event right now; have Stripe try again later
+    if (claim === 'in_progress') {
+      return new Response(JSON.stringify({ error: 'Event is already being processed' }), {
+        status: 409,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+    
+    const processingError = await processEvent(event);
+    
+    if (processingError) {
+      return new Response(JSON.stringify({ error: processingError }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+      });
     }
 
     return new Response(JSON.stringify({ received: true }), {
@@ -103,192 +107,369 @@ serve(async (request) => {
 });
 
 /**
- * Handle checkout.session.completed event
- * This is triggered when a customer completes the checkout process
+ * Handle a claimed event and record the outcome in stripe_events
+ * Returns the error message when the handler failed.
  */
-async function handleCheckoutSession(session) {
+async function processEvent(event) {
+  let processingError = null;
+  
   try {
-    // Get the Stripe subscription ID from the session
-    const subscriptionId = session.subscription;
-    if (!subscriptionId) return;
-
-    // Get the subscription details from Stripe
-    const subscription = await stripe.subscriptions.retrieve(subscriptionId);
-    
-    // Get the Stripe customer ID
-    const customerId = session.customer;
-    
-    // Find the Supabase user ID associated with this Stripe customer
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .select('id')
-      .eq('stripe_customer_id', customerId)
-      .single();
-    
-    if (userError || !userData) {
-      console.error('Error finding user with Stripe customer ID:', userError);
-      return;
-    }
-    
-    // Get the plan ID from the subscription
-    const planId = subscription.items.data[0].price.product;
-    
-    // Find the corresponding plan in Supabase
-    const { data: planData, error: planError } = await supabase
-      .from('subscription_plans')
-      .select('id')
-      .eq('stripe_product_id', planId)
-      .single();
-    
-    if (planError || !planData) {
-      console.error('Error finding subscription plan:', planError);
-      return;
-    }
-    
-    // Create or update the user subscription
-    await createOrUpdateSubscription(
-      userData.id,
-      planData.id,
-      subscription,
-      customerId
-    );
+    await handleEvent(event);
   } catch (error) {
-    console.error('Error handling checkout session:', error);
+    console.error(`Error handling Stripe event ${event.id} (${event.type}):`, error);
+    processingError = error.message || String(error);
+  }
+  
+  const { error: finishError } = await supabase.rpc('finish_stripe_event', {
+    event_id_param: event.id,
+    error_param: processingError
+  });
+  
+  if (finishError) {
+    // The event stays 'processing' and is claimed again by the next delivery
+    console.error(`Error recording outcome of Stripe event ${event.id}:`, finishError);
   }
+  
+  return processingError;
 }
 
 /**
- * Handle customer.subscription.created event
+ * Handle POST /stripe-webhook/replay
  */
-async function handleSubscriptionCreated(subscription) {
+async function handleReplayRequest(request) {
+  // Check if this request has authorization
+  const authorization = request.headers.get('Authorization');
+  if (!authorization) {
+    return new Response(
+      JSON.stringify({ error: "Authorization required" }),
+      { status: 401, headers: { "Content-Type": "application/json" } }
+    );
+  }
+
   try {
-    // Get the Stripe customer ID
-    const customerId = subscription.customer;
+    // Get the JWT token from the Authorization header
+    const token = authorization.replace('Bearer ', '');
     
-    // Find the Supabase user ID associated with this Stripe customer
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .select('id')
-      .eq('stripe_customer_id', customerId)
-      .single();
+    // Get the user ID from the token
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
     
-    if (userError || !userData) {
-      console.error('Error finding user with Stripe customer ID:', userError);
-      return;
+    if (authError || !user) {
+      return new Response(
+        JSON.stringify({ error: "Invalid authorization token" }),
+        { status: 401, headers: { "Content-Type": "application/json" } }
+      );
     }
     
-    // Get the plan ID from the subscription
-    const planId = subscription.items.data[0].price.product;
+    if (user.role !== "admin") {
+      return new Response(
+        JSON.stringify({ error: "Only admins can replay Stripe events" }),
+        { status: 403, headers: { "Content-Type": "application/json" } }
+      );
+    }
     
-    // Find the corresponding plan in Supabase
-    const { data: planData, error: planError } = await supabase
-      .from('subscription_plans')
-      .select('id, call_limit, minutes_limit')
-      .eq('stripe_product_id', planId)
-      .single();
+    if (request.method !== "POST") {
+      return new Response(
+        JSON.stringify({ error: "Method not allowed" }),
+        { status: 405, headers: { "Content-Type": "application/json" } }
+      );
+    }
+    
+    const { eventIds = null, limit = 20 } = await request.json().catch(() => ({}));
     
-    if (planError || !planData) {
-      console.error('Error finding subscription plan:', planError);
-      return;
+    if (eventIds !== null && (!Array.isArray(eventIds) || eventIds.length === 0 || eventIds.length > MAX_REPLAY_EVENTS)) {
+      return new Response(
+        JSON.stringify({ error: `eventIds must be a list of 1 to ${MAX_REPLAY_EVENTS} Stripe event IDs` }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
     }
     
-    // Create the user subscription
-    const { data: subscriptionData, error: subscriptionError } = await createOrUpdateSubscription(
-      userData.id,
-      planData.id,
-      subscription,
-      customerId
-    );
+    // The chosen events in any state, or else the oldest failed ones
+    let query = supabase
+      .from("stripe_events")
+      .select("id, type, payload")
+      .order("received_at", { ascending: true });
     
-    if (subscriptionError || !subscriptionData) {
-      console.error('Error creating subscription:', subscriptionError);
-      return;
+    query = eventIds
+      ? query.in("id", eventIds)
+      : query.eq("status", "failed").limit(Math.min(Math.max(1, Number(limit) || 20), MAX_REPLAY_EVENTS));
+    
+    const { data: storedEvents, error: eventsError } = await query;
+    
+    if (eventsError) {
+      console.error("Error fetching Stripe events:", eventsError);
+      return new Response(
+        JSON.stringify({ error: "Failed to fetch events" }),
+        { status: 500, headers: { "Content-Type": "application/json" } }
+      );
     }
     
-    // Initialize call usage for this subscription
-    await supabase
-      .from('user_call_usage')
-      .insert({
-        user_id: userData.id,
-        subscription_id: subscriptionData.id,
-        billing_period_start: new Date(subscription.current_period_start * 1000).toISOString(),
-        billing_period_end: new Date(subscription.current_period_end * 1000).toISOString(),
-        calls_used: 0,
-        minutes_used: 0,
-        calls_remaining: planData.call_limit,
-        minutes_remaining: planData.minutes_limit
+    const results = [];
+    
+    for (const storedEvent of storedEvents || []) {
+      const { data: claim, error: claimError } = await supabase.rpc('begin_stripe_event', {
+        event_id_param: storedEvent.id,
+        type_param: storedEvent.type,
+        payload_param: storedEvent.payload,
+        force_param: true
+      });
+      
+      if (claimError || claim !== 'process') {
+        results.push({
+          id: storedEvent.id,
+          type: storedEvent.type,
+          status: 'skipped',
+          error: claimError ? claimError.message : 'Event is already being processed'
+        });
+        continue;
+      }
+      
+      const processingError = await processEvent(storedEvent.payload);
+      
+      results.push({
+        id: storedEvent.id,
+        type: storedEvent.type,
+        status: processingError ? 'failed' : 'processed',
+        error: processingError
       });
+    }
+    
+    const missing = (eventIds || []).filter((id) => !(storedEvents || []).some((storedEvent) => storedEvent.id === id));
+    
+    return new Response(
+      JSON.stringify({
+        replayed: results.filter((result) => result.status !== 'skipped').length,
+        failed: results.filter((result) => result.status === 'failed').length,
+        results,
+        notFound: missing
+      }),
+      { status: 200, headers: { "Content-Type": "application/json" } }
+    );
   } catch (error) {
-    console.error('Error handling subscription created:', error);
+    console.error("Error replaying Stripe events:", error);
+    
+    return new Response(
+      JSON.stringify({ error: "Internal server error" }),
+      { status: 500, headers: { "Content-Type": "application/json" } }
+    );
   }
 }
 
 /**
- * Handle customer.subscription.updated event
+ * Dispatch an event to its handler
+ * Handlers throw when the event could not be applied, so it is recorded as failed.
  */
-async function handleSubscriptionUpdated(subscription) {
-  try {
-    // Get the Stripe customer ID
-    const customerId = subscription.customer;
+async function handleEvent(event) {
+  // Handle specific event types
+  switch (event.type) {
+    case 'checkout.session.completed': {
+      const session = event.data.object;
+      // Process the checkout session
+      await handleCheckoutSession(session);
+      break;
+    }
     
-    // Find the Supabase user ID associated with this Stripe customer
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .select('id')
-      .eq('stripe_customer_id', customerId)
-      .single();
+    case 'customer.subscription.created': {
+      const subscription = event.data.object;
+      // Process new subscription
+      await handleSubscriptionCreated(subscription.id);
+      break;
+    }
     
-    if (userError || !userData) {
-      console.error('Error finding user with Stripe customer ID:', userError);
-      return;
+    case 'customer.subscription.updated': {
+      const subscription = event.data.object;
+      // Process subscription update
+      await handleSubscriptionUpdated(subscription.id);
+      break;
     }
     
-    // Get the plan ID from the subscription
-    const planId = subscription.items.data[0].price.product;
+    case 'customer.subscription.deleted': {
+      const subscription = event.data.object;
+      // Process subscription cancellation
+      await handleSubscriptionCanceled(subscription);
+      break;
+    }
     
-    // Find the corresponding plan in Supabase
-    const { data: planData, error: planError } = await supabase
-      .from('subscription_plans')
-      .select('id')
-      .eq('stripe_product_id', planId)
-      .single();
+    case 'invoice.created':
+    case 'invoice.finalized':
+    case 'invoice.paid':
+    case 'invoice.voided':
+    case 'invoice.marked_uncollectible': {
+      const invoice = event.data.object;
+      // Keep the invoice record in line with Stripe
+      await syncInvoice(invoice.id);
+      break;
+    }
     
-    if (planError || !planData) {
-      console.error('Error finding subscription plan:', planError);
-      return;
+    case 'invoice.payment_succeeded': {
+      const invoice = event.data.object;
+      // Process successful payment
+      await syncInvoice(invoice.id);
+      await handlePaymentSucceeded(invoice);
+      break;
     }
     
-    // Update the user subscription
-    await createOrUpdateSubscription(
-      userData.id,
-      planData.id,
-      subscription,
-      customerId
-    );
-  } catch (error) {
-    console.error('Error handling subscription updated:', error);
+    case 'invoice.payment_failed': {
+      const invoice = event.data.object;
+      // Process failed payment
+      await syncInvoice(invoice.id);
+      await handlePaymentFailed(invoice);
+      break;
+    }
+    
+    case 'payment_method.attached':
+    case 'payment_method.updated':
+    case 'payment_method.automatically_updated':
+    case 'payment_method.detached': {
+      const paymentMethod = event.data.object;
+      // Save, refresh or remove the stored payment method
+      await syncPaymentMethod(paymentMethod.id);
+      break;
+    }
+    
+    case 'customer.updated': {
+      const customer = event.data.object;
+      // Track the customer's default payment method
+      await syncDefaultPaymentMethod(customer);
+      break;
+    }
+    
+    default: {
+      console.log(`Unhandled event type: ${event.type}`);
+    }
+  }
+}
+
+/**
+ * Find the Supabase plan for a Stripe subscription
+ * The plan is the one whose base price is on any of the subscription's items; Stripe does
+ * not order the items, so the first one may be a metered overage price. A subscription
+ * without a plan price is a setup mistake, so it fails the event.
+ */
+async function findPlanForSubscription(subscription, columns = 'id') {
+  const priceIds = (subscription.items?.data || []).map((item) => item.price.id);
+  
+  const { data: plans, error: planError } = await supabase
+    .from('subscription_plans')
+    .select(`${columns}, stripe_price_id`)
+    .in('stripe_price_id', priceIds);
+  
+  if (planError || !plans || plans.length === 0) {
+    throw new Error(`No subscription plan for Stripe subscription ${subscription.id} (prices ${priceIds.join(', ')}): ${planError?.message || 'not found'}`);
+  }
+  
+  if (plans.length > 1) {
+    throw new Error(`Stripe subscription ${subscription.id} has the base prices of several plans`);
   }
+  
+  return plans[0];
+}
+
+/**
+ * Handle checkout.session.completed event
+ * This is triggered when a customer completes the checkout process
+ */
+async function handleCheckoutSession(session) {
+  // Get the Stripe subscription ID from the session
+  const subscriptionId = session.subscription;
+  if (!subscriptionId) return;
+
+  // Get the subscription details from Stripe
+  const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+  
+  // Get the Stripe customer ID
+  const customerId = session.customer;
+  
+  // Find the Supabase user ID associated with this Stripe customer
+  const userId = await findUserIdByCustomer(customerId);
+  if (!userId) return;
+  
+  // Find the corresponding plan in Supabase
+  const planData = await findPlanForSubscription(subscription);
+  
+  // Create or update the user subscription
+  await createOrUpdateSubscription(
+    userId,
+    planData.id,
+    subscription,
+    customerId
+  );
+}
+
+/**
+ * Handle customer.subscription.created event
+ * Works from Stripe's current copy of the subscription, not the event's snapshot, so
+ * replayed or out-of-order events cannot apply an older state.
+ */
+async function handleSubscriptionCreated(subscriptionId) {
+  const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+  
+  // Get the Stripe customer ID
+  const customerId = subscription.customer;
+  
+  // Find the Supabase user ID associated with this Stripe customer
+  const userId = await findUserIdByCustomer(customerId);
+  if (!userId) return;
+  
+  // Find the corresponding plan in Supabase
+  const planData = await findPlanForSubscription(subscription);
+  
+  // Create the user subscription
+  const subscriptionData = await createOrUpdateSubscription(
+    userId,
+    planData.id,
+    subscription,
+    customerId
+  );
+  
+  // Initialize call usage for this subscription
+  await startUsagePeriod(subscriptionData.id, subscription);
+}
+
+/**
+ * Handle customer.subscription.updated event
+ * Like handleSubscriptionCreated, applies Stripe's current copy of the subscription, so
+ * an old event cannot roll back its period, status or plan.
+ */
+async function handleSubscriptionUpdated(subscriptionId) {
+  const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+  
+  // Get the Stripe customer ID
+  const customerId = subscription.customer;
+  
+  // Find the Supabase user ID associated with this Stripe customer
+  const userId = await findUserIdByCustomer(customerId);
+  if (!userId) return;
+  
+  // Find the corresponding plan in Supabase
+  const planData = await findPlanForSubscription(subscription);
+  
+  // Update the user subscription, applying or scheduling any plan switch
+  const subscriptionData = await createOrUpdateSubscription(
+    userId,
+    planData.id,
+    subscription,
+    customerId
+  );
+  
+  // A renewal starts a new period, which also applies a downgrade scheduled for it
+  await startUsagePeriod(subscriptionData.id, subscription);
 }
 
 /**
  * Handle customer.subscription.deleted event
  */
 async function handleSubscriptionCanceled(subscription) {
-  try {
-    // Find the Supabase subscription by Stripe subscription ID
-    const { data, error } = await supabase
-      .from('user_subscriptions')
-      .update({
-        status: 'canceled',
-        updated_at: new Date().toISOString()
-      })
-      .eq('subscription_id', subscription.id);
-    
-    if (error) {
-      console.error('Error updating canceled subscription:', error);
-    }
-  } catch (error) {
-    console.error('Error handling subscription canceled:', error);
+  // Find the Supabase subscription by Stripe subscription ID
+  const { error } = await supabase
+    .from('user_subscriptions')
+    .update({
+      status: 'canceled',
+      updated_at: new Date().toISOString()
+    })
+    .eq('subscription_id', subscription.id);
+  
+  if (error) {
+    throw new Error(`Error updating canceled subscription: ${error.message}`);
   }
 }
 
@@ -296,89 +477,219 @@ async function handleSubscriptionCanceled(subscription) {
  * Handle invoice.payment_succeeded event
  */
 async function handlePaymentSucceeded(invoice) {
-  try {
-    if (!invoice.subscription) return;
-    
-    // Get the subscription details
-    const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
-    
-    // Find the Supabase subscription by Stripe subscription ID
+  if (!invoice.subscription) return;
+  
+  // Get the subscription details
+  const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
+  
+  // Find the Supabase subscription by Stripe subscription ID
+  const { data: subscriptionData, error: subscriptionError } = await supabase
+    .from('user_subscriptions')
+    .select('id, user_id, plan_id')
+    .eq('subscription_id', invoice.subscription)
+    .single();
+  
+  if (subscriptionError || !subscriptionData) {
+    throw new Error(`Error finding subscription ${invoice.subscription}: ${subscriptionError?.message || 'not found'}`);
+  }
+  
+  // Make sure the period the invoice paid for has a usage record; renewals
+  // (billing_reason 'subscription_cycle') start a new one
+  await startUsagePeriod(subscriptionData.id, subscription);
+}
+
+/**
+ * Handle invoice.payment_failed event
+ */
+async function handlePaymentFailed(invoice) {
+  if (!invoice.subscription) return;
+  
+  // Find the Supabase subscription by Stripe subscription ID
+  const { error } = await supabase
+    .from('user_subscriptions')
+    .update({
+      status: 'past_due',
+      updated_at: new Date().toISOString()
+    })
+    .eq('subscription_id', invoice.subscription);
+  
+  if (error) {
+    throw new Error(`Error updating subscription status to past_due: ${error.message}`);
+  }
+}
+
+/**
+ * Start the usage record for a subscription's current period
+ * start_usage_period() leaves an existing record alone, so repeated events never add a second one.
+ */
+async function startUsagePeriod(subscriptionId, stripeSubscription) {
+  const { error } = await supabase.rpc('start_usage_period', {
+    subscription_id_param: subscriptionId,
+    period_start_param: new Date(stripeSubscription.current_period_start * 1000).toISOString(),
+    period_end_param: new Date(stripeSubscription.current_period_end * 1000).toISOString()
+  });
+  
+  if (error) {
+    throw new Error(`Error starting usage period: ${error.message}`);
+  }
+}
+
+// Currencies Stripe gives amounts for in whole units rather than hundredths
+const ZERO_DECIMAL_CURRENCIES = ['bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga', 'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf'];
+
+/**
+ * Convert a Stripe amount in the currency's smallest unit to a decimal amount
+ */
+function fromStripeAmount(amount, currency) {
+  return ZERO_DECIMAL_CURRENCIES.includes(currency) ? amount : amount / 100;
+}
+
+/**
+ * Convert a Stripe timestamp in seconds to an ISO string
+ */
+function fromStripeTime(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+/**
+ * Find the Supabase user ID for a Stripe customer, or null for customers of no user
+ */
+async function findUserIdByCustomer(customerId) {
+  const { data: userData, error: userError } = await supabase
+    .from('users')
+    .select('id')
+    .eq('stripe_customer_id', customerId)
+    .maybeSingle();
+  
+  if (userError) {
+    throw new Error(`Error finding user with Stripe customer ID: ${userError.message}`);
+  }
+  
+  // Customers created outside this app have nothing to update
+  if (!userData) {
+    console.warn(`No user with Stripe customer ID ${customerId}`);
+    return null;
+  }
+  
+  return userData.id;
+}
+
+/**
+ * Upsert an invoice from Stripe's current copy
+ * Events can arrive out of order, so the event payload itself is not trusted to be the latest state.
+ */
+async function syncInvoice(invoiceId) {
+  const invoice = await stripe.invoices.retrieve(invoiceId);
+  
+  const userId = await findUserIdByCustomer(invoice.customer);
+  if (!userId) return;
+  
+  // Invoices outside a subscription (one-off charges) have no subscription record
+  let subscriptionId = null;
+  if (invoice.subscription) {
     const { data: subscriptionData, error: subscriptionError } = await supabase
       .from('user_subscriptions')
-      .select('id, user_id, plan_id')
+      .select('id')
       .eq('subscription_id', invoice.subscription)
-      .single();
-    
-    if (subscriptionError || !subscriptionData) {
-      console.error('Error finding subscription:', subscriptionError);
-      return;
-    }
-    
-    // Get plan details
-    const { data: planData, error: planError } = await supabase
-      .from('subscription_plans')
-      .select('call_limit, minutes_limit')
-      .eq('id', subscriptionData.plan_id)
-      .single();
+      .maybeSingle();
     
-    if (planError || !planData) {
-      console.error('Error finding plan:', planError);
-      return;
+    if (subscriptionError) {
+      throw new Error(`Error finding subscription ${invoice.subscription}: ${subscriptionError.message}`);
     }
     
-    // Check if this is for a new billing period
-    if (invoice.billing_reason === 'subscription_cycle') {
-      // Update the call usage for the new billing period
-      const { data: existingUsage, error: usageError } = await supabase
-        .from('user_call_usage')
-        .select('id')
-        .eq('user_id', subscriptionData.user_id)
-        .eq('subscription_id', subscriptionData.id)
-        .gte('billing_period_end', new Date().toISOString())
-        .single();
-      
-      if (usageError || !existingUsage) {
-        // Create a new usage record for the new billing period
-        await supabase
-          .from('user_call_usage')
-          .insert({
-            user_id: subscriptionData.user_id,
-            subscription_id: subscriptionData.id,
-            billing_period_start: new Date(subscription.current_period_start * 1000).toISOString(),
-            billing_period_end: new Date(subscription.current_period_end * 1000).toISOString(),
-            calls_used: 0,
-            minutes_used: 0,
-            calls_remaining: planData.call_limit,
-            minutes_remaining: planData.minutes_limit
-          });
-      }
-    }
-  } catch (error) {
-    console.error('Error handling payment succeeded:', error);
+    subscriptionId = subscriptionData?.id || null;
+  }
+  
+  const paymentIntentId = typeof invoice.payment_intent === 'string'
+    ? invoice.payment_intent
+    : invoice.payment_intent?.id || null;
+  
+  const { error } = await supabase
+    .from('subscription_invoices')
+    .upsert({
+      user_id: userId,
+      subscription_id: subscriptionId,
+      stripe_invoice_id: invoice.id,
+      stripe_payment_intent_id: paymentIntentId,
+      invoice_number: invoice.number,
+      amount: fromStripeAmount(invoice.total, invoice.currency),
+      currency: invoice.currency,
+      status: invoice.status,
+      invoice_date: fromStripeTime(invoice.created),
+      paid_date: fromStripeTime(invoice.status_transitions?.paid_at),
+      invoice_pdf: invoice.invoice_pdf,
+      hosted_invoice_url: invoice.hosted_invoice_url,
+      invoice_data: invoice
+    }, { onConflict: 'stripe_invoice_id' });
+  
+  if (error) {
+    throw new Error(`Error saving invoice: ${error.message}`);
   }
 }
 
 /**
- * Handle invoice.payment_failed event
+ * Save, refresh or remove a payment method from Stripe's current copy
+ * Detached methods no longer have a customer and are removed.
  */
-async function handlePaymentFailed(invoice) {
-  try {
-    if (!invoice.subscription) return;
-    
-    // Find the Supabase subscription by Stripe subscription ID
-    const { data, error } = await supabase
-      .from('user_subscriptions')
-      .update({
-        status: 'past_due',
-        updated_at: new Date().toISOString()
-      })
-      .eq('subscription_id', invoice.subscription);
+async function syncPaymentMethod(paymentMethodId) {
+  const paymentMethod = await stripe.paymentMethods.retrieve(paymentMethodId);
+  
+  if (!paymentMethod.customer) {
+    const { error } = await supabase
+      .from('payment_methods')
+      .delete()
+      .eq('stripe_payment_method_id', paymentMethod.id);
     
     if (error) {
-      console.error('Error updating subscription status to past_due:', error);
+      throw new Error(`Error removing detached payment method: ${error.message}`);
     }
-  } catch (error) {
-    console.error('Error handling payment failed:', error);
+    return;
+  }
+  
+  const userId = await findUserIdByCustomer(paymentMethod.customer);
+  if (!userId) return;
+  
+  const { error } = await supabase
+    .from('payment_methods')
+    .upsert({
+      user_id: userId,
+      stripe_payment_method_id: paymentMethod.id,
+      payment_type: paymentMethod.type,
+      card_brand: paymentMethod.card?.brand || null,
+      card_last4: paymentMethod.card?.last4 || null,
+      card_exp_month: paymentMethod.card?.exp_month || null,
+      card_exp_year: paymentMethod.card?.exp_year || null,
+      billing_details: paymentMethod.billing_details
+    }, { onConflict: 'stripe_payment_method_id' });
+  
+  if (error) {
+    throw new Error(`Error saving payment method: ${error.message}`);
+  }
+  
+  // The customer may have made this method the default before it reached us
+  const customer = await stripe.customers.retrieve(paymentMethod.customer);
+  await syncDefaultPaymentMethod(customer);
+}
+
+/**
+ * Mark the customer's invoice default payment method as the user's default
+ */
+async function syncDefaultPaymentMethod(customer) {
+  if (customer.deleted) return;
+  
+  const userId = await findUserIdByCustomer(customer.id);
+  if (!userId) return;
+  
+  const defaultMethod = customer.invoice_settings?.default_payment_method;
+  const defaultMethodId = typeof defaultMethod === 'string' ? defaultMethod : defaultMethod?.id || null;
+  
+  const { error } = await supabase.rpc('set_default_payment_method', {
+    user_id_param: userId,
+    stripe_payment_method_id_param: defaultMethodId
+  });
+  
+  if (error) {
+    throw new Error(`Error setting default payment method: ${error.message}`);
   }
 }
 
@@ -399,10 +710,24 @@ async function createOrUpdateSubscription(userId, planId, stripeSubscription, cu
   
   const status = statusMap[stripeSubscription.status] || 'active';
   
+  // Find the subscription items of the plan's base price and metered overage prices
+  const { data: planPrices, error: planError } = await supabase
+    .from('subscription_plans')
+    .select('stripe_price_id, stripe_overage_call_price_id, stripe_overage_minute_price_id')
+    .eq('id', planId)
+    .single();
+  
+  if (planError) {
+    throw planError;
+  }
+  
+  const items = stripeSubscription.items?.data || [];
+  const findItem = (priceId) => (priceId && items.find((item) => item.price.id === priceId)?.id) || null;
+  
   // Check if subscription already exists
   const { data: existingSubscription, error: findError } = await supabase
     .from('user_subscriptions')
-    .select('id')
+    .select('id, plan_id, scheduled_plan_id')
     .eq('subscription_id', stripeSubscription.id)
     .single();
   
@@ -421,14 +746,20 @@ async function createOrUpdateSubscription(userId, planId, stripeSubscription, cu
     cancel_at_period_end: stripeSubscription.cancel_at_period_end,
     subscription_id: stripeSubscription.id,
     payment_method: { customer_id: customerId },
+    stripe_subscription_item_id: findItem(planPrices?.stripe_price_id),
+    stripe_overage_call_item_id: findItem(planPrices?.stripe_overage_call_price_id),
+    stripe_overage_minute_item_id: findItem(planPrices?.stripe_overage_minute_price_id),
     updated_at: new Date().toISOString()
   };
   
   if (existingSubscription) {
+    // Plan switches go through apply_plan_change so the period's allowance follows the plan
+    const { plan_id: _planId, ...updateData } = subscriptionData;
+    
     // Update existing subscription
     const { data, error } = await supabase
       .from('user_subscriptions')
-      .update(subscriptionData)
+      .update(updateData)
       .eq('id', existingSubscription.id)
       .select()
       .single();
@@ -438,6 +769,22 @@ async function createOrUpdateSubscription(userId, planId, stripeSubscription, cu
       throw error;
     }
     
+    if (planId !== existingSubscription.plan_id || existingSubscription.scheduled_plan_id) {
+      const { data: change, error: changeError } = await supabase.rpc('apply_plan_change', {
+        subscription_id_param: existingSubscription.id,
+        to_plan_id_param: planId
+      });
+      
+      if (changeError) {
+        console.error('Error applying plan change:', changeError);
+        throw changeError;
+      }
+      
+      if (change) {
+        console.log(`Plan change for subscription ${existingSubscription.id}:`, change);
+      }
+    }
+    
     return data;
   } else {
     // Create new subscription
@@ -0,0 +1,305 @@
+// Follow this setup guide to integrate the Deno Edge Functions:
+// https://deno.com/deploy/docs/supabase-functions
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+
+interface DiffLine {
+  type: "equal" | "added" | "removed";
+  line: string;
+}
+
+/**
+ * Line diff of two scripts, using the longest common subsequence of lines
+ */
+function diffLines(from: string, to: string): DiffLine[] {
+  const a = from.split("\n");
+  const b = to.split("\n");
+  const lengths: number[][] = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines: DiffLine[] = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: "equal", line: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: "removed", line: a[i++] });
+    } else {
+      lines.push({ type: "added", line: b[j++] });
+    }
+  }
+
+  while (i < a.length) {
+    lines.push({ type: "removed", line: a[i++] });
+  }
+
+  while (j < b.length) {
+    lines.push({ type: "added", line: b[j++] });
+  }
+
+  return lines;
+}
+
+/**
+ * Compare two variable snapshots by variable name
+ */
+function diffVariables(from: Record<string, any>[], to: Record<string, any>[]) {
+  const before = new Map(from.map(variable => [variable.variable_name, variable]));
+  const after = new Map(to.map(variable => [variable.variable_name, variable]));
+  const changed = [];
+
+  for (const [name, variable] of after) {
+    const previous = before.get(name);
+    if (!previous) {
+      continue;
+    }
+
+    const fields: Record<string, { from: unknown; to: unknown }> = {};
+    for (const field of new Set([...Object.keys(previous), ...Object.keys(variable)])) {
+      if (JSON.stringify(previous[field] ?? null) !== JSON.stringify(variable[field] ?? null)) {
+        fields[field] = { from: previous[field] ?? null, to: variable[field] ?? null };
+      }
+    }
+
+    if (Object.keys(fields).length > 0) {
+      changed.push({ name, fields });
+    }
+  }
+
+  return {
+    added: to.filter(variable => !before.has(variable.variable_name)),
+    removed: from.filter(variable => !after.has(variable.variable_name)),
+    changed
+  };
+}
+
+/**
+ * Edge function to list, compare and roll back template versions
+ *
+ * GET  /template-versions/:templateId                        list versions, newest first
+ * GET  /template-versions/:templateId/:version               one version with its content and variables
+ * GET  /template-versions/:templateId/diff?from=1&to=3       compare two versions (to defaults to the current one)
+ * POST /template-versions/:templateId/rollback               { version } restore a version as a new version
+ */
+serve(async (req: Request) => {
+  // Create a Supabase client with the Auth context of the function
+  const supabaseUrl = Deno.env.get("SUPABASE_URL") ?? "";
+  const supabaseKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "";
+  const supabase = createClient(supabaseUrl, supabaseKey);
+
+  // Check if this request has authorization
+  const authorization = req.headers.get('Authorization');
+  if (!authorization) {
+    return new Response(
+      JSON.stringify({ error: "Authorization required" }),
+      { status: 401, headers: { "Content-Type": "application/json" } }
+    );
+  }
+
+  try {
+    // Get the JWT token from the Authorization header
+    const token = authorization.replace('Bearer ', '');
+
+    // Get the user ID from the token
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return new Response(
+        JSON.stringify({ error: "Invalid authorization token" }),
+        { status: 401, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // Path segments after the function name: [templateId, version | "diff" | "rollback"]
+    const url = new URL(req.url);
+    const segments = url.pathname.split("/").filter(Boolean);
+    const [templateId = null, action = null] = segments.slice(segments.indexOf("template-versions") + 1);
+
+    if (!templateId) {
+      return new Response(
+        JSON.stringify({ error: "Template ID is required" }),
+        { status: 400, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // Verify the template exists and the user has access to it
+    const { data: template, error: templateError } = await supabase
+      .from("call_templates")
+      .select("id, created_by, current_version_id")
+      .eq("id", templateId)
+      .or(`is_public.eq.true,created_by.eq.${user.id}`)
+      .single();
+
+    if (templateError || !template) {
+      return new Response(
+        JSON.stringify({ error: "Template not found or not accessible" }),
+        { status: 404, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // Roll back to an earlier version
+    if (req.method === "POST" && action === "rollback") {
+      if (template.created_by !== user.id) {
+        return new Response(
+          JSON.stringify({ error: "Only the template's owner can roll it back" }),
+          { status: 403, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      const { version } = await req.json().catch(() => ({}));
+
+      if (!Number.isInteger(version)) {
+        return new Response(
+          JSON.stringify({ error: "Version number is required" }),
+          { status: 400, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      const { data: versionId, error: rollbackError } = await supabase.rpc("rollback_template", {
+        template_id_param: templateId,
+        version_number_param: version
+      });
+
+      if (rollbackError) {
+        const notFound = rollbackError.message?.includes("Template version not found");
+        console.error("Error rolling back template:", rollbackError);
+        return new Response(
+          JSON.stringify({ error: notFound ? "Template version not found" : "Failed to roll back template" }),
+          { status: notFound ? 404 : 500, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      const { data: current } = await supabase
+        .from("call_template_versions")
+        .select("id, version_number, change_note, created_at")
+        .eq("id", versionId)
+        .single();
+
+      return new Response(
+        JSON.stringify({
+          success: true,
+          currentVersion: current ? {
+            id: current.id,
+            versionNumber: current.version_number,
+            changeNote: current.change_note,
+            createdAt: current.created_at
+          } : null,
+          message: `Template rolled back to version ${version}`
+        }),
+        { status: 200, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    if (req.method !== "GET") {
+      return new Response(
+        JSON.stringify({ error: "Method not allowed" }),
+        { status: 405, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    const { data: versions, error: versionsError } = await supabase
+      .from("call_template_versions")
+      .select("id, version_number, content, variables, change_note, created_by, created_at")
+      .eq("template_id", templateId)
+      .order("version_number", { ascending: false });
+
+    if (versionsError) {
+      console.error("Error listing template versions:", versionsError);
+      return new Response(
+        JSON.stringify({ error: "Failed to list template versions" }),
+        { status: 500, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    const current = versions.find(version => version.id === template.current_version_id) || versions[0];
+
+    // Compare two versions
+    if (action === "diff") {
+      const fromNumber = parseInt(url.searchParams.get("from") || "", 10);
+      const toNumber = url.searchParams.get("to") ? parseInt(url.searchParams.get("to")!, 10) : current?.version_number;
+      const from = versions.find(version => version.version_number === fromNumber);
+      const to = versions.find(version => version.version_number === toNumber);
+
+      if (!from || !to) {
+        return new Response(
+          JSON.stringify({ error: "Both versions must exist; pass ?from= and optionally ?to=" }),
+          { status: 404, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      return new Response(
+        JSON.stringify({
+          from: from.version_number,
+          to: to.version_number,
+          content: diffLines(from.content, to.content),
+          variables: diffVariables(from.variables || [], to.variables || [])
+        }),
+        { status: 200, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // One version
+    if (action) {
+      const version = versions.find(version => version.version_number === parseInt(action, 10));
+
+      if (!version) {
+        return new Response(
+          JSON.stringify({ error: "Template version not found" }),
+          { status: 404, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      return new Response(
+        JSON.stringify({
+          version: {
+            id: version.id,
+            versionNumber: version.version_number,
+            current: version.id === current?.id,
+            content: version.content,
+            variables: version.variables,
+            changeNote: version.change_note,
+            createdBy: version.created_by,
+            createdAt: version.created_at
+          }
+        }),
+        { status: 200, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // List versions
+    return new Response(
+      JSON.stringify({
+        templateId,
+        currentVersion: current ? current.version_number : null,
+        versions: versions.map(version => ({
+          id: version.id,
+          versionNumber: version.version_number,
+          current: version.id === current?.id,
+          changeNote: version.change_note,
+          variableCount: (version.variables || []).length,
+          createdBy: version.created_by,
+          createdAt: version.created_at
+        }))
+      }),
+      { status: 200, headers: { "Content-Type": "application/json" } }
+    );
+  } catch (error) {
+    console.error("Error processing template versions request:", error);
+
+    return new Response(
+      JSON.stringify({ error: "Internal server error" }),
+      { status: 500, headers: { "Content-Type": "application/json" } }
+    );
+  }
+});
@@ -0,0 +1,521 @@
+// Follow this setup guide to integrate the Deno Edge Functions:
+// https://deno.com/deploy/docs/supabase-functions
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+
+// Request fields that map onto call_templates columns
+const TEMPLATE_FIELDS: Record<string, string> = {
+  name: "name",
+  description: "description",
+  content: "content",
+  category: "category",
+  tags: "tags",
+  isPublic: "is_public",
+  providerId: "provider_id",
+  assistantId: "assistant_id",
+  callingWindow: "calling_window",
+  requiredCapabilities: "required_capabilities"
+};
+
+// Request fields that map onto template_variables columns
+const VARIABLE_FIELDS: Record<string, string> = {
+  name: "variable_name",
+  displayName: "display_name",
+  description: "description",
+  required: "is_required",
+  defaultValue: "default_value",
+  validationRegex: "validation_regex",
+  type: "variable_type",
+  min: "min_value",
+  max: "max_value",
+  minLength: "min_length",
+  maxLength: "max_length",
+  options: "allowed_values"
+};
+
+// Orders accepted by search_templates()
+const SORT_OPTIONS = ["relevance", "popular", "rating", "newest", "name"];
+
+// Errors raised by save_template() and clone_template() that are the caller's fault
+const CLIENT_ERRORS = [
+  "Template name and content are required",
+  "Template name cannot be empty",
+  "Template content cannot be empty",
+  "Invalid variable name",
+  "Invalid validation_regex",
+  "Invalid bounds",
+  "needs allowed_values",
+  "is greater than max_length",
+  "template_variables_variable_type_check",
+  "call_templates_calling_window_check"
+];
+
+/**
+ * Pick the known fields out of a request object and rename them to columns
+ */
+function toColumns(input: Record<string, any>, fields: Record<string, string>): Record<string, any> {
+  const columns: Record<string, any> = {};
+
+  for (const [field, column] of Object.entries(fields)) {
+    if (input[field] !== undefined) {
+      columns[column] = input[field];
+    }
+  }
+
+  return columns;
+}
+
+/**
+ * Check a calling window the way is_valid_calling_window() does, so a bad window is
+ * refused when it is saved instead of failing calls when they are dialed
+ * Returns the problem, or null when the window is valid (or cleared with null).
+ */
+function checkCallingWindow(window: unknown): string | null {
+  if (window === null || window === undefined) {
+    return null;
+  }
+
+  if (typeof window !== "object" || Array.isArray(window)) {
+    return "callingWindow must be an object like { days: [1, 2, 3, 4, 5], start: \"09:00\", end: \"20:00\" }";
+  }
+
+  const { days, start, end } = window as Record<string, unknown>;
+
+  if (days !== undefined && (!Array.isArray(days) || days.length === 0 || !days.every(day => /^[1-7]$/.test(String(day))))) {
+    return "callingWindow.days must be a non-empty list of ISO weekdays (1 = Monday ... 7 = Sunday)";
+  }
+
+  if (start !== undefined && !(typeof start === "string" && /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(start))) {
+    return "callingWindow.start must be a time like \"09:00\"";
+  }
+
+  if (end !== undefined && !(typeof end === "string" && /^(([01]?[0-9]|2[0-3]):[0-5][0-9]|24:00)$/.test(end))) {
+    return "callingWindow.end must be a time like \"20:00\"";
+  }
+
+  const toMinutes = (time: string) => {
+    const [hours, minutes] = time.split(":").map(Number);
+    return hours * 60 + minutes;
+  };
+
+  if (toMinutes((start as string) ?? "00:00") >= toMinutes((end as string) ?? "24:00")) {
+    return "callingWindow.start must be before callingWindow.end";
+  }
+
+  return null;
+}
+
+/**
+ * Format a template_variables row for the response
+ */
+function formatVariable(variable: Record<string, any>) {
+  return {
+    name: variable.variable_name,
+    displayName: variable.display_name,
+    description: variable.description,
+    required: variable.is_required,
+    defaultValue: variable.default_value,
+    type: variable.variable_type,
+    min: variable.min_value,
+    max: variable.max_value,
+    minLength: variable.min_length,
+    maxLength: variable.max_length,
+    options: variable.allowed_values,
+    validationRegex: variable.validation_regex
+  };
+}
+
+/**
+ * Format a call_templates row for the response
+ */
+function formatTemplate(template: Record<string, any>, userId: string) {
+  return {
+    id: template.id,
+    name: template.name,
+    description: template.description,
+    content: template.content,
+    category: template.category,
+    tags: template.tags || [],
+    isPublic: template.is_public,
+    isOwner: template.created_by === userId,
+    providerId: template.provider_id,
+    assistantId: template.assistant_id,
+    callingWindow: template.calling_window,
+    requiredCapabilities: template.required_capabilities,
+    currentVersionId: template.current_version_id,
+    createdAt: template.created_at,
+    updatedAt: template.updated_at
+  };
+}
+
+/**
+ * Turn a database error into a response, keeping validation messages for the caller
+ */
+function errorResponse(error: { message?: string; code?: string }, fallback: string) {
+  const message = error.message || "";
+
+  if (message.includes("not found or not")) {
+    return new Response(
+      JSON.stringify({ error: "Template not found or not accessible" }),
+      { status: 404, headers: { "Content-Type": "application/json" } }
+    );
+  }
+
+  if (CLIENT_ERRORS.some(clientError => message.includes(clientError))) {
+    return new Response(
+      JSON.stringify({ error: message }),
+      { status: 400, headers: { "Content-Type": "application/json" } }
+    );
+  }
+
+  console.error(`${fallback}:`, error);
+  return new Response(
+    JSON.stringify({ error: fallback }),
+    { status: 500, headers: { "Content-Type": "application/json" } }
+  );
+}
+
+/**
+ * Edge function to manage call templates and their variables
+ *
+ * GET    /templates                 search templates the user can use, favorites first
+ *                                   (?q=&category=&tags=a,b&scope=all|mine|public&favorites=true&sort=&limit=&offset=)
+ * GET    /templates/facets          categories and tags with template counts
+ * GET    /templates/:id             one template with its variables and placeholder warnings
+ * POST   /templates                 create a private or public template
+ * PUT    /templates/:id             update a template the user owns
+ * DELETE /templates/:id             delete a template the user owns
+ * POST   /templates/:id/clone       copy a public template into the user's library ({ name } optional)
+ * POST   /templates/:id/favorite    add a template to the user's favorites
+ * DELETE /templates/:id/favorite    remove a template from the user's favorites
+ *
+ * Placeholders in the content without a matching variable are declared as required
+ * string variables on save, and reported in `warnings` along with unused variables.
+ */
+serve(async (req: Request) => {
+  // Create a Supabase client with the Auth context of the function
+  const supabaseUrl = Deno.env.get("SUPABASE_URL") ?? "";
+  const supabaseKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "";
+  const supabase = createClient(supabaseUrl, supabaseKey);
+
+  // Check if this request has authorization
+  const authorization = req.headers.get('Authorization');
+  if (!authorization) {
+    return new Response(
+      JSON.stringify({ error: "Authorization required" }),
+      { status: 401, headers: { "Content-Type": "application/json" } }
+    );
+  }
+
+  try {
+    // Get the JWT token from the Authorization header
+    const token = authorization.replace('Bearer ', '');
+
+    // Get the user ID from the token
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      return new Response(
+        JSON.stringify({ error: "Invalid authorization token" }),
+        { status: 401, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // Path segments after the function name: [templateId?, action?]
+    const url = new URL(req.url);
+    const segments = url.pathname.split("/").filter(Boolean);
+    const [templateId = null, action = null] = segments.slice(segments.indexOf("templates") + 1);
+    const body = req.method === "GET" || req.method === "DELETE" ? {} : await req.json().catch(() => ({}));
+
+    // Search the templates the user can see; favorites come first
+    if (req.method === "GET" && !templateId) {
+      const params = url.searchParams;
+      const tags = (params.get("tags") || "").split(",").map(tag => tag.trim()).filter(Boolean);
+      const limit = Math.min(parseInt(params.get("limit") || "20", 10) || 20, 100);
+      const offset = Math.max(parseInt(params.get("offset") || "0", 10) || 0, 0);
+      const sort = params.get("sort") || "relevance";
+
+      if (!SORT_OPTIONS.includes(sort)) {
+        return new Response(
+          JSON.stringify({ error: `sort must be one of ${SORT_OPTIONS.join(", ")}` }),
+          { status: 400, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      const { data: results, error: searchError } = await supabase.rpc("search_templates", {
+        user_id_param: user.id,
+        query_param: params.get("q"),
+        category_param: params.get("category"),
+        tags_param: tags.length > 0 ? tags : null,
+        scope_param: params.get("scope") || "all",
+        favorites_only_param: params.get("favorites") === "true",
+        sort_param: sort,
+        limit_param: limit,
+        offset_param: offset
+      });
+
+      if (searchError) {
+        console.error("Error searching templates:", searchError);
+        return new Response(
+          JSON.stringify({ error: "Failed to search templates" }),
+          { status: 500, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      return new Response(
+        JSON.stringify({
+          templates: results.map(result => ({
+            id: result.template_id,
+            name: result.name,
+            description: result.description,
+            category: result.category,
+            tags: result.tags,
+            isPublic: result.is_public,
+            isOwner: result.is_owner,
+            isFavorite: result.is_favorite,
+            callCount: result.call_count,
+            ratingCount: result.rating_count,
+            averageRating: result.average_rating,
+            favoriteCount: result.favorite_count,
+            createdAt: result.created_at
+          })),
+          total: results.length > 0 ? results[0].total_count : 0,
+          limit,
+          offset
+        }),
+        { status: 200, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // Categories and tags to filter by
+    if (req.method === "GET" && templateId === "facets") {
+      const { data: facets, error: facetsError } = await supabase.rpc("get_template_facets", {
+        user_id_param: user.id
+      });
+
+      if (facetsError) {
+        console.error("Error listing template facets:", facetsError);
+        return new Response(
+          JSON.stringify({ error: "Failed to list template categories" }),
+          { status: 500, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      return new Response(
+        JSON.stringify(facets),
+        { status: 200, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // Get one template
+    if (req.method === "GET") {
+      const { data: template, error: templateError } = await supabase
+        .from("call_templates")
+        .select("*")
+        .eq("id", templateId)
+        .or(`is_public.eq.true,created_by.eq.${user.id}`)
+        .single();
+
+      if (templateError || !template) {
+        return new Response(
+          JSON.stringify({ error: "Template not found or not accessible" }),
+          { status: 404, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      const { data: variables } = await supabase
+        .from("template_variables")
+        .select("*")
+        .eq("template_id", templateId)
+        .order("variable_name", { ascending: true });
+
+      const { data: warnings } = await supabase.rpc("check_template_placeholders", {
+        template_id_param: templateId
+      });
+
+      const { data: popularity } = await supabase
+        .from("template_popularity")
+        .select("call_count, rating_count, average_rating, favorite_count")
+        .eq("template_id", templateId)
+        .single();
+
+      const { data: favorite } = await supabase
+        .from("template_favorites")
+        .select("id")
+        .eq("user_id", user.id)
+        .eq("template_id", templateId)
+        .maybeSingle();
+
+      return new Response(
+        JSON.stringify({
+          template: {
+            ...formatTemplate(template, user.id),
+            isFavorite: !!favorite,
+            callCount: popularity?.call_count ?? 0,
+            ratingCount: popularity?.rating_count ?? 0,
+            averageRating: popularity?.average_rating ?? null,
+            favoriteCount: popularity?.favorite_count ?? 0
+          },
+          variables: (variables || []).map(formatVariable),
+          warnings: (warnings || []).map(warning => ({
+            variable: warning.variable_name,
+            warning: warning.warning
+          }))
+        }),
+        { status: 200, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // Favorite or unfavorite a template
+    if ((req.method === "POST" || req.method === "DELETE") && templateId && action === "favorite") {
+      const { data: template, error: templateError } = await supabase
+        .from("call_templates")
+        .select("id")
+        .eq("id", templateId)
+        .or(`is_public.eq.true,created_by.eq.${user.id}`)
+        .single();
+
+      if (templateError || !template) {
+        return new Response(
+          JSON.stringify({ error: "Template not found or not accessible" }),
+          { status: 404, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      const { error: favoriteError } = req.method === "POST"
+        ? await supabase
+          .from("template_favorites")
+          .upsert({ user_id: user.id, template_id: templateId }, { onConflict: "user_id,template_id", ignoreDuplicates: true })
+        : await supabase
+          .from("template_favorites")
+          .delete()
+          .eq("user_id", user.id)
+          .eq("template_id", templateId);
+
+      if (favoriteError) {
+        console.error("Error updating template favorite:", favoriteError);
+        return new Response(
+          JSON.stringify({ error: "Failed to update favorite" }),
+          { status: 500, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      return new Response(
+        JSON.stringify({ success: true, templateId, isFavorite: req.method === "POST" }),
+        { status: 200, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // Clone a template into the user's library
+    if (req.method === "POST" && templateId && action === "clone") {
+      const { data: cloneId, error: cloneError } = await supabase.rpc("clone_template", {
+        template_id_param: templateId,
+        user_id_param: user.id,
+        name_param: body.name || null
+      });
+
+      if (cloneError) {
+        return errorResponse(cloneError, "Failed to clone template");
+      }
+
+      return new Response(
+        JSON.stringify({
+          success: true,
+          templateId: cloneId,
+          clonedFrom: templateId,
+          message: "Template cloned successfully"
+        }),
+        { status: 201, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // Create or update a template
+    if ((req.method === "POST" && !templateId) || (req.method === "PUT" && templateId && !action)) {
+      const fields = toColumns(body, TEMPLATE_FIELDS);
+      const callingWindowError = checkCallingWindow(fields.calling_window);
+
+      if (callingWindowError) {
+        return new Response(
+          JSON.stringify({ error: callingWindowError }),
+          { status: 400, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      const variables = Array.isArray(body.variables)
+        ? body.variables.map((variable: Record<string, any>) => toColumns(variable, VARIABLE_FIELDS))
+        : null;
+
+      const { data: saved, error: saveError } = await supabase.rpc("save_template", {
+        template_id_param: templateId,
+        user_id_param: user.id,
+        fields_param: fields,
+        variables_param: variables
+      });
+
+      if (saveError) {
+        return errorResponse(saveError, "Failed to save template");
+      }
+
+      return new Response(
+        JSON.stringify({
+          success: true,
+          templateId: saved.templateId,
+          versionId: saved.versionId,
+          warnings: saved.warnings,
+          message: templateId ? "Template updated successfully" : "Template created successfully"
+        }),
+        { status: templateId ? 200 : 201, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // Delete a template
+    if (req.method === "DELETE" && templateId && !action) {
+      const { data: deleted, error: deleteError } = await supabase
+        .from("call_templates")
+        .delete()
+        .eq("id", templateId)
+        .eq("created_by", user.id)
+        .select("id");
+
+      if (deleteError) {
+        // Campaigns and calls that were scheduled or made with the template still reference it
+        if (deleteError.code === "23503") {
+          return new Response(
+            JSON.stringify({ error: "Template is used by campaigns, scheduled calls or call history" }),
+            { status: 409, headers: { "Content-Type": "application/json" } }
+          );
+        }
+
+        console.error("Error deleting template:", deleteError);
+        return new Response(
+          JSON.stringify({ error: "Failed to delete template" }),
+          { status: 500, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      if (!deleted || deleted.length === 0) {
+        return new Response(
+          JSON.stringify({ error: "Template not found or not accessible" }),
+          { status: 404, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      return new Response(
+        JSON.stringify({ success: true, message: "Template deleted successfully" }),
+        { status: 200, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    return new Response(
+      JSON.stringify({ error: "Method not allowed" }),
+      { status: 405, headers: { "Content-Type": "application/json" } }
+    );
+  } catch (error) {
+    console.error("Error processing templates request:", error);
+
+    return new Response(
+      JSON.stringify({ error: "Internal server error" }),
+      { status: 500, headers: { "Content-Type": "application/json" } }
+    );
+  }
+});